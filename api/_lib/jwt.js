@@ -0,0 +1,24 @@
+import crypto from 'crypto';
+
+// Minimal HS256 JWT signer, enough for Vapi's client tokens.
+
+const base64Url = (input) =>
+  Buffer.from(typeof input === 'string' ? input : JSON.stringify(input))
+    .toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+
+export const signJwt = (payload, secret, { expiresInSeconds }) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64Url({ alg: 'HS256', typ: 'JWT' });
+  const body = base64Url({ ...payload, iat: now, exp: now + expiresInSeconds });
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${header}.${body}`)
+    .digest('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+  return `${header}.${body}.${signature}`;
+};
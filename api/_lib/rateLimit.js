@@ -0,0 +1,36 @@
+// Fixed-window, per-IP rate limiter kept in the function instance's memory.
+// Serverless instances are recycled and not shared, so this is a basic abuse
+// guard rather than a global quota.
+
+const buckets = new Map();
+
+export const getClientIp = (req) => {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (typeof forwarded === 'string' && forwarded) return forwarded.split(',')[0].trim();
+  return req.headers['x-real-ip'] || (req.socket && req.socket.remoteAddress) || 'unknown';
+};
+
+// Returns `{ allowed, remaining, retryAfterSeconds }` and records the hit.
+export const checkRateLimit = (key, { limit, windowMs, now = Date.now() }) => {
+  let bucket = buckets.get(key);
+  if (!bucket || now >= bucket.resetAt) {
+    bucket = { count: 0, resetAt: now + windowMs };
+    buckets.set(key, bucket);
+  }
+
+  bucket.count += 1;
+
+  // Drop expired buckets occasionally so memory stays bounded
+  if (buckets.size > 5000) {
+    buckets.forEach((value, bucketKey) => {
+      if (now >= value.resetAt) buckets.delete(bucketKey);
+    });
+  }
+
+  const allowed = bucket.count <= limit;
+  return {
+    allowed,
+    remaining: Math.max(0, limit - bucket.count),
+    retryAfterSeconds: allowed ? 0 : Math.ceil((bucket.resetAt - now) / 1000)
+  };
+};
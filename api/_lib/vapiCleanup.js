@@ -0,0 +1,37 @@
+// Deletes the Vapi assistants and squads that interview sessions created, once
+// they are old enough that no call can still be using them. Every session
+// creates new ones (a restarted call too), so without this they pile up on the
+// account. Sessions tag their assistants with SESSION_METADATA; squads are
+// recognised by their members.
+
+export const SESSION_METADATA = { createdBy: 'interview-session' };
+
+const LIST_LIMIT = 100;
+
+const isSessionAssistant = (assistant) =>
+  Boolean(assistant && assistant.metadata && assistant.metadata.createdBy === SESSION_METADATA.createdBy);
+
+// Returns `{ assistants, squads }`, the number deleted
+export const deleteExpiredSessions = async ({ apiUrl, privateKey, maxAgeMs, now = Date.now(), fetchImpl = fetch }) => {
+  const call = async (method, path) => {
+    const res = await fetchImpl(`${apiUrl}/${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${privateKey}` }
+    });
+    if (!res.ok) throw new Error(`Vapi ${method} ${path.split('?')[0]} failed (${res.status})`);
+    return method === 'GET' ? res.json() : null;
+  };
+  const createdBefore = encodeURIComponent(new Date(now - maxAgeMs).toISOString());
+  const query = `limit=${LIST_LIMIT}&createdAtLt=${createdBefore}`;
+
+  const expired = (await call('GET', `assistant?${query}`)).filter(isSessionAssistant);
+  if (!expired.length) return { assistants: 0, squads: 0 };
+  const expiredIds = new Set(expired.map(assistant => assistant.id));
+
+  // Squads go first, so no squad is left pointing at a deleted assistant
+  const squads = (await call('GET', `squad?${query}`)).filter(squad =>
+    Array.isArray(squad.members) && squad.members.some(member => expiredIds.has(member.assistantId)));
+  for (const squad of squads) await call('DELETE', `squad/${encodeURIComponent(squad.id)}`);
+  for (const assistant of expired) await call('DELETE', `assistant/${encodeURIComponent(assistant.id)}`);
+  return { assistants: expired.length, squads: squads.length };
+};
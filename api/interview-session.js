@@ -0,0 +1,356 @@
+import { buildCallConfig, MAX_RESUME_TURNS } from '../src/lib/interviewPrompt.js';
+import { normalizeTemplate, BUILT_IN_TEMPLATES } from '../src/lib/interviewTemplates.js';
+import { emptyCandidateProfile } from '../src/lib/resumeParser.js';
+import { normalizeAssistantSettings } from '../src/lib/assistantSettings.js';
+import { clampTimeLimit } from '../src/lib/interviewPacing.js';
+import { signJwt } from './_lib/jwt.js';
+import { checkRateLimit, getClientIp } from './_lib/rateLimit.js';
+import { SESSION_METADATA, deleteExpiredSessions } from './_lib/vapiCleanup.js';
+
+// POST /api/interview-session
+//
+// Creates a Vapi assistant for one interview from the client's interview
+// context and returns a short-lived client token restricted to that assistant.
+// An invited interview sends its invitation token instead: the role, resume,
+// template and assistant settings are then read from the invitations backend,
+// so the candidate's browser never holds the recruiter's must-ask questions.
+//
+// Anyone can call this endpoint, so everything a client sends is bounded
+// before it reaches the prompt, and SESSION_INVITATIONS_ONLY turns off
+// interviews that are not backed by an invitation. Assistants and squads are
+// deleted once they are older than SESSION_ASSISTANT_MAX_AGE_MINUTES.
+// The Vapi private key and the generated system prompt never leave the server.
+// A panel interview creates one assistant per persona plus a squad joining
+// them, and returns the squad id with a token restricted to its members.
+//
+// Environment:
+//   VAPI_PRIVATE_KEY         Vapi private API key (required)
+//   VAPI_ORG_ID              Vapi organization id, embedded in client tokens (required)
+//   SESSION_RATE_LIMIT       sessions per IP per window (default 10)
+//   SESSION_RATE_WINDOW_MS   rate limit window in ms (default 10 minutes)
+//   SESSION_TOKEN_TTL        client token lifetime in seconds (default 900)
+//   ALLOWED_ORIGIN           optional origin allowed to call this endpoint
+//   INVITATIONS_API_URL      the invitations backend's /api/invitations URL (for invited interviews)
+//   RECRUITER_TOKEN          the invitations backend's recruiter token
+//   SESSION_INVITATIONS_ONLY set to "true" to refuse sessions without an invitation token
+//   SESSION_ASSISTANT_MAX_AGE_MINUTES  delete session assistants after this long (default 240)
+
+const VAPI_API_URL = 'https://api.vapi.ai';
+
+const MAX_LENGTHS = {
+  jobRole: 200,
+  resumeText: 50000,
+  jobDescriptionText: 20000
+};
+
+const MAX_TEMPLATE_STEPS = 12;
+const MAX_MUST_ASK_QUESTIONS = 15;
+const MAX_PROFILE_TEXT = 500;
+const CLEANUP_WAIT_MS = 3000;
+
+const readNumber = (value, fallback) => {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? num : fallback;
+};
+
+const readString = (value, field) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value !== 'string') throw new Error(`${field} must be a string`);
+  return value.slice(0, MAX_LENGTHS[field]);
+};
+
+// Only keep the profile fields the prompt uses, so arbitrary payloads are not forwarded.
+const sanitizeProfile = (profile) => {
+  const empty = emptyCandidateProfile();
+  if (!profile || typeof profile !== 'object') return empty;
+  const list = (value) => (Array.isArray(value) ? value.slice(0, 20).filter(item => item !== null && item !== undefined) : []);
+  const text = (value) => String(value || '').slice(0, MAX_PROFILE_TEXT);
+  const contact = profile.contact && typeof profile.contact === 'object' ? profile.contact : {};
+  return {
+    contact: Object.fromEntries(Object.keys(empty.contact).map(key => [key, contact[key] ? text(contact[key]) : empty.contact[key]])),
+    summary: typeof profile.summary === 'string' ? profile.summary.slice(0, 1000) : '',
+    workHistory: list(profile.workHistory).map(job => ({
+      title: text(job.title),
+      company: text(job.company),
+      startDate: text(job.startDate),
+      endDate: text(job.endDate),
+      highlights: list(job.highlights).map(text)
+    })),
+    education: list(profile.education).map(entry => ({
+      degree: text(entry.degree),
+      institution: text(entry.institution),
+      dates: text(entry.dates)
+    })),
+    skills: list(profile.skills).map(text),
+    projects: list(profile.projects).map(project => ({
+      name: text(project.name),
+      description: text(project.description)
+    }))
+  };
+};
+
+// A client-supplied template goes into the system prompt, so keep it to a
+// template's size
+const boundTemplate = (template) => ({
+  ...template,
+  name: template.name.slice(0, 80),
+  description: template.description.slice(0, 500),
+  tone: template.tone.slice(0, 100),
+  structure: template.structure.slice(0, MAX_TEMPLATE_STEPS).map(step => step.slice(0, 200)),
+  sectionMinutes: template.sectionMinutes.slice(0, MAX_TEMPLATE_STEPS),
+  mustAskQuestions: template.mustAskQuestions.slice(0, MAX_MUST_ASK_QUESTIONS).map(question => question.slice(0, 300))
+});
+
+// Turns replayed to a restarted call after a pause or dropped connection
+const sanitizeTranscript = (transcript) => {
+  if (!Array.isArray(transcript)) return [];
+  return transcript
+    .slice(-MAX_RESUME_TURNS)
+    .filter(turn => turn && typeof turn.text === 'string')
+    .map(turn => ({
+      speaker: String(turn.speaker || '').slice(0, 120),
+      text: turn.text.slice(0, 2000)
+    }));
+};
+
+// A coaching round on one question; anything else starts a full interview
+const sanitizePractice = (practice) => {
+  if (!practice || typeof practice !== 'object' || typeof practice.question !== 'string' || !practice.question.trim()) return null;
+  return {
+    question: practice.question.slice(0, 1000),
+    previousAnswer: typeof practice.previousAnswer === 'string' ? practice.previousAnswer.slice(0, 4000) : ''
+  };
+};
+
+export const parseContext = (body) => {
+  const context = body && body.context;
+  if (!context || typeof context !== 'object') throw new Error('Missing interview context');
+
+  if (context.invitationToken !== undefined && context.invitationToken !== null) {
+    if (typeof context.invitationToken !== 'string' || !/^[\w-]{10,64}$/.test(context.invitationToken)) {
+      throw new Error('invitationToken is not valid');
+    }
+    return {
+      invitationToken: context.invitationToken,
+      previousTranscript: sanitizeTranscript(context.previousTranscript),
+      elapsedSeconds: Math.max(0, Number(context.elapsedSeconds) || 0),
+      activePersonaId: typeof context.activePersonaId === 'string' ? context.activePersonaId.slice(0, 40) : null
+    };
+  }
+
+  const jobRole = readString(context.jobRole, 'jobRole').trim();
+  if (!jobRole) throw new Error('jobRole is required');
+
+  let template = BUILT_IN_TEMPLATES[0];
+  if (context.template) template = boundTemplate(normalizeTemplate(context.template));
+
+  return {
+    jobRole,
+    resumeText: readString(context.resumeText, 'resumeText'),
+    jobDescriptionText: readString(context.jobDescriptionText, 'jobDescriptionText'),
+    candidateProfile: sanitizeProfile(context.candidateProfile),
+    template,
+    // Unknown models, voices or languages fall back to the defaults.
+    settings: normalizeAssistantSettings(context.settings),
+    timeLimitMinutes: clampTimeLimit(context.timeLimitMinutes),
+    codingEnabled: context.codingEnabled === true,
+    previousTranscript: sanitizeTranscript(context.previousTranscript),
+    elapsedSeconds: Math.max(0, Number(context.elapsedSeconds) || 0),
+    practice: sanitizePractice(context.practice),
+    activePersonaId: typeof context.activePersonaId === 'string' ? context.activePersonaId.slice(0, 40) : null
+  };
+};
+
+class SessionError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const fetchInvitation = async (token) => {
+  const apiUrl = process.env.INVITATIONS_API_URL;
+  const recruiterToken = process.env.RECRUITER_TOKEN;
+  if (!apiUrl || !recruiterToken) {
+    console.error('INVITATIONS_API_URL and RECRUITER_TOKEN must be configured for invited interviews');
+    throw new SessionError(500, 'Interview service is not configured');
+  }
+  let res;
+  try {
+    res = await fetch(`${apiUrl.replace(/\/$/, '')}/${encodeURIComponent(token)}`, {
+      headers: { Authorization: `Bearer ${recruiterToken}` }
+    });
+  } catch (error) {
+    console.error('Could not reach the invitations backend:', error.message);
+    throw new SessionError(502, 'Could not load the interview');
+  }
+  if (res.status === 404) throw new SessionError(404, 'Interview link not found');
+  if (!res.ok) {
+    console.error(`Invitations backend answered ${res.status}`);
+    throw new SessionError(502, 'Could not load the interview');
+  }
+  return res.json();
+};
+
+// Everything the prompt is built from comes from the stored invitation; the
+// client only says where a restarted call picks up
+export const resolveInvitationContext = async (context) => {
+  const invitation = await fetchInvitation(context.invitationToken);
+  if (invitation.status === 'completed' || invitation.dataDeletedAt) {
+    throw new SessionError(409, 'This interview has already ended');
+  }
+  return {
+    ...context,
+    jobRole: invitation.jobRole,
+    resumeText: invitation.resumeText || '',
+    jobDescriptionText: invitation.jobDescriptionText || '',
+    candidateProfile: sanitizeProfile(invitation.candidateProfile),
+    template: normalizeTemplate(invitation.template),
+    settings: normalizeAssistantSettings(invitation.assistantSettings),
+    timeLimitMinutes: clampTimeLimit(invitation.timeLimitMinutes),
+    codingEnabled: invitation.codingEnabled === true,
+    practice: null
+  };
+};
+
+const createResource = async (privateKey, resource, config) => {
+  const res = await fetch(`${VAPI_API_URL}/${resource}`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${privateKey}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(config)
+  });
+
+  if (!res.ok) {
+    const detail = await res.text().catch(() => '');
+    throw new Error(`Vapi ${resource} creation failed (${res.status}) ${detail.slice(0, 200)}`);
+  }
+  return res.json();
+};
+
+const createAssistant = (privateKey, assistantConfig) =>
+  createResource(privateKey, 'assistant', { ...assistantConfig, metadata: SESSION_METADATA });
+
+// Members are created as assistants first so the client token can be restricted to them
+const createSquad = async (privateKey, squad, jobRole) => {
+  const members = [];
+  for (const member of squad.members) {
+    const assistant = await createAssistant(privateKey, member.assistant);
+    members.push({ assistantId: assistant.id, assistantDestinations: member.assistantDestinations });
+  }
+  const created = await createResource(privateKey, 'squad', {
+    name: `Panel: ${jobRole}`.slice(0, 40),
+    members
+  });
+  return { squadId: created.id, assistantIds: members.map(member => member.assistantId) };
+};
+
+const createSession = async (privateKey, context) => {
+  const config = buildCallConfig(context);
+  if (config.squad) return createSquad(privateKey, config.squad, context.jobRole);
+  const assistant = await createAssistant(privateKey, {
+    name: `Interview: ${context.jobRole}`.slice(0, 40),
+    ...config
+  });
+  return { assistantId: assistant.id, assistantIds: [assistant.id] };
+};
+
+export default async function handler(req, res) {
+  const allowedOrigin = process.env.ALLOWED_ORIGIN;
+  if (allowedOrigin) {
+    res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
+    res.setHeader('Vary', 'Origin');
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Methods', 'POST');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    return res.status(204).end();
+  }
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  if (allowedOrigin && req.headers.origin && req.headers.origin !== allowedOrigin) {
+    return res.status(403).json({ error: 'Origin not allowed' });
+  }
+
+  const limit = checkRateLimit(`session:${getClientIp(req)}`, {
+    limit: readNumber(process.env.SESSION_RATE_LIMIT, 10),
+    windowMs: readNumber(process.env.SESSION_RATE_WINDOW_MS, 10 * 60 * 1000)
+  });
+  res.setHeader('X-RateLimit-Remaining', String(limit.remaining));
+  if (!limit.allowed) {
+    res.setHeader('Retry-After', String(limit.retryAfterSeconds));
+    return res.status(429).json({ error: 'Too many interview sessions, please try again later' });
+  }
+
+  const privateKey = process.env.VAPI_PRIVATE_KEY;
+  const orgId = process.env.VAPI_ORG_ID;
+  if (!privateKey || !orgId) {
+    console.error('VAPI_PRIVATE_KEY and VAPI_ORG_ID must be configured');
+    return res.status(500).json({ error: 'Interview service is not configured' });
+  }
+
+  // Runs alongside this session's setup; a failure only delays the cleanup to the next session
+  const cleanup = deleteExpiredSessions({
+    apiUrl: VAPI_API_URL,
+    privateKey,
+    maxAgeMs: readNumber(process.env.SESSION_ASSISTANT_MAX_AGE_MINUTES, 240) * 60 * 1000
+  }).catch(error => console.error('Could not delete old interview assistants:', error.message));
+  // Serverless functions may be frozen once they respond, so give it a moment to finish
+  const waitForCleanup = () => Promise.race([cleanup, new Promise(resolve => setTimeout(resolve, CLEANUP_WAIT_MS))]);
+
+  let context;
+  try {
+    const body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+    context = parseContext(body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (!context.invitationToken && process.env.SESSION_INVITATIONS_ONLY === 'true') {
+    return res.status(403).json({ error: 'Interviews need an invitation link' });
+  }
+
+  if (context.invitationToken) {
+    try {
+      context = await resolveInvitationContext(context);
+    } catch (error) {
+      if (error instanceof SessionError) return res.status(error.status).json({ error: error.message });
+      console.error('Error loading invitation:', error.message);
+      return res.status(502).json({ error: 'Could not load the interview' });
+    }
+  }
+
+  try {
+    const { assistantIds, ...session } = await createSession(privateKey, context);
+
+    const ttl = readNumber(process.env.SESSION_TOKEN_TTL, 900);
+    const token = signJwt({
+      orgId,
+      token: {
+        tag: 'public',
+        restrictions: {
+          enabled: true,
+          allowedAssistantIds: assistantIds
+        }
+      }
+    }, privateKey, { expiresInSeconds: ttl });
+
+    await waitForCleanup();
+    return res.status(200).json({
+      ...session,
+      token,
+      expiresAt: new Date(Date.now() + ttl * 1000).toISOString()
+    });
+  } catch (error) {
+    console.error('Error creating interview session:', error.message);
+    await waitForCleanup();
+    return res.status(502).json({ error: 'Could not create interview session' });
+  }
+}
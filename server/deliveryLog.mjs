@@ -0,0 +1,59 @@
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+// JSON file log of outbound integration deliveries, written the same way as
+// the invitation store (whole file in memory, atomic rewrite, serialized
+// writes). Only the newest MAX_ENTRIES are kept.
+
+const MAX_ENTRIES = 1000;
+
+export const createDeliveryLog = (filePath) => {
+  let data = null;
+  let writing = Promise.resolve();
+
+  const load = async () => {
+    if (data) return data;
+    try {
+      data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      data = { deliveries: [] };
+    }
+    if (!Array.isArray(data.deliveries)) data.deliveries = [];
+    return data;
+  };
+
+  const persist = () => {
+    const snapshot = JSON.stringify(data, null, 2);
+    writing = writing.then(async () => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const tmp = `${filePath}.tmp`;
+      await fs.writeFile(tmp, snapshot);
+      await fs.rename(tmp, filePath);
+    });
+    return writing;
+  };
+
+  return {
+    list: async () => (await load()).deliveries,
+
+    get: async (id) => (await load()).deliveries.find(entry => entry.id === id) || null,
+
+    insert: async (entry) => {
+      const log = await load();
+      log.deliveries.push(entry);
+      if (log.deliveries.length > MAX_ENTRIES) log.deliveries = log.deliveries.slice(-MAX_ENTRIES);
+      await persist();
+      return entry;
+    },
+
+    update: async (id, changes) => {
+      const log = await load();
+      const index = log.deliveries.findIndex(entry => entry.id === id);
+      if (index === -1) return null;
+      log.deliveries[index] = { ...log.deliveries[index], ...changes };
+      await persist();
+      return log.deliveries[index];
+    }
+  };
+};
@@ -0,0 +1,70 @@
+import { createChatCompletionsEvaluator, createHeuristicEvaluator, generateScorecard } from '../src/lib/scorecard.js';
+
+// Scores completed invited interviews on the backend from the stored
+// transcript. The candidate's browser never supplies the scorecard, so what
+// reaches the dashboard and the integrations cannot be set by the candidate.
+//
+// With EVALUATOR_URL (an OpenAI-compatible chat completions endpoint) the
+// scorecard comes from an LLM; without it from the heuristic evaluator, which
+// leaves the recommendation to the recruiter.
+
+export const loadEvaluator = (env = process.env) => (env.EVALUATOR_URL
+  ? createChatCompletionsEvaluator({ endpoint: env.EVALUATOR_URL, model: env.EVALUATOR_MODEL || 'gpt-4', fetchImpl: fetch })
+  : createHeuristicEvaluator());
+
+// The evaluator's interview context, from what the recruiter set up
+const describeInterview = (invitation) => {
+  const template = invitation.template || {};
+  return [
+    template.name && `Interview: ${template.name}`,
+    template.structure && template.structure.length && `Structure: ${template.structure.join('; ')}`,
+    template.mustAskQuestions && template.mustAskQuestions.length && `Must-ask questions: ${template.mustAskQuestions.join(' ')}`,
+    invitation.jobDescriptionText && `Job description:\n${invitation.jobDescriptionText}`
+  ].filter(Boolean).join('\n');
+};
+
+export const createEvaluationService = ({ store, evaluator, onScored = async () => {} }) => {
+  const running = new Set();
+
+  const evaluate = async (token) => {
+    if (running.has(token)) return null;
+    running.add(token);
+    try {
+      const invitation = await store.get(token);
+      if (!invitation || invitation.status !== 'completed' || invitation.scorecard || invitation.dataDeletedAt) return null;
+      const scorecard = await generateScorecard(evaluator, {
+        jobRole: invitation.jobRole,
+        interviewPrompt: describeInterview(invitation),
+        transcript: invitation.transcript || []
+      });
+      // The candidate may have deleted their data while the evaluator ran
+      const current = await store.get(token);
+      if (!current || current.scorecard || current.dataDeletedAt) return null;
+      const updated = await store.update(token, { scorecard });
+      await onScored(current, updated);
+      return updated;
+    } finally {
+      running.delete(token);
+    }
+  };
+
+  const evaluateLater = (token) => evaluate(token)
+    .catch(error => console.error(`Could not score interview ${token}:`, error));
+
+  return {
+    evaluatorName: evaluator.name,
+
+    // Called by the invitations API after every progress update
+    onInvitationUpdate: (previous, updated) => {
+      if (updated && updated.status === 'completed' && previous.status !== 'completed') evaluateLater(updated.token);
+    },
+
+    // Scores completed interviews that were still waiting when the server stopped
+    resume: async () => {
+      const waiting = (await store.list())
+        .filter(invitation => invitation.status === 'completed' && !invitation.scorecard && !invitation.dataDeletedAt);
+      for (const invitation of waiting) await evaluateLater(invitation.token);
+      return waiting.length;
+    }
+  };
+};
@@ -0,0 +1,167 @@
+import http from 'node:http';
+import { randomBytes, timingSafeEqual } from 'node:crypto';
+import path from 'node:path';
+import { createFileStore } from './invitationStore.mjs';
+import { handleInvitationRequest, purgeExpiredInvitations } from './invitationsApi.mjs';
+import { createDeliveryLog } from './deliveryLog.mjs';
+import { createIntegrationService, loadIntegrations, parseRetrySeconds } from './integrations.mjs';
+import { handleIntegrationRequest } from './integrationsApi.mjs';
+import { createEvaluationService, loadEvaluator } from './evaluation.mjs';
+
+// Local storage backend for candidate interview links (`npm run server`).
+// In development Vite proxies /api/invitations and /api/integrations here
+// (see vite.config.js).
+//
+// Environment:
+//   INVITATIONS_PORT   port to listen on (default 8787)
+//   INVITATIONS_HOST   interface to bind (default 127.0.0.1)
+//   INVITATIONS_DATA   JSON file to store invitations in (default .data/invitations.json)
+//   ALLOWED_ORIGIN     optional origin allowed to call the API directly (CORS)
+//   INVITATIONS_RETENTION_DAYS  delete completed interviews after this many days (default: keep)
+//   RECRUITER_TOKEN    bearer token for the recruiter dashboard: listing, creating and
+//                      deleting invitations, full results and integrations. When unset a
+//                      random one is generated and printed at startup.
+//
+// Outbound integrations (see server/integrations.mjs):
+//   WEBHOOK_URL, WEBHOOK_SECRET  a signed webhook for completed interviews
+//   INTEGRATIONS_CONFIG          JSON file with webhook, Greenhouse and Lever integrations
+//   INTEGRATIONS_LOG             JSON file for the delivery log (default .data/deliveries.json)
+//   INTEGRATIONS_RETRY_SECONDS   comma-separated retry delays (default 10,60,300,1800)
+//   INTEGRATIONS_EVALUATION_WAIT_SECONDS  how long to wait for the scorecard (default 120)
+//   INTEGRATIONS_APP_URL         app origin, for results links in the payload
+//
+// Scoring completed interviews (see server/evaluation.mjs):
+//   EVALUATOR_URL      OpenAI-compatible chat completions endpoint (default: heuristic scoring)
+//   EVALUATOR_MODEL    model to ask for (default gpt-4)
+
+const PORT = Number(process.env.INVITATIONS_PORT) || 8787;
+const HOST = process.env.INVITATIONS_HOST || '127.0.0.1';
+const DATA_FILE = path.resolve(process.env.INVITATIONS_DATA || '.data/invitations.json');
+const MAX_BODY_BYTES = 2 * 1024 * 1024;
+const RETENTION_DAYS = Number(process.env.INVITATIONS_RETENTION_DAYS) > 0 ? Number(process.env.INVITATIONS_RETENTION_DAYS) : null;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const EVALUATION_WAIT_SECONDS = Number(process.env.INTEGRATIONS_EVALUATION_WAIT_SECONDS) >= 0 && process.env.INTEGRATIONS_EVALUATION_WAIT_SECONDS
+  ? Number(process.env.INTEGRATIONS_EVALUATION_WAIT_SECONDS)
+  : undefined;
+
+const RECRUITER_TOKEN = process.env.RECRUITER_TOKEN || randomBytes(24).toString('base64url');
+
+const store = createFileStore(DATA_FILE);
+
+const integrations = createIntegrationService({
+  integrations: await loadIntegrations(process.env),
+  store,
+  log: createDeliveryLog(path.resolve(process.env.INTEGRATIONS_LOG || '.data/deliveries.json')),
+  retrySeconds: parseRetrySeconds(process.env.INTEGRATIONS_RETRY_SECONDS),
+  evaluationWaitSeconds: EVALUATION_WAIT_SECONDS,
+  appUrl: process.env.INTEGRATIONS_APP_URL || ''
+});
+
+// Integrations hear about the scorecard like any other update, so a waiting delivery goes out with it
+const evaluation = createEvaluationService({
+  store,
+  evaluator: loadEvaluator(process.env),
+  onScored: integrations.onInvitationUpdate
+});
+
+const EVALUATOR_HOST = process.env.EVALUATOR_URL ? new URL(process.env.EVALUATOR_URL).host : null;
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    if (!chunks.length) return resolve(null);
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+    } catch (error) {
+      reject(Object.assign(new Error('Request body must be JSON'), { status: 400 }));
+    }
+  });
+  req.on('error', reject);
+});
+
+// null without credentials (a candidate link), otherwise whether the token matches
+const checkRecruiter = (req) => {
+  if (!req.headers.authorization) return null;
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization);
+  if (!match) return false;
+  const received = Buffer.from(match[1].trim());
+  const expected = Buffer.from(RECRUITER_TOKEN);
+  return received.length === expected.length && timingSafeEqual(received, expected);
+};
+
+const send = (res, status, body) => {
+  res.statusCode = status;
+  if (body === null || body === undefined) return res.end();
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+};
+
+const server = http.createServer(async (req, res) => {
+  const allowedOrigin = process.env.ALLOWED_ORIGIN;
+  if (allowedOrigin) {
+    res.setHeader('Access-Control-Allow-Origin', allowedOrigin);
+    res.setHeader('Vary', 'Origin');
+  }
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    return send(res, 204, null);
+  }
+
+  let body = null;
+  try {
+    body = await readBody(req);
+  } catch (error) {
+    return send(res, error.status || 400, { error: error.message });
+  }
+
+  const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const recruiter = checkRecruiter(req);
+  if (recruiter === false) return send(res, 401, { error: 'The recruiter token is not valid' });
+  if (pathname.startsWith('/api/integrations') && !recruiter) {
+    return send(res, 401, { error: 'Recruiter sign-in required' });
+  }
+  const result = pathname.startsWith('/api/integrations')
+    ? await handleIntegrationRequest(integrations, { method: req.method, pathname })
+    : await handleInvitationRequest(store, { method: req.method, pathname, body, isRecruiter: Boolean(recruiter) }, {
+      retentionDays: RETENTION_DAYS,
+      evaluatorHost: EVALUATOR_HOST,
+      onUpdate: async (previous, updated) => {
+        await integrations.onInvitationUpdate(previous, updated);
+        evaluation.onInvitationUpdate(previous, updated);
+      }
+    });
+  send(res, result.status, result.body);
+});
+
+const purge = () => purgeExpiredInvitations(store, RETENTION_DAYS)
+  .then(count => count && console.log(`Deleted ${count} interview(s) past the ${RETENTION_DAYS} day retention period`))
+  .catch(error => console.error('Retention cleanup failed:', error));
+
+server.listen(PORT, HOST, () => {
+  console.log(`Invitation backend listening on http://${HOST}:${PORT} (data: ${DATA_FILE})`);
+  if (!process.env.RECRUITER_TOKEN) console.log(`Recruiter token for this run (set RECRUITER_TOKEN to keep one): ${RECRUITER_TOKEN}`);
+  const configured = integrations.describe();
+  if (configured.length) console.log(`Sending completed interviews to: ${configured.map(item => `${item.id} (${item.url})`).join(', ')}`);
+  console.log(`Scoring completed interviews with the ${evaluation.evaluatorName} evaluator`);
+  integrations.resume()
+    .then(count => count && console.log(`Resumed ${count} pending deliver${count === 1 ? 'y' : 'ies'}`))
+    .catch(error => console.error('Could not resume deliveries:', error));
+  evaluation.resume()
+    .then(count => count && console.log(`Scoring ${count} completed interview(s) without a scorecard`))
+    .catch(error => console.error('Could not resume scoring:', error));
+  if (RETENTION_DAYS) {
+    purge();
+    setInterval(purge, PURGE_INTERVAL_MS).unref();
+  }
+});
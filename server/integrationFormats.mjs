@@ -0,0 +1,152 @@
+import { recommendationLabel } from '../src/lib/scorecard.js';
+
+// Request bodies for outbound integrations. `buildResultsPayload` turns a
+// completed invitation into the generic webhook payload; the ATS formats turn
+// that payload into a candidate note shaped like the Greenhouse Harvest and
+// Lever note APIs, for a middleware or automation that matches the candidate
+// (by email) and posts the note.
+
+const CANDIDATE_SPEAKER = 'You';
+
+const formatDuration = (seconds) => {
+  const total = Math.max(0, Math.round(seconds || 0));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+const splitName = (name) => {
+  const parts = (name || '').trim().split(/\s+/).filter(Boolean);
+  return { first: parts[0] || '', last: parts.slice(1).join(' ') };
+};
+
+export const buildResultsPayload = (invitation, { event, deliveryId, sentAt = new Date(), appUrl = '' }) => ({
+  event,
+  deliveryId,
+  sentAt: sentAt.toISOString(),
+  interview: {
+    id: invitation.token,
+    sessionId: invitation.sessionId || null,
+    role: invitation.jobRole,
+    template: invitation.template ? invitation.template.name : '',
+    startedAt: invitation.startedAt || null,
+    completedAt: invitation.completedAt || null,
+    durationSeconds: invitation.durationSeconds || 0,
+    resultsUrl: appUrl ? `${appUrl.replace(/\/$/, '')}/dashboard/${invitation.token}` : null
+  },
+  candidate: {
+    name: invitation.candidateName,
+    email: invitation.candidateEmail || null,
+    profile: invitation.candidateProfile || null
+  },
+  transcript: (invitation.transcript || []).map(turn => ({
+    role: turn.speaker === CANDIDATE_SPEAKER ? 'candidate' : 'interviewer',
+    speaker: turn.speaker === CANDIDATE_SPEAKER ? invitation.candidateName : turn.speaker,
+    text: turn.text,
+    ...(turn.kind ? { kind: turn.kind, language: turn.language || null } : {}),
+    startSeconds: typeof turn.startSeconds === 'number' ? turn.startSeconds : null
+  })),
+  evaluation: invitation.scorecard || null
+});
+
+// Plain-text note for a recruiter reading the candidate's ATS profile
+export const buildNoteText = (payload, { includeTranscript = false } = {}) => {
+  const { interview, evaluation, transcript } = payload;
+  const lines = [
+    `AI interview: ${interview.role}${interview.template ? ` (${interview.template})` : ''}`,
+    `Completed ${interview.completedAt ? new Date(interview.completedAt).toUTCString() : 'at an unknown time'}, duration ${formatDuration(interview.durationSeconds)}`
+  ];
+
+  if (evaluation) {
+    lines.push('', `Recommendation: ${recommendationLabel(evaluation.recommendation)} (overall ${evaluation.overallScore}/5)`);
+    (evaluation.competencies || []).forEach(competency => {
+      lines.push(`- ${competency.label}: ${competency.score}/5${competency.summary ? `. ${competency.summary}` : ''}`);
+    });
+    if (evaluation.rationale) lines.push('', evaluation.rationale);
+  } else {
+    lines.push('', 'No scorecard was generated for this interview.');
+  }
+
+  if (interview.resultsUrl) lines.push('', `Full results: ${interview.resultsUrl}`);
+
+  if (includeTranscript && transcript.length) {
+    lines.push('', 'Transcript:');
+    transcript.forEach(turn => {
+      const time = turn.startSeconds !== null ? `[${formatDuration(turn.startSeconds)}] ` : '';
+      lines.push(`${time}${turn.speaker}: ${turn.kind === 'code' ? `(code)\n${turn.text}` : turn.text}`);
+    });
+  }
+  return lines.join('\n');
+};
+
+// integration.options:
+//   greenhouse: userId (the Harvest user the note is written as), visibility
+//   lever:      performAs (the Lever user id), secret (hide the note from non-admins)
+//   both:       includeTranscript
+export const FORMATS = {
+  webhook: (payload) => payload,
+
+  greenhouse: (payload, options = {}) => {
+    const name = splitName(payload.candidate.name);
+    return {
+      event: payload.event,
+      deliveryId: payload.deliveryId,
+      interviewId: payload.interview.id,
+      candidate: {
+        first_name: name.first,
+        last_name: name.last,
+        email_addresses: payload.candidate.email ? [{ value: payload.candidate.email, type: 'personal' }] : []
+      },
+      note: {
+        user_id: options.userId || null,
+        body: buildNoteText(payload, options),
+        visibility: options.visibility || 'admin_only'
+      }
+    };
+  },
+
+  lever: (payload, options = {}) => ({
+    event: payload.event,
+    deliveryId: payload.deliveryId,
+    interviewId: payload.interview.id,
+    candidate: {
+      name: payload.candidate.name,
+      emails: payload.candidate.email ? [payload.candidate.email] : [],
+      headline: payload.interview.role
+    },
+    perform_as: options.performAs || null,
+    note: {
+      value: buildNoteText(payload, options),
+      secret: options.secret !== false
+    }
+  })
+};
+
+export const INTEGRATION_TYPES = Object.keys(FORMATS);
+
+// A made-up completed interview for "Send Test"
+export const SAMPLE_INVITATION = {
+  token: 'sample-interview',
+  sessionId: null,
+  jobRole: 'Senior Frontend Developer',
+  template: { name: 'Technical Screen' },
+  candidateName: 'Alex Sample',
+  candidateEmail: 'alex.sample@example.com',
+  candidateProfile: { contact: { name: 'Alex Sample', email: 'alex.sample@example.com' }, skills: ['React', 'TypeScript'] },
+  startedAt: '2026-01-01T10:00:00.000Z',
+  completedAt: '2026-01-01T10:25:00.000Z',
+  durationSeconds: 1500,
+  transcript: [
+    { speaker: 'Interviewer', text: 'Tell me about a performance problem you solved.', startSeconds: 5 },
+    { speaker: CANDIDATE_SPEAKER, text: 'I profiled our dashboard and cut the load time from 4 seconds to 1.2 by splitting the bundle.', startSeconds: 12 }
+  ],
+  scorecard: {
+    competencies: [
+      { id: 'technical', label: 'Technical Depth', score: 4, summary: 'Specific, measured examples.', evidence: [] },
+      { id: 'communication', label: 'Communication', score: 4, summary: 'Clear and structured.', evidence: [] },
+      { id: 'roleFit', label: 'Role Fit', score: 3.5, summary: 'Matches the core stack.', evidence: [] }
+    ],
+    overallScore: 3.8,
+    recommendation: 'hire',
+    rationale: 'This is a test delivery with sample data.',
+    evaluator: 'sample'
+  }
+};
@@ -0,0 +1,283 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import { FORMATS, INTEGRATION_TYPES, SAMPLE_INVITATION, buildResultsPayload } from './integrationFormats.mjs';
+
+// Outbound integrations: when an invited interview is completed, its results
+// are POSTed to every configured integration as signed JSON. Each delivery is
+// an entry in the delivery log, retried with backoff on network errors,
+// timeouts, 408, 429 and 5xx responses. Pending deliveries are rescheduled
+// when the server restarts.
+//
+// The scorecard is generated after the interview is completed, so a delivery
+// waits up to `evaluationWaitSeconds` for it and is sent as soon as it
+// arrives, or without it once the wait is over. A scorecard that arrives after
+// the delivery was first attempted goes out as a separate `interview.scored`
+// delivery.
+//
+// Integration: { id, type ('webhook' | 'greenhouse' | 'lever'), url, secret, headers, options }
+// Delivery:    { id, integrationId, type, event, token, status, attempts, error,
+//                createdAt, nextAttemptAt, deliveredAt, evaluationIncluded }
+//   status: 'pending' | 'delivered' | 'failed' | 'cancelled'
+
+export const SIGNATURE_HEADER = 'X-Interview-Signature';
+export const COMPLETED_EVENT = 'interview.completed';
+export const SCORED_EVENT = 'interview.scored';
+export const TEST_EVENT = 'integration.test';
+
+const DEFAULT_RETRY_SECONDS = [10, 60, 300, 1800];
+const DEFAULT_EVALUATION_WAIT_SECONDS = 120;
+const REQUEST_TIMEOUT_MS = 10000;
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+const MAX_LISTED_DELIVERIES = 100;
+const USER_AGENT = 'vapi-interview-app-webhooks';
+
+// Stripe-style signature over "<unix seconds>.<raw body>", so a receiver can
+// reject both tampered and replayed requests
+export const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) =>
+  `t=${timestamp},v1=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+export const verifySignature = (secret, body, header, { now = Date.now(), toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS } = {}) => {
+  const parts = Object.fromEntries((header || '').split(',').map(part => part.trim().split('=')));
+  const timestamp = Number(parts.t);
+  if (!parts.v1 || !Number.isFinite(timestamp)) return false;
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) return false;
+  const expected = Buffer.from(signPayload(secret, body, timestamp).split('v1=')[1], 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  return expected.length === received.length && timingSafeEqual(expected, received);
+};
+
+const normalizeIntegration = (raw, env) => {
+  const id = String(raw.id || raw.type || '').trim();
+  if (!id) throw new Error('Every integration needs an id');
+  if (!INTEGRATION_TYPES.includes(raw.type)) {
+    throw new Error(`Integration "${id}": type must be one of ${INTEGRATION_TYPES.join(', ')}`);
+  }
+  let url;
+  try {
+    url = new URL(raw.url);
+  } catch (error) {
+    throw new Error(`Integration "${id}": url is not a valid URL`);
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') throw new Error(`Integration "${id}": url must be http or https`);
+  // The secret can stay out of the config file
+  const secret = raw.secretEnv ? env[raw.secretEnv] : raw.secret;
+  if (!secret) throw new Error(`Integration "${id}": a signing secret is required (secret or secretEnv)`);
+
+  return {
+    id,
+    type: raw.type,
+    url: url.toString(),
+    secret,
+    headers: raw.headers && typeof raw.headers === 'object' ? raw.headers : {},
+    options: raw.options && typeof raw.options === 'object' ? raw.options : {}
+  };
+};
+
+// Integrations from the INTEGRATIONS_CONFIG JSON file ({ "integrations": [...] }),
+// plus a plain webhook from WEBHOOK_URL and WEBHOOK_SECRET
+export const loadIntegrations = async (env = process.env) => {
+  const raw = [];
+  if (env.INTEGRATIONS_CONFIG) {
+    const config = JSON.parse(await fs.readFile(env.INTEGRATIONS_CONFIG, 'utf8'));
+    raw.push(...(Array.isArray(config) ? config : config.integrations || []));
+  }
+  if (env.WEBHOOK_URL) raw.push({ id: 'webhook', type: 'webhook', url: env.WEBHOOK_URL, secret: env.WEBHOOK_SECRET });
+
+  const integrations = raw.map(item => normalizeIntegration(item || {}, env));
+  const ids = integrations.map(integration => integration.id);
+  const duplicate = ids.find((id, idx) => ids.indexOf(id) !== idx);
+  if (duplicate) throw new Error(`Integration id "${duplicate}" is used more than once`);
+  return integrations;
+};
+
+export const parseRetrySeconds = (value) => {
+  if (!value) return DEFAULT_RETRY_SECONDS;
+  const delays = String(value).split(',').map(Number).filter(seconds => Number.isFinite(seconds) && seconds >= 0);
+  return delays.length ? delays : DEFAULT_RETRY_SECONDS;
+};
+
+const createId = () => `dlv_${randomBytes(9).toString('base64url')}`;
+
+const isRetryable = (status) => status === 408 || status === 429 || status >= 500;
+
+export const createIntegrationService = ({
+  integrations,
+  store,
+  log,
+  fetchImpl = fetch,
+  retrySeconds = DEFAULT_RETRY_SECONDS,
+  evaluationWaitSeconds = DEFAULT_EVALUATION_WAIT_SECONDS,
+  appUrl = ''
+}) => {
+  const timers = new Map();
+  // Deliveries being sent right now, so a reschedule cannot send one twice
+  const sending = new Set();
+
+  const post = async (integration, entry, body) => {
+    const json = JSON.stringify(body);
+    const startedAt = Date.now();
+    const attempt = { at: new Date(startedAt).toISOString(), status: null, error: null, durationMs: 0 };
+    try {
+      const res = await fetchImpl(integration.url, {
+        method: 'POST',
+        headers: {
+          ...integration.headers,
+          'Content-Type': 'application/json',
+          'User-Agent': USER_AGENT,
+          'X-Interview-Event': entry.event,
+          'X-Interview-Delivery': entry.id,
+          [SIGNATURE_HEADER]: signPayload(integration.secret, json)
+        },
+        body: json,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      await res.text().catch(() => '');
+      attempt.status = res.status;
+      if (!res.ok) attempt.error = `HTTP ${res.status}`;
+    } catch (error) {
+      attempt.error = error.name === 'TimeoutError' ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s` : error.message;
+    }
+    attempt.durationMs = Date.now() - startedAt;
+    return attempt;
+  };
+
+  const finish = (entry, status, error) =>
+    log.update(entry.id, { status, error, nextAttemptAt: null });
+
+  const deliver = async (id) => {
+    const entry = await log.get(id);
+    if (!entry || entry.status !== 'pending' || sending.has(id)) return;
+    sending.add(id);
+    try {
+      return await send(entry);
+    } finally {
+      sending.delete(id);
+    }
+  };
+
+  const send = async (entry) => {
+    const { id } = entry;
+    const integration = integrations.find(item => item.id === entry.integrationId);
+    if (!integration) return finish(entry, 'cancelled', 'The integration is no longer configured');
+    const invitation = entry.event === TEST_EVENT ? SAMPLE_INVITATION : await store.get(entry.token);
+    if (!invitation) return finish(entry, 'cancelled', 'The interview was deleted');
+    if (invitation.dataDeletedAt) return finish(entry, 'cancelled', 'The candidate deleted their interview data');
+
+    const payload = buildResultsPayload(invitation, { event: entry.event, deliveryId: entry.id, appUrl });
+    const attempt = await post(integration, entry, FORMATS[integration.type](payload, integration.options));
+    const attempts = [...entry.attempts, attempt];
+    const changes = { attempts, error: attempt.error, evaluationIncluded: Boolean(payload.evaluation) };
+
+    if (!attempt.error) {
+      return log.update(id, { ...changes, status: 'delivered', deliveredAt: attempt.at, nextAttemptAt: null });
+    }
+    const retryable = attempt.status === null || isRetryable(attempt.status);
+    if (!retryable || attempts.length > retrySeconds.length) {
+      console.error(`Delivery ${id} to ${integration.id} failed: ${attempt.error}`);
+      return log.update(id, { ...changes, status: 'failed', nextAttemptAt: null });
+    }
+    const delay = retrySeconds[attempts.length - 1] * 1000;
+    return schedule(await log.update(id, { ...changes, nextAttemptAt: new Date(Date.now() + delay).toISOString() }));
+  };
+
+  const schedule = (entry) => {
+    clearTimeout(timers.get(entry.id));
+    const delay = Math.max(0, new Date(entry.nextAttemptAt).getTime() - Date.now());
+    const timer = setTimeout(() => {
+      timers.delete(entry.id);
+      deliver(entry.id).catch(error => console.error(`Delivery ${entry.id} failed:`, error));
+    }, delay);
+    timer.unref();
+    timers.set(entry.id, timer);
+    return entry;
+  };
+
+  const enqueue = async (integration, { event, token, delaySeconds = 0 }) => schedule(await log.insert({
+    id: createId(),
+    integrationId: integration.id,
+    type: integration.type,
+    event,
+    token,
+    status: 'pending',
+    attempts: [],
+    error: null,
+    createdAt: new Date().toISOString(),
+    nextAttemptAt: new Date(Date.now() + delaySeconds * 1000).toISOString(),
+    deliveredAt: null,
+    evaluationIncluded: false
+  }));
+
+  const findIntegration = (id) => {
+    const integration = integrations.find(item => item.id === id);
+    if (!integration) throw Object.assign(new Error('Integration not found'), { status: 404 });
+    return integration;
+  };
+
+  // Sends a completed interview again, to one integration or all of them
+  const deliverInterview = async (token, integrationId = null, event = COMPLETED_EVENT) => {
+    const invitation = await store.get(token);
+    if (!invitation) throw Object.assign(new Error('Interview not found'), { status: 404 });
+    if (invitation.status !== 'completed') throw Object.assign(new Error('The interview is not completed yet'), { status: 409 });
+    const targets = integrationId ? [findIntegration(integrationId)] : integrations;
+    if (!targets.length) throw Object.assign(new Error('No integrations are configured'), { status: 409 });
+    const entries = [];
+    for (const integration of targets) entries.push(await enqueue(integration, { event, token }));
+    return entries;
+  };
+
+  return {
+    // Public view of the configuration: no secrets, headers or query strings
+    describe: () => integrations.map(({ id, type, url }) => {
+      const { origin, pathname } = new URL(url);
+      return { id, type, url: `${origin}${pathname}` };
+    }),
+
+    listDeliveries: async ({ token } = {}) => (await log.list())
+      .filter(entry => !token || entry.token === token)
+      .slice(-MAX_LISTED_DELIVERIES)
+      .reverse(),
+
+    // Called by the invitations API after every progress update
+    onInvitationUpdate: async (previous, updated) => {
+      if (!updated || updated.status !== 'completed') return;
+      if (previous.status !== 'completed') {
+        const delaySeconds = updated.scorecard ? 0 : evaluationWaitSeconds;
+        for (const integration of integrations) await enqueue(integration, { event: COMPLETED_EVENT, token: updated.token, delaySeconds });
+        return;
+      }
+      if (updated.scorecard && !previous.scorecard) {
+        const completed = (await log.list()).filter(entry => entry.token === updated.token && entry.event === COMPLETED_EVENT);
+        for (const integration of integrations) {
+          const own = completed.filter(entry => entry.integrationId === integration.id);
+          const waiting = own.filter(entry => entry.status === 'pending' && !entry.attempts.length && !sending.has(entry.id));
+          for (const entry of waiting) schedule(await log.update(entry.id, { nextAttemptAt: new Date().toISOString() }));
+          // Deliveries already sent, being sent or retrying were built without the scorecard
+          if (!waiting.length && own.some(entry => entry.attempts.length || sending.has(entry.id))) {
+            await enqueue(integration, { event: SCORED_EVENT, token: updated.token });
+          }
+        }
+      }
+    },
+
+    deliverInterview,
+
+    sendTest: (integrationId) => enqueue(findIntegration(integrationId), { event: TEST_EVENT, token: null }),
+
+    // A new delivery with the same integration, event and interview
+    redeliver: async (id) => {
+      const entry = await log.get(id);
+      if (!entry) throw Object.assign(new Error('Delivery not found'), { status: 404 });
+      const integration = findIntegration(entry.integrationId);
+      if (entry.event === TEST_EVENT) return enqueue(integration, { event: TEST_EVENT, token: null });
+      const [created] = await deliverInterview(entry.token, integration.id, entry.event);
+      return created;
+    },
+
+    // Picks up deliveries that were pending when the server stopped
+    resume: async () => {
+      const pending = (await log.list()).filter(entry => entry.status === 'pending');
+      pending.forEach(schedule);
+      return pending.length;
+    }
+  };
+};
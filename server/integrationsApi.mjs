@@ -0,0 +1,56 @@
+// REST handler for outbound integrations and their delivery log, independent
+// of the HTTP server like the invitations handler.
+//
+//   GET  /api/integrations                      configured integrations and recent deliveries
+//   GET  /api/integrations/interviews/:token    deliveries for one interview
+//   POST /api/integrations/interviews/:token    send a completed interview to every integration
+//   POST /api/integrations/deliveries/:id/retry send a delivery again
+//   POST /api/integrations/test/:integrationId  send sample results to one integration
+
+const BASE_PATH = '/api/integrations';
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const route = async (service, { method, pathname }) => {
+  if (!pathname.startsWith(BASE_PATH)) throw new HttpError(404, 'Not found');
+  const [resource, id, action] = pathname.slice(BASE_PATH.length).replace(/^\/|\/$/g, '').split('/');
+
+  if (!resource) {
+    if (method !== 'GET') throw new HttpError(405, 'Method not allowed');
+    return { status: 200, body: { integrations: service.describe(), deliveries: await service.listDeliveries() } };
+  }
+
+  if (resource === 'interviews' && id && !action) {
+    if (method === 'GET') return { status: 200, body: await service.listDeliveries({ token: id }) };
+    if (method === 'POST') return { status: 202, body: await service.deliverInterview(id) };
+    throw new HttpError(405, 'Method not allowed');
+  }
+
+  if (resource === 'deliveries' && id && action === 'retry') {
+    if (method !== 'POST') throw new HttpError(405, 'Method not allowed');
+    return { status: 202, body: await service.redeliver(id) };
+  }
+
+  if (resource === 'test' && id && !action) {
+    if (method !== 'POST') throw new HttpError(405, 'Method not allowed');
+    return { status: 202, body: await service.sendTest(id) };
+  }
+
+  throw new HttpError(404, 'Not found');
+};
+
+export const handleIntegrationRequest = async (service, request) => {
+  try {
+    return await route(service, request);
+  } catch (error) {
+    // The service reports missing or not-yet-completed interviews with a status
+    if (error.status) return { status: error.status, body: { error: error.message } };
+    console.error('Integration request failed:', error);
+    return { status: 500, body: { error: 'Internal error' } };
+  }
+};
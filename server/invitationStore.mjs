@@ -0,0 +1,64 @@
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+// JSON file store for interview invitations. The whole file is kept in memory
+// and rewritten atomically (temp file + rename) after every change; writes are
+// serialized so concurrent requests cannot interleave.
+
+export const createFileStore = (filePath) => {
+  let data = null;
+  let writing = Promise.resolve();
+
+  const load = async () => {
+    if (data) return data;
+    try {
+      data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      data = { invitations: [] };
+    }
+    if (!Array.isArray(data.invitations)) data.invitations = [];
+    return data;
+  };
+
+  const persist = () => {
+    const snapshot = JSON.stringify(data, null, 2);
+    writing = writing.then(async () => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const tmp = `${filePath}.tmp`;
+      await fs.writeFile(tmp, snapshot);
+      await fs.rename(tmp, filePath);
+    });
+    return writing;
+  };
+
+  return {
+    list: async () => (await load()).invitations,
+
+    get: async (token) => (await load()).invitations.find(inv => inv.token === token) || null,
+
+    insert: async (invitation) => {
+      (await load()).invitations.push(invitation);
+      await persist();
+      return invitation;
+    },
+
+    update: async (token, changes) => {
+      const store = await load();
+      const index = store.invitations.findIndex(inv => inv.token === token);
+      if (index === -1) return null;
+      store.invitations[index] = { ...store.invitations[index], ...changes };
+      await persist();
+      return store.invitations[index];
+    },
+
+    remove: async (token) => {
+      const store = await load();
+      const before = store.invitations.length;
+      store.invitations = store.invitations.filter(inv => inv.token !== token);
+      if (store.invitations.length === before) return false;
+      await persist();
+      return true;
+    }
+  };
+};
@@ -0,0 +1,286 @@
+import { randomBytes } from 'node:crypto';
+
+// REST handler for interview invitations, independent of the HTTP server so
+// it can be driven directly with a store and a plain request object.
+//
+// Listing, creating and deleting need the recruiter credential
+// (request.isRecruiter). The invitation token in a candidate's link only
+// reaches that one record, and the candidate sees only what the interview needs.
+//
+//   GET    /api/invitations          list (summaries, newest first)           recruiter
+//   POST   /api/invitations          create a scheduled invitation            recruiter
+//   GET    /api/invitations/:token   full invitation for the recruiter, the
+//                                    candidate view for the candidate link
+//   PATCH  /api/invitations/:token   progress and results from the candidate's app
+//   DELETE /api/invitations/:token   cancel an invitation                     recruiter
+//   POST   /api/invitations/:token/erase   the candidate's "delete my data" request
+
+export const INVITATION_STATUSES = ['scheduled', 'in-progress', 'completed'];
+
+const BASE_PATH = '/api/invitations';
+
+const MAX_LENGTHS = {
+  candidateName: 200,
+  candidateEmail: 200,
+  jobRole: 200,
+  resumeText: 50000,
+  jobDescriptionText: 20000
+};
+
+// Fields left out of the list view to keep the dashboard payload small
+const DETAIL_FIELDS = ['resumeText', 'jobDescriptionText', 'candidateProfile', 'transcript', 'template', 'proctoringEvents'];
+
+// What the candidate's app needs to run the interview; results, integrity
+// signals and the recruiter's notes stay with the recruiter. The template and
+// assistant settings are only shown in part (toInterviewPlan, toVoiceSettings);
+// the session endpoint reads the full ones with the recruiter token.
+const CANDIDATE_FIELDS = [
+  'token', 'candidateName', 'jobRole', 'resumeText', 'jobDescriptionText', 'candidateProfile',
+  'timeLimitMinutes', 'codingEnabled', 'proctoringEnabled',
+  'scheduledFor', 'status', 'startedAt', 'completedAt', 'retentionDays', 'dataDeletedAt'
+];
+
+// Everything that identifies the candidate or was said in the interview
+const CANDIDATE_DATA = {
+  candidateName: '',
+  candidateEmail: '',
+  resumeText: '',
+  jobDescriptionText: '',
+  candidateProfile: null,
+  transcript: [],
+  proctoringEvents: null,
+  scorecard: null
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const createToken = () => randomBytes(18).toString('base64url');
+
+const readString = (body, field, { required = false } = {}) => {
+  const value = body[field];
+  if (value === undefined || value === null || value === '') {
+    if (required) throw new HttpError(400, `${field} is required`);
+    return '';
+  }
+  if (typeof value !== 'string') throw new HttpError(400, `${field} must be a string`);
+  return value.trim().slice(0, MAX_LENGTHS[field]);
+};
+
+const readObject = (body, field, { required = false } = {}) => {
+  const value = body[field];
+  if (value === undefined || value === null) {
+    if (required) throw new HttpError(400, `${field} is required`);
+    return null;
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) throw new HttpError(400, `${field} must be an object`);
+  return value;
+};
+
+const readDate = (value, field) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new HttpError(400, `${field} must be a date`);
+  return date.toISOString();
+};
+
+const summarize = (invitation) => {
+  const summary = { ...invitation };
+  DETAIL_FIELDS.forEach(field => delete summary[field]);
+  summary.templateName = invitation.template ? invitation.template.name : '';
+  return summary;
+};
+
+// The section titles and timings the candidate sees in the pacing sidebar.
+// Must-ask questions and the template's description stay with the recruiter.
+const toInterviewPlan = (template) => (template
+  ? { id: template.id, name: template.name, durationMinutes: template.durationMinutes, structure: template.structure, sectionMinutes: template.sectionMinutes }
+  : null);
+
+// The voices and panelists the candidate hears, without the panelists' focus
+const toVoiceSettings = (settings) => {
+  if (!settings) return null;
+  const panel = settings.panel && Array.isArray(settings.panel.personas) ? settings.panel : null;
+  return {
+    modelId: settings.modelId,
+    voiceId: settings.voiceId,
+    transcriberId: settings.transcriberId,
+    language: settings.language,
+    panel: panel
+      ? { enabled: panel.enabled, personas: panel.personas.map(({ id, name, title, voiceId }) => ({ id, name, title, voiceId })) }
+      : null
+  };
+};
+
+// The evaluator's host is listed in the candidate's privacy notice, since it receives the transcript
+const toCandidateView = (invitation, options) => ({
+  ...Object.fromEntries(CANDIDATE_FIELDS.map(field => [field, invitation[field] === undefined ? null : invitation[field]])),
+  interviewPlan: toInterviewPlan(invitation.template),
+  voiceSettings: toVoiceSettings(invitation.assistantSettings),
+  evaluatorHost: options.evaluatorHost || null
+});
+
+const requireRecruiter = (isRecruiter) => {
+  if (!isRecruiter) throw new HttpError(401, 'Recruiter sign-in required');
+};
+
+const createInvitation = (body, { retentionDays = null } = {}) => {
+  const template = readObject(body, 'template', { required: true });
+  if (!Array.isArray(template.structure) || !template.structure.length) {
+    throw new HttpError(400, 'template must have structure steps');
+  }
+  const timeLimit = Number(body.timeLimitMinutes);
+
+  return {
+    token: createToken(),
+    candidateName: readString(body, 'candidateName', { required: true }),
+    candidateEmail: readString(body, 'candidateEmail'),
+    jobRole: readString(body, 'jobRole', { required: true }),
+    resumeText: readString(body, 'resumeText', { required: true }),
+    jobDescriptionText: readString(body, 'jobDescriptionText'),
+    candidateProfile: readObject(body, 'candidateProfile'),
+    template,
+    assistantSettings: readObject(body, 'assistantSettings'),
+    timeLimitMinutes: Number.isFinite(timeLimit) && timeLimit > 0 ? Math.min(timeLimit, 180) : null,
+    codingEnabled: body.codingEnabled === true,
+    proctoringEnabled: body.proctoringEnabled === true,
+    scheduledFor: readDate(body.scheduledFor, 'scheduledFor'),
+    status: 'scheduled',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    completedAt: null,
+    durationSeconds: null,
+    sessionId: null,
+    transcript: [],
+    proctoringEvents: null,
+    scorecard: null,
+    consent: null,
+    // Shown to the candidate in the privacy notice
+    retentionDays,
+    dataDeletedAt: null
+  };
+};
+
+// Only progress and results can be reported back, and a completed interview
+// accepts nothing more. The scorecard is generated on the server (see
+// evaluation.mjs), never taken from the candidate's browser.
+const readProgress = (current, body) => {
+  const changes = {};
+
+  if (current.dataDeletedAt) throw new HttpError(409, 'The candidate deleted their interview data');
+
+  if (body.status !== undefined) {
+    const from = INVITATION_STATUSES.indexOf(current.status);
+    const to = INVITATION_STATUSES.indexOf(body.status);
+    if (to === -1) throw new HttpError(400, `status must be one of ${INVITATION_STATUSES.join(', ')}`);
+    if (to < from) throw new HttpError(409, `Interview is already ${current.status}`);
+    changes.status = body.status;
+  }
+
+  if (body.scorecard !== undefined) throw new HttpError(400, 'The scorecard is generated by the interview server');
+
+  if (current.status === 'completed') {
+    const fields = Object.keys(body).filter(field => field !== 'status');
+    if (fields.length) throw new HttpError(409, 'Interview is already completed');
+  }
+
+  if (body.startedAt !== undefined) changes.startedAt = readDate(body.startedAt, 'startedAt');
+  if (body.completedAt !== undefined) changes.completedAt = readDate(body.completedAt, 'completedAt');
+  if (body.durationSeconds !== undefined) {
+    const seconds = Number(body.durationSeconds);
+    if (!Number.isFinite(seconds) || seconds < 0) throw new HttpError(400, 'durationSeconds must be a positive number');
+    changes.durationSeconds = Math.round(seconds);
+  }
+  if (body.sessionId !== undefined) changes.sessionId = String(body.sessionId).slice(0, 100);
+  if (body.transcript !== undefined) {
+    if (!Array.isArray(body.transcript)) throw new HttpError(400, 'transcript must be an array');
+    changes.transcript = body.transcript.slice(0, 2000);
+  }
+  if (body.proctoringEvents !== undefined && body.proctoringEvents !== null) {
+    if (!Array.isArray(body.proctoringEvents)) throw new HttpError(400, 'proctoringEvents must be an array');
+    changes.proctoringEvents = body.proctoringEvents.slice(0, 1000);
+  }
+  if (body.consent !== undefined) changes.consent = readObject(body, 'consent');
+
+  return changes;
+};
+
+// Completed invitations older than the retention period are removed entirely
+export const purgeExpiredInvitations = async (store, retentionDays, now = new Date()) => {
+  if (!retentionDays) return 0;
+  const cutoff = now.getTime() - retentionDays * DAY_MS;
+  const invitations = await store.list();
+  const expired = invitations.filter(inv => inv.completedAt && new Date(inv.completedAt).getTime() < cutoff);
+  for (const invitation of expired) await store.remove(invitation.token);
+  return expired.length;
+};
+
+const route = async (store, { method, pathname, body, isRecruiter = false }, options) => {
+  if (!pathname.startsWith(BASE_PATH)) throw new HttpError(404, 'Not found');
+  const [token, action] = pathname.slice(BASE_PATH.length).replace(/^\/|\/$/g, '').split('/');
+
+  if (!token) {
+    requireRecruiter(isRecruiter);
+    if (method === 'GET') {
+      const invitations = await store.list();
+      return {
+        status: 200,
+        body: invitations
+          .map(summarize)
+          .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      };
+    }
+    if (method === 'POST') {
+      return { status: 201, body: await store.insert(createInvitation(body || {}, options)) };
+    }
+    throw new HttpError(405, 'Method not allowed');
+  }
+
+  const invitation = await store.get(token);
+  if (!invitation) throw new HttpError(404, 'Interview link not found');
+
+  if (action) {
+    if (action !== 'erase') throw new HttpError(404, 'Not found');
+    if (method !== 'POST') throw new HttpError(405, 'Method not allowed');
+    // The record stays so the recruiter can see the interview happened
+    const erased = await store.update(token, { ...CANDIDATE_DATA, dataDeletedAt: new Date().toISOString() });
+    return { status: 200, body: toCandidateView(erased, options) };
+  }
+
+  if (method === 'GET') return { status: 200, body: isRecruiter ? invitation : toCandidateView(invitation, options) };
+  if (method === 'PATCH') {
+    const updated = await store.update(token, readProgress(invitation, body || {}));
+    if (options.onUpdate) {
+      // A failing integration must not fail the candidate's request
+      await Promise.resolve(options.onUpdate(invitation, updated))
+        .catch(error => console.error('Invitation update hook failed:', error));
+    }
+    return { status: 200, body: toCandidateView(updated, options) };
+  }
+  if (method === 'DELETE') {
+    requireRecruiter(isRecruiter);
+    await store.remove(token);
+    return { status: 204, body: null };
+  }
+  throw new HttpError(405, 'Method not allowed');
+};
+
+// request.isRecruiter is set by the server once the recruiter credential checks out;
+// options.retentionDays is recorded on new invitations for the privacy notice;
+// options.onUpdate(previous, updated) runs after progress is saved;
+// options.evaluatorHost names the scoring service in the candidate's view
+export const handleInvitationRequest = async (store, request, options = {}) => {
+  try {
+    return await route(store, request, options);
+  } catch (error) {
+    if (error instanceof HttpError) return { status: error.status, body: { error: error.message } };
+    console.error('Invitation request failed:', error);
+    return { status: 500, body: { error: 'Internal error' } };
+  }
+};
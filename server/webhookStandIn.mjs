@@ -0,0 +1,77 @@
+import http from 'node:http';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { SIGNATURE_HEADER, verifySignature } from './integrations.mjs';
+
+// Local HTTP stand-in for a webhook or ATS endpoint (`npm run webhook-stand-in`).
+// It checks each delivery's signature, prints a summary and saves the body,
+// so integrations can be tried without a real receiver:
+//
+//   WEBHOOK_SECRET=dev npm run webhook-stand-in
+//   WEBHOOK_URL=http://127.0.0.1:8788/ WEBHOOK_SECRET=dev npm run server
+//
+// Environment:
+//   STAND_IN_PORT       port to listen on (default 8788)
+//   WEBHOOK_SECRET      secret to verify signatures with (unsigned check when unset)
+//   STAND_IN_FAIL_FIRST answer the first N deliveries with a 503 to exercise retries
+//   STAND_IN_OUTPUT     directory to save received bodies in (default .data/webhooks)
+
+const PORT = Number(process.env.STAND_IN_PORT) || 8788;
+const SECRET = process.env.WEBHOOK_SECRET || '';
+const OUTPUT_DIR = path.resolve(process.env.STAND_IN_OUTPUT || '.data/webhooks');
+let failuresLeft = Number(process.env.STAND_IN_FAIL_FIRST) || 0;
+let received = 0;
+
+const describe = (body) => {
+  if (body.note) return `note for ${body.candidate.name || (body.candidate.first_name && `${body.candidate.first_name} ${body.candidate.last_name}`)}`;
+  const turns = body.transcript ? body.transcript.length : 0;
+  return `${body.interview.role} with ${body.candidate.name}, ${turns} turns, ${body.evaluation ? `recommendation ${body.evaluation.recommendation}` : 'no scorecard'}`;
+};
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', async () => {
+    if (req.method !== 'POST') {
+      res.statusCode = 405;
+      return res.end();
+    }
+    const raw = Buffer.concat(chunks).toString('utf8');
+    const delivery = req.headers['x-interview-delivery'] || 'unknown';
+    const event = req.headers['x-interview-event'] || 'unknown';
+
+    if (failuresLeft > 0) {
+      failuresLeft -= 1;
+      console.log(`${delivery} ${event}: answering 503 (${failuresLeft} more failure${failuresLeft === 1 ? '' : 's'} to go)`);
+      res.statusCode = 503;
+      return res.end();
+    }
+
+    const signature = req.headers[SIGNATURE_HEADER.toLowerCase()];
+    if (SECRET && !verifySignature(SECRET, raw, signature)) {
+      console.log(`${delivery} ${event}: rejected, bad signature`);
+      res.statusCode = 401;
+      return res.end();
+    }
+
+    try {
+      const body = JSON.parse(raw);
+      received += 1;
+      await fs.mkdir(OUTPUT_DIR, { recursive: true });
+      const file = path.join(OUTPUT_DIR, `${String(received).padStart(3, '0')}-${delivery}.json`);
+      await fs.writeFile(file, JSON.stringify(body, null, 2));
+      console.log(`${delivery} ${event} ${req.url}: ${SECRET ? 'signature ok' : 'signature not checked'}, ${describe(body)} (saved to ${file})`);
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ received: true }));
+    } catch (error) {
+      console.log(`${delivery} ${event}: could not read the body (${error.message})`);
+      res.statusCode = 400;
+      res.end();
+    }
+  });
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+  console.log(`Webhook stand-in listening on http://127.0.0.1:${PORT} (${SECRET ? 'verifying signatures' : 'set WEBHOOK_SECRET to verify signatures'})`);
+});
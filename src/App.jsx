@@ -0,0 +1,39 @@
+import React, { useEffect } from 'react';
+import VapiInterviewApp from './VapiInterviewApp';
+import RecruiterDashboard from './components/RecruiterDashboard';
+import InvitationResults from './components/InvitationResults';
+import NotificationBanners from './components/NotificationBanners';
+import { matchRoute, usePathname } from './lib/router';
+import { logError } from './lib/clientLog';
+
+const Page = ({ route }) => {
+  if (route.name === 'dashboard') return <RecruiterDashboard />;
+  if (route.name === 'invitation') return <InvitationResults token={route.token} />;
+  if (route.name === 'candidate') return <VapiInterviewApp key={route.token} invitationToken={route.token} />;
+  return <VapiInterviewApp />;
+};
+
+const App = () => {
+  const route = matchRoute(usePathname());
+
+  // Uncaught failures go into the client log so they show up in support exports
+  useEffect(() => {
+    const handleError = (event) => logError(event.error || event.message, { source: 'window.onerror' });
+    const handleRejection = (event) => logError(event.reason, { source: 'unhandledrejection' });
+    window.addEventListener('error', handleError);
+    window.addEventListener('unhandledrejection', handleRejection);
+    return () => {
+      window.removeEventListener('error', handleError);
+      window.removeEventListener('unhandledrejection', handleRejection);
+    };
+  }, []);
+
+  return (
+    <>
+      <NotificationBanners />
+      <Page route={route} />
+    </>
+  );
+};
+
+export default App;
@@ -1,37 +1,290 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { Mic, MicOff, Upload, Briefcase, FileText, MessageSquare, Clock, CheckCircle, Video, VideoOff, Camera } from 'lucide-react';
+import React, { useState, useEffect, useRef, useMemo, useReducer } from 'react';
+import { Mic, MicOff, Upload, Briefcase, FileText, MessageSquare, Clock, CheckCircle, Video, VideoOff, Camera, History, Pause, Play, RefreshCw, LayoutDashboard, Trash2, ShieldAlert, Repeat, ArrowLeft, Users, Subtitles } from 'lucide-react';
 import * as pdfjsLib from 'pdfjs-dist';
-import mammoth from 'mammoth';
-
-const VapiInterviewApp = () => {
-  const [step, setStep] = useState('setup'); // setup, permissions, interview, completed
+import Scorecard from './components/Scorecard';
+import JobDescriptionSummary from './components/JobDescriptionSummary';
+import CandidateProfileEditor from './components/CandidateProfileEditor';
+import TemplatePicker from './components/TemplatePicker';
+import TextChatPanel from './components/TextChatPanel';
+import SessionHistory from './components/SessionHistory';
+import TranscriptExport from './components/TranscriptExport';
+import RecordingPlayer from './components/RecordingPlayer';
+import AssistantSettingsPanel from './components/AssistantSettingsPanel';
+import DeviceCheck from './components/DeviceCheck';
+import InterviewPacing from './components/InterviewPacing';
+import AppHeader from './components/AppHeader';
+import CodingPanel from './components/CodingPanel';
+import ConsentStep from './components/ConsentStep';
+import ProctoringSummary from './components/ProctoringSummary';
+import CoachingReport from './components/CoachingReport';
+import CoverageChecklist from './components/CoverageChecklist';
+import LiveAnnouncer from './components/LiveAnnouncer';
+import CaptionOverlay from './components/CaptionOverlay';
+import KeyboardShortcuts from './components/KeyboardShortcuts';
+import { generateScorecard, getDefaultEvaluator } from './lib/scorecard';
+import { generateCoaching, getDefaultCoach, PRACTICE_TIME_LIMIT_MINUTES } from './lib/coaching';
+import { buildCoverageChecklist, assessCoverage, buildCoverageMessage, COVERAGE_UPDATE_INTERVAL_SECONDS } from './lib/coverage';
+import { DOCUMENT_ACCEPT, extractTextFromFile } from './lib/documentText';
+import { parseJobDescription } from './lib/jobDescription';
+import { parseResume, isProfileEmpty, emptyCandidateProfile } from './lib/resumeParser';
+import {
+  BUILT_IN_TEMPLATES,
+  loadCustomTemplates,
+  saveCustomTemplates,
+  loadSelectedTemplateId,
+  saveSelectedTemplateId,
+  findTemplate,
+  mergeTemplates
+} from './lib/interviewTemplates';
+import { generateInterviewPrompt as buildInterviewPrompt, buildCallConfig } from './lib/interviewPrompt';
+import { createSessionId, saveSession, updateSession, deleteSession, deleteSessionsBefore } from './lib/sessionStore';
+import { formatTime } from './lib/format';
+import { buildTranscriptReport } from './lib/transcriptExport';
+import { createSessionRecorder, isRecordingSupported, recordingOffsetSeconds } from './lib/sessionRecorder';
+import { createDefaultVoiceProvider, createTextChatProvider, getDefaultChatAdapter } from './lib/voice';
+import { loadAssistantSettings, saveAssistantSettings } from './lib/assistantSettings';
+import {
+  createTranscriptState,
+  startTranscript,
+  applyTranscriptMessage,
+  finalizeTranscript,
+  addCodeSnapshot,
+  getLiveTurns,
+  setAssistantSpeaker,
+  SPEAKER_LABELS
+} from './lib/transcriptState';
+import { getPanel, findPersona, getTransferTarget, orderPersonas, personaLabel } from './lib/panel';
+import {
+  CALL_STATES,
+  INTERVIEW_STATUS_LABELS,
+  MAX_RECONNECT_ATTEMPTS,
+  initialInterviewState,
+  transitionInterview,
+  reconnectDelayMs,
+  isDroppedCall
+} from './lib/interviewMachine';
+import {
+  buildTimeBudget,
+  getPacingStatus,
+  clampTimeLimit,
+  buildSectionMessage,
+  buildWrapUpMessage,
+  buildTimeUpMessage,
+  MAX_TIME_LIMIT_MINUTES
+} from './lib/interviewPacing';
+import { buildMediaConstraints, loadDeviceSelection, saveDeviceSelection } from './lib/deviceCheck';
+import { getInvitation, updateInvitation, eraseInvitation } from './lib/invitations';
+import { navigate } from './lib/router';
+import { findCodingExercise, buildCodeSnapshotMessage, getFinalCode } from './lib/codingExercise';
+import { runJavaScriptTests } from './lib/codeSandbox';
+import {
+  CAPTION_SIZES,
+  matchShortcut,
+  shortcutKeys,
+  loadCaptionSettings,
+  saveCaptionSettings,
+  stepCaptionSize,
+  getCaptionText,
+  collectAnnouncements
+} from './lib/accessibility';
+import {
+  buildPrivacyNotice,
+  listDataProcessors,
+  createConsentRecord,
+  describeConsent,
+  loadRetentionDays,
+  retentionCutoff
+} from './lib/privacy';
+import {
+  createProctoringState,
+  startProctoring,
+  applySignal,
+  closeAllSignals,
+  interleaveSignals,
+  describeSignal
+} from './lib/proctoring';
+import { startProctoringMonitor } from './lib/proctoringMonitor';
+import {
+  MediaAccessError,
+  toMediaAccessError,
+  toAppError,
+  describeErrorCode,
+  MEDIA_ERROR_CODE_LIST,
+  VOICE_ERROR_CODE_LIST
+} from './lib/errors';
+import { notify, reportError, dismissNotificationsByCode } from './lib/notifications';
+import { logError, exportClientLog } from './lib/clientLog';
+
+// With an invitationToken the app runs for an invited candidate: the recruiter's
+// setup comes from the invitation, and progress and results are reported back.
+const VapiInterviewApp = ({ evaluator, coach, voiceProvider, chatAdapter, invitationToken }) => {
+  const [interview, dispatch] = useReducer(transitionInterview, initialInterviewState);
   const [jobRole, setJobRole] = useState('');
   const [resumeText, setResumeText] = useState('');
-  const [isCallActive, setIsCallActive] = useState(false);
+  const [jobDescriptionText, setJobDescriptionText] = useState('');
+  const [candidateProfile, setCandidateProfile] = useState(emptyCandidateProfile);
+  const [isProfileEdited, setIsProfileEdited] = useState(false);
+  const [customTemplates, setCustomTemplates] = useState(loadCustomTemplates);
+  const [selectedTemplateId, setSelectedTemplateId] = useState(loadSelectedTemplateId);
+  const [assistantSettings, setAssistantSettings] = useState(loadAssistantSettings);
+  const [timeLimitMinutes, setTimeLimitMinutes] = useState('');
   const [callStatus, setCallStatus] = useState('');
-  const [transcript, setTranscript] = useState([]);
+  const [transcriptState, setTranscriptState] = useState(createTranscriptState);
   const [interviewDuration, setInterviewDuration] = useState(0);
   const [isMicEnabled, setIsMicEnabled] = useState(false);
   const [isCameraEnabled, setIsCameraEnabled] = useState(false);
   const [permissionsGranted, setPermissionsGranted] = useState(false);
   const [stream, setStream] = useState(null);
-  const vapiRef = useRef(null);
-  const timerRef = useRef(null);
+  const [deviceSelection, setDeviceSelection] = useState(loadDeviceSelection);
+  const [isMicConfirmed, setIsMicConfirmed] = useState(false);
+  const [scorecard, setScorecard] = useState(null);
+  const [isScoring, setIsScoring] = useState(false);
+  const [scorecardError, setScorecardError] = useState('');
+  const [sessionId, setSessionId] = useState(null);
+  const [isSavedSession, setIsSavedSession] = useState(false);
+  const [completedAt, setCompletedAt] = useState(null);
+  const [isRecordingEnabled, setIsRecordingEnabled] = useState(false);
+  const [recordingConsentAt, setRecordingConsentAt] = useState(null);
+  const [recording, setRecording] = useState(null);
+  const [consent, setConsent] = useState(null);
+  const [isDataDeleted, setIsDataDeleted] = useState(false);
+  const [invitation, setInvitation] = useState(null);
+  const [invitationError, setInvitationError] = useState('');
+  const [resultsError, setResultsError] = useState('');
+  const [isCodingEnabled, setIsCodingEnabled] = useState(false);
+  const [codingExercise, setCodingExercise] = useState(null);
+  const [code, setCode] = useState('');
+  const [sharedCode, setSharedCode] = useState('');
+  const [testRun, setTestRun] = useState(null);
+  const [isRunningTests, setIsRunningTests] = useState(false);
+  const [isProctoringEnabled, setIsProctoringEnabled] = useState(false);
+  // null when the interview is not monitored
+  const [proctoringState, setProctoringState] = useState(null);
+  const [faceDetectionStatus, setFaceDetectionStatus] = useState('');
+  const [coaching, setCoaching] = useState(null);
+  const [isCoaching, setIsCoaching] = useState(false);
+  const [coachingError, setCoachingError] = useState('');
+  // A practice round on one question: { question, previousAnswer, saved }, where
+  // saved holds the full interview's transcript and report to return to
+  const [practice, setPractice] = useState(null);
+  // The panelist who has the floor in a panel interview
+  const [activePersonaId, setActivePersonaId] = useState(null);
+  // 'text' runs the interview as a typed chat when voice is unavailable
+  const [interviewMode, setInterviewMode] = useState('voice');
+  const [isInterviewerTyping, setIsInterviewerTyping] = useState(false);
+  // Caption overlay on the camera preview: { enabled, size }
+  const [captionSettings, setCaptionSettings] = useState(loadCaptionSettings);
+  // Recent screen-reader announcements: { id, text, assertive }
+  const [announcements, setAnnouncements] = useState([]);
+  const providerRef = useRef(null);
+  // One chat adapter per interview, so a resumed chat continues its conversation
+  const chatAdapterRef = useRef(null);
+  const unsubscribeRef = useRef([]);
+  const callHandlersRef = useRef({});
+  const shortcutHandlerRef = useRef(() => {});
+  const announcementIdRef = useRef(0);
+  // How much of the transcript has been announced
+  const announcedRef = useRef({ count: 0, length: 0 });
+  const pacingRef = useRef({ sectionIndex: 0, wrapUpSent: false, timeUpSent: false });
+  const coverageRef = useRef({ lastSentSeconds: 0, lastMessage: '' });
   const videoRef = useRef(null);
+  const recorderRef = useRef(null);
+  const liveTranscriptRef = useRef(null);
+  const playbackRef = useRef(null);
+  const resumeInputRef = useRef(null);
+  const jobDescriptionInputRef = useRef(null);
+
+  // The call states share the interview screen
+  const step = CALL_STATES.includes(interview.status) ? 'interview' : interview.status;
+  const isCallActive = interview.status === 'active';
+  const isTextChat = interviewMode === 'text';
+  const codeLanguage = codingExercise ? codingExercise.language : '';
+
+  // Keep the profile in sync with the resume text until the recruiter edits it
+  useEffect(() => {
+    if (isProfileEdited) return;
+    const timeout = setTimeout(() => setCandidateProfile(parseResume(resumeText)), 300);
+    return () => clearTimeout(timeout);
+  }, [resumeText, isProfileEdited]);
+
+  const templates = useMemo(() => [...BUILT_IN_TEMPLATES, ...customTemplates], [customTemplates]);
+  const template = invitation ? invitation.template : findTemplate(templates, selectedTemplateId);
+  const activeSettings = invitation ? invitation.assistantSettings : assistantSettings;
+  const codingEnabled = invitation ? Boolean(invitation.codingEnabled) : isCodingEnabled && !practice;
+  const proctoringEnabled = invitation ? Boolean(invitation.proctoringEnabled) : isProctoringEnabled && !practice;
+  const activeTimeLimit = practice ? PRACTICE_TIME_LIMIT_MINUTES : timeLimitMinutes;
+  // A text chat has a single interviewer
+  const panel = useMemo(() => (practice || isTextChat ? null : getPanel(activeSettings)), [practice, isTextChat, activeSettings]);
+  const timeBudget = useMemo(() => buildTimeBudget(template, { timeLimitMinutes: activeTimeLimit }), [template, activeTimeLimit]);
+
+  useEffect(() => {
+    saveCustomTemplates(customTemplates);
+  }, [customTemplates]);
+
+  useEffect(() => {
+    saveSelectedTemplateId(selectedTemplateId);
+  }, [selectedTemplateId]);
+
+  useEffect(() => {
+    saveAssistantSettings(assistantSettings);
+  }, [assistantSettings]);
+
+  useEffect(() => {
+    saveCaptionSettings(captionSettings);
+  }, [captionSettings]);
+
+  const jobDescription = useMemo(
+    () => parseJobDescription(jobDescriptionText, { jobRole }),
+    [jobDescriptionText, jobRole]
+  );
 
+  const transcript = transcriptState.turns;
+  const finalCode = useMemo(() => getFinalCode(transcript), [transcript]);
+  const liveTurns = useMemo(() => getLiveTurns(transcriptState), [transcriptState]);
+  const caption = captionSettings.enabled ? getCaptionText(liveTurns) : null;
+  const coverageChecklist = useMemo(
+    () => buildCoverageChecklist({ jobRole, candidateProfile, jobDescription }),
+    [jobRole, candidateProfile, jobDescription]
+  );
+  const coverageItems = useMemo(() => assessCoverage(coverageChecklist, transcript), [coverageChecklist, transcript]);
+  // Recruiters running the interview see coverage live; invited candidates do not
+  const showCoverageSidebar = !invitationToken && !practice && step === 'interview' && coverageItems.length > 0;
+
+  // Follow the conversation as it grows
+  useEffect(() => {
+    const panel = liveTranscriptRef.current;
+    if (panel) panel.scrollTop = panel.scrollHeight;
+  }, [liveTurns]);
+
+  const announce = (text, { assertive = false } = {}) => {
+    announcementIdRef.current += 1;
+    const id = announcementIdRef.current;
+    setAnnouncements(prev => [...prev.slice(-4), { id, text, assertive }]);
+  };
+
+  useEffect(() => {
+    if (callStatus) announce(callStatus);
+  }, [callStatus]);
+
+  useEffect(() => {
+    if (INTERVIEW_STATUS_LABELS[interview.status]) {
+      announce(INTERVIEW_STATUS_LABELS[interview.status], { assertive: interview.status === 'failed' });
+    }
+  }, [interview.status]);
+
+  // Read out the interviewer's finished turns during the call; a saved
+  // session's transcript is opened without being read
   useEffect(() => {
-    // Load Vapi SDK
-    const script = document.createElement('script');
-    script.src = 'https://cdn.jsdelivr.net/gh/VapiAI/html-script-tag@latest/dist/assets/index.js';
-    script.async = true;
-    document.body.appendChild(script);
+    const { messages, cursor } = collectAnnouncements(transcript, announcedRef.current);
+    announcedRef.current = cursor;
+    if (step === 'interview') messages.forEach(message => announce(message));
+  }, [transcript]);
 
+  useEffect(() => {
     return () => {
-      if (timerRef.current) clearInterval(timerRef.current);
       if (stream) {
         stream.getTracks().forEach(track => track.stop());
       }
-      document.body.removeChild(script);
     };
   }, [stream]);
   // Set up PDF.js worker
@@ -39,144 +292,187 @@ const VapiInterviewApp = () => {
     pdfjsLib.GlobalWorkerOptions.workerSrc = `//cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjsLib.version}/pdf.worker.min.js`;
   }, []);
 
-  // Debug: show Vite env var in browser console to verify it's loaded
+  // Candidate links skip the setup form and go straight to the consent step
   useEffect(() => {
-    try {
-      console.log('VITE_VAPI_API_KEY =', import.meta.env.VITE_VAPI_API_KEY);
-      if (!import.meta.env.VITE_VAPI_API_KEY) {
-        console.warn('VITE_VAPI_API_KEY is empty. Ensure .env exists and restart Vite.');
-      }
-    } catch (e) {
-      console.error('Could not read import.meta.env:', e);
-    }
-  }, []);
+    if (!invitationToken) return;
+    let cancelled = false;
+    getInvitation(invitationToken)
+      .then(loaded => {
+        if (cancelled) return;
+        setInvitation(loaded);
+        setJobRole(loaded.jobRole);
+        setResumeText(loaded.resumeText);
+        setJobDescriptionText(loaded.jobDescriptionText || '');
+        setCandidateProfile(loaded.candidateProfile || parseResume(loaded.resumeText));
+        setIsProfileEdited(true);
+        setTimeLimitMinutes(loaded.timeLimitMinutes ? String(loaded.timeLimitMinutes) : '');
+        if (loaded.status !== 'completed') dispatch({ type: 'START' });
+      })
+      .catch(error => {
+        console.error('Error loading interview link:', error);
+        logError(error, { step: 'load-invitation' });
+        if (!cancelled) setInvitationError(error.message);
+      });
+    return () => { cancelled = true; };
+  }, [invitationToken]);
 
-  // Intercept fetch requests to the Vapi API to log payloads/responses for debugging
+  // Local sessions past the retention period are deleted when the app opens
   useEffect(() => {
-    if (typeof window === 'undefined' || !window.fetch) return;
-    const origFetch = window.fetch.bind(window);
-    window.fetch = async (...args) => {
-      try {
-        const [resource, config] = args;
-        const url = typeof resource === 'string' ? resource : resource && resource.url;
-        if (url && url.includes('api.vapi.ai/call/web')) {
-          console.log('--- Intercepted Vapi fetch ->', url);
-          console.log('fetch config:', config);
-          if (config && config.body) {
-            try {
-              const bodyText = typeof config.body === 'string' ? config.body : JSON.stringify(config.body);
-              console.log('Request body:', bodyText);
-            } catch (err) {
-              console.warn('Could not stringify request body', err);
-            }
-          }
-        }
-      } catch (e) {
-        console.warn('fetch interceptor error', e);
-      }
-
-      const res = await origFetch(...args);
-
-      try {
-        const resUrl = res && res.url;
-        if (resUrl && resUrl.includes('api.vapi.ai/call/web')) {
-          const clone = res.clone();
-          clone.text().then(t => console.log('Response body:', t)).catch(() => {});
-        }
-      } catch (e) {
-        console.warn('response read error', e);
-      }
-
-      return res;
-    };
-
-    return () => { window.fetch = origFetch; };
-  }, []);
+    if (invitationToken) return;
+    deleteSessionsBefore(retentionCutoff(loadRetentionDays()))
+      .catch(error => console.error('Error applying session retention:', error));
+  }, [invitationToken]);
 
   const handleStartInterview = async () => {
     if (!jobRole || !resumeText) {
-      alert('Please provide both job role and resume');
+      notify({ level: 'warning', code: 'INPUT_MISSING', title: 'Missing information', message: 'Please provide both job role and resume' });
       return;
     }
     
     // Check if browser supports getUserMedia
-    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-      alert('Your browser does not support camera/microphone access. Please use a modern browser like Chrome, Firefox, or Edge.');
+    if (!isTextChat && (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia)) {
+      reportError(new MediaAccessError('MEDIA_UNSUPPORTED', 'Your browser does not support camera/microphone access.'), {
+        handlers: {
+          'text-chat': () => {
+            setInterviewMode('text');
+            dispatch({ type: 'START' });
+          }
+        }
+      });
       return;
     }
     
-    setStep('permissions');
+    dispatch({ type: 'START' });
     setCallStatus('');
-    
-    // Automatically request permissions when entering permissions step
-    setTimeout(() => {
-      requestMediaPermissions();
-    }, 500);
   };
 
-  // Sanitize strings sent to Vapi API to avoid unsupported Unicode escape sequences
-  const sanitizeForApi = (str) => {
-    if (typeof str !== 'string') return str;
-    // Escape backslashes to prevent accidental \uXXXX sequences
-    return str.replace(/\\/g, '\\\\');
+  // Invited interviews are scored by the interview server's evaluator, not this browser's
+  const dataProcessors = useMemo(
+    () => listDataProcessors(activeSettings, invitation ? { evaluatorHost: invitation.evaluatorHost } : {}),
+    [activeSettings, invitation]
+  );
+  const retentionDays = invitation ? invitation.retentionDays : loadRetentionDays();
+  const privacyNotice = buildPrivacyNotice({
+    processors: dataProcessors,
+    retentionDays,
+    sharedWithHiringTeam: Boolean(invitation),
+    recordingRequested: isRecordingEnabled,
+    proctoring: proctoringEnabled
+  });
+
+  // Nothing is requested from the browser or sent to a provider before this
+  const acceptConsent = ({ recordingConsented }) => {
+    const record = createConsentRecord({ processors: dataProcessors, retentionDays, recordingConsented, proctoring: proctoringEnabled });
+    setConsent(record);
+    setRecordingConsentAt(recordingConsented ? record.acceptedAt : null);
+    dispatch({ type: 'CONSENT_GIVEN' });
+    if (isTextChat) startTextChat();
+    else requestMediaPermissions();
+  };
+
+  const declineConsent = () => {
+    dispatch({ type: 'CANCEL' });
+    setConsent(null);
+    setRecordingConsentAt(null);
   };
 
-  const requestMediaPermissions = async () => {
+  const requestMediaPermissions = async (selection = deviceSelection) => {
     try {
       setCallStatus('Requesting camera and microphone permissions...');
       
-      // Request both camera and microphone access
-      const mediaStream = await navigator.mediaDevices.getUserMedia({
-        video: {
-          width: { ideal: 1280 },
-          height: { ideal: 720 }
-        },
-        audio: {
-          echoCancellation: true,
-          noiseSuppression: true
-        }
-      });
+      // Request both camera and microphone access, preferring the chosen devices
+      const mediaStream = await navigator.mediaDevices.getUserMedia(buildMediaConstraints(selection));
 
       setStream(mediaStream);
       setIsMicEnabled(true);
       setIsCameraEnabled(true);
       setPermissionsGranted(true);
-      setCallStatus('Permissions granted! Starting interview...');
+      setCallStatus('Permissions granted! Check your devices before starting.');
+      dismissNotificationsByCode(MEDIA_ERROR_CODE_LIST);
+      dispatch({ type: 'PERMISSIONS_GRANTED' });
 
-      // Attach stream to video element
-      setTimeout(() => {
-        if (videoRef.current && mediaStream) {
-          videoRef.current.srcObject = mediaStream;
+    } catch (error) {
+      console.error('Error accessing media devices:', error);
+      const mediaError = toMediaAccessError(error);
+      reportError(mediaError, {
+        handlers: {
+          'retry-permissions': () => requestMediaPermissions(selection),
+          'text-chat': () => callHandlersRef.current.onTextChat()
         }
-      }, 100);
+      });
+      setCallStatus(`${describeErrorCode(mediaError.code).title} - Click "Request Again" to retry`);
+      dispatch({ type: 'PERMISSIONS_DENIED', error: mediaError.message });
+      // Don't go back to setup, stay on permissions screen
+    }
+  };
 
-      // Wait a moment then start the actual interview
-      setTimeout(() => {
-        startInterview();
-      }, 1500);
+  const handleDeviceChange = (selection) => {
+    const inputChanged = selection.audioInputId !== deviceSelection.audioInputId
+      || selection.videoInputId !== deviceSelection.videoInputId;
+    setDeviceSelection(selection);
+    saveDeviceSelection(selection);
+    // A different mic or camera needs a new stream; the old tracks stop with it
+    if (inputChanged) requestMediaPermissions(selection);
+  };
 
-    } catch (error) {
-      console.error('Error accessing media devices:', error);
-      let errorMessage = 'Could not access camera/microphone.\n\n';
-      
-      if (error.name === 'NotAllowedError' || error.name === 'PermissionDeniedError') {
-        errorMessage += 'Permission denied. Please:\n';
-        errorMessage += '1. Click the camera icon in your browser\'s address bar\n';
-        errorMessage += '2. Allow camera and microphone access\n';
-        errorMessage += '3. Click "Request Again" button';
-      } else if (error.name === 'NotFoundError') {
-        errorMessage += 'No camera or microphone found on your device.\n';
-        errorMessage += 'Please connect a webcam and microphone.';
-      } else if (error.name === 'NotReadableError') {
-        errorMessage += 'Camera or microphone is already in use.\n';
-        errorMessage += 'Please close other applications using your camera/mic.';
-      } else {
-        errorMessage += error.message;
+  const confirmDevices = () => {
+    // Only record when the recording mode is on and consent was given; practice rounds are never recorded
+    if (isRecordingEnabled && recordingConsentAt && !practice && !recorderRef.current) {
+      try {
+        const recorder = createSessionRecorder(stream);
+        recorder.start();
+        recorderRef.current = recorder;
+      } catch (error) {
+        console.error('Could not start recording:', error);
+        logError(error, { step: 'recording' });
       }
-      
-      alert(errorMessage);
-      setCallStatus('Permission denied - Click "Request Again" to retry');
-      // Don't go back to setup, stay on permissions screen
+    }
+
+    prepareInterview();
+    // Entering the connecting state starts the call
+    dispatch({ type: 'DEVICES_CONFIRMED' });
+  };
+
+  // Fresh pacing and coverage for a new call, and mark the invitation as started
+  const prepareInterview = () => {
+    pacingRef.current = { sectionIndex: 0, wrapUpSent: false, timeUpSent: false };
+    coverageRef.current = { lastSentSeconds: 0, lastMessage: '' };
+
+    if (!invitation || invitation.status === 'completed') return;
+    // Sent on every start: a restarted interview may come with a different recording choice
+    updateInvitation(invitation.token, { consent })
+      .catch(error => console.error('Error reporting consent:', error));
+    if (invitation.status === 'scheduled') {
+      updateInvitation(invitation.token, { status: 'in-progress', startedAt: new Date() })
+        .then(updated => setInvitation(prev => ({ ...prev, status: updated.status, startedAt: updated.startedAt })))
+        .catch(error => console.error('Error updating interview status:', error));
+    }
+  };
+
+  const startTextChat = () => {
+    setInterviewMode('text');
+    setCallStatus('');
+    prepareInterview();
+    dispatch({ type: 'TEXT_CHAT' });
+  };
+
+  // Recovery from a blocked camera or microphone, or a voice service that
+  // failed: carry on as a typed chat. A call that already connected continues
+  // its conversation in the chat.
+  const switchToTextChat = () => {
+    dismissNotificationsByCode([...MEDIA_ERROR_CODE_LIST, ...VOICE_ERROR_CODE_LIST]);
+    releaseProvider();
+    // The camera is not used in a chat; a recording that already started keeps its tracks
+    if (stream && !recorderRef.current) {
+      stream.getTracks().forEach(track => track.stop());
+      setStream(null);
+      setPermissionsGranted(false);
+    }
+    if (interview.hasConnected) {
+      setInterviewMode('text');
+      dispatch({ type: 'TEXT_CHAT' });
+    } else {
+      startTextChat();
     }
   };
 
@@ -186,6 +482,7 @@ const VapiInterviewApp = () => {
       if (videoTrack) {
         videoTrack.enabled = !videoTrack.enabled;
         setIsCameraEnabled(videoTrack.enabled);
+        announce(videoTrack.enabled ? 'Camera on' : 'Camera off');
       }
     }
   };
@@ -196,6 +493,8 @@ const VapiInterviewApp = () => {
       if (audioTrack) {
         audioTrack.enabled = !audioTrack.enabled;
         setIsMicEnabled(audioTrack.enabled);
+        if (providerRef.current) providerRef.current.mute(!audioTrack.enabled);
+        announce(audioTrack.enabled ? 'Microphone on' : 'Microphone muted');
       }
     }
   };
@@ -205,337 +504,676 @@ const handleFileUpload = async (e) => {
     if (!file) return;
 
     try {
-      let extractedText = '';
-      const fileType = file.type;
-      const fileName = file.name.toLowerCase();
-
-      // Handle PDF files
-      if (fileType === 'application/pdf' || fileName.endsWith('.pdf')) {
-        const arrayBuffer = await file.arrayBuffer();
-        const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-        
-        for (let i = 1; i <= pdf.numPages; i++) {
-          const page = await pdf.getPage(i);
-          const textContent = await page.getTextContent();
-          const pageText = textContent.items.map(item => item.str).join(' ');
-          extractedText += pageText + '\n\n';
-        }
-        
-        setResumeText(extractedText.trim());
-        alert('✓ PDF text extracted successfully!');
-      } 
-      // Handle DOC/DOCX files
-      else if (fileName.endsWith('.doc') || fileName.endsWith('.docx') || 
-               fileType === 'application/msword' || 
-               fileType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
-        const arrayBuffer = await file.arrayBuffer();
-        const result = await mammoth.extractRawText({ arrayBuffer });
-        extractedText = result.value;
-        
-        setResumeText(extractedText.trim());
-        alert('✓ Document text extracted successfully!');
-      }
-      // Handle plain text files
-      else {
-        const reader = new FileReader();
-        reader.onload = (event) => {
-          setResumeText(event.target.result);
-        };
-        reader.readAsText(file);
-      }
-
+      const { text, kind } = await extractTextFromFile(file);
+      setResumeText(text);
+      setIsProfileEdited(false);
+      if (kind === 'pdf') notify({ level: 'success', message: 'PDF text extracted successfully' });
+      if (kind === 'document') notify({ level: 'success', message: 'Document text extracted successfully' });
     } catch (error) {
       console.error('Error extracting text:', error);
-      alert('Failed to extract text from file. Please copy and paste the text manually into the textarea below.');
+      reportError(error, { handlers: { 'paste-text': () => resumeInputRef.current && resumeInputRef.current.focus() } });
       setResumeText('');
     }
   };
 
-  const generateInterviewPrompt = () => {
-    return `You are an expert technical interviewer conducting a professional job interview for the position of ${jobRole}.
-
-CANDIDATE'S RESUME:
-${resumeText}
+  const handleJobDescriptionUpload = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
 
-YOUR ROLE:
-- Conduct a thorough, professional interview based on the candidate's resume and the job role
-- Ask relevant technical and behavioral questions appropriate for ${jobRole}
-- Listen carefully to responses and ask follow-up questions
-- Evaluate skills, experience, and cultural fit
-- Be conversational but professional
-- The interview should last 10-15 minutes
+    try {
+      const { text } = await extractTextFromFile(file);
+      setJobDescriptionText(text);
+      // Use the posting's title when no role has been typed yet
+      if (!jobRole) {
+        const { title } = parseJobDescription(text);
+        if (title) setJobRole(title);
+      }
+    } catch (error) {
+      console.error('Error extracting job description:', error);
+      reportError(error, { handlers: { 'paste-text': () => jobDescriptionInputRef.current && jobDescriptionInputRef.current.focus() } });
+    }
+  };
 
-INTERVIEW STRUCTURE:
-1. Start with a warm greeting and brief introduction
-2. Ask about their background and experience from their resume
-3. Ask 3-4 technical questions relevant to ${jobRole}
-4. Ask 2-3 behavioral/situational questions
-5. Give them a chance to ask questions
-6. Close professionally
+  // An invited interview's session is built from the stored invitation; the rest is for local runs
+  const getInterviewContext = () => ({
+    invitationToken: invitation ? invitation.token : null,
+    jobRole,
+    resumeText,
+    candidateProfile,
+    jobDescriptionText,
+    template,
+    settings: activeSettings,
+    timeLimitMinutes: clampTimeLimit(activeTimeLimit),
+    codingEnabled,
+    practice: practice ? { question: practice.question, previousAnswer: practice.previousAnswer.answer } : null,
+    textChat: isTextChat
+  });
+
+  const generateInterviewPrompt = () => buildInterviewPrompt(getInterviewContext());
+
+  // Detach our listeners before hanging up so a deliberate stop is not handled as a dropped call
+  const releaseProvider = () => {
+    unsubscribeRef.current.forEach(off => off());
+    unsubscribeRef.current = [];
+    const provider = providerRef.current;
+    providerRef.current = null;
+    setIsInterviewerTyping(false);
+    if (provider) {
+      try {
+        provider.stop();
+      } catch (error) {
+        console.error('Error stopping voice call:', error);
+      }
+    }
+  };
 
-Be natural in conversation, show active listening, and adapt questions based on their responses. Maintain a friendly but professional tone throughout.`;
+  const getChatAdapter = () => {
+    if (!chatAdapterRef.current) chatAdapterRef.current = chatAdapter || getDefaultChatAdapter();
+    return chatAdapterRef.current;
   };
 
-// Start interview flow: wrap in async function to avoid top-level await
-const startInterview = async () => {
-  try {
-    // Wait for Vapi SDK to load properly
-        let attempts = 0;
-        while (typeof window.vapiSDK === 'undefined' && attempts < 10) {
-          await new Promise(resolve => setTimeout(resolve, 500));
-          attempts++;
+  // Start the voice call, or restart it after a pause or dropped connection
+  const startCall = async () => {
+    releaseProvider();
+    const provider = isTextChat
+      ? createTextChatProvider({ adapter: getChatAdapter() })
+      : voiceProvider || createDefaultVoiceProvider();
+    const resuming = interview.hasConnected;
+
+    // Prepare assistant configuration early so `run`-style SDKs can receive it.
+    // Proxied providers send the context instead and build it server-side.
+    const interviewContext = {
+      ...getInterviewContext(),
+      previousTranscript: resuming
+        ? transcript.map(({ speaker, text, kind }) => ({ speaker, text: kind === 'code' ? `(shared code)\n${text}` : text }))
+        : [],
+      elapsedSeconds: resuming ? interviewDuration : 0,
+      activePersonaId: resuming ? activePersonaId : null
+    };
+    const callConfig = buildCallConfig(interviewContext);
+    // A resumed panel picks up with whoever had the floor
+    const leadPersona = panel ? orderPersonas(panel, interviewContext.activePersonaId)[0] : null;
+    const call = { endedReason: null, hadError: false, error: null };
+    const audioTrack = stream && stream.getAudioTracks()[0];
+
+    providerRef.current = provider;
+
+    // Handlers go through callHandlersRef so they always see the latest render
+    unsubscribeRef.current = [
+      provider.on('call-start', () => {
+        dispatch({ type: 'CALL_STARTED' });
+        dismissNotificationsByCode(VOICE_ERROR_CODE_LIST);
+        setTranscriptState(prev => setAssistantSpeaker(startTranscript(prev), leadPersona ? personaLabel(leadPersona) : null));
+        setActivePersonaId(leadPersona ? leadPersona.id : null);
+        if (proctoringEnabled) setProctoringState(prev => startProctoring(prev || createProctoringState()));
+        // Carry a muted mic over to a restarted call
+        if (audioTrack && !audioTrack.enabled) provider.mute(true);
+        if (typeof provider.setDevices === 'function') {
+          provider.setDevices(deviceSelection)
+            .catch(error => console.error('Could not switch call devices:', error));
         }
+      }),
 
-        if (typeof window.vapiSDK === 'undefined') {
-          throw new Error('Vapi SDK failed to load. Please check your internet connection.');
-        }
+      provider.on('call-end', () => {
+        if (providerRef.current === provider) callHandlersRef.current.onCallEnd(call);
+      }),
 
-        // Initialize Vapi with your API key (read from environment)
-        const apiKey = import.meta.env.VITE_VAPI_API_KEY || '';
-        if (!apiKey || apiKey === 'YOUR_VAPI_PUBLIC_KEY') {
-          throw new Error('Vapi API key not found. Create a .env file with VITE_VAPI_API_KEY=your_key and restart the dev server.');
+      provider.on('message', (message) => {
+        // Partial transcripts update the pending line; finals are committed
+        if (message.type === 'transcript') {
+          setTranscriptState(prev => applyTranscriptMessage(prev, message));
         }
+        // A panelist handed the candidate over to another one
+        const persona = findPersona(panel, getTransferTarget(message));
+        if (persona) {
+          setTranscriptState(prev => setAssistantSpeaker(prev, personaLabel(persona)));
+          setActivePersonaId(persona.id);
+        }
+        if (message.type === 'typing-update') setIsInterviewerTyping(Boolean(message.typing));
+        if (message.type === 'status-update' && message.endedReason) {
+          call.endedReason = message.endedReason;
+        }
+        const exercise = findCodingExercise(message);
+        if (exercise) callHandlersRef.current.onExercise(exercise);
+      }),
+
+      provider.on('error', (error) => {
+        console.error('Voice provider error:', error);
+        call.hadError = true;
+        call.error = (error && error.message) || 'Voice connection error';
+        reportError(toAppError(error, 'VOICE_CALL_ERROR', call.error), {
+          context: { status: interview.status },
+          handlers: typeof provider.requestReply === 'function' ? { retry: () => provider.requestReply() } : {}
+        });
+      })
+    ];
 
-        // Prepare assistant configuration early so `run`-style SDKs can receive it
-        const assistantConfig = {
-          model: {
-            provider: "openai",
-            model: "gpt-4",
-            messages: [
-              {
-                role: "system",
-                content: sanitizeForApi(generateInterviewPrompt())
-              }
-            ]
-          },
-          voice: {
-            provider: "11labs",
-            voiceId: "21m00Tcm4TlvDq8ikWAM"
-          },
-          firstMessage: sanitizeForApi(`Hello! Thank you for taking the time to interview with us today for the ${jobRole} position. I've reviewed your resume and I'm excited to learn more about your experience. Shall we get started?`),
-          transcriber: {
-            provider: "deepgram",
-            model: "nova-2",
-            language: "en"
-          }
-        };
-
-        // Log SDK export shape for debugging
-        try {
-          console.log('window.vapiSDK:', window.vapiSDK);
-          console.log('typeof window.vapiSDK:', typeof window.vapiSDK);
-          console.dir(window.vapiSDK);
-        } catch (e) {
-          console.error('Error logging window.vapiSDK:', e);
+    try {
+      await provider.start(callConfig, { context: interviewContext });
+    } catch (error) {
+      if (providerRef.current !== provider) return;
+      console.error('Error starting interview:', error);
+      releaseProvider();
+      dispatch({ type: 'CALL_FAILED', error: error.message });
+      reportError(toAppError(error, 'VOICE_CALL_ERROR'), {
+        handlers: {
+          'retry-call': () => dispatch({ type: 'RETRY' }),
+          'text-chat': () => callHandlersRef.current.onTextChat()
         }
+      });
+    }
+  };
 
-        // Instantiate the SDK defensively — handle constructor, factory, and `run`-style exports
-        let vapi;
-
-        // If the SDK exposes a `run` method (observed export shape), call it
-        let runStarted = false;
-        if (window.vapiSDK && typeof window.vapiSDK.run === 'function') {
-          try {
-            const result = window.vapiSDK.run({ apiKey, assistant: assistantConfig });
-            // `run` may return the live call object or nothing; prefer returned instance
-            vapi = result || window.vapiSDK;
-            runStarted = true;
-          } catch (e) {
-            throw new Error('Failed to start Vapi via window.vapiSDK.run(): ' + e.message);
-          }
+  const handleCallEnd = (call) => {
+    if (interview.status === 'active' && !isDroppedCall(call)) {
+      endInterview();
+      return;
+    }
+    // Dropped mid-interview, or the call never came up: keep the media and retry
+    releaseProvider();
+    setTranscriptState(prev => finalizeTranscript(prev));
+    dispatch({
+      type: interview.status === 'active' ? 'CALL_DROPPED' : 'CALL_ENDED',
+      error: call.error || call.endedReason || 'The call ended unexpectedly'
+    });
+  };
 
-        } else {
-          try {
-            // Try constructor form
-            vapi = new window.vapiSDK(apiKey);
-          } catch (e) {
-            try {
-              // Try calling as a factory function
-              vapi = window.vapiSDK(apiKey);
-            } catch (e2) {
-              // Try common export shapes
-              if (window.vapiSDK && typeof window.vapiSDK.create === 'function') {
-                vapi = window.vapiSDK.create(apiKey);
-              } else if (window.vapiSDK && window.vapiSDK.default) {
-                try {
-                  vapi = new window.vapiSDK.default(apiKey);
-                } catch (e3) {
-                  vapi = window.vapiSDK.default(apiKey);
-                }
-              } else {
-                throw new Error('Unsupported Vapi SDK export shape: ' + String(window.vapiSDK));
-              }
-            }
-          }
-        }
+  const pauseInterview = () => {
+    releaseProvider();
+    setTranscriptState(prev => finalizeTranscript(prev));
+    dispatch({ type: 'PAUSE' });
+  };
 
-        vapiRef.current = vapi;
+  const endInterview = () => {
+    // Stop the voice call first
+    releaseProvider();
+
+    // Finish the local recording before the tracks it captures are stopped
+    if (recorderRef.current) {
+      const recorder = recorderRef.current;
+      recorderRef.current = null;
+      recorder.stop()
+        .then(result => {
+          if (result) setRecording({ ...result, consentedAt: recordingConsentAt });
+        })
+        .catch(error => console.error('Error finishing recording:', error));
+    }
 
-        setCallStatus('Connecting to AI interviewer...');
+    // Keep whatever was mid-sentence when the call ended, and the candidate's last code
+    const unsharedCode = code !== sharedCode ? code : '';
+    setTranscriptState(prev => addCodeSnapshot(finalizeTranscript(prev), { code: unsharedCode, language: codeLanguage }));
+    setSharedCode(code);
 
-        // Start the actual Vapi call if SDK instance supports it (skip if run() already started)
-        if (!runStarted) {
-          if (vapi && typeof vapi.start === 'function') {
-            await vapi.start(assistantConfig);
-          } else if (typeof vapi === 'function') {
-            // Some SDKs are callable; attempt to call with assistantConfig
-            try { vapi(assistantConfig); } catch (e) { console.warn('vapi callable invocation failed:', e); }
-          }
-        }
+    // Stop every media track before clearing the video, so the camera light goes off
+    if (stream) {
+      stream.getTracks().forEach(track => {
+        track.stop();
+        track.enabled = false;
+      });
+    }
 
-        // Set up event listeners for real-time updates
-        vapi.on('call-start', () => {
-          setIsCallActive(true);
-          setCallStatus('Interview in progress...');
+    if (videoRef.current) {
+      videoRef.current.srcObject = null;
+      videoRef.current.pause();
+      videoRef.current.load(); // Force reload to release resources
+    }
 
-          // Start timer
-          timerRef.current = setInterval(() => {
-            setInterviewDuration(prev => prev + 1);
-          }, 1000);
-        });
+    setStream(null);
+    setIsMicEnabled(false);
+    setIsCameraEnabled(false);
+    setPermissionsGranted(false);
+    setCallStatus('Interview completed');
 
-        vapi.on('call-end', () => {
-          endInterview();
-        });
+    dispatch({ type: 'END' });
+  };
 
-        vapi.on('message', (message) => {
-          console.log('Vapi message:', message);
+  const handleExercise = (exercise) => {
+    if (!codingEnabled) return;
+    // Keep unshared work on the previous exercise before replacing it
+    if (code !== sharedCode) setTranscriptState(prev => addCodeSnapshot(prev, { code, language: codeLanguage }));
+    setCodingExercise(exercise);
+    setCode(exercise.starterCode);
+    setSharedCode(exercise.starterCode);
+    setTestRun(null);
+  };
 
-          // Add to transcript when we get transcriptions
-          if (message.type === 'transcript') {
-            if (message.role === 'assistant') {
-              addToTranscript('Interviewer', message.transcript);
-            } else if (message.role === 'user') {
-              addToTranscript('You', message.transcript);
-            }
-          }
-        });
+  callHandlersRef.current = { onCallEnd: handleCallEnd, onExercise: handleExercise, onTextChat: switchToTextChat };
 
-        vapi.on('error', (error) => {
-          console.error('Vapi error:', error);
-          setCallStatus('Error: ' + error.message);
-          alert('Vapi Error: ' + error.message);
-        });
+  const toggleCaptions = () => {
+    const enabled = !captionSettings.enabled;
+    setCaptionSettings(prev => ({ ...prev, enabled }));
+    announce(enabled ? 'Captions on' : 'Captions off');
+  };
 
-        // Note: You'll need to replace 'YOUR_VAPI_PUBLIC_KEY' with your actual Vapi public key
-        // Get it from https://vapi.ai
-        setCallStatus('Connecting...');
+  const resizeCaptions = (direction) => {
+    const size = stepCaptionSize(captionSettings.size, direction);
+    setCaptionSettings(prev => ({ ...prev, size }));
+    announce(`Caption size: ${CAPTION_SIZES.find(item => item.id === size).label}`);
+  };
 
-        // Start timer (fallback)
-        timerRef.current = setInterval(() => {
-          setInterviewDuration(prev => prev + 1);
-        }, 1000);
+  // A stray key press should not end the interview
+  const confirmEndInterview = () => {
+    if (window.confirm('End the interview now?')) endInterview();
+  };
 
-        setIsCallActive(true);
-        setCallStatus('Interview in progress...');
+  // Assigned on every render so the keydown listener always sees the latest state
+  shortcutHandlerRef.current = (id) => {
+    if (id === 'mic') toggleMic();
+    else if (id === 'camera') toggleCamera();
+    else if (id === 'captions') toggleCaptions();
+    else if (id === 'caption-larger') resizeCaptions(1);
+    else if (id === 'caption-smaller') resizeCaptions(-1);
+    else if (id === 'end') confirmEndInterview();
+    else if (id === 'pause' && isCallActive) pauseInterview();
+    else if (id === 'pause' && interview.status === 'paused') dispatch({ type: 'RESUME' });
+  };
 
-        // Simulate transcript updates (in real implementation, this comes from Vapi events)
-        addToTranscript('Interviewer', `Hello! Thank you for taking the time to interview with us today for the ${jobRole} position.`);
+  useEffect(() => {
+    if (step !== 'interview') return;
+    const handleKeyDown = (e) => {
+      const id = matchShortcut(e);
+      if (!id) return;
+      e.preventDefault();
+      shortcutHandlerRef.current(id);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [step]);
+
+  const sendChatMessage = (text) => {
+    const provider = providerRef.current;
+    if (provider && typeof provider.sendText === 'function') provider.sendText(text);
+  };
 
+  const sendToAssistant = (content) => {
+    const provider = providerRef.current;
+    if (provider && typeof provider.send === 'function') {
+      try {
+        provider.send(content);
       } catch (error) {
-        console.error('Error starting interview:', error);
-        setCallStatus('Error: Could not start interview');
-        alert('Error starting interview. Please ensure Vapi SDK is properly configured with your API key.');
+        console.error('Could not send instruction to the assistant:', error);
       }
+    }
+  };
+
+  const shareCode = () => {
+    const run = testRun && testRun.code === code ? testRun : null;
+    setTranscriptState(prev => addCodeSnapshot(prev, { code, language: codeLanguage }));
+    sendToAssistant(buildCodeSnapshotMessage(codingExercise, code, run));
+    setSharedCode(code);
+  };
+
+  const runTests = async () => {
+    const submitted = code;
+    setIsRunningTests(true);
+    const result = await runJavaScriptTests(submitted, codingExercise);
+    setTestRun({ ...result, code: submitted });
+    setIsRunningTests(false);
+  };
+
+  const pacingStatus = getPacingStatus(timeBudget, interviewDuration);
+
+  // Pace the call against the time budget: nudge between sections, ask for a
+  // wrap-up when time runs low, ask to close at the limit, and hang up after the grace period
+  useEffect(() => {
+    if (!isCallActive) return;
+    const pacing = pacingRef.current;
+
+    if (pacingStatus.phase === 'hard-stop') {
+      endInterview();
+    } else if (pacingStatus.phase === 'overtime' && !pacing.timeUpSent) {
+      pacing.timeUpSent = true;
+      pacing.wrapUpSent = true;
+      sendToAssistant(buildTimeUpMessage());
+    } else if (pacingStatus.phase === 'wrap-up' && !pacing.wrapUpSent) {
+      pacing.wrapUpSent = true;
+      sendToAssistant(buildWrapUpMessage(pacingStatus));
+    } else if (pacingStatus.sectionIndex > pacing.sectionIndex && !pacing.wrapUpSent && !practice) {
+      pacing.sectionIndex = pacingStatus.sectionIndex;
+      sendToAssistant(buildSectionMessage(pacingStatus.section, jobRole));
+    }
+  }, [interviewDuration, isCallActive]);
+
+  // Steer the interviewer toward unverified or weakly answered areas, at most
+  // once per interval and only when the gaps have changed
+  useEffect(() => {
+    if (!isCallActive || practice || pacingRef.current.wrapUpSent) return;
+    const steering = coverageRef.current;
+    if (interviewDuration - steering.lastSentSeconds < COVERAGE_UPDATE_INTERVAL_SECONDS) return;
+    const message = buildCoverageMessage(coverageItems);
+    if (!message || message === steering.lastMessage) return;
+    coverageRef.current = { lastSentSeconds: interviewDuration, lastMessage: message };
+    sendToAssistant(message);
+  }, [interviewDuration, isCallActive]);
+
+  // Connecting and reconnecting own the voice call; the timeout also keeps
+  // StrictMode's double effect run from starting two calls
+  useEffect(() => {
+    if (interview.status !== 'connecting' && interview.status !== 'reconnecting') return;
+    const delay = interview.status === 'reconnecting' ? reconnectDelayMs(interview.reconnectAttempts) : 0;
+    const timeout = setTimeout(startCall, delay);
+    return () => clearTimeout(timeout);
+  }, [interview.status, interview.reconnectAttempts]);
+
+  // Integrity signals are only watched while the call is live
+  useEffect(() => {
+    if (!isCallActive || !proctoringEnabled || (!stream && !isTextChat)) return;
+    const stop = startProctoringMonitor({
+      stream: isTextChat ? null : stream,
+      video: videoRef.current,
+      onSignal: (signal) => setProctoringState(prev => prev && applySignal(prev, signal)),
+      onStatus: setFaceDetectionStatus
+    });
+    return () => {
+      stop();
+      setProctoringState(prev => prev && closeAllSignals(prev));
     };
+  }, [isCallActive, proctoringEnabled, stream, isTextChat]);
+
+  // The monitor's cleanup closes open signals in the same update the call ends in
+  const proctoringEvents = proctoringState ? closeAllSignals(proctoringState).events : null;
 
-const endInterview = () => {
-  console.log('=== END INTERVIEW CALLED ===');
-  
-  // Stop Vapi call FIRST
-  if (vapiRef.current && isCallActive) {
+  // A single interview clock that only runs while the call is live
+  useEffect(() => {
+    if (!isCallActive) return;
+    const timer = setInterval(() => setInterviewDuration(prev => prev + 1), 1000);
+    return () => clearInterval(timer);
+  }, [isCallActive]);
+
+  // Attach the camera preview whenever a screen with a video element is shown
+  useEffect(() => {
+    if (videoRef.current && stream) videoRef.current.srcObject = stream;
+  }, [stream, step]);
+
+  const evaluateInterview = async (targetSessionId = sessionId) => {
+    setIsScoring(true);
+    setScorecardError('');
     try {
-      if (typeof vapiRef.current.stop === 'function') {
-        vapiRef.current.stop();
-        console.log('✓ Vapi call stopped');
+      const activeEvaluator = evaluator || getDefaultEvaluator();
+      const result = await generateScorecard(activeEvaluator, {
+        jobRole,
+        interviewPrompt: generateInterviewPrompt(),
+        transcript
+      });
+      setScorecard(result);
+      if (targetSessionId) {
+        updateSession(targetSessionId, { scorecard: result })
+          .catch(error => console.error('Error saving scorecard:', error));
       }
     } catch (error) {
-      console.error('Error stopping Vapi call:', error);
+      console.error('Error generating scorecard:', error);
+      logError(error, { step: 'scorecard' });
+      setScorecardError(error.message || 'Could not evaluate the interview.');
+    } finally {
+      setIsScoring(false);
     }
-  }
-  
-  // Clear timer
-  if (timerRef.current) {
-    clearInterval(timerRef.current);
-    timerRef.current = null;
-  }
-
-  // CRITICAL: Stop ALL media tracks BEFORE clearing video
-  if (stream) {
-    console.log('Stopping all media tracks...');
-    const tracks = stream.getTracks();
-    tracks.forEach(track => {
-      console.log(`Stopping ${track.kind} track:`, track.label);
-      track.stop();
-      track.enabled = false; // Disable track
-    });
-    console.log('All tracks stopped');
-  }
-
-  // Clear video element AFTER stopping tracks
-  if (videoRef.current) {
-    videoRef.current.srcObject = null;
-    videoRef.current.pause();
-    videoRef.current.load(); // Force reload to release resources
-    console.log('✓ Video element cleared');
-  }
-
-  // Clear stream state
-  setStream(null);
-  
-  // Reset all states
-  setIsCallActive(false);
-  setIsMicEnabled(false);
-  setIsCameraEnabled(false);
-  setPermissionsGranted(false);
-  setCallStatus('Interview completed');
-  
-  console.log('✓ All states reset');
-  
-  // Change to completed screen with slight delay to ensure cleanup
-  setTimeout(() => {
-    setStep('completed');
-    console.log('✓ Moved to completed screen');
-  }, 100);
-  
-  console.log('=== INTERVIEW ENDED - ALL MEDIA STOPPED ===');
-};
-  const addToTranscript = (speaker, text) => {
-    setTranscript(prev => [...prev, { speaker, text, timestamp: new Date() }]);
   };
 
-  const formatTime = (seconds) => {
-    const mins = Math.floor(seconds / 60);
-    const secs = seconds % 60;
-    return `${mins}:${secs.toString().padStart(2, '0')}`;
+  const coachInterview = async () => {
+    setIsCoaching(true);
+    setCoachingError('');
+    try {
+      const result = await generateCoaching(coach || getDefaultCoach(), { jobRole, transcript });
+      setCoaching(result);
+      if (sessionId && !practice) {
+        updateSession(sessionId, { coaching: result })
+          .catch(error => console.error('Error saving coaching report:', error));
+      }
+    } catch (error) {
+      console.error('Error generating coaching report:', error);
+      logError(error, { step: 'coaching' });
+      setCoachingError(error.message || 'Could not generate improved answers.');
+    } finally {
+      setIsCoaching(false);
+    }
+  };
+
+  // Start a short call on one question; the full interview is kept to return to
+  const startPractice = (answer) => {
+    const saved = practice ? practice.saved : { transcriptState, interviewDuration, proctoringState, coaching };
+    setPractice({ question: answer.question, previousAnswer: practice ? practice.previousAnswer : answer, saved });
+    setTranscriptState(createTranscriptState());
+    setInterviewDuration(0);
+    setProctoringState(null);
+    setCoaching(null);
+    setCoachingError('');
+    setCallStatus('');
+    chatAdapterRef.current = null;
+    dispatch({ type: 'PRACTICE' });
+    if (isTextChat) startTextChat();
+    else requestMediaPermissions();
+  };
+
+  const finishPractice = () => {
+    const { saved } = practice;
+    setTranscriptState(saved.transcriptState);
+    setInterviewDuration(saved.interviewDuration);
+    setProctoringState(saved.proctoringState);
+    setCoaching(saved.coaching);
+    setCoachingError('');
+    setCallStatus('Interview completed');
+    setPractice(null);
+  };
+
+  const persistSession = async () => {
+    const id = createSessionId();
+    const finishedAt = new Date();
+    setSessionId(id);
+    setCompletedAt(finishedAt);
+    try {
+      await saveSession({
+        id,
+        jobRole,
+        candidateName: candidateProfile.contact.name,
+        templateId: template.id,
+        templateName: template.name,
+        assistantSettings: activeSettings,
+        codingExercise,
+        consent,
+        proctoringEvents,
+        resumeText,
+        candidateProfile,
+        jobDescriptionText,
+        transcript,
+        durationSeconds: interviewDuration,
+        scorecard: null,
+        completedAt: finishedAt
+      });
+    } catch (error) {
+      console.error('Error saving interview session:', error);
+      reportError(error, { code: 'STORAGE_FAILED', message: 'The interview could not be saved to History: ' + error.message });
+    }
+    return id;
+  };
+
+  // Invited interviews are reported to the recruiter instead of this browser's history
+  const reportResults = async () => {
+    const finishedAt = completedAt || new Date();
+    setCompletedAt(finishedAt);
+    setResultsError('');
+    try {
+      await updateInvitation(invitation.token, {
+        status: 'completed',
+        completedAt: finishedAt,
+        durationSeconds: interviewDuration,
+        transcript,
+        proctoringEvents
+      });
+      return true;
+    } catch (error) {
+      console.error('Error reporting interview results:', error);
+      logError(error, { step: 'report-results' });
+      setResultsError(error.message);
+      return false;
+    }
+  };
+
+  // Save and score the interview once the completed screen is shown.
+  // Practice rounds are coached only, never saved or scored.
+  useEffect(() => {
+    if (step !== 'completed' || practice) return;
+    const run = async () => {
+      if (invitation) {
+        // The interview server scores invited interviews itself
+        if (invitation.status !== 'completed') reportResults();
+        return;
+      }
+      const id = sessionId || (isSavedSession ? null : await persistSession());
+      if (!scorecard && !isScoring && !scorecardError) evaluateInterview(id);
+    };
+    run();
+  }, [step]);
+
+  // The recording finishes asynchronously, so attach it to the saved session when ready
+  useEffect(() => {
+    if (!sessionId || !recording || isSavedSession) return;
+    updateSession(sessionId, { recording })
+      .catch(error => console.error('Error saving recording:', error));
+  }, [sessionId, recording]);
+
+  const openSavedSession = (session) => {
+    setJobRole(session.jobRole || '');
+    setResumeText(session.resumeText || '');
+    setJobDescriptionText(session.jobDescriptionText || '');
+    setCandidateProfile(session.candidateProfile || emptyCandidateProfile());
+    setIsProfileEdited(true);
+    setTranscriptState(createTranscriptState({ turns: session.transcript || [] }));
+    setInterviewDuration(session.durationSeconds || 0);
+    setScorecard(session.scorecard || null);
+    setScorecardError('');
+    setSessionId(session.id);
+    setCompletedAt(session.completedAt);
+    setRecording(session.recording || null);
+    setCodingExercise(session.codingExercise || null);
+    setConsent(session.consent || null);
+    setProctoringState(session.proctoringEvents ? createProctoringState({ events: session.proctoringEvents }) : null);
+    setCoaching(session.coaching || null);
+    setCoachingError('');
+    setIsSavedSession(true);
+    dispatch({ type: 'OPEN_SESSION' });
+  };
+
+  // "Delete my data": removes the saved session, or the candidate's data on the invitation
+  const deleteMyData = async () => {
+    if (!window.confirm('Delete your resume, transcript and evaluation from this interview? This cannot be undone.')) return;
+    try {
+      if (invitation) {
+        await eraseInvitation(invitation.token);
+        setIsDataDeleted(true);
+        setTranscriptState(createTranscriptState());
+        setScorecard(null);
+        return;
+      }
+      if (sessionId) await deleteSession(sessionId);
+      resetInterview();
+    } catch (error) {
+      console.error('Error deleting interview data:', error);
+      reportError(error, { message: 'Could not delete the interview data: ' + error.message, handlers: { retry: deleteMyData } });
+    }
   };
 
   const resetInterview = () => {
-    setStep('setup');
+    dispatch({ type: 'RESET' });
     setJobRole('');
     setResumeText('');
-    setIsCallActive(false);
+    setJobDescriptionText('');
+    setCandidateProfile(emptyCandidateProfile());
+    setIsProfileEdited(false);
     setCallStatus('');
-    setTranscript([]);
+    setTranscriptState(createTranscriptState());
     setInterviewDuration(0);
+    setScorecard(null);
+    setScorecardError('');
+    setSessionId(null);
+    setIsSavedSession(false);
+    setCompletedAt(null);
+    setRecording(null);
+    setRecordingConsentAt(null);
+    setConsent(null);
+    setProctoringState(null);
+    setFaceDetectionStatus('');
+    setCoaching(null);
+    setCoachingError('');
+    setPractice(null);
+    setActivePersonaId(null);
+    setInterviewMode('voice');
+    chatAdapterRef.current = null;
+    setTimeLimitMinutes('');
+    setCodingExercise(null);
+    setCode('');
+    setSharedCode('');
+    setTestRun(null);
   };
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-6">
-      <div className="max-w-4xl mx-auto">
+      <LiveAnnouncer announcements={announcements} />
+      <div className={`${showCoverageSidebar ? 'max-w-6xl' : 'max-w-4xl'} mx-auto`}>
         {/* Header */}
-        <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
-          <div className="flex items-center gap-3">
-            <Briefcase className="w-8 h-8 text-indigo-600" />
-            <div>
-              <h1 className="text-3xl font-bold text-gray-800">AI Interview Assistant</h1>
-              <p className="text-gray-600">Powered by Miracle Corporate Solutions</p>
-            </div>
+        <AppHeader>
+          {!invitationToken && (step === 'setup' || step === 'completed' || step === 'history') && (
+            <button
+              onClick={() => navigate('/dashboard')}
+              className="px-4 py-2 border-2 border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-50 transition-colors flex items-center gap-2"
+            >
+              <LayoutDashboard className="w-4 h-4" />
+              Dashboard
+            </button>
+          )}
+          {!invitationToken && (step === 'setup' || step === 'completed') && (
+            <button
+              onClick={() => {
+                if (step === 'completed') resetInterview();
+                dispatch({ type: 'OPEN_HISTORY' });
+              }}
+              className="px-4 py-2 border-2 border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-50 transition-colors flex items-center gap-2"
+            >
+              <History className="w-4 h-4" />
+              History
+            </button>
+          )}
+        </AppHeader>
+
+        {/* Candidate Link */}
+        {invitationToken && step === 'setup' && (
+          <div className="bg-white rounded-lg shadow-lg p-8 text-center">
+            {invitationError && (
+              <>
+                <h2 className="text-2xl font-bold text-gray-800 mb-2">This interview link is not available</h2>
+                <p className="text-gray-600">{invitationError}</p>
+              </>
+            )}
+            {!invitation && !invitationError && (
+              <p className="text-gray-500 py-8">Loading your interview...</p>
+            )}
+            {invitation && invitation.status === 'completed' && (
+              <>
+                <CheckCircle className="w-16 h-16 text-green-600 mx-auto mb-4" />
+                <h2 className="text-2xl font-bold text-gray-800 mb-2">This interview has already been completed</h2>
+                <p className="text-gray-600">Thank you, {invitation.candidateName}. The hiring team will be in touch.</p>
+              </>
+            )}
+            {invitation && invitation.status !== 'completed' && (
+              <>
+                <h2 className="text-2xl font-bold text-gray-800 mb-2">Welcome, {invitation.candidateName}</h2>
+                <p className="text-gray-600 mb-6">
+                  You have been invited to a {Math.round(timeBudget.totalSeconds / 60)} minute interview for the {invitation.jobRole} position.
+                  First we will explain how your interview data is used, then check your camera and microphone.
+                </p>
+                <button
+                  onClick={handleStartInterview}
+                  className="bg-indigo-600 text-white px-8 py-4 rounded-lg font-semibold text-lg hover:bg-indigo-700 transition-colors inline-flex items-center justify-center gap-2"
+                >
+                  <Camera className="w-5 h-5" />
+                  Continue
+                </button>
+              </>
+            )}
           </div>
-        </div>
+        )}
 
         {/* Setup Step */}
-        {step === 'setup' && (
+        {!invitationToken && step === 'setup' && (
           <div className="bg-white rounded-lg shadow-lg p-8">
             <h2 className="text-2xl font-bold text-gray-800 mb-6">Setup Interview</h2>
             
@@ -554,6 +1192,77 @@ const endInterview = () => {
               />
             </div>
 
+            {/* Interview Template */}
+            <TemplatePicker
+              templates={templates}
+              selectedId={template.id}
+              onSelect={setSelectedTemplateId}
+              onSave={(saved) => {
+                setCustomTemplates(prev => mergeTemplates(prev, [saved]));
+                setSelectedTemplateId(saved.id);
+              }}
+              onDelete={(id) => {
+                setCustomTemplates(prev => prev.filter(t => t.id !== id));
+                setSelectedTemplateId(BUILT_IN_TEMPLATES[0].id);
+              }}
+              onImport={(imported) => {
+                setCustomTemplates(prev => mergeTemplates(prev, imported));
+                setSelectedTemplateId(imported[0].id);
+              }}
+            />
+
+            {/* Time Budget */}
+            <div className="mb-6">
+              <label className="block text-sm font-semibold text-gray-700 mb-2">
+                <Clock className="w-4 h-4 inline mr-2" />
+                Time Limit (minutes)
+              </label>
+              <input
+                type="number"
+                min="1"
+                max={MAX_TIME_LIMIT_MINUTES}
+                value={timeLimitMinutes}
+                onChange={(e) => setTimeLimitMinutes(e.target.value)}
+                placeholder={`${template.durationMinutes} (template default)`}
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              />
+              <p className="text-sm text-gray-500 mt-2">
+                {timeBudget.sections.map(section => `${formatTime(section.endSeconds - section.startSeconds)}`).join(' · ')}
+                {' '}per section. The interviewer is asked to wrap up {formatTime(timeBudget.totalSeconds - timeBudget.wrapUpAtSeconds)} before the end.
+              </p>
+            </div>
+
+            {/* Job Description */}
+            <div className="mb-6">
+              <label className="block text-sm font-semibold text-gray-700 mb-2">
+                <FileText className="w-4 h-4 inline mr-2" />
+                Job Description <span className="font-normal text-gray-500">(optional)</span>
+              </label>
+              <div className="border-2 border-dashed border-gray-300 rounded-lg p-4 text-center hover:border-indigo-500 transition-colors">
+                <label className="cursor-pointer">
+                  <span className="text-indigo-600 font-semibold hover:text-indigo-700">
+                    Upload job description
+                  </span>
+                  <span className="text-gray-600"> or paste the posting below</span>
+                  <input
+                    type="file"
+                    accept={DOCUMENT_ACCEPT}
+                    onChange={handleJobDescriptionUpload}
+                    className="hidden"
+                  />
+                </label>
+              </div>
+              <textarea
+                ref={jobDescriptionInputRef}
+                value={jobDescriptionText}
+                onChange={(e) => setJobDescriptionText(e.target.value)}
+                placeholder="Paste the full job posting here to tailor questions to its requirements..."
+                rows="6"
+                className="w-full mt-3 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              />
+              <JobDescriptionSummary jobDescription={jobDescription} />
+            </div>
+
             {/* Resume Upload */}
             <div className="mb-6">
               <label className="block text-sm font-semibold text-gray-700 mb-2">
@@ -569,21 +1278,92 @@ const endInterview = () => {
                   <span className="text-gray-600"> or paste text below</span>
                   <input
                     type="file"
-                    accept=".txt,.pdf,.doc,.docx"
+                    accept={DOCUMENT_ACCEPT}
                     onChange={handleFileUpload}
                     className="hidden"
                   />
                 </label>
               </div>
               <textarea
+                ref={resumeInputRef}
                 value={resumeText}
                 onChange={(e) => setResumeText(e.target.value)}
                 placeholder="Paste resume content here..."
                 rows="8"
                 className="w-full mt-3 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
               />
+              {!isProfileEmpty(candidateProfile) && (
+                <CandidateProfileEditor
+                  profile={candidateProfile}
+                  onChange={(profile) => {
+                    setCandidateProfile(profile);
+                    setIsProfileEdited(true);
+                  }}
+                  onReparse={() => {
+                    setCandidateProfile(parseResume(resumeText));
+                    setIsProfileEdited(false);
+                  }}
+                />
+              )}
+            </div>
+
+            {/* Assistant Settings */}
+            <AssistantSettingsPanel settings={assistantSettings} onChange={setAssistantSettings} />
+
+            {/* Live Coding */}
+            <div className="mb-6 border border-gray-200 rounded-lg p-4">
+              <label className="flex items-center gap-2 font-semibold text-gray-700 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={isCodingEnabled}
+                  onChange={(e) => setIsCodingEnabled(e.target.checked)}
+                  className="w-4 h-4"
+                />
+                Live coding exercise
+              </label>
+              <p className="text-sm text-gray-500 mt-2">
+                Shows a code editor during the interview. The interviewer posts a coding exercise into it and
+                sees the code the candidate shares. JavaScript solutions can run against sample tests in the browser.
+              </p>
+            </div>
+
+            {/* Integrity Signals */}
+            <div className="mb-6 border border-gray-200 rounded-lg p-4">
+              <label className="flex items-center gap-2 font-semibold text-gray-700 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={isProctoringEnabled}
+                  onChange={(e) => setIsProctoringEnabled(e.target.checked)}
+                  className="w-4 h-4"
+                />
+                Integrity signals
+              </label>
+              <p className="text-sm text-gray-500 mt-2">
+                Logs tab switches, focus loss, copy and paste, long silences, and moments with no face or several
+                faces on camera. Faces are detected in the browser and no video is sent anywhere. The signals are
+                listed on the completed screen for review.
+              </p>
             </div>
 
+            {/* Recording */}
+            {isRecordingSupported() && (
+              <div className="mb-6 border border-gray-200 rounded-lg p-4">
+                <label className="flex items-center gap-2 font-semibold text-gray-700 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={isRecordingEnabled}
+                    onChange={(e) => setIsRecordingEnabled(e.target.checked)}
+                    className="w-4 h-4"
+                  />
+                  Record this session locally
+                </label>
+                <p className="text-sm text-gray-500 mt-2">
+                  The candidate is asked to agree to the recording before the interview starts. Without their
+                  agreement the interview runs unrecorded.
+                </p>
+              </div>
+            )}
+
             {/* Start Button */}
             <button
               onClick={handleStartInterview}
@@ -600,20 +1380,36 @@ const endInterview = () => {
               <ul className="text-sm text-indigo-800 space-y-1">
                 <li>• AI will conduct a professional interview based on the job role</li>
                 <li>• Questions will be tailored to the candidate's resume</li>
-                <li>• Interview typically lasts 10-15 minutes</li>
+                <li>• This interview is limited to {Math.round(timeBudget.totalSeconds / 60)} minutes and wraps up automatically</li>
                 <li>• All conversations are transcribed in real-time</li>
               </ul>
             </div>
           </div>
         )}
 
-        {/* Permissions Step */}
-        {step === 'permissions' && (
+        {/* Consent Step */}
+        {step === 'consent' && (
+          <ConsentStep
+            notice={privacyNotice}
+            recordingRequested={isRecordingEnabled}
+            onAccept={acceptConsent}
+            onDecline={declineConsent}
+          />
+        )}
+
+        {/* Permissions and Device Check Steps */}
+        {(step === 'permissions' || step === 'device-check') && (
           <div className="bg-white rounded-lg shadow-lg p-8">
             <div className="text-center mb-8">
-              <Camera className="w-20 h-20 text-indigo-600 mx-auto mb-4 animate-pulse" />
-              <h2 className="text-3xl font-bold text-gray-800 mb-2">Camera & Microphone Access</h2>
-              <p className="text-gray-600">Please allow camera and microphone access in your browser</p>
+              <Camera className={`w-20 h-20 text-indigo-600 mx-auto mb-4 ${permissionsGranted ? '' : 'animate-pulse'}`} />
+              <h2 className="text-3xl font-bold text-gray-800 mb-2">
+                {permissionsGranted ? 'Device Check' : 'Camera & Microphone Access'}
+              </h2>
+              <p className="text-gray-600">
+                {permissionsGranted
+                  ? 'Choose your devices and make sure the interviewer can hear you'
+                  : 'Please allow camera and microphone access in your browser'}
+              </p>
             </div>
 
             {/* Video Preview */}
@@ -642,8 +1438,18 @@ const endInterview = () => {
               )}
             </div>
 
+            {/* Device Check */}
+            {permissionsGranted && stream && (
+              <DeviceCheck
+                stream={stream}
+                selection={deviceSelection}
+                onChange={handleDeviceChange}
+                onMicConfirmed={setIsMicConfirmed}
+              />
+            )}
+
             {/* Status */}
-            {callStatus && (
+            {callStatus && !permissionsGranted && (
               <div className="bg-indigo-50 border border-indigo-200 rounded-lg p-4 mb-6">
                 <p className="text-indigo-800 text-center font-semibold flex items-center justify-center gap-2">
                   <div className="w-2 h-2 bg-indigo-600 rounded-full animate-pulse"></div>
@@ -654,9 +1460,20 @@ const endInterview = () => {
 
             {/* Action Buttons */}
             <div className="flex gap-4">
+              {permissionsGranted && (
+                <button
+                  onClick={confirmDevices}
+                  disabled={!isMicConfirmed}
+                  className="flex-1 bg-indigo-600 text-white py-4 rounded-lg font-semibold text-lg hover:bg-indigo-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors flex items-center justify-center gap-2"
+                  title={isMicConfirmed ? undefined : 'Speak to confirm your microphone first'}
+                >
+                  <Mic className="w-5 h-5" />
+                  {isMicConfirmed ? (practice ? 'Start Practice' : 'Start Interview') : 'Waiting for microphone...'}
+                </button>
+              )}
               {!permissionsGranted && (
                 <button
-                  onClick={requestMediaPermissions}
+                  onClick={() => requestMediaPermissions()}
                   className="flex-1 bg-indigo-600 text-white py-4 rounded-lg font-semibold text-lg hover:bg-indigo-700 transition-colors flex items-center justify-center gap-2"
                 >
                   <Camera className="w-5 h-5" />
@@ -669,33 +1486,49 @@ const endInterview = () => {
                     stream.getTracks().forEach(track => track.stop());
                     setStream(null);
                   }
-                  setStep('setup');
+                  dispatch({ type: 'CANCEL' });
                   setPermissionsGranted(false);
                   setCallStatus('');
+                  if (practice) finishPractice();
                 }}
                 className="px-6 py-4 border-2 border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-50 transition-colors"
               >
                 Cancel
               </button>
             </div>
+            <p className="text-sm text-gray-500 text-center mt-4">
+              No camera or microphone?{' '}
+              <button onClick={switchToTextChat} className="text-indigo-600 font-semibold underline">
+                Continue in text chat
+              </button>
+            </p>
 
             {/* Info */}
-            <div className="mt-6 bg-blue-50 border border-blue-200 rounded-lg p-4">
-              <h3 className="font-semibold text-blue-900 mb-2">📌 Permission Popup Not Showing?</h3>
-              <ul className="text-sm text-blue-800 space-y-2">
-                <li>• <strong>Check the address bar:</strong> Look for a camera/microphone icon</li>
-                <li>• <strong>Browser settings:</strong> Ensure camera/mic aren't blocked for this site</li>
-                <li>• <strong>Click "Request Again"</strong> if the popup was accidentally closed</li>
-                <li>• <strong>Try a different browser</strong> if issues persist (Chrome works best)</li>
-              </ul>
-            </div>
+            {!permissionsGranted && (
+              <div className="mt-6 bg-blue-50 border border-blue-200 rounded-lg p-4">
+                <h3 className="font-semibold text-blue-900 mb-2">📌 Permission Popup Not Showing?</h3>
+                <ul className="text-sm text-blue-800 space-y-2">
+                  <li>• <strong>Check the address bar:</strong> Look for a camera/microphone icon</li>
+                  <li>• <strong>Browser settings:</strong> Ensure camera/mic aren't blocked for this site</li>
+                  <li>• <strong>Click "Request Again"</strong> if the popup was accidentally closed</li>
+                  <li>• <strong>Try a different browser</strong> if issues persist (Chrome works best)</li>
+                </ul>
+                <button onClick={exportClientLog} className="mt-3 text-sm text-blue-700 underline">
+                  Export a support log
+                </button>
+              </div>
+            )}
 
             <div className="mt-4 bg-green-50 border border-green-200 rounded-lg p-4">
               <h3 className="font-semibold text-green-900 mb-2">Why we need these permissions:</h3>
               <ul className="text-sm text-green-800 space-y-1">
-                <li>• <strong>Camera:</strong> To simulate a real face-to-face interview experience</li>
-                <li>• <strong>Microphone:</strong> To hear your responses and conduct voice conversation</li>
-                <li>• Your privacy is important - we don't record or store video/audio</li>
+                <li>• <strong>Camera:</strong> Shown only to you, to simulate a face-to-face interview. It is not sent anywhere</li>
+                <li>• <strong>Microphone:</strong> Your voice is streamed to the voice providers listed in the privacy notice and transcribed</li>
+                {recordingConsentAt ? (
+                  <li>• <strong>Recording:</strong> This session is recorded with your consent and stored only on this device</li>
+                ) : (
+                  <li>• <strong>Recording:</strong> Your camera and microphone are not recorded</li>
+                )}
               </ul>
             </div>
           </div>
@@ -703,145 +1536,411 @@ const endInterview = () => {
 
         {/* Interview Step */}
         {step === 'interview' && (
-          <div className="bg-white rounded-lg shadow-lg p-8">
-            {/* Header */}
-            <div className="flex items-center justify-between mb-6">
-              <div>
-                <h2 className="text-2xl font-bold text-gray-800">Interview in Progress</h2>
-                <p className="text-gray-600">Position: {jobRole}</p>
-              </div>
-              <div className="flex items-center gap-4">
-                <div className="flex items-center gap-2 text-gray-600">
-                  <Clock className="w-5 h-5" />
-                  <span className="font-mono text-lg">{formatTime(interviewDuration)}</span>
+          <div className="flex gap-6 items-start">
+            <div className="flex-1 min-w-0 bg-white rounded-lg shadow-lg p-8">
+              {/* Header */}
+              <div className="flex items-center justify-between mb-6">
+                <div>
+                  <h2 className="text-2xl font-bold text-gray-800">{practice ? 'Practice Round' : 'Interview in Progress'}</h2>
+                  <p className="text-gray-600">{practice ? `Question: ${practice.question}` : `Position: ${jobRole}`}</p>
+                  {panel && (
+                    <div className="flex flex-wrap items-center gap-2 mt-2 text-sm">
+                      <Users className="w-4 h-4 text-gray-500" />
+                      {panel.personas.map(persona => (
+                        <span
+                          key={persona.id}
+                          title={persona.focus}
+                          className={`px-2 py-0.5 rounded-full ${isCallActive && persona.id === activePersonaId ? 'bg-indigo-100 text-indigo-800 font-semibold' : 'bg-gray-100 text-gray-600'}`}
+                        >
+                          {personaLabel(persona)}
+                        </span>
+                      ))}
+                    </div>
+                  )}
                 </div>
-                {isCallActive && (
-                  <div className="flex items-center gap-2 text-green-600">
-                    <div className="w-3 h-3 bg-green-600 rounded-full animate-pulse" />
-                    <span className="font-semibold">Live</span>
+                <div className="flex items-center gap-4">
+                  <div className="flex items-center gap-2 text-gray-600">
+                    <Clock className="w-5 h-5" />
+                    <span className="font-mono text-lg">{formatTime(interviewDuration)}</span>
                   </div>
-                )}
+                  {proctoringEnabled && (
+                    <div
+                      className="flex items-center gap-1 text-sm text-gray-500"
+                      title={faceDetectionStatus === 'unavailable' ? 'Face detection could not be loaded' : undefined}
+                    >
+                      <ShieldAlert className="w-4 h-4" />
+                      {faceDetectionStatus === 'loading' ? 'Starting monitoring...' : 'Monitored'}
+                    </div>
+                  )}
+                  {isTextChat && (
+                    <div className="flex items-center gap-1 text-sm text-gray-500">
+                      <MessageSquare className="w-4 h-4" />
+                      Text chat
+                    </div>
+                  )}
+                  {isCallActive && (
+                    <div className="flex items-center gap-2 text-green-600">
+                      <div className="w-3 h-3 bg-green-600 rounded-full animate-pulse" aria-hidden="true" />
+                      <span className="font-semibold">Live<span className="sr-only"> call</span></span>
+                    </div>
+                  )}
+                  {interview.status === 'paused' && (
+                    <div className="flex items-center gap-2 text-amber-600">
+                      <Pause className="w-4 h-4" />
+                      <span className="font-semibold">Paused</span>
+                    </div>
+                  )}
+                  {interview.status === 'reconnecting' && (
+                    <div className="flex items-center gap-2 text-amber-600">
+                      <RefreshCw className="w-4 h-4 animate-spin" />
+                      <span className="font-semibold">Reconnecting</span>
+                    </div>
+                  )}
+                </div>
               </div>
-            </div>
 
-            {/* Video Preview */}
-            <div className="mb-6 bg-gray-900 rounded-lg overflow-hidden relative" style={{ height: '400px' }}>
-              <video
-                ref={videoRef}
-                autoPlay
-                playsInline
-                muted
-                className="w-full h-full object-cover"
-              />
-              {!isCameraEnabled && (
-                <div className="absolute inset-0 flex items-center justify-center bg-gray-800">
-                  <div className="text-center">
-                    <VideoOff className="w-16 h-16 text-gray-400 mx-auto mb-2" />
-                    <p className="text-gray-300">Camera is off</p>
-                  </div>
-                </div>
-              )}
+              {/* Pacing */}
+              <InterviewPacing budget={timeBudget} status={pacingStatus} jobRole={jobRole} />
+
+              {/* Video Preview */}
+              {!isTextChat && (
+                <div className="mb-6 bg-gray-900 rounded-lg overflow-hidden relative" style={{ height: '400px' }}>
+                  <video
+                    ref={videoRef}
+                    autoPlay
+                    playsInline
+                    muted
+                    className="w-full h-full object-cover"
+                  />
+                  {!isCameraEnabled && (
+                    <div className="absolute inset-0 flex items-center justify-center bg-gray-800">
+                      <div className="text-center">
+                        <VideoOff className="w-16 h-16 text-gray-400 mx-auto mb-2" />
+                        <p className="text-gray-300">Camera is off</p>
+                      </div>
+                    </div>
+                  )}
               
-              {/* Video Controls Overlay */}
-              <div className="absolute bottom-4 left-1/2 transform -translate-x-1/2 flex gap-3">
-                <button
-                  onClick={toggleMic}
-                  className={`p-4 rounded-full transition-colors ${
-                    isMicEnabled 
-                      ? 'bg-gray-700 hover:bg-gray-600 text-white' 
-                      : 'bg-red-600 hover:bg-red-700 text-white'
-                  }`}
-                  title={isMicEnabled ? 'Mute microphone' : 'Unmute microphone'}
-                >
-                  {isMicEnabled ? <Mic className="w-6 h-6" /> : <MicOff className="w-6 h-6" />}
-                </button>
+                  <CaptionOverlay caption={caption} size={captionSettings.size} />
+
+                  {/* Video Controls Overlay */}
+                  <div className="absolute bottom-4 left-1/2 transform -translate-x-1/2 flex gap-3">
+                    <button
+                      onClick={toggleMic}
+                      className={`p-4 rounded-full transition-colors ${
+                        isMicEnabled 
+                          ? 'bg-gray-700 hover:bg-gray-600 text-white' 
+                          : 'bg-red-600 hover:bg-red-700 text-white'
+                      }`}
+                      aria-label="Mute microphone"
+                      aria-pressed={!isMicEnabled}
+                      aria-keyshortcuts={shortcutKeys('mic')}
+                      title={`${isMicEnabled ? 'Mute microphone' : 'Unmute microphone'} (${shortcutKeys('mic')})`}
+                    >
+                      {isMicEnabled ? <Mic className="w-6 h-6" /> : <MicOff className="w-6 h-6" />}
+                    </button>
                 
-                <button
-                  onClick={toggleCamera}
-                  className={`p-4 rounded-full transition-colors ${
-                    isCameraEnabled 
-                      ? 'bg-gray-700 hover:bg-gray-600 text-white' 
-                      : 'bg-red-600 hover:bg-red-700 text-white'
-                  }`}
-                  title={isCameraEnabled ? 'Turn off camera' : 'Turn on camera'}
-                >
-                  {isCameraEnabled ? <Video className="w-6 h-6" /> : <VideoOff className="w-6 h-6" />}
-                </button>
-              </div>
+                    <button
+                      onClick={toggleCamera}
+                      className={`p-4 rounded-full transition-colors ${
+                        isCameraEnabled 
+                          ? 'bg-gray-700 hover:bg-gray-600 text-white' 
+                          : 'bg-red-600 hover:bg-red-700 text-white'
+                      }`}
+                      aria-label="Turn off camera"
+                      aria-pressed={!isCameraEnabled}
+                      aria-keyshortcuts={shortcutKeys('camera')}
+                      title={`${isCameraEnabled ? 'Turn off camera' : 'Turn on camera'} (${shortcutKeys('camera')})`}
+                    >
+                      {isCameraEnabled ? <Video className="w-6 h-6" /> : <VideoOff className="w-6 h-6" />}
+                    </button>
+
+                    <button
+                      onClick={toggleCaptions}
+                      className={`p-4 rounded-full transition-colors ${
+                        captionSettings.enabled
+                          ? 'bg-indigo-600 hover:bg-indigo-700 text-white'
+                          : 'bg-gray-700 hover:bg-gray-600 text-white'
+                      }`}
+                      aria-label="Captions"
+                      aria-pressed={captionSettings.enabled}
+                      aria-keyshortcuts={shortcutKeys('captions')}
+                      title={`${captionSettings.enabled ? 'Hide captions' : 'Show captions'} (${shortcutKeys('captions')})`}
+                    >
+                      <Subtitles className="w-6 h-6" />
+                    </button>
+                  </div>
 
-              {/* Status Badge */}
-              <div className="absolute top-4 left-4 flex gap-2">
-                {isMicEnabled && (
-                  <div className="bg-green-600 text-white px-3 py-1 rounded-full text-sm flex items-center gap-1">
-                    <Mic className="w-3 h-3" />
-                    Mic On
+                  {/* Caption size */}
+                  {captionSettings.enabled && (
+                    <div className="absolute top-4 right-4 flex items-center gap-1 bg-black bg-opacity-60 rounded-full px-2 py-1 text-white text-sm">
+                      <span className="px-1">Captions</span>
+                      <button
+                        onClick={() => resizeCaptions(-1)}
+                        disabled={captionSettings.size === CAPTION_SIZES[0].id}
+                        className="w-7 h-7 rounded-full hover:bg-white hover:bg-opacity-20 disabled:opacity-40 font-semibold"
+                        aria-label="Smaller captions"
+                        aria-keyshortcuts={shortcutKeys('caption-smaller')}
+                      >
+                        A-
+                      </button>
+                      <button
+                        onClick={() => resizeCaptions(1)}
+                        disabled={captionSettings.size === CAPTION_SIZES[CAPTION_SIZES.length - 1].id}
+                        className="w-7 h-7 rounded-full hover:bg-white hover:bg-opacity-20 disabled:opacity-40 font-semibold"
+                        aria-label="Larger captions"
+                        aria-keyshortcuts={shortcutKeys('caption-larger')}
+                      >
+                        A+
+                      </button>
+                    </div>
+                  )}
+
+                  {/* Status Badge (the buttons above carry the state for screen readers) */}
+                  <div className="absolute top-4 left-4 flex gap-2" aria-hidden="true">
+                    {isMicEnabled && (
+                      <div className="bg-green-600 text-white px-3 py-1 rounded-full text-sm flex items-center gap-1">
+                        <Mic className="w-3 h-3" />
+                        Mic On
+                      </div>
+                    )}
+                    {isCameraEnabled && (
+                      <div className="bg-blue-600 text-white px-3 py-1 rounded-full text-sm flex items-center gap-1">
+                        <Camera className="w-3 h-3" />
+                        Camera On
+                      </div>
+                    )}
                   </div>
+                </div>
+              )}
+
+              {/* Status */}
+              <div className={`rounded-lg p-4 mb-6 border ${
+                interview.status === 'failed' ? 'bg-red-50 border-red-200' : 'bg-gray-50 border-gray-200'
+              }`}>
+                <p className="text-gray-700 flex items-center gap-2">
+                  <MessageSquare className="w-5 h-5 text-indigo-600" />
+                  {INTERVIEW_STATUS_LABELS[interview.status]}
+                  {interview.status === 'reconnecting' && interview.reconnectAttempts > 0 && (
+                    <span className="text-sm text-gray-500">
+                      (attempt {interview.reconnectAttempts + 1} of {MAX_RECONNECT_ATTEMPTS})
+                    </span>
+                  )}
+                </p>
+                {interview.error && interview.status !== 'active' && (
+                  <p className="text-sm text-gray-500 mt-1">{interview.error}</p>
                 )}
-                {isCameraEnabled && (
-                  <div className="bg-blue-600 text-white px-3 py-1 rounded-full text-sm flex items-center gap-1">
-                    <Camera className="w-3 h-3" />
-                    Camera On
-                  </div>
+                {interview.status === 'failed' && (
+                  <button onClick={exportClientLog} className="mt-2 text-sm text-gray-600 underline">
+                    Export a support log
+                  </button>
+                )}
+                {interview.status === 'paused' && (
+                  <p className="text-sm text-gray-500 mt-1">The clock is stopped. Resume when you are ready and the interviewer will pick up where you left off.</p>
                 )}
               </div>
-            </div>
 
-            {/* Status */}
-            <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6">
-              <p className="text-gray-700 flex items-center gap-2">
-                <MessageSquare className="w-5 h-5 text-indigo-600" />
-                {callStatus}
-              </p>
-            </div>
+              {/* Live Coding */}
+              {codingEnabled && (
+                <CodingPanel
+                  exercise={codingExercise}
+                  code={code}
+                  onChange={setCode}
+                  onShare={shareCode}
+                  onRunTests={runTests}
+                  testRun={testRun}
+                  isRunning={isRunningTests}
+                  hasUnsharedChanges={code !== sharedCode}
+                  disabled={!isCallActive}
+                />
+              )}
 
-            {/* Transcript */}
-            <div className="bg-gray-50 rounded-lg p-4 mb-6 h-64 overflow-y-auto">
-              <h3 className="font-semibold text-gray-700 mb-3">Live Transcript</h3>
-              {transcript.length === 0 ? (
-                <p className="text-gray-500 text-center py-8">Waiting for conversation to start...</p>
+              {/* Transcript, or the chat that produces it */}
+              {isTextChat ? (
+                <TextChatPanel
+                  turns={liveTurns}
+                  typingSpeaker={isInterviewerTyping ? transcriptState.assistantSpeaker || SPEAKER_LABELS.assistant : null}
+                  onSend={sendChatMessage}
+                  disabled={!isCallActive}
+                />
               ) : (
-                <div className="space-y-3">
-                  {transcript.map((item, idx) => (
-                    <div key={idx} className={`p-3 rounded-lg ${item.speaker === 'Interviewer' ? 'bg-indigo-50' : 'bg-white border border-gray-200'}`}>
-                      <p className="font-semibold text-sm text-gray-700 mb-1">{item.speaker}</p>
-                      <p className="text-gray-800">{item.text}</p>
+                <div ref={liveTranscriptRef} className="bg-gray-50 rounded-lg p-4 mb-6 h-64 overflow-y-auto" role="region" aria-label="Live transcript" tabIndex={0}>
+                  <h3 className="font-semibold text-gray-700 mb-3">Live Transcript</h3>
+                  {liveTurns.length === 0 ? (
+                    <p className="text-gray-500 text-center py-8">Waiting for conversation to start...</p>
+                  ) : (
+                    <div className="space-y-3">
+                      {liveTurns.map((item, idx) => (
+                        <div key={idx} className={`p-3 rounded-lg ${item.speaker === 'You' ? 'bg-white border border-gray-200' : 'bg-indigo-50'}`}>
+                          <p className="font-semibold text-sm text-gray-700 mb-1">
+                            {item.speaker}
+                            {item.startSeconds !== null && item.startSeconds !== undefined && (
+                              <span className="ml-2 font-mono text-xs text-gray-400">{formatTime(Math.floor(item.startSeconds))}</span>
+                            )}
+                          </p>
+                          {item.kind === 'code' ? (
+                            <pre className="bg-gray-900 text-gray-100 rounded p-2 text-xs overflow-x-auto">{item.text}</pre>
+                          ) : (
+                            <p className="text-gray-800">
+                              {item.text}
+                              {item.pendingText && (
+                                <span className="text-gray-400 italic">{item.text ? ' ' : ''}{item.pendingText}</span>
+                              )}
+                            </p>
+                          )}
+                        </div>
+                      ))}
                     </div>
-                  ))}
+                  )}
                 </div>
               )}
+
+              {/* Control Buttons */}
+              <div className="flex gap-4">
+                {isCallActive && (
+                  <button
+                    onClick={pauseInterview}
+                    aria-keyshortcuts={shortcutKeys('pause')}
+                    className="px-6 py-3 border-2 border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-50 transition-colors flex items-center gap-2"
+                  >
+                    <Pause className="w-5 h-5" />
+                    Pause
+                  </button>
+                )}
+                {interview.status === 'paused' && (
+                  <button
+                    onClick={() => dispatch({ type: 'RESUME' })}
+                    aria-keyshortcuts={shortcutKeys('pause')}
+                    className="px-6 py-3 bg-indigo-600 text-white rounded-lg font-semibold hover:bg-indigo-700 transition-colors flex items-center gap-2"
+                  >
+                    <Play className="w-5 h-5" />
+                    Resume
+                  </button>
+                )}
+                {interview.status === 'failed' && (
+                  <button
+                    onClick={() => dispatch({ type: 'RETRY' })}
+                    className="px-6 py-3 bg-indigo-600 text-white rounded-lg font-semibold hover:bg-indigo-700 transition-colors flex items-center gap-2"
+                  >
+                    <RefreshCw className="w-5 h-5" />
+                    Try Again
+                  </button>
+                )}
+                {interview.status === 'failed' && !isTextChat && (
+                  <button
+                    onClick={switchToTextChat}
+                    className="px-6 py-3 border-2 border-indigo-200 text-indigo-700 rounded-lg font-semibold hover:bg-indigo-50 transition-colors flex items-center gap-2"
+                  >
+                    <MessageSquare className="w-5 h-5" />
+                    Switch to Text Chat
+                  </button>
+                )}
+                <button
+                  onClick={endInterview}
+                  aria-keyshortcuts={shortcutKeys('end')}
+                  className="flex-1 bg-red-600 text-white py-3 rounded-lg font-semibold hover:bg-red-700 transition-colors flex items-center justify-center gap-2"
+                >
+                  <MicOff className="w-5 h-5" />
+                  End Interview
+                </button>
+              </div>
+
+              <KeyboardShortcuts />
             </div>
+            {showCoverageSidebar && (
+              <aside className="w-80 flex-shrink-0 sticky top-6 bg-white rounded-lg shadow-lg p-4">
+                <CoverageChecklist items={coverageItems} />
+              </aside>
+            )}
+          </div>
+        )}
 
-            {/* Control Buttons */}
-            <div className="flex gap-4">
+        {/* History Step */}
+        {step === 'history' && (
+          <SessionHistory
+            onOpen={openSavedSession}
+            onBack={resetInterview}
+          />
+        )}
+
+        {/* Candidate Completed Step */}
+        {invitationToken && step === 'completed' && (
+          <div className="bg-white rounded-lg shadow-lg p-8 text-center">
+            <CheckCircle className="w-16 h-16 text-green-600 mx-auto mb-4" />
+            <h2 className="text-3xl font-bold text-gray-800 mb-2">Thank you{invitation ? `, ${invitation.candidateName}` : ''}!</h2>
+            <p className="text-gray-600 mb-2">Your interview is complete ({formatTime(interviewDuration)}).</p>
+            <p className="text-gray-600">The hiring team will review it and follow up with next steps. You can close this tab.</p>
+            {isDataDeleted ? (
+              <p className="text-sm text-gray-500 mt-6">Your resume, transcript and evaluation have been deleted.</p>
+            ) : (
               <button
-                onClick={endInterview}
-                className="flex-1 bg-red-600 text-white py-3 rounded-lg font-semibold hover:bg-red-700 transition-colors flex items-center justify-center gap-2"
+                onClick={deleteMyData}
+                className="mt-6 px-4 py-2 border-2 border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-50 transition-colors inline-flex items-center gap-2"
               >
-                <MicOff className="w-5 h-5" />
-                End Interview
+                <Trash2 className="w-4 h-4" />
+                Delete My Data
               </button>
+            )}
+            {resultsError && !isDataDeleted && (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-4 mt-6 text-left">
+                <p className="text-sm text-red-800 mb-3">Your interview could not be submitted: {resultsError}</p>
+                <button
+                  onClick={reportResults}
+                  className="px-4 py-2 bg-red-600 text-white rounded-lg font-semibold hover:bg-red-700 transition-colors flex items-center gap-2"
+                >
+                  <RefreshCw className="w-4 h-4" />
+                  Try Again
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Practice Round Completed */}
+        {!invitationToken && step === 'completed' && practice && (
+          <div className="bg-white rounded-lg shadow-lg p-8">
+            <div className="text-center mb-8">
+              <CheckCircle className="w-16 h-16 text-green-600 mx-auto mb-4" />
+              <h2 className="text-3xl font-bold text-gray-800 mb-2">Practice Round Complete</h2>
+              <p className="text-gray-600">{practice.question}</p>
             </div>
 
-            {/* Setup Instructions */}
-            <div className="mt-6 bg-yellow-50 border border-yellow-200 rounded-lg p-4">
-              <h3 className="font-semibold text-yellow-900 mb-2">⚙️ Configuration Required:</h3>
-              <p className="text-sm text-yellow-800">
-                To activate voice calls, you need to:
-                <br />1. Sign up at <a href="https://vapi.ai" target="_blank" className="underline">vapi.ai</a>
-                <br />2. Get your Public API Key
-                <br />3. Add it to the code in the startInterview function
-                <br />4. The AI will then conduct live voice interviews!
-              </p>
+            <CoachingReport
+              transcript={transcript}
+              coaching={coaching}
+              isLoading={isCoaching}
+              error={coachingError}
+              onSuggest={coachInterview}
+              previousAnswer={practice.previousAnswer}
+            />
+
+            <div className="flex gap-4">
+              <button
+                onClick={finishPractice}
+                className="px-6 py-3 border-2 border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-50 transition-colors flex items-center gap-2"
+              >
+                <ArrowLeft className="w-4 h-4" />
+                Back to Interview Report
+              </button>
+              <button
+                onClick={() => startPractice(practice.previousAnswer)}
+                className="flex-1 bg-indigo-600 text-white py-3 rounded-lg font-semibold hover:bg-indigo-700 transition-colors flex items-center justify-center gap-2"
+              >
+                <Repeat className="w-4 h-4" />
+                Practice Again
+              </button>
             </div>
           </div>
         )}
 
         {/* Completed Step */}
-        {step === 'completed' && (
+        {!invitationToken && step === 'completed' && !practice && (
           <div className="bg-white rounded-lg shadow-lg p-8">
             <div className="text-center mb-8">
               <CheckCircle className="w-16 h-16 text-green-600 mx-auto mb-4" />
-              <h2 className="text-3xl font-bold text-gray-800 mb-2">Interview Completed!</h2>
+              <h2 className="text-3xl font-bold text-gray-800 mb-2">
+                {isSavedSession ? 'Saved Interview' : 'Interview Completed!'}
+              </h2>
               <p className="text-gray-600">Duration: {formatTime(interviewDuration)}</p>
             </div>
 
@@ -852,24 +1951,121 @@ const endInterview = () => {
                 <p><span className="font-semibold">Position:</span> {jobRole}</p>
                 <p><span className="font-semibold">Total Messages:</span> {transcript.length}</p>
                 <p><span className="font-semibold">Duration:</span> {formatTime(interviewDuration)}</p>
+                <p><span className="font-semibold">Consent:</span> {describeConsent(consent)}</p>
               </div>
             </div>
 
+            {/* Scorecard */}
+            <Scorecard
+              scorecard={scorecard}
+              isLoading={isScoring}
+              error={scorecardError}
+              onRetry={() => evaluateInterview()}
+            />
+
+            {/* Coaching: only sessions with a consent record can start a practice call */}
+            <CoachingReport
+              transcript={transcript}
+              coaching={coaching}
+              isLoading={isCoaching}
+              error={coachingError}
+              onSuggest={coachInterview}
+              onPractice={consent ? startPractice : null}
+            />
+
+            {/* Coverage of resume claims and role skills */}
+            <CoverageChecklist items={coverageItems} />
+
+            {/* Integrity Signals */}
+            <ProctoringSummary events={proctoringEvents} />
+
+            {/* Final Code */}
+            {finalCode && (
+              <div className="bg-gray-50 rounded-lg p-6 mb-6">
+                <h3 className="font-semibold text-gray-800 mb-1">Final Code</h3>
+                {codingExercise && (
+                  <p className="text-sm text-gray-600 mb-3">{codingExercise.title} ({finalCode.language || codingExercise.language})</p>
+                )}
+                <pre className="bg-gray-900 text-gray-100 rounded-lg p-4 text-sm overflow-x-auto">{finalCode.text}</pre>
+              </div>
+            )}
+
+            {/* Recording Playback */}
+            <RecordingPlayer ref={playbackRef} recording={recording} />
+
+            {/* Transcript Export */}
+            <TranscriptExport
+              report={buildTranscriptReport({
+                sessionId,
+                jobRole,
+                candidateName: candidateProfile.contact.name,
+                templateName: template.name,
+                durationSeconds: interviewDuration,
+                transcript,
+                scorecard,
+                completedAt
+              })}
+            />
+
             {/* Full Transcript */}
             <div className="bg-gray-50 rounded-lg p-6 mb-6 max-h-96 overflow-y-auto">
               <h3 className="font-semibold text-gray-800 mb-3">Full Transcript</h3>
               <div className="space-y-3">
-                {transcript.map((item, idx) => (
-                  <div key={idx} className={`p-3 rounded-lg ${item.speaker === 'Interviewer' ? 'bg-indigo-50' : 'bg-white border border-gray-200'}`}>
-                    <p className="font-semibold text-sm text-gray-700 mb-1">{item.speaker}</p>
-                    <p className="text-gray-800">{item.text}</p>
-                  </div>
-                ))}
+                {interleaveSignals(transcript, proctoringEvents).map(({ turn: item, index: idx, signal }, position) => {
+                  if (signal) {
+                    return (
+                      <p key={`signal-${position}`} className="text-xs text-yellow-800 bg-yellow-50 rounded px-3 py-1">
+                        <span className="font-mono mr-2">{formatTime(signal.startSeconds)}</span>
+                        {describeSignal(signal)}
+                      </p>
+                    );
+                  }
+                  const offset = recordingOffsetSeconds(recording, item.timestamp);
+                  const canSeek = offset !== null;
+                  return (
+                    <div
+                      key={idx}
+                      onClick={canSeek ? () => playbackRef.current && playbackRef.current.seekTo(offset) : undefined}
+                      className={`p-3 rounded-lg ${item.speaker === 'You' ? 'bg-white border border-gray-200' : 'bg-indigo-50'} ${
+                        canSeek ? 'cursor-pointer hover:ring-2 hover:ring-indigo-300' : ''
+                      }`}
+                      title={canSeek ? `Play from ${formatTime(Math.floor(offset))}` : undefined}
+                    >
+                      <p className="font-semibold text-sm text-gray-700 mb-1">
+                        {item.speaker}
+                        {canSeek && <span className="ml-2 font-mono text-xs text-indigo-500">{formatTime(Math.floor(offset))}</span>}
+                      </p>
+                      {item.kind === 'code' ? (
+                        <pre className="bg-gray-900 text-gray-100 rounded p-2 text-xs overflow-x-auto">{item.text}</pre>
+                      ) : (
+                        <p className="text-gray-800">{item.text}</p>
+                      )}
+                    </div>
+                  );
+                })}
               </div>
             </div>
 
             {/* Action Buttons */}
             <div className="flex gap-4">
+              {isSavedSession && (
+                <button
+                  onClick={() => {
+                    resetInterview();
+                    dispatch({ type: 'OPEN_HISTORY' });
+                  }}
+                  className="px-6 py-3 border-2 border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-50 transition-colors"
+                >
+                  Back to History
+                </button>
+              )}
+              <button
+                onClick={deleteMyData}
+                className="px-6 py-3 border-2 border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-50 transition-colors flex items-center gap-2"
+              >
+                <Trash2 className="w-4 h-4" />
+                Delete My Data
+              </button>
               <button
                 onClick={resetInterview}
                 className="flex-1 bg-indigo-600 text-white py-3 rounded-lg font-semibold hover:bg-indigo-700 transition-colors"
@@ -0,0 +1,20 @@
+import React from 'react';
+import { Briefcase } from 'lucide-react';
+
+// Page header shared by the interview app and the recruiter dashboard; actions go on the right.
+const AppHeader = ({ children }) => (
+  <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+    <div className="flex items-center justify-between gap-3">
+      <div className="flex items-center gap-3">
+        <Briefcase className="w-8 h-8 text-indigo-600" />
+        <div>
+          <h1 className="text-3xl font-bold text-gray-800">AI Interview Assistant</h1>
+          <p className="text-gray-600">Powered by Miracle Corporate Solutions</p>
+        </div>
+      </div>
+      {children && <div className="flex gap-2">{children}</div>}
+    </div>
+  </div>
+);
+
+export default AppHeader;
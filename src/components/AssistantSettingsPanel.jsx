@@ -0,0 +1,258 @@
+import React, { useEffect, useState } from 'react';
+import { SlidersHorizontal, ChevronDown, ChevronUp, Save, Trash2, UserPlus, X } from 'lucide-react';
+import {
+  MODEL_OPTIONS,
+  VOICE_OPTIONS,
+  TRANSCRIBER_OPTIONS,
+  LANGUAGE_OPTIONS,
+  BUILT_IN_PRESETS,
+  MIN_PANEL_PERSONAS,
+  MAX_PANEL_PERSONAS,
+  DEFAULT_PANEL,
+  createPanelPersona,
+  createPreset,
+  isSameSettings,
+  loadCustomPresets,
+  saveCustomPresets
+} from '../lib/assistantSettings';
+
+const fieldClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+const SettingSelect = ({ label, value, options, onChange }) => (
+  <label className="block">
+    <span className="block text-xs font-semibold text-gray-600 mb-1">{label}</span>
+    <select value={value} onChange={(e) => onChange(e.target.value)} className={fieldClass}>
+      {options.map(option => (
+        <option key={option.id} value={option.id}>{option.label}</option>
+      ))}
+    </select>
+  </label>
+);
+
+// Two or three interviewer personas taking turns, each with its own voice
+const PanelEditor = ({ panel, onChange }) => {
+  const updatePersona = (idx, field, value) => onChange({
+    ...panel,
+    personas: panel.personas.map((persona, i) => (i === idx ? { ...persona, [field]: value } : persona))
+  });
+
+  return (
+    <div className="border-t border-gray-200 pt-4">
+      <label className="flex items-center gap-2 text-sm font-semibold text-gray-700 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={panel.enabled}
+          onChange={(e) => onChange({ ...panel, enabled: e.target.checked })}
+          className="w-4 h-4"
+        />
+        Panel interview
+      </label>
+      <p className="text-xs text-gray-500 mt-1">
+        {MIN_PANEL_PERSONAS} or {MAX_PANEL_PERSONAS} interviewers take turns, each with their own voice and focus.
+        The transcript is labelled with each panelist's name. Practice rounds always use a single interviewer.
+      </p>
+
+      {panel.enabled && (
+        <div className="space-y-3 mt-3">
+          {panel.personas.map((persona, idx) => (
+            <div key={persona.id} className="border border-gray-200 rounded-lg p-3 space-y-2">
+              <div className="flex items-center gap-2">
+                <input
+                  type="text"
+                  value={persona.name}
+                  onChange={(e) => updatePersona(idx, 'name', e.target.value)}
+                  placeholder="Name"
+                  maxLength={40}
+                  className={fieldClass}
+                />
+                <input
+                  type="text"
+                  value={persona.title}
+                  onChange={(e) => updatePersona(idx, 'title', e.target.value)}
+                  placeholder="Title, e.g. Hiring Manager"
+                  maxLength={60}
+                  className={fieldClass}
+                />
+                {panel.personas.length > MIN_PANEL_PERSONAS && (
+                  <button
+                    type="button"
+                    onClick={() => onChange({ ...panel, personas: panel.personas.filter((_, i) => i !== idx) })}
+                    className="text-gray-400 hover:text-red-600"
+                    title="Remove panelist"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+              <textarea
+                value={persona.focus}
+                onChange={(e) => updatePersona(idx, 'focus', e.target.value)}
+                placeholder="What this panelist asks about"
+                maxLength={400}
+                rows={2}
+                className={fieldClass}
+              />
+              <SettingSelect
+                label="Voice"
+                value={persona.voiceId}
+                options={VOICE_OPTIONS}
+                onChange={(value) => updatePersona(idx, 'voiceId', value)}
+              />
+            </div>
+          ))}
+          {panel.personas.length < MAX_PANEL_PERSONAS && (
+            <button
+              type="button"
+              onClick={() => onChange({ ...panel, personas: [...panel.personas, createPanelPersona(panel.personas)] })}
+              className="flex items-center gap-1 text-sm text-indigo-600 hover:text-indigo-700 font-semibold"
+            >
+              <UserPlus className="w-4 h-4" />
+              Add panelist
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const AssistantSettingsPanel = ({ settings, onChange }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [customPresets, setCustomPresets] = useState(loadCustomPresets);
+
+  useEffect(() => {
+    saveCustomPresets(customPresets);
+  }, [customPresets]);
+
+  const presets = [...BUILT_IN_PRESETS, ...customPresets];
+  const activePreset = presets.find(preset => isSameSettings(preset.settings, settings));
+  const languageOptions = LANGUAGE_OPTIONS.map(language => ({ id: language.code, label: language.label }));
+
+  const update = (field, value) => onChange({ ...settings, [field]: value });
+
+  const savePreset = () => {
+    const name = window.prompt('Preset name', activePreset ? '' : 'My preset');
+    if (!name || !name.trim()) return;
+    const preset = createPreset(name, settings);
+    setCustomPresets(prev => [...prev.filter(p => p.name !== preset.name), preset]);
+  };
+
+  const deletePreset = (preset) => {
+    if (window.confirm(`Delete preset "${preset.name}"?`)) {
+      setCustomPresets(prev => prev.filter(p => p.id !== preset.id));
+    }
+  };
+
+  const panel = settings.panel || DEFAULT_PANEL;
+
+  const summary = [
+    MODEL_OPTIONS.find(o => o.id === settings.modelId)?.label,
+    LANGUAGE_OPTIONS.find(o => o.code === settings.language)?.label,
+    panel.enabled ? `Panel of ${panel.personas.length}` : ''
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <div className="mb-6 border border-gray-200 rounded-lg">
+      <button
+        type="button"
+        onClick={() => setIsOpen(open => !open)}
+        className="w-full flex items-center justify-between px-4 py-3 text-sm font-semibold text-gray-700 hover:bg-gray-50 rounded-lg"
+      >
+        <span className="flex items-center gap-2">
+          <SlidersHorizontal className="w-4 h-4" />
+          Assistant Settings
+          <span className="font-normal text-gray-500">
+            {activePreset ? activePreset.name : summary}
+          </span>
+        </span>
+        {isOpen ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+      </button>
+
+      {isOpen && (
+        <div className="px-4 pb-4 space-y-4">
+          <div>
+            <span className="block text-xs font-semibold text-gray-600 mb-1">Presets</span>
+            <div className="flex flex-wrap gap-2">
+              {presets.map(preset => {
+                const isActive = activePreset && activePreset.id === preset.id;
+                const isCustom = customPresets.includes(preset);
+                return (
+                  <span
+                    key={preset.id}
+                    className={`flex items-center rounded-full border text-sm ${isActive ? 'border-indigo-500 bg-indigo-50 text-indigo-700' : 'border-gray-300 text-gray-700'}`}
+                  >
+                    <button
+                      type="button"
+                      onClick={() => onChange(preset.settings)}
+                      className="px-3 py-1"
+                    >
+                      {preset.name}
+                    </button>
+                    {isCustom && (
+                      <button
+                        type="button"
+                        onClick={() => deletePreset(preset)}
+                        className="pr-2 text-gray-400 hover:text-red-600"
+                        title="Delete preset"
+                      >
+                        <Trash2 className="w-3 h-3" />
+                      </button>
+                    )}
+                  </span>
+                );
+              })}
+              {!activePreset && (
+                <button
+                  type="button"
+                  onClick={savePreset}
+                  className="flex items-center gap-1 px-3 py-1 text-sm text-indigo-600 hover:text-indigo-700 font-semibold"
+                >
+                  <Save className="w-3 h-3" />
+                  Save as preset
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className="grid md:grid-cols-2 gap-4">
+            <SettingSelect
+              label="Language"
+              value={settings.language}
+              options={languageOptions}
+              onChange={(value) => update('language', value)}
+            />
+            <SettingSelect
+              label="Model"
+              value={settings.modelId}
+              options={MODEL_OPTIONS}
+              onChange={(value) => update('modelId', value)}
+            />
+            <SettingSelect
+              label={panel.enabled ? 'Voice (practice rounds)' : 'Voice'}
+              value={settings.voiceId}
+              options={VOICE_OPTIONS}
+              onChange={(value) => update('voiceId', value)}
+            />
+            <SettingSelect
+              label="Transcriber"
+              value={settings.transcriberId}
+              options={TRANSCRIBER_OPTIONS}
+              onChange={(value) => update('transcriberId', value)}
+            />
+          </div>
+
+          {settings.language !== 'en' && (
+            <p className="text-xs text-gray-500">
+              The greeting and interview are conducted in {LANGUAGE_OPTIONS.find(o => o.code === settings.language)?.label}.
+              ElevenLabs voices are multilingual; Azure voices only speak their listed language.
+            </p>
+          )}
+
+          <PanelEditor panel={panel} onChange={(value) => update('panel', value)} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AssistantSettingsPanel;
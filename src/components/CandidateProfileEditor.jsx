@@ -0,0 +1,242 @@
+import React from 'react';
+import { User, Plus, Trash2, RefreshCw } from 'lucide-react';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+const CONTACT_FIELDS = [
+  ['name', 'Name'],
+  ['email', 'Email'],
+  ['phone', 'Phone'],
+  ['location', 'Location'],
+  ['linkedin', 'LinkedIn'],
+  ['github', 'GitHub']
+];
+
+const EMPTY_ENTRIES = {
+  workHistory: { title: '', company: '', startDate: '', endDate: '', highlights: [] },
+  education: { degree: '', institution: '', dates: '' },
+  projects: { name: '', description: '' }
+};
+
+const SectionHeader = ({ title, onAdd }) => (
+  <div className="flex items-center justify-between mb-2">
+    <p className="font-semibold text-gray-800">{title}</p>
+    {onAdd && (
+      <button
+        type="button"
+        onClick={onAdd}
+        className="text-indigo-600 hover:text-indigo-700 text-sm font-semibold flex items-center gap-1"
+      >
+        <Plus className="w-4 h-4" />
+        Add
+      </button>
+    )}
+  </div>
+);
+
+const RemoveButton = ({ onClick }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    className="p-2 text-gray-400 hover:text-red-600 transition-colors"
+    title="Remove"
+  >
+    <Trash2 className="w-4 h-4" />
+  </button>
+);
+
+const CandidateProfileEditor = ({ profile, onChange, onReparse }) => {
+  const updateContact = (field, value) => {
+    onChange({ ...profile, contact: { ...profile.contact, [field]: value } });
+  };
+
+  const updateEntry = (section, index, field, value) => {
+    const entries = profile[section].map((entry, idx) => (idx === index ? { ...entry, [field]: value } : entry));
+    onChange({ ...profile, [section]: entries });
+  };
+
+  const addEntry = (section) => {
+    onChange({ ...profile, [section]: [...profile[section], { ...EMPTY_ENTRIES[section] }] });
+  };
+
+  const removeEntry = (section, index) => {
+    onChange({ ...profile, [section]: profile[section].filter((_, idx) => idx !== index) });
+  };
+
+  return (
+    <div className="mt-3 border border-gray-200 rounded-lg p-4 space-y-5">
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold text-gray-800 flex items-center gap-2">
+          <User className="w-4 h-4 text-indigo-600" />
+          Candidate Profile
+        </h3>
+        <button
+          type="button"
+          onClick={onReparse}
+          className="text-sm text-indigo-600 hover:text-indigo-700 font-semibold flex items-center gap-1"
+          title="Discard edits and parse the resume text again"
+        >
+          <RefreshCw className="w-4 h-4" />
+          Re-parse resume
+        </button>
+      </div>
+      <p className="text-sm text-gray-500">
+        Review what was extracted from the resume. The interviewer receives this profile instead of the raw text.
+      </p>
+
+      {/* Contact */}
+      <div>
+        <SectionHeader title="Contact" />
+        <div className="grid grid-cols-2 gap-3">
+          {CONTACT_FIELDS.map(([field, label]) => (
+            <input
+              key={field}
+              type="text"
+              value={profile.contact[field]}
+              onChange={(e) => updateContact(field, e.target.value)}
+              placeholder={label}
+              className={inputClass}
+            />
+          ))}
+        </div>
+      </div>
+
+      {/* Skills */}
+      <div>
+        <SectionHeader title="Skills" />
+        <input
+          type="text"
+          value={profile.skills.join(', ')}
+          onChange={(e) => onChange({
+            ...profile,
+            skills: e.target.value.split(',').map(skill => skill.trimStart())
+          })}
+          onBlur={() => onChange({ ...profile, skills: profile.skills.map(skill => skill.trim()).filter(Boolean) })}
+          placeholder="Comma-separated skills"
+          className={inputClass}
+        />
+      </div>
+
+      {/* Work History */}
+      <div>
+        <SectionHeader title="Work History" onAdd={() => addEntry('workHistory')} />
+        {profile.workHistory.length === 0 && (
+          <p className="text-sm text-gray-500">No roles detected.</p>
+        )}
+        <div className="space-y-3">
+          {profile.workHistory.map((job, idx) => (
+            <div key={idx} className="bg-gray-50 rounded-lg p-3">
+              <div className="flex gap-2 mb-2">
+                <input
+                  type="text"
+                  value={job.title}
+                  onChange={(e) => updateEntry('workHistory', idx, 'title', e.target.value)}
+                  placeholder="Title"
+                  className={inputClass}
+                />
+                <input
+                  type="text"
+                  value={job.company}
+                  onChange={(e) => updateEntry('workHistory', idx, 'company', e.target.value)}
+                  placeholder="Company"
+                  className={inputClass}
+                />
+                <RemoveButton onClick={() => removeEntry('workHistory', idx)} />
+              </div>
+              <div className="flex gap-2 mb-2">
+                <input
+                  type="text"
+                  value={job.startDate}
+                  onChange={(e) => updateEntry('workHistory', idx, 'startDate', e.target.value)}
+                  placeholder="Start"
+                  className={inputClass}
+                />
+                <input
+                  type="text"
+                  value={job.endDate}
+                  onChange={(e) => updateEntry('workHistory', idx, 'endDate', e.target.value)}
+                  placeholder="End"
+                  className={inputClass}
+                />
+              </div>
+              <textarea
+                value={job.highlights.join('\n')}
+                onChange={(e) => updateEntry('workHistory', idx, 'highlights', e.target.value.split('\n'))}
+                placeholder="One highlight per line"
+                rows="2"
+                className={inputClass}
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Education */}
+      <div>
+        <SectionHeader title="Education" onAdd={() => addEntry('education')} />
+        {profile.education.length === 0 && (
+          <p className="text-sm text-gray-500">No education detected.</p>
+        )}
+        <div className="space-y-2">
+          {profile.education.map((entry, idx) => (
+            <div key={idx} className="flex gap-2">
+              <input
+                type="text"
+                value={entry.degree}
+                onChange={(e) => updateEntry('education', idx, 'degree', e.target.value)}
+                placeholder="Degree"
+                className={inputClass}
+              />
+              <input
+                type="text"
+                value={entry.institution}
+                onChange={(e) => updateEntry('education', idx, 'institution', e.target.value)}
+                placeholder="Institution"
+                className={inputClass}
+              />
+              <input
+                type="text"
+                value={entry.dates}
+                onChange={(e) => updateEntry('education', idx, 'dates', e.target.value)}
+                placeholder="Dates"
+                className={`${inputClass} max-w-[8rem]`}
+              />
+              <RemoveButton onClick={() => removeEntry('education', idx)} />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Projects */}
+      <div>
+        <SectionHeader title="Projects" onAdd={() => addEntry('projects')} />
+        {profile.projects.length === 0 && (
+          <p className="text-sm text-gray-500">No projects detected.</p>
+        )}
+        <div className="space-y-2">
+          {profile.projects.map((project, idx) => (
+            <div key={idx} className="flex gap-2">
+              <input
+                type="text"
+                value={project.name}
+                onChange={(e) => updateEntry('projects', idx, 'name', e.target.value)}
+                placeholder="Project"
+                className={`${inputClass} max-w-[12rem]`}
+              />
+              <input
+                type="text"
+                value={project.description}
+                onChange={(e) => updateEntry('projects', idx, 'description', e.target.value)}
+                placeholder="Description"
+                className={inputClass}
+              />
+              <RemoveButton onClick={() => removeEntry('projects', idx)} />
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CandidateProfileEditor;
@@ -0,0 +1,21 @@
+import React from 'react';
+import { CAPTION_SIZES } from '../lib/accessibility';
+
+// Large captions of the interviewer's speech over the camera preview. Screen
+// readers get the same words from the live announcer, so this stays hidden
+// from them.
+const CaptionOverlay = ({ caption, size }) => {
+  if (!caption) return null;
+  const sizeClass = (CAPTION_SIZES.find(item => item.id === size) || CAPTION_SIZES[0]).className;
+
+  return (
+    <div className="absolute inset-x-4 bottom-24 flex justify-center pointer-events-none" aria-hidden="true">
+      <div className="max-w-full bg-black bg-opacity-75 text-white rounded-lg px-4 py-2 text-center">
+        <p className="text-sm font-semibold text-gray-300">{caption.speaker}</p>
+        <p className={`${sizeClass} font-semibold leading-snug`}>{caption.text}</p>
+      </div>
+    </div>
+  );
+};
+
+export default CaptionOverlay;
@@ -0,0 +1,172 @@
+import React, { useMemo } from 'react';
+import { GraduationCap, Lightbulb, Repeat, RefreshCw, Sparkles } from 'lucide-react';
+import { analyzeAnswers, summarizeCoaching, STAR_PARTS } from '../lib/coaching';
+import { formatTime } from '../lib/format';
+
+const PACE_LABELS = {
+  slow: 'a little slow',
+  good: 'a good pace',
+  fast: 'too fast',
+  unknown: 'not measured'
+};
+
+const LENGTH_LABELS = {
+  short: 'Short',
+  good: 'Good length',
+  long: 'Long'
+};
+
+const ratingClass = (rating) => (rating === 'good'
+  ? 'bg-green-100 text-green-800'
+  : rating === 'unknown' ? 'bg-gray-100 text-gray-700' : 'bg-yellow-100 text-yellow-800');
+
+const describeAnswer = (answer) =>
+  `${answer.wordCount} words${answer.wordsPerMinute !== null ? `, ${answer.wordsPerMinute} wpm` : ''}, ${answer.fillerCount} filler${answer.fillerCount === 1 ? '' : 's'}`;
+
+// Candidate-facing feedback on the "You" turns: pace, fillers, length and STAR
+// structure per question, with improved answers from the coach on request.
+// previousAnswer is the earlier attempt when this is a practice round.
+const CoachingReport = ({ transcript, coaching, isLoading, error, onSuggest, onPractice, previousAnswer }) => {
+  const answers = useMemo(() => analyzeAnswers(transcript), [transcript]);
+  const summary = useMemo(() => summarizeCoaching(answers), [answers]);
+  const suggestions = coaching ? coaching.suggestions : {};
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-6 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-semibold text-gray-800 flex items-center gap-2">
+          <GraduationCap className="w-5 h-5 text-indigo-600" />
+          Coaching Report
+        </h3>
+        {answers.length > 0 && !coaching && !isLoading && !error && (
+          <button
+            onClick={onSuggest}
+            className="px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm font-semibold hover:bg-indigo-700 transition-colors flex items-center gap-2"
+          >
+            <Sparkles className="w-4 h-4" />
+            Suggest Improved Answers
+          </button>
+        )}
+      </div>
+
+      {answers.length === 0 ? (
+        <p className="text-sm text-gray-600">No spoken answers were captured to coach on.</p>
+      ) : (
+        <>
+          <div className="flex flex-wrap gap-2 mb-4">
+            <span className={`px-3 py-1 rounded-full text-xs font-semibold ${ratingClass(summary.pace)}`}>
+              Pace: {summary.wordsPerMinute !== null ? `${summary.wordsPerMinute} wpm, ` : ''}{PACE_LABELS[summary.pace]}
+            </span>
+            <span className={`px-3 py-1 rounded-full text-xs font-semibold ${ratingClass(summary.fillersPer100Words > 3 ? 'high' : 'good')}`}>
+              Filler words: {summary.fillerCount} ({summary.fillersPer100Words} per 100 words)
+            </span>
+            <span className="px-3 py-1 rounded-full text-xs font-semibold bg-gray-100 text-gray-700">
+              Average answer: {summary.averageWords} words
+            </span>
+            {summary.behavioralCount > 0 && (
+              <span className={`px-3 py-1 rounded-full text-xs font-semibold ${ratingClass(summary.completeStarCount === summary.behavioralCount ? 'good' : 'missing')}`}>
+                Full STAR: {summary.completeStarCount} of {summary.behavioralCount} behavioral answers
+              </span>
+            )}
+          </div>
+          {summary.fillers.length > 0 && (
+            <p className="text-sm text-gray-600 mb-4">
+              Most used fillers: {summary.fillers.slice(0, 4).map(item => `"${item.word}" (${item.count})`).join(', ')}
+            </p>
+          )}
+
+          {previousAnswer && (
+            <div className="bg-white border border-gray-200 rounded-lg p-4 mb-4 text-sm text-gray-700">
+              <p className="font-semibold text-gray-800 mb-1">Earlier attempt</p>
+              <p>{describeAnswer(previousAnswer)}{previousAnswer.behavioral ? `, ${STAR_PARTS.filter(part => previousAnswer.star[part.id]).length} of 4 STAR parts` : ''}</p>
+            </div>
+          )}
+
+          {isLoading && (
+            <div className="flex items-center gap-3 text-gray-600 mb-4">
+              <div className="w-5 h-5 border-2 border-indigo-600 border-t-transparent rounded-full animate-spin"></div>
+              Writing improved answers...
+            </div>
+          )}
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-4">
+              <p className="text-sm text-red-800 mb-3">Improved answers unavailable: {error}</p>
+              <button
+                onClick={onSuggest}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg font-semibold hover:bg-red-700 transition-colors flex items-center gap-2"
+              >
+                <RefreshCw className="w-4 h-4" />
+                Try Again
+              </button>
+            </div>
+          )}
+
+          <div className="space-y-4">
+            {answers.map(answer => {
+              const suggestion = suggestions[answer.index];
+              const tips = suggestion ? [...answer.tips, ...suggestion.tips] : answer.tips;
+              return (
+                <div key={answer.index} className="bg-white border border-gray-200 rounded-lg p-4">
+                  <p className="font-semibold text-gray-800 mb-2">{answer.question}</p>
+                  <div className="flex flex-wrap gap-2 mb-3 text-xs">
+                    <span className={`px-2 py-0.5 rounded-full font-semibold ${ratingClass(answer.length)}`}>
+                      {LENGTH_LABELS[answer.length]}: {answer.wordCount} words
+                    </span>
+                    <span className={`px-2 py-0.5 rounded-full font-semibold ${ratingClass(answer.pace)}`}>
+                      {answer.wordsPerMinute !== null ? `${answer.wordsPerMinute} wpm` : 'Pace not measured'}
+                      {answer.durationSeconds > 0 ? ` over ${formatTime(answer.durationSeconds)}` : ''}
+                    </span>
+                    <span className={`px-2 py-0.5 rounded-full font-semibold ${ratingClass(answer.fillerCount >= 3 ? 'high' : 'good')}`}>
+                      {answer.fillerCount} filler{answer.fillerCount === 1 ? '' : 's'}
+                    </span>
+                    {answer.behavioral && STAR_PARTS.map(part => (
+                      <span
+                        key={part.id}
+                        className={`px-2 py-0.5 rounded-full font-semibold ${answer.star[part.id] ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-500 line-through'}`}
+                      >
+                        {part.label}
+                      </span>
+                    ))}
+                  </div>
+                  <p className="text-sm text-gray-600 italic mb-3">"{answer.answer}"</p>
+                  {tips.length > 0 && (
+                    <ul className="text-sm text-gray-700 space-y-1 mb-3">
+                      {tips.map((tip, idx) => (
+                        <li key={idx} className="flex items-start gap-2">
+                          <Lightbulb className="w-4 h-4 text-yellow-500 mt-0.5 flex-shrink-0" />
+                          {tip}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  {suggestion && (
+                    <div className="bg-indigo-50 rounded-lg p-3 mb-3">
+                      <p className="text-xs font-semibold text-indigo-800 mb-1">Suggested answer</p>
+                      <p className="text-sm text-gray-800 whitespace-pre-wrap">{suggestion.improvedAnswer}</p>
+                    </div>
+                  )}
+                  {onPractice && (
+                    <button
+                      onClick={() => onPractice(answer)}
+                      className="px-3 py-1.5 border-2 border-indigo-200 text-indigo-700 rounded-lg text-sm font-semibold hover:bg-indigo-50 transition-colors flex items-center gap-2"
+                    >
+                      <Repeat className="w-4 h-4" />
+                      Retry This Question
+                    </button>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+          {coaching && (
+            <p className="text-xs text-gray-500 mt-3">
+              Suggestions by {coaching.coach === 'heuristic' ? 'the built-in coach, restructured from your own words' : coaching.coach}.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CoachingReport;
@@ -0,0 +1,102 @@
+import React from 'react';
+import { Code2, Play, Send, CheckCircle2, XCircle } from 'lucide-react';
+import { canRunTests, summarizeTestRun } from '../lib/codingExercise';
+
+const INDENT = '  ';
+
+// Code editor shown during the interview. The assistant posts exercises into
+// it; the candidate shares snapshots and can run JavaScript against sample tests.
+const CodingPanel = ({ exercise, code, onChange, onShare, onRunTests, testRun, isRunning, hasUnsharedChanges, disabled }) => {
+  // Tab indents instead of leaving the editor
+  const handleKeyDown = (e) => {
+    if (e.key !== 'Tab' || e.shiftKey) return;
+    e.preventDefault();
+    const { selectionStart, selectionEnd } = e.target;
+    const next = code.slice(0, selectionStart) + INDENT + code.slice(selectionEnd);
+    onChange(next);
+    requestAnimationFrame(() => {
+      e.target.selectionStart = e.target.selectionEnd = selectionStart + INDENT.length;
+    });
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-lg mb-6 overflow-hidden">
+      <div className="bg-gray-50 px-4 py-3 border-b border-gray-200">
+        <h3 className="font-semibold text-gray-800 flex items-center gap-2">
+          <Code2 className="w-5 h-5 text-indigo-600" />
+          {exercise ? exercise.title : 'Code Panel'}
+          {exercise && (
+            <span className="px-2 py-0.5 rounded-full text-xs font-semibold bg-indigo-100 text-indigo-800">{exercise.language}</span>
+          )}
+        </h3>
+        <p className="text-sm text-gray-600 mt-1 whitespace-pre-wrap">
+          {exercise ? exercise.prompt : 'When the interviewer gives you a coding exercise it will appear here.'}
+        </p>
+      </div>
+
+      <textarea
+        value={code}
+        onChange={(e) => onChange(e.target.value)}
+        onKeyDown={handleKeyDown}
+        spellCheck={false}
+        rows="12"
+        placeholder="// Write your code here"
+        className="w-full px-4 py-3 font-mono text-sm bg-gray-900 text-gray-100 focus:outline-none resize-y"
+        aria-label="Code editor"
+      />
+
+      {testRun && (
+        <div className="px-4 py-3 border-t border-gray-200 text-sm">
+          <p className={`font-semibold mb-2 ${!testRun.error && testRun.results.every(r => r.passed) ? 'text-green-700' : 'text-red-700'}`}>
+            {summarizeTestRun(testRun)}
+          </p>
+          <ul className="space-y-1">
+            {testRun.results.map(result => {
+              const test = exercise.tests[result.index];
+              return (
+                <li key={result.index} className="flex items-start gap-2 font-mono text-xs text-gray-700">
+                  {result.passed
+                    ? <CheckCircle2 className="w-4 h-4 text-green-600 flex-shrink-0" />
+                    : <XCircle className="w-4 h-4 text-red-600 flex-shrink-0" />}
+                  <span>
+                    {exercise.functionName}({test.input.map(arg => JSON.stringify(arg)).join(', ')}) → expected {JSON.stringify(test.expected)}
+                    {!result.passed && (result.error ? `, threw ${result.error}` : `, got ${result.actual}`)}
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+          {testRun.logs.length > 0 && (
+            <pre className="mt-2 bg-gray-100 rounded p-2 text-xs text-gray-700 max-h-32 overflow-y-auto">{testRun.logs.join('\n')}</pre>
+          )}
+        </div>
+      )}
+
+      <div className="flex gap-3 px-4 py-3 border-t border-gray-200">
+        {canRunTests(exercise) && (
+          <button
+            onClick={onRunTests}
+            disabled={isRunning}
+            className="px-4 py-2 border-2 border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-50 disabled:bg-gray-100 disabled:cursor-not-allowed transition-colors flex items-center gap-2"
+          >
+            <Play className="w-4 h-4" />
+            {isRunning ? 'Running...' : 'Run Tests'}
+          </button>
+        )}
+        <button
+          onClick={onShare}
+          disabled={disabled || !code.trim() || !hasUnsharedChanges}
+          className="px-4 py-2 bg-indigo-600 text-white rounded-lg font-semibold hover:bg-indigo-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors flex items-center gap-2"
+        >
+          <Send className="w-4 h-4" />
+          Share with Interviewer
+        </button>
+        {!hasUnsharedChanges && code.trim() && (
+          <span className="text-sm text-gray-500 self-center">Shared</span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CodingPanel;
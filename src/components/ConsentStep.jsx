@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { ShieldCheck } from 'lucide-react';
+
+// Privacy notice the candidate must accept before any media or interview data
+// is requested. Recording needs its own, separate agreement.
+const ConsentStep = ({ notice, recordingRequested, onAccept, onDecline }) => {
+  const [agreed, setAgreed] = useState(false);
+  const [recordingAgreed, setRecordingAgreed] = useState(false);
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-8">
+      <div className="text-center mb-6">
+        <ShieldCheck className="w-16 h-16 text-indigo-600 mx-auto mb-4" />
+        <h2 className="text-3xl font-bold text-gray-800 mb-2">Before We Start</h2>
+        <p className="text-gray-600">Please read how your interview data is used</p>
+      </div>
+
+      <div className="bg-gray-50 border border-gray-200 rounded-lg p-6 mb-6 space-y-4 max-h-96 overflow-y-auto">
+        {notice.sections.map(section => (
+          <div key={section.heading}>
+            <h3 className="font-semibold text-gray-800 mb-1">{section.heading}</h3>
+            <p className="text-sm text-gray-700">{section.body}</p>
+            {section.items && (
+              <ul className="text-sm text-gray-700 mt-1 space-y-1">
+                {section.items.map(item => <li key={item}>• {item}</li>)}
+              </ul>
+            )}
+          </div>
+        ))}
+        <p className="text-xs text-gray-500">Privacy notice version {notice.version}</p>
+      </div>
+
+      <label className="flex items-start gap-2 mb-3 text-sm text-gray-700 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={agreed}
+          onChange={(e) => setAgreed(e.target.checked)}
+          className="w-4 h-4 mt-0.5"
+        />
+        <span>I have read this notice and agree to my interview data being processed as described.</span>
+      </label>
+      {recordingRequested && (
+        <label className="flex items-start gap-2 mb-3 text-sm text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={recordingAgreed}
+            onChange={(e) => setRecordingAgreed(e.target.checked)}
+            className="w-4 h-4 mt-0.5"
+          />
+          <span>
+            I agree to my camera and microphone being recorded. The recording is kept only in this browser
+            and can be deleted with the session. Leave this unticked to continue without recording.
+          </span>
+        </label>
+      )}
+
+      <div className="flex gap-4 mt-6">
+        <button
+          onClick={() => onAccept({ recordingConsented: recordingRequested && recordingAgreed })}
+          disabled={!agreed}
+          className="flex-1 bg-indigo-600 text-white py-4 rounded-lg font-semibold text-lg hover:bg-indigo-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+        >
+          Agree and Continue
+        </button>
+        <button
+          onClick={onDecline}
+          className="px-6 py-4 border-2 border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-50 transition-colors"
+        >
+          Decline
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ConsentStep;
@@ -0,0 +1,64 @@
+import React from 'react';
+import { ListChecks } from 'lucide-react';
+import { COVERAGE_STATUSES, summarizeCoverage } from '../lib/coverage';
+import { formatTime } from '../lib/format';
+
+const STATUS_ORDER = ['unverified', 'weak', 'probed', 'covered'];
+
+const STATUS_STYLES = {
+  unverified: 'bg-gray-300',
+  probed: 'bg-blue-500',
+  weak: 'bg-yellow-500',
+  covered: 'bg-green-500'
+};
+
+// Which resume claims and role skills the interview has verified so far.
+// Shown live beside the call and with the results afterwards.
+const CoverageChecklist = ({ items }) => {
+  if (!items || !items.length) return null;
+  const counts = summarizeCoverage(items);
+  const sorted = STATUS_ORDER.flatMap(status => items.filter(item => item.status === status));
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-6 mb-6">
+      <h3 className="font-semibold text-gray-800 mb-1 flex items-center gap-2">
+        <ListChecks className="w-5 h-5 text-indigo-600" />
+        Coverage
+      </h3>
+      <p className="text-sm text-gray-600 mb-3">
+        {counts.covered} of {counts.total} verified
+        {counts.weak ? `, ${counts.weak} need a follow-up` : ''}
+      </p>
+      <div className="flex flex-wrap gap-x-3 gap-y-1 mb-3 text-xs text-gray-500">
+        {STATUS_ORDER.map(status => (
+          <span key={status} className="flex items-center gap-1">
+            <span className={`w-2 h-2 rounded-full ${STATUS_STYLES[status]}`} />
+            {COVERAGE_STATUSES[status]}
+          </span>
+        ))}
+      </div>
+      <ul className="space-y-2">
+        {sorted.map(item => (
+          <li key={item.id} className="flex items-start gap-2 text-sm" title={COVERAGE_STATUSES[item.status]}>
+            <span className={`w-2 h-2 rounded-full mt-1.5 flex-shrink-0 ${STATUS_STYLES[item.status]}`} />
+            <div className="min-w-0">
+              <p className={item.status === 'covered' ? 'text-gray-500' : 'text-gray-800'}>
+                {item.kind === 'claim' && <span className="font-semibold">Claim: </span>}
+                {item.label}
+              </p>
+              {(item.source === 'role' || item.lastSeconds !== null) && (
+                <p className="text-xs text-gray-500">
+                  {item.source === 'role' && 'Required, not on the resume'}
+                  {item.source === 'role' && item.lastSeconds !== null && ' · '}
+                  {item.lastSeconds !== null && `Last discussed at ${formatTime(Math.floor(item.lastSeconds))}`}
+                </p>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default CoverageChecklist;
@@ -0,0 +1,192 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Mic, Video, Volume2, Wifi, WifiOff, CheckCircle, RefreshCw } from 'lucide-react';
+import {
+  listMediaDevices,
+  getTrackDeviceId,
+  createLevelMeter,
+  playTestSound,
+  measureLatency,
+  isOutputSelectionSupported,
+  MIC_CONFIRM_LEVEL,
+  MIC_CONFIRM_FRAMES
+} from '../lib/deviceCheck';
+import { reportError } from '../lib/notifications';
+
+const selectClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+const LATENCY_STYLES = {
+  good: 'text-green-700',
+  fair: 'text-amber-600',
+  poor: 'text-red-600',
+  offline: 'text-red-600'
+};
+
+const DevicePicker = ({ icon: Icon, label, devices, value, onChange }) => (
+  <label className="block">
+    <span className="flex items-center gap-1 text-xs font-semibold text-gray-600 mb-1">
+      <Icon className="w-3 h-3" />
+      {label}
+    </span>
+    <select value={value} onChange={(e) => onChange(e.target.value)} className={selectClass}>
+      {devices.length === 0 && <option value="">System default</option>}
+      {devices.map(device => (
+        <option key={device.deviceId} value={device.deviceId}>{device.label}</option>
+      ))}
+    </select>
+  </label>
+);
+
+// Device pickers, mic level meter, test sound and connectivity check for the
+// stream the interview will use. Reports mic confirmation through onMicConfirmed.
+const DeviceCheck = ({ stream, selection, onChange, onMicConfirmed }) => {
+  const [devices, setDevices] = useState({ audioinput: [], videoinput: [], audiooutput: [] });
+  const [level, setLevel] = useState(0);
+  const [isMicConfirmed, setIsMicConfirmed] = useState(false);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [network, setNetwork] = useState(null);
+  const [isCheckingNetwork, setIsCheckingNetwork] = useState(false);
+  const loudFramesRef = useRef(0);
+
+  useEffect(() => {
+    const refresh = () => listMediaDevices()
+      .then(setDevices)
+      .catch(error => console.error('Error listing media devices:', error));
+    refresh();
+    navigator.mediaDevices.addEventListener('devicechange', refresh);
+    return () => navigator.mediaDevices.removeEventListener('devicechange', refresh);
+  }, [stream]);
+
+  // Each new stream (a different mic) has to be confirmed again
+  useEffect(() => {
+    loudFramesRef.current = 0;
+    setIsMicConfirmed(false);
+    onMicConfirmed(false);
+    return createLevelMeter(stream, (value) => {
+      setLevel(value);
+      loudFramesRef.current = value >= MIC_CONFIRM_LEVEL ? loudFramesRef.current + 1 : 0;
+      if (loudFramesRef.current === MIC_CONFIRM_FRAMES) {
+        setIsMicConfirmed(true);
+        onMicConfirmed(true);
+      }
+    });
+  }, [stream]);
+
+  const checkNetwork = async () => {
+    setIsCheckingNetwork(true);
+    try {
+      setNetwork(await measureLatency());
+    } finally {
+      setIsCheckingNetwork(false);
+    }
+  };
+
+  useEffect(() => {
+    checkNetwork();
+  }, []);
+
+  const handleTestSound = async () => {
+    setIsPlaying(true);
+    try {
+      await playTestSound(selection.audioOutputId);
+    } catch (error) {
+      console.error('Error playing test sound:', error);
+      reportError(error, { code: 'AUDIO_PLAYBACK_FAILED', handlers: { retry: handleTestSound } });
+    } finally {
+      setIsPlaying(false);
+    }
+  };
+
+  const update = (field, value) => onChange({ ...selection, [field]: value });
+
+  return (
+    <div className="mb-6 space-y-4">
+      <div className="grid md:grid-cols-3 gap-4">
+        <DevicePicker
+          icon={Mic}
+          label="Microphone"
+          devices={devices.audioinput}
+          value={selection.audioInputId || getTrackDeviceId(stream, 'audio')}
+          onChange={(value) => update('audioInputId', value)}
+        />
+        <DevicePicker
+          icon={Video}
+          label="Camera"
+          devices={devices.videoinput}
+          value={selection.videoInputId || getTrackDeviceId(stream, 'video')}
+          onChange={(value) => update('videoInputId', value)}
+        />
+        {isOutputSelectionSupported() && (
+          <DevicePicker
+            icon={Volume2}
+            label="Speaker"
+            devices={devices.audiooutput}
+            value={selection.audioOutputId}
+            onChange={(value) => update('audioOutputId', value)}
+          />
+        )}
+      </div>
+
+      <div className="border border-gray-200 rounded-lg p-4">
+        <div className="flex items-center justify-between mb-2">
+          <span className="text-sm font-semibold text-gray-700 flex items-center gap-2">
+            <Mic className="w-4 h-4" />
+            Microphone level
+          </span>
+          {isMicConfirmed ? (
+            <span className="text-sm text-green-700 font-semibold flex items-center gap-1">
+              <CheckCircle className="w-4 h-4" />
+              Microphone working
+            </span>
+          ) : (
+            <span className="text-sm text-gray-500">Say a few words to confirm your microphone</span>
+          )}
+        </div>
+        <div className="h-3 bg-gray-200 rounded-full overflow-hidden">
+          <div
+            className={`h-full transition-all duration-75 ${level >= MIC_CONFIRM_LEVEL ? 'bg-green-500' : 'bg-indigo-400'}`}
+            style={{ width: `${Math.round(level * 100)}%` }}
+          />
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-4">
+        <button
+          type="button"
+          onClick={handleTestSound}
+          disabled={isPlaying}
+          className="px-4 py-2 border-2 border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-50 transition-colors flex items-center gap-2 disabled:opacity-50"
+        >
+          <Volume2 className="w-4 h-4" />
+          {isPlaying ? 'Playing...' : 'Play Test Sound'}
+        </button>
+
+        <div className="flex items-center gap-2 text-sm">
+          {network && !network.online ? <WifiOff className="w-4 h-4 text-red-600" /> : <Wifi className="w-4 h-4 text-gray-600" />}
+          {isCheckingNetwork && <span className="text-gray-500">Checking connection...</span>}
+          {!isCheckingNetwork && network && (
+            <span className={`font-semibold ${LATENCY_STYLES[network.rating]}`}>
+              {network.online
+                ? `Connection ${network.rating} (${network.latencyMs} ms)`
+                : 'Cannot reach the interview service'}
+            </span>
+          )}
+          <button
+            type="button"
+            onClick={checkNetwork}
+            disabled={isCheckingNetwork}
+            className="text-indigo-600 hover:text-indigo-700 disabled:opacity-50"
+            title="Check again"
+          >
+            <RefreshCw className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {network && network.rating === 'poor' && (
+        <p className="text-sm text-amber-700">Your connection is slow. The interviewer may sound delayed; a wired connection or a closer Wi-Fi access point helps.</p>
+      )}
+    </div>
+  );
+};
+
+export default DeviceCheck;
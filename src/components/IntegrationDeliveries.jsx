@@ -0,0 +1,178 @@
+import React, { useEffect, useState } from 'react';
+import { Webhook, Send, RotateCw } from 'lucide-react';
+import {
+  DELIVERY_STATUSES,
+  INTEGRATION_TYPE_LABELS,
+  loadIntegrations,
+  listInterviewDeliveries,
+  deliverInterview,
+  redeliver,
+  sendTestDelivery,
+  describeDelivery
+} from '../lib/integrations';
+import { reportError } from '../lib/notifications';
+import { navigate } from '../lib/router';
+
+// Refresh while deliveries are pending, so retries and results show up
+const REFRESH_INTERVAL_MS = 5000;
+const MAX_RECENT_DELIVERIES = 10;
+
+const STATUS_STYLES = {
+  pending: 'bg-amber-100 text-amber-800',
+  delivered: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-600'
+};
+
+// Outbound integrations and their delivery log. On the dashboard it lists the
+// configured integrations with a test send and the latest deliveries; with a
+// token it shows one interview's deliveries on its results page.
+const IntegrationDeliveries = ({ token = null, canSend = true }) => {
+  const [integrations, setIntegrations] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [loadError, setLoadError] = useState('');
+  const [busyId, setBusyId] = useState(null);
+
+  const load = async () => {
+    try {
+      const data = await loadIntegrations();
+      setIntegrations(data.integrations);
+      setDeliveries(token ? await listInterviewDeliveries(token) : data.deliveries.slice(0, MAX_RECENT_DELIVERIES));
+      setLoadError('');
+    } catch (error) {
+      console.error('Error loading integrations:', error);
+      setLoadError(error.message);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, [token]);
+
+  const hasPending = deliveries.some(delivery => delivery.status === 'pending');
+  useEffect(() => {
+    if (!hasPending) return;
+    const interval = setInterval(load, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [hasPending, token]);
+
+  const run = async (id, action, message) => {
+    setBusyId(id);
+    try {
+      await action();
+      await load();
+    } catch (error) {
+      console.error(message, error);
+      reportError(error, { message: `${message} ${error.message}`, handlers: { retry: () => run(id, action, message) } });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // The results page stays quiet when nothing is set up
+  if (token && (loadError || !integrations || !integrations.length)) return null;
+
+  const integrationLabel = (id) => {
+    const integration = (integrations || []).find(item => item.id === id);
+    return integration ? `${integration.id} · ${INTEGRATION_TYPE_LABELS[integration.type]}` : id;
+  };
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-6 mb-6">
+      <div className="flex items-center justify-between gap-4 mb-3">
+        <h3 className="font-semibold text-gray-800 flex items-center gap-2">
+          <Webhook className="w-5 h-5 text-indigo-600" />
+          {token ? 'Integration Deliveries' : 'Integrations'}
+        </h3>
+        {token && canSend && (
+          <button
+            onClick={() => run('all', () => deliverInterview(token), 'Could not send the results:')}
+            disabled={busyId !== null}
+            className="px-3 py-2 border-2 border-gray-300 text-gray-700 rounded-lg text-sm font-semibold hover:bg-white disabled:opacity-50 transition-colors flex items-center gap-1"
+          >
+            <Send className="w-4 h-4" />
+            Send Results
+          </button>
+        )}
+      </div>
+
+      {loadError && (
+        <p className="text-sm text-gray-500">Integrations are unavailable: {loadError}</p>
+      )}
+
+      {!token && integrations && !integrations.length && (
+        <p className="text-sm text-gray-500">
+          No integrations are configured. Set WEBHOOK_URL and WEBHOOK_SECRET, or INTEGRATIONS_CONFIG, on the interview server to send completed interviews to a webhook or ATS.
+        </p>
+      )}
+
+      {!token && integrations && integrations.length > 0 && (
+        <div className="space-y-2 mb-4">
+          {integrations.map(integration => (
+            <div key={integration.id} className="flex items-center justify-between gap-4 text-sm">
+              <div className="min-w-0">
+                <p className="font-semibold text-gray-800">{integrationLabel(integration.id)}</p>
+                <p className="text-gray-500 font-mono text-xs truncate">{integration.url}</p>
+              </div>
+              <button
+                onClick={() => run(integration.id, () => sendTestDelivery(integration.id), 'Could not send a test delivery:')}
+                disabled={busyId !== null}
+                className="px-3 py-1 border-2 border-gray-300 text-gray-700 rounded-lg text-xs font-semibold hover:bg-white disabled:opacity-50 transition-colors flex-shrink-0"
+              >
+                Send Test
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {deliveries.length > 0 && (
+        <>
+          {!token && <p className="text-sm font-semibold text-gray-700 mb-2">Recent deliveries</p>}
+          <ul className="space-y-2">
+            {deliveries.map(delivery => (
+              <li key={delivery.id} className="bg-white border border-gray-200 rounded-lg p-3 flex items-start justify-between gap-4 text-sm">
+                <div className="min-w-0">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_STYLES[delivery.status]}`}>
+                      {DELIVERY_STATUSES[delivery.status]}
+                    </span>
+                    <span className="font-semibold text-gray-800">{integrationLabel(delivery.integrationId)}</span>
+                    {delivery.event === 'integration.test' && <span className="text-gray-500">Test</span>}
+                    {delivery.event === 'interview.scored' && <span className="text-gray-500">Scorecard</span>}
+                    {!token && delivery.token && (
+                      <button onClick={() => navigate(`/dashboard/${delivery.token}`)} className="text-indigo-600 font-semibold hover:text-indigo-700">
+                        Results
+                      </button>
+                    )}
+                  </div>
+                  <p className="text-gray-600 mt-1">{describeDelivery(delivery)}</p>
+                  <p className="text-xs text-gray-400">
+                    {new Date(delivery.createdAt).toLocaleString()}
+                    {delivery.attempts.length > 0 && ` · ${delivery.attempts.length} attempt${delivery.attempts.length === 1 ? '' : 's'}`}
+                  </p>
+                </div>
+                {canSend && delivery.status !== 'pending' && (
+                  <button
+                    onClick={() => run(delivery.id, () => redeliver(delivery.id), 'Could not send the delivery again:')}
+                    disabled={busyId !== null}
+                    className="p-2 border-2 border-gray-300 text-gray-600 rounded-lg hover:bg-gray-50 disabled:opacity-50 transition-colors flex-shrink-0"
+                    title="Send again"
+                  >
+                    <RotateCw className="w-4 h-4" />
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {token && !deliveries.length && (
+        <p className="text-sm text-gray-500">Nothing has been sent for this interview yet.</p>
+      )}
+    </div>
+  );
+};
+
+export default IntegrationDeliveries;
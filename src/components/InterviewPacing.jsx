@@ -0,0 +1,64 @@
+import React from 'react';
+import { Timer } from 'lucide-react';
+import { fillRole } from '../lib/interviewTemplates';
+import { formatTime } from '../lib/format';
+
+const PHASE_STYLES = {
+  'on-track': 'text-gray-800',
+  'wrap-up': 'text-amber-600',
+  overtime: 'text-red-600',
+  'hard-stop': 'text-red-600'
+};
+
+// Countdown and section progress for the live interview.
+const InterviewPacing = ({ budget, status, jobRole }) => {
+  const { sections, totalSeconds } = budget;
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6">
+      <div className="flex items-center justify-between mb-3">
+        <div className="text-sm text-gray-700">
+          <span className="font-semibold">
+            Section {status.sectionIndex + 1} of {sections.length}:
+          </span>{' '}
+          {fillRole(status.section.title, jobRole)}
+          {status.phase === 'on-track' && (
+            <span className="text-gray-500"> · {formatTime(status.sectionRemainingSeconds)} left</span>
+          )}
+        </div>
+        <div className={`flex items-center gap-2 font-mono text-lg ${PHASE_STYLES[status.phase]}`}>
+          <Timer className="w-5 h-5" />
+          {status.overtimeSeconds > 0
+            ? `+${formatTime(status.overtimeSeconds)}`
+            : formatTime(status.remainingSeconds)}
+        </div>
+      </div>
+
+      <div className="flex gap-1 h-2">
+        {sections.map(section => {
+          const width = ((section.endSeconds - section.startSeconds) / totalSeconds) * 100;
+          const done = Math.min(1, Math.max(0, (status.elapsedSeconds - section.startSeconds) / (section.endSeconds - section.startSeconds || 1)));
+          return (
+            <div
+              key={section.index}
+              className={`rounded-full overflow-hidden ${section.index === status.sectionIndex ? 'bg-indigo-200' : 'bg-gray-200'}`}
+              style={{ width: `${width}%` }}
+              title={fillRole(section.title, jobRole)}
+            >
+              <div className="h-full bg-indigo-600" style={{ width: `${done * 100}%` }} />
+            </div>
+          );
+        })}
+      </div>
+
+      {status.phase === 'wrap-up' && (
+        <p className="text-sm text-amber-700 mt-2">Time is running low — the interviewer has been asked to wrap up.</p>
+      )}
+      {status.phase === 'overtime' && (
+        <p className="text-sm text-red-600 mt-2">Time is up — the interviewer is closing. The call ends automatically in {formatTime(Math.max(0, budget.hardStopAtSeconds - status.elapsedSeconds))}.</p>
+      )}
+    </div>
+  );
+};
+
+export default InterviewPacing;
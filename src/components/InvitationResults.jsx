@@ -0,0 +1,187 @@
+import React, { useEffect, useState } from 'react';
+import { ArrowLeft, CheckCircle } from 'lucide-react';
+import AppHeader from './AppHeader';
+import Scorecard from './Scorecard';
+import TranscriptExport from './TranscriptExport';
+import ProctoringSummary from './ProctoringSummary';
+import CoverageChecklist from './CoverageChecklist';
+import IntegrationDeliveries from './IntegrationDeliveries';
+import RecruiterSignIn from './RecruiterSignIn';
+import { buildTranscriptReport } from '../lib/transcriptExport';
+import { getInvitation } from '../lib/invitations';
+import { getFinalCode } from '../lib/codingExercise';
+import { formatTime } from '../lib/format';
+import { describeConsent } from '../lib/privacy';
+import { interleaveSignals, describeSignal } from '../lib/proctoring';
+import { buildCoverageChecklist, assessCoverage } from '../lib/coverage';
+import { parseResume } from '../lib/resumeParser';
+import { parseJobDescription } from '../lib/jobDescription';
+import { navigate } from '../lib/router';
+
+// Recruiter view of one candidate's completed interview.
+const InvitationResults = ({ token }) => {
+  const [invitation, setInvitation] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const [signInMessage, setSignInMessage] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    getInvitation(token, { asRecruiter: true })
+      .then(loaded => {
+        if (cancelled) return;
+        setInvitation(loaded);
+        setSignInMessage(null);
+      })
+      .catch(error => {
+        if (cancelled) return;
+        if (error.code === 'RECRUITER_SIGN_IN_REQUIRED') return setSignInMessage(error.message);
+        console.error('Error loading invitation:', error);
+        setLoadError(error.message);
+      });
+    return () => { cancelled = true; };
+  }, [token, attempt]);
+
+  const transcript = (invitation && invitation.transcript) || [];
+  const finalCode = getFinalCode(transcript);
+  // Recomputed from the stored resume and transcript; nothing is left to check once the data is deleted
+  const coverageItems = invitation && !invitation.dataDeletedAt && transcript.length
+    ? assessCoverage(buildCoverageChecklist({
+      jobRole: invitation.jobRole,
+      candidateProfile: invitation.candidateProfile || parseResume(invitation.resumeText),
+      jobDescription: parseJobDescription(invitation.jobDescriptionText, { jobRole: invitation.jobRole })
+    }), transcript)
+    : null;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-6">
+      <div className="max-w-4xl mx-auto">
+        <AppHeader>
+          <button
+            onClick={() => navigate('/dashboard')}
+            className="px-4 py-2 border-2 border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-50 transition-colors flex items-center gap-2"
+          >
+            <ArrowLeft className="w-4 h-4" />
+            Dashboard
+          </button>
+        </AppHeader>
+
+        <div className="bg-white rounded-lg shadow-lg p-8">
+          {loadError && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-red-800 text-sm">{loadError}</div>
+          )}
+
+          {signInMessage && (
+            <RecruiterSignIn message={signInMessage} onSignIn={() => setAttempt(count => count + 1)} />
+          )}
+
+          {!invitation && !loadError && !signInMessage && (
+            <p className="text-gray-500 text-center py-8">Loading interview...</p>
+          )}
+
+          {invitation && (
+            <>
+              <div className="text-center mb-8">
+                <CheckCircle className={`w-16 h-16 mx-auto mb-4 ${invitation.status === 'completed' ? 'text-green-600' : 'text-gray-300'}`} />
+                <h2 className="text-3xl font-bold text-gray-800 mb-2">{invitation.candidateName || 'Deleted candidate'}</h2>
+                <p className="text-gray-600">
+                  {invitation.status === 'completed'
+                    ? `Completed ${new Date(invitation.completedAt).toLocaleString()}`
+                    : 'This interview has not been completed yet'}
+                </p>
+              </div>
+
+              {/* Interview Summary */}
+              <div className="bg-gray-50 rounded-lg p-6 mb-6">
+                <h3 className="font-semibold text-gray-800 mb-3">Interview Details</h3>
+                <div className="space-y-2 text-gray-700">
+                  <p><span className="font-semibold">Position:</span> {invitation.jobRole}</p>
+                  {invitation.candidateEmail && (
+                    <p><span className="font-semibold">Email:</span> {invitation.candidateEmail}</p>
+                  )}
+                  <p><span className="font-semibold">Template:</span> {invitation.template.name}</p>
+                  <p><span className="font-semibold">Total Messages:</span> {transcript.length}</p>
+                  <p><span className="font-semibold">Duration:</span> {formatTime(invitation.durationSeconds || 0)}</p>
+                  <p><span className="font-semibold">Consent:</span> {describeConsent(invitation.consent)}</p>
+                </div>
+              </div>
+
+              {invitation.dataDeletedAt && (
+                <p className="text-sm text-gray-500 mb-6">
+                  The candidate deleted their interview data on {new Date(invitation.dataDeletedAt).toLocaleString()}.
+                </p>
+              )}
+
+              {invitation.status === 'completed' && !invitation.scorecard && (
+                <p className="text-sm text-gray-500 mb-6">The scorecard has not been received yet.</p>
+              )}
+              <Scorecard scorecard={invitation.scorecard} isLoading={false} error="" />
+
+              <CoverageChecklist items={coverageItems} />
+
+              <ProctoringSummary events={invitation.proctoringEvents} />
+
+              {invitation.status === 'completed' && (
+                <IntegrationDeliveries token={invitation.token} canSend={!invitation.dataDeletedAt} />
+              )}
+
+              {/* Final Code */}
+              {finalCode && (
+                <div className="bg-gray-50 rounded-lg p-6 mb-6">
+                  <h3 className="font-semibold text-gray-800 mb-3">Final Code{finalCode.language ? ` (${finalCode.language})` : ''}</h3>
+                  <pre className="bg-gray-900 text-gray-100 rounded-lg p-4 text-sm overflow-x-auto">{finalCode.text}</pre>
+                </div>
+              )}
+
+              {transcript.length > 0 && (
+                <>
+                  <TranscriptExport
+                    report={buildTranscriptReport({
+                      sessionId: invitation.sessionId || invitation.token,
+                      jobRole: invitation.jobRole,
+                      candidateName: invitation.candidateName,
+                      templateName: invitation.template.name,
+                      durationSeconds: invitation.durationSeconds || 0,
+                      transcript,
+                      scorecard: invitation.scorecard,
+                      completedAt: invitation.completedAt
+                    })}
+                  />
+
+                  {/* Full Transcript */}
+                  <div className="bg-gray-50 rounded-lg p-6 max-h-96 overflow-y-auto">
+                    <h3 className="font-semibold text-gray-800 mb-3">Full Transcript</h3>
+                    <div className="space-y-3">
+                      {interleaveSignals(transcript, invitation.proctoringEvents).map(({ turn: item, index: idx, signal }, position) => (signal ? (
+                        <p key={`signal-${position}`} className="text-xs text-yellow-800 bg-yellow-50 rounded px-3 py-1">
+                          <span className="font-mono mr-2">{formatTime(signal.startSeconds)}</span>
+                          {describeSignal(signal)}
+                        </p>
+                      ) : (
+                        <div key={idx} className={`p-3 rounded-lg ${item.speaker === 'You' ? 'bg-white border border-gray-200' : 'bg-indigo-50'}`}>
+                          <p className="font-semibold text-sm text-gray-700 mb-1">
+                            {item.speaker === 'You' ? invitation.candidateName : item.speaker}
+                            {typeof item.startSeconds === 'number' && (
+                              <span className="ml-2 font-mono text-xs text-gray-400">{formatTime(Math.floor(item.startSeconds))}</span>
+                            )}
+                          </p>
+                          {item.kind === 'code' ? (
+                            <pre className="bg-gray-900 text-gray-100 rounded p-2 text-xs overflow-x-auto">{item.text}</pre>
+                          ) : (
+                            <p className="text-gray-800">{item.text}</p>
+                          )}
+                        </div>
+                      )))}
+                    </div>
+                  </div>
+                </>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InvitationResults;
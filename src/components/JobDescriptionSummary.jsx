@@ -0,0 +1,54 @@
+import React from 'react';
+import { hasJobDescriptionDetails } from '../lib/jobDescription';
+
+const SkillChips = ({ skills, className }) => (
+  <div className="flex flex-wrap gap-2">
+    {skills.map(skill => (
+      <span key={skill} className={`px-2 py-1 rounded-full text-xs font-semibold ${className}`}>
+        {skill}
+      </span>
+    ))}
+  </div>
+);
+
+const JobDescriptionSummary = ({ jobDescription }) => {
+  if (!hasJobDescriptionDetails(jobDescription)) return null;
+
+  const { seniority, requiredSkills, preferredSkills, responsibilities } = jobDescription;
+
+  return (
+    <div className="mt-3 bg-indigo-50 border border-indigo-200 rounded-lg p-4 space-y-3 text-sm">
+      <h3 className="font-semibold text-indigo-900">Parsed from the job description</h3>
+      {seniority.level && (
+        <p className="text-indigo-800">
+          <span className="font-semibold">Seniority:</span> {seniority.level}
+          {seniority.minYears !== null && ` (${seniority.minYears}+ years)`}
+        </p>
+      )}
+      {requiredSkills.length > 0 && (
+        <div>
+          <p className="font-semibold text-indigo-800 mb-1">Required skills</p>
+          <SkillChips skills={requiredSkills} className="bg-indigo-600 text-white" />
+        </div>
+      )}
+      {preferredSkills.length > 0 && (
+        <div>
+          <p className="font-semibold text-indigo-800 mb-1">Nice to have</p>
+          <SkillChips skills={preferredSkills} className="bg-white text-indigo-700 border border-indigo-300" />
+        </div>
+      )}
+      {responsibilities.length > 0 && (
+        <div>
+          <p className="font-semibold text-indigo-800 mb-1">Responsibilities</p>
+          <ul className="text-indigo-800 space-y-1">
+            {responsibilities.map((item, idx) => (
+              <li key={idx}>• {item}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default JobDescriptionSummary;
@@ -0,0 +1,27 @@
+import React from 'react';
+import { Keyboard } from 'lucide-react';
+import { SHORTCUTS } from '../lib/accessibility';
+
+// Collapsible list of the interview screen's shortcuts
+const KeyboardShortcuts = () => (
+  <details className="mt-4 text-sm text-gray-600">
+    <summary className="cursor-pointer font-semibold">
+      <Keyboard className="w-4 h-4 inline mr-1 align-text-bottom" />
+      Keyboard shortcuts
+    </summary>
+    <dl className="mt-2 grid grid-cols-[auto,1fr] gap-x-4 gap-y-1">
+      {SHORTCUTS.map(shortcut => (
+        <React.Fragment key={shortcut.id}>
+          <dt>
+            <kbd className="px-1.5 py-0.5 bg-gray-100 border border-gray-300 rounded font-mono text-xs">
+              {shortcut.keys.replace('ArrowUp', '↑').replace('ArrowDown', '↓')}
+            </kbd>
+          </dt>
+          <dd>{shortcut.label}</dd>
+        </React.Fragment>
+      ))}
+    </dl>
+  </details>
+);
+
+export default KeyboardShortcuts;
@@ -0,0 +1,17 @@
+import React from 'react';
+
+// Visually hidden live regions for screen readers. Each announcement is added
+// as a new node, so repeated messages are read again; assertive ones (a failed
+// call) interrupt whatever is being read.
+const LiveAnnouncer = ({ announcements }) => (
+  <div className="sr-only">
+    <div role="log" aria-live="polite" aria-relevant="additions">
+      {announcements.filter(item => !item.assertive).map(item => <p key={item.id}>{item.text}</p>)}
+    </div>
+    <div role="alert" aria-live="assertive" aria-relevant="additions">
+      {announcements.filter(item => item.assertive).map(item => <p key={item.id}>{item.text}</p>)}
+    </div>
+  </div>
+);
+
+export default LiveAnnouncer;
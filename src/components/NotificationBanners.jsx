@@ -0,0 +1,80 @@
+import React from 'react';
+import { AlertCircle, AlertTriangle, CheckCircle, Info, X, Download } from 'lucide-react';
+import { useNotifications, dismissNotification } from '../lib/notifications';
+import { RECOVERY_ACTIONS } from '../lib/errors';
+import { exportClientLog } from '../lib/clientLog';
+
+const LEVEL_STYLES = {
+  error: { icon: AlertCircle, box: 'bg-red-50 border-red-200 text-red-900', button: 'bg-red-600 hover:bg-red-700' },
+  warning: { icon: AlertTriangle, box: 'bg-amber-50 border-amber-200 text-amber-900', button: 'bg-amber-600 hover:bg-amber-700' },
+  success: { icon: CheckCircle, box: 'bg-green-50 border-green-200 text-green-900', button: 'bg-green-600 hover:bg-green-700' },
+  info: { icon: Info, box: 'bg-indigo-50 border-indigo-200 text-indigo-900', button: 'bg-indigo-600 hover:bg-indigo-700' }
+};
+
+// Stack of in-app banners in the top-right corner, rendered once by App
+const NotificationBanners = () => {
+  const notifications = useNotifications();
+  if (!notifications.length) return null;
+
+  return (
+    <div className="fixed top-4 right-4 z-50 w-full max-w-md space-y-3 px-4 sm:px-0">
+      {notifications.map(notification => {
+        const style = LEVEL_STYLES[notification.level] || LEVEL_STYLES.info;
+        const Icon = style.icon;
+        return (
+          <div
+            key={notification.id}
+            role={notification.level === 'error' ? 'alert' : 'status'}
+            className={`border rounded-lg shadow-lg p-4 ${style.box}`}
+          >
+            <div className="flex items-start gap-3">
+              <Icon className="w-5 h-5 flex-shrink-0 mt-0.5" />
+              <div className="flex-1 min-w-0">
+                {notification.title && <p className="font-semibold">{notification.title}</p>}
+                {notification.message && <p className="text-sm break-words">{notification.message}</p>}
+                {notification.hint && <p className="text-sm opacity-80 mt-1">{notification.hint}</p>}
+                {notification.code && notification.level === 'error' && (
+                  <p className="text-xs font-mono opacity-60 mt-1">{notification.code}</p>
+                )}
+                {(notification.actions.length > 0 || notification.level === 'error') && (
+                  <div className="flex flex-wrap gap-2 mt-3">
+                    {notification.actions.map(action => (
+                      <button
+                        key={action.id}
+                        onClick={() => {
+                          dismissNotification(notification.id);
+                          action.run();
+                        }}
+                        className={`px-3 py-1.5 text-white rounded-lg text-sm font-semibold transition-colors ${style.button}`}
+                      >
+                        {RECOVERY_ACTIONS[action.id] || action.label}
+                      </button>
+                    ))}
+                    {notification.level === 'error' && (
+                      <button
+                        onClick={exportClientLog}
+                        className="px-3 py-1.5 border border-current rounded-lg text-sm font-semibold opacity-80 hover:opacity-100 transition-opacity flex items-center gap-1"
+                      >
+                        <Download className="w-3 h-3" />
+                        Export Log
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+              <button
+                onClick={() => dismissNotification(notification.id)}
+                className="opacity-60 hover:opacity-100"
+                title="Dismiss"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default NotificationBanners;
@@ -0,0 +1,46 @@
+import React from 'react';
+import { ShieldAlert } from 'lucide-react';
+import { summarizeSignals, sortSignals, describeSignal } from '../lib/proctoring';
+import { formatTime } from '../lib/format';
+
+// Reviewer summary of the integrity signals logged during the call
+const ProctoringSummary = ({ events }) => {
+  if (!events) return null;
+  const summary = summarizeSignals(events);
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-6 mb-6">
+      <h3 className="font-semibold text-gray-800 mb-3 flex items-center gap-2">
+        <ShieldAlert className="w-5 h-5 text-indigo-600" />
+        Integrity Signals
+      </h3>
+      {summary.length === 0 ? (
+        <p className="text-sm text-gray-600">No signals were logged during the interview.</p>
+      ) : (
+        <>
+          <div className="flex flex-wrap gap-2 mb-4">
+            {summary.map(item => (
+              <span key={item.type} className="px-3 py-1 rounded-full text-xs font-semibold bg-yellow-100 text-yellow-800">
+                {item.label}: {item.count}
+                {item.totalSeconds ? ` (${formatTime(item.totalSeconds)})` : ''}
+              </span>
+            ))}
+          </div>
+          <ul className="text-sm text-gray-700 space-y-1 max-h-48 overflow-y-auto">
+            {sortSignals(events).map((event, idx) => (
+              <li key={idx}>
+                <span className="font-mono text-xs text-gray-500 mr-2">{formatTime(event.startSeconds)}</span>
+                {describeSignal(event)}
+              </li>
+            ))}
+          </ul>
+          <p className="text-xs text-gray-500 mt-3">
+            Signals are prompts for review, not proof of misconduct. Check them against the transcript.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ProctoringSummary;
@@ -0,0 +1,15 @@
+import React from 'react';
+import { recommendationLabel } from '../lib/scorecard';
+
+const BADGE_COLORS = {
+  hire: 'bg-green-100 text-green-800',
+  'no-hire': 'bg-red-100 text-red-800'
+};
+
+const RecommendationBadge = ({ recommendation }) => (
+  <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${BADGE_COLORS[recommendation] || 'bg-gray-200 text-gray-700'}`}>
+    {recommendationLabel(recommendation)}
+  </span>
+);
+
+export default RecommendationBadge;
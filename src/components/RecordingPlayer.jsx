@@ -0,0 +1,55 @@
+import React, { useEffect, useImperativeHandle, useRef, useState, forwardRef } from 'react';
+import { Film } from 'lucide-react';
+
+// Plays back a locally stored session recording. Parents can call
+// `seekTo(seconds)` through the ref to jump to a transcript line.
+const RecordingPlayer = forwardRef(({ recording }, ref) => {
+  const videoRef = useRef(null);
+  const [url, setUrl] = useState('');
+
+  useEffect(() => {
+    if (!recording || !recording.blob) {
+      setUrl('');
+      return;
+    }
+    const objectUrl = URL.createObjectURL(recording.blob);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [recording]);
+
+  useImperativeHandle(ref, () => ({
+    seekTo: (seconds) => {
+      const video = videoRef.current;
+      if (!video) return;
+      video.currentTime = seconds;
+      video.play().catch(() => {});
+      video.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }), []);
+
+  if (!url) return null;
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-6 mb-6">
+      <h3 className="font-semibold text-gray-800 mb-3 flex items-center gap-2">
+        <Film className="w-5 h-5 text-indigo-600" />
+        Session Recording
+      </h3>
+      <video
+        ref={videoRef}
+        src={url}
+        controls
+        playsInline
+        className="w-full rounded-lg bg-gray-900"
+        style={{ maxHeight: '400px' }}
+      />
+      <p className="text-xs text-gray-500 mt-2">
+        Stored only in this browser. Click a transcript line to jump to that moment.
+      </p>
+    </div>
+  );
+});
+
+RecordingPlayer.displayName = 'RecordingPlayer';
+
+export default RecordingPlayer;
@@ -0,0 +1,464 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { LayoutDashboard, UserPlus, Copy, Check, Eye, Trash2, RefreshCw, ArrowLeft, Upload, Clock, Calendar } from 'lucide-react';
+import AppHeader from './AppHeader';
+import AssistantSettingsPanel from './AssistantSettingsPanel';
+import IntegrationDeliveries from './IntegrationDeliveries';
+import RecruiterSignIn from './RecruiterSignIn';
+import RecommendationBadge from './RecommendationBadge';
+import { BUILT_IN_TEMPLATES, loadCustomTemplates, loadSelectedTemplateId, findTemplate } from '../lib/interviewTemplates';
+import { loadAssistantSettings } from '../lib/assistantSettings';
+import { clampTimeLimit, MAX_TIME_LIMIT_MINUTES } from '../lib/interviewPacing';
+import { DOCUMENT_ACCEPT, extractTextFromFile } from '../lib/documentText';
+import { parseResume } from '../lib/resumeParser';
+import { formatTime } from '../lib/format';
+import { navigate } from '../lib/router';
+import { reportError } from '../lib/notifications';
+import {
+  listInvitations,
+  createInvitation,
+  deleteInvitation,
+  buildInvitationLink,
+  groupInvitations
+} from '../lib/invitations';
+
+const REFRESH_INTERVAL_MS = 30000;
+
+const inputClass = 'w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+const emptyForm = () => ({
+  candidateName: '',
+  candidateEmail: '',
+  jobRole: '',
+  templateId: loadSelectedTemplateId(),
+  timeLimitMinutes: '',
+  scheduledFor: '',
+  codingEnabled: false,
+  proctoringEnabled: false,
+  resumeText: '',
+  jobDescriptionText: ''
+});
+
+const STATUS_STYLES = {
+  scheduled: 'bg-blue-100 text-blue-800',
+  'in-progress': 'bg-amber-100 text-amber-800',
+  completed: 'bg-green-100 text-green-800'
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '');
+
+const RecruiterDashboard = () => {
+  const templates = useMemo(() => [...BUILT_IN_TEMPLATES, ...loadCustomTemplates()], []);
+  const [invitations, setInvitations] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  const [signInMessage, setSignInMessage] = useState(null);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [settings, setSettings] = useState(loadAssistantSettings);
+  const [isCreating, setIsCreating] = useState(false);
+  const [createdToken, setCreatedToken] = useState(null);
+  const [copiedToken, setCopiedToken] = useState(null);
+  const resumeInputRef = useRef(null);
+
+  const loadInvitations = async () => {
+    setLoadError('');
+    try {
+      setInvitations(await listInvitations());
+      setSignInMessage(null);
+    } catch (error) {
+      if (error.code === 'RECRUITER_SIGN_IN_REQUIRED') {
+        setInvitations([]);
+        setSignInMessage(error.message);
+      } else {
+        console.error('Error loading invitations:', error);
+        setLoadError(error.message);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Candidates progress in their own browsers, so poll for status changes
+  useEffect(() => {
+    loadInvitations();
+    const interval = setInterval(loadInvitations, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  const groups = useMemo(() => groupInvitations(invitations), [invitations]);
+  const template = findTemplate(templates, form.templateId);
+
+  const updateField = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const handleResumeUpload = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const { text } = await extractTextFromFile(file);
+      updateField('resumeText', text);
+    } catch (error) {
+      console.error('Error extracting text:', error);
+      reportError(error, { handlers: { 'paste-text': () => resumeInputRef.current && resumeInputRef.current.focus() } });
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    submitInvitation();
+  };
+
+  const submitInvitation = async () => {
+    setIsCreating(true);
+    try {
+      const invitation = await createInvitation({
+        candidateName: form.candidateName,
+        candidateEmail: form.candidateEmail,
+        jobRole: form.jobRole,
+        resumeText: form.resumeText,
+        candidateProfile: parseResume(form.resumeText),
+        jobDescriptionText: form.jobDescriptionText,
+        template,
+        assistantSettings: settings,
+        timeLimitMinutes: clampTimeLimit(form.timeLimitMinutes),
+        codingEnabled: form.codingEnabled,
+        proctoringEnabled: form.proctoringEnabled,
+        scheduledFor: form.scheduledFor ? new Date(form.scheduledFor).toISOString() : null
+      });
+      setCreatedToken(invitation.token);
+      setForm(emptyForm());
+      setIsFormOpen(false);
+      loadInvitations();
+    } catch (error) {
+      console.error('Error creating invitation:', error);
+      reportError(error, { message: 'Could not create the interview: ' + error.message, handlers: { retry: submitInvitation } });
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const copyLink = async (token) => {
+    const link = buildInvitationLink(token);
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopiedToken(token);
+      setTimeout(() => setCopiedToken(current => (current === token ? null : current)), 2000);
+    } catch (error) {
+      // Clipboard access can be blocked; let the recruiter copy it by hand
+      window.prompt('Copy the interview link:', link);
+    }
+  };
+
+  const handleDelete = async (invitation) => {
+    if (!window.confirm(`Delete the ${invitation.jobRole} interview for ${invitation.candidateName || 'a deleted candidate'}? The link will stop working.`)) {
+      return;
+    }
+    try {
+      await deleteInvitation(invitation.token);
+      setInvitations(prev => prev.filter(inv => inv.token !== invitation.token));
+    } catch (error) {
+      console.error('Error deleting invitation:', error);
+      reportError(error, { message: 'Could not delete the interview: ' + error.message, handlers: { retry: () => handleDelete(invitation) } });
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 p-6">
+      <div className="max-w-4xl mx-auto">
+        <AppHeader>
+          <button
+            onClick={() => navigate('/')}
+            className="px-4 py-2 border-2 border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-50 transition-colors flex items-center gap-2"
+          >
+            <ArrowLeft className="w-4 h-4" />
+            Interview Setup
+          </button>
+        </AppHeader>
+
+        <div className="bg-white rounded-lg shadow-lg p-8">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-2xl font-bold text-gray-800 flex items-center gap-2">
+              <LayoutDashboard className="w-6 h-6 text-indigo-600" />
+              Candidate Interviews
+            </h2>
+            <div className="flex gap-2">
+              <button
+                onClick={loadInvitations}
+                className="p-2 border-2 border-gray-300 text-gray-600 rounded-lg hover:bg-gray-50 transition-colors"
+                title="Refresh"
+              >
+                <RefreshCw className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => setIsFormOpen(open => !open)}
+                className="px-4 py-2 bg-indigo-600 text-white rounded-lg font-semibold hover:bg-indigo-700 transition-colors flex items-center gap-2"
+              >
+                <UserPlus className="w-4 h-4" />
+                New Interview
+              </button>
+            </div>
+          </div>
+
+          {/* Link for the interview that was just created */}
+          {createdToken && (
+            <div className="bg-green-50 border border-green-200 rounded-lg p-4 mb-6">
+              <p className="font-semibold text-green-900 mb-2">Interview created. Send this link to the candidate:</p>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  readOnly
+                  value={buildInvitationLink(createdToken)}
+                  onFocus={(e) => e.target.select()}
+                  className="flex-1 px-3 py-2 border border-green-300 rounded-lg text-sm font-mono bg-white"
+                />
+                <button
+                  onClick={() => copyLink(createdToken)}
+                  className="px-3 py-2 bg-green-600 text-white rounded-lg text-sm font-semibold hover:bg-green-700 transition-colors flex items-center gap-1"
+                >
+                  {copiedToken === createdToken ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+                  {copiedToken === createdToken ? 'Copied' : 'Copy'}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* New Interview Form */}
+          {isFormOpen && (
+            <form onSubmit={handleCreate} className="border border-gray-200 rounded-lg p-6 mb-6">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">Candidate Name</label>
+                  <input
+                    type="text"
+                    required
+                    value={form.candidateName}
+                    onChange={(e) => updateField('candidateName', e.target.value)}
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">
+                    Candidate Email <span className="font-normal text-gray-500">(optional)</span>
+                  </label>
+                  <input
+                    type="email"
+                    value={form.candidateEmail}
+                    onChange={(e) => updateField('candidateEmail', e.target.value)}
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">Job Role</label>
+                  <input
+                    type="text"
+                    required
+                    value={form.jobRole}
+                    onChange={(e) => updateField('jobRole', e.target.value)}
+                    placeholder="e.g., Senior Frontend Developer"
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">Template</label>
+                  <select
+                    value={template.id}
+                    onChange={(e) => updateField('templateId', e.target.value)}
+                    className={inputClass}
+                  >
+                    {templates.map(t => (
+                      <option key={t.id} value={t.id}>{t.name} ({t.durationMinutes} min)</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">Time Limit (minutes)</label>
+                  <input
+                    type="number"
+                    min="1"
+                    max={MAX_TIME_LIMIT_MINUTES}
+                    value={form.timeLimitMinutes}
+                    onChange={(e) => updateField('timeLimitMinutes', e.target.value)}
+                    placeholder={`${template.durationMinutes} (template default)`}
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-semibold text-gray-700 mb-2">
+                    Scheduled For <span className="font-normal text-gray-500">(optional)</span>
+                  </label>
+                  <input
+                    type="datetime-local"
+                    value={form.scheduledFor}
+                    onChange={(e) => updateField('scheduledFor', e.target.value)}
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+
+              <div className="mb-4">
+                <label className="block text-sm font-semibold text-gray-700 mb-2">Resume/CV</label>
+                <label className="cursor-pointer text-sm text-indigo-600 font-semibold hover:text-indigo-700 flex items-center gap-1 mb-2">
+                  <Upload className="w-4 h-4" />
+                  Upload resume
+                  <input type="file" accept={DOCUMENT_ACCEPT} onChange={handleResumeUpload} className="hidden" />
+                </label>
+                <textarea
+                  ref={resumeInputRef}
+                  required
+                  value={form.resumeText}
+                  onChange={(e) => updateField('resumeText', e.target.value)}
+                  placeholder="Paste resume content here..."
+                  rows="6"
+                  className={inputClass}
+                />
+              </div>
+
+              <div className="mb-4">
+                <label className="block text-sm font-semibold text-gray-700 mb-2">
+                  Job Description <span className="font-normal text-gray-500">(optional)</span>
+                </label>
+                <textarea
+                  value={form.jobDescriptionText}
+                  onChange={(e) => updateField('jobDescriptionText', e.target.value)}
+                  placeholder="Paste the full job posting here..."
+                  rows="4"
+                  className={inputClass}
+                />
+              </div>
+
+              <AssistantSettingsPanel settings={settings} onChange={setSettings} />
+
+              <label className="flex items-center gap-2 font-semibold text-gray-700 cursor-pointer mb-6">
+                <input
+                  type="checkbox"
+                  checked={form.codingEnabled}
+                  onChange={(e) => updateField('codingEnabled', e.target.checked)}
+                  className="w-4 h-4"
+                />
+                Live coding exercise
+              </label>
+
+              <label className="flex items-center gap-2 font-semibold text-gray-700 cursor-pointer mb-6">
+                <input
+                  type="checkbox"
+                  checked={form.proctoringEnabled}
+                  onChange={(e) => updateField('proctoringEnabled', e.target.checked)}
+                  className="w-4 h-4"
+                />
+                Integrity signals (tab switches, copy and paste, silences, faces on camera)
+              </label>
+
+              <div className="flex gap-4">
+                <button
+                  type="submit"
+                  disabled={isCreating}
+                  className="flex-1 bg-indigo-600 text-white py-3 rounded-lg font-semibold hover:bg-indigo-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+                >
+                  {isCreating ? 'Creating...' : 'Create Interview Link'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setIsFormOpen(false)}
+                  className="px-6 py-3 border-2 border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-50 transition-colors"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+
+          {isLoading && (
+            <p className="text-gray-500 text-center py-8">Loading interviews...</p>
+          )}
+
+          {signInMessage && (
+            <RecruiterSignIn message={signInMessage} onSignIn={loadInvitations} />
+          )}
+
+          {loadError && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-red-800 text-sm mb-6">{loadError}</div>
+          )}
+
+          {/* Interviews by status */}
+          {!isLoading && !signInMessage && groups.map(group => (
+            <div key={group.id} className="mb-6">
+              <h3 className="font-semibold text-gray-700 mb-3">
+                {group.label} <span className="text-gray-400 font-normal">({group.invitations.length})</span>
+              </h3>
+              {group.invitations.length === 0 && (
+                <p className="text-sm text-gray-400 mb-2">No {group.label.toLowerCase()} interviews.</p>
+              )}
+              <div className="space-y-3">
+                {group.invitations.map(invitation => (
+                  <div key={invitation.token} className="border border-gray-200 rounded-lg p-4 flex items-center justify-between gap-4">
+                    <div className="min-w-0">
+                      <p className="font-semibold text-gray-800 truncate">
+                        {invitation.candidateName || 'Deleted candidate'}
+                        <span className="text-gray-500 font-normal"> · {invitation.jobRole}</span>
+                      </p>
+                      <div className="flex flex-wrap items-center gap-3 text-sm text-gray-500 mt-1">
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_STYLES[invitation.status]}`}>
+                          {group.label}
+                        </span>
+                        {invitation.candidateEmail && <span>{invitation.candidateEmail}</span>}
+                        {invitation.templateName && <span>{invitation.templateName}</span>}
+                        {invitation.status === 'scheduled' && invitation.scheduledFor && (
+                          <span className="flex items-center gap-1">
+                            <Calendar className="w-3 h-3" />
+                            {formatDate(invitation.scheduledFor)}
+                          </span>
+                        )}
+                        {invitation.status === 'in-progress' && invitation.startedAt && (
+                          <span>Started {formatDate(invitation.startedAt)}</span>
+                        )}
+                        {invitation.status === 'completed' && (
+                          <>
+                            <span>{formatDate(invitation.completedAt)}</span>
+                            <span className="flex items-center gap-1">
+                              <Clock className="w-3 h-3" />
+                              {formatTime(invitation.durationSeconds || 0)}
+                            </span>
+                          </>
+                        )}
+                        {invitation.scorecard && <RecommendationBadge recommendation={invitation.scorecard.recommendation} />}
+                      </div>
+                    </div>
+                    <div className="flex gap-2 flex-shrink-0">
+                      {invitation.status === 'completed' ? (
+                        <button
+                          onClick={() => navigate(`/dashboard/${invitation.token}`)}
+                          className="px-3 py-2 bg-indigo-600 text-white rounded-lg text-sm font-semibold hover:bg-indigo-700 transition-colors flex items-center gap-1"
+                        >
+                          <Eye className="w-4 h-4" />
+                          Results
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => copyLink(invitation.token)}
+                          className="px-3 py-2 border-2 border-gray-300 text-gray-700 rounded-lg text-sm font-semibold hover:bg-gray-50 transition-colors flex items-center gap-1"
+                        >
+                          {copiedToken === invitation.token ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+                          {copiedToken === invitation.token ? 'Copied' : 'Copy Link'}
+                        </button>
+                      )}
+                      <button
+                        onClick={() => handleDelete(invitation)}
+                        className="p-2 border-2 border-gray-300 text-gray-600 rounded-lg hover:bg-red-50 hover:text-red-600 transition-colors"
+                        title="Delete interview"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+
+          {!isLoading && !loadError && !signInMessage && <IntegrationDeliveries />}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecruiterDashboard;
@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+import { KeyRound } from 'lucide-react';
+import { saveRecruiterToken } from '../lib/invitations';
+
+// Asks for the interview server's recruiter token. It is kept in this browser
+// and sent with every dashboard request.
+const RecruiterSignIn = ({ message, onSignIn }) => {
+  const [token, setToken] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!token.trim()) return;
+    saveRecruiterToken(token);
+    setToken('');
+    onSignIn();
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-indigo-50 border border-indigo-200 rounded-lg p-4 mb-6">
+      <p className="font-semibold text-indigo-900 mb-1 flex items-center gap-2">
+        <KeyRound className="w-4 h-4" />
+        Recruiter sign-in
+      </p>
+      <p className="text-sm text-indigo-800 mb-3">
+        {message ? `${message}. ` : ''}Enter the recruiter token the interview server prints at startup, or its RECRUITER_TOKEN.
+      </p>
+      <div className="flex gap-2">
+        <input
+          type="password"
+          value={token}
+          onChange={(e) => setToken(e.target.value)}
+          placeholder="Recruiter token"
+          autoComplete="current-password"
+          className="flex-1 px-3 py-2 border border-indigo-300 rounded-lg text-sm font-mono bg-white"
+        />
+        <button
+          type="submit"
+          disabled={!token.trim()}
+          className="px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm font-semibold hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+        >
+          Sign In
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default RecruiterSignIn;
@@ -0,0 +1,108 @@
+import React from 'react';
+import { Award, ThumbsUp, ThumbsDown, HelpCircle, RefreshCw, Quote } from 'lucide-react';
+import { MAX_SCORE, recommendationLabel } from '../lib/scorecard';
+
+const RECOMMENDATION_STYLES = {
+  hire: { icon: ThumbsUp, color: 'bg-green-100 text-green-800' },
+  'no-hire': { icon: ThumbsDown, color: 'bg-red-100 text-red-800' }
+};
+const NEEDS_REVIEW_STYLE = { icon: HelpCircle, color: 'bg-gray-200 text-gray-700' };
+
+const scoreColor = (score) => {
+  if (score >= 4) return 'bg-green-500';
+  if (score >= 3) return 'bg-yellow-500';
+  return 'bg-red-500';
+};
+
+const Scorecard = ({ scorecard, isLoading, error, onRetry }) => {
+  if (isLoading) {
+    return (
+      <div className="bg-gray-50 rounded-lg p-6 mb-6">
+        <h3 className="font-semibold text-gray-800 mb-3 flex items-center gap-2">
+          <Award className="w-5 h-5 text-indigo-600" />
+          Candidate Scorecard
+        </h3>
+        <div className="flex items-center gap-3 text-gray-600">
+          <div className="w-5 h-5 border-2 border-indigo-600 border-t-transparent rounded-full animate-spin"></div>
+          Evaluating the interview...
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-lg p-6 mb-6">
+        <h3 className="font-semibold text-red-900 mb-2">Scorecard unavailable</h3>
+        <p className="text-sm text-red-800 mb-3">{error}</p>
+        <button
+          onClick={onRetry}
+          className="px-4 py-2 bg-red-600 text-white rounded-lg font-semibold hover:bg-red-700 transition-colors flex items-center gap-2"
+        >
+          <RefreshCw className="w-4 h-4" />
+          Try Again
+        </button>
+      </div>
+    );
+  }
+
+  if (!scorecard) return null;
+
+  const { icon: RecommendationIcon, color } = RECOMMENDATION_STYLES[scorecard.recommendation] || NEEDS_REVIEW_STYLE;
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-6 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-semibold text-gray-800 flex items-center gap-2">
+          <Award className="w-5 h-5 text-indigo-600" />
+          Candidate Scorecard
+        </h3>
+        <div className={`px-3 py-1 rounded-full text-sm font-semibold flex items-center gap-1 ${color}`}>
+          <RecommendationIcon className="w-4 h-4" />
+          {recommendationLabel(scorecard.recommendation)}
+        </div>
+      </div>
+
+      <p className="text-gray-700 mb-4">
+        <span className="font-semibold">Overall:</span> {scorecard.overallScore.toFixed(1)} / {MAX_SCORE}
+      </p>
+
+      <div className="space-y-4">
+        {scorecard.competencies.map(competency => (
+          <div key={competency.id} className="bg-white border border-gray-200 rounded-lg p-4">
+            <div className="flex items-center justify-between mb-2">
+              <p className="font-semibold text-gray-800">{competency.label}</p>
+              <span className="font-mono text-gray-700">{competency.score.toFixed(1)} / {MAX_SCORE}</span>
+            </div>
+            <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden mb-2">
+              <div
+                className={`h-full ${scoreColor(competency.score)}`}
+                style={{ width: `${(competency.score / MAX_SCORE) * 100}%` }}
+              />
+            </div>
+            {competency.summary && (
+              <p className="text-sm text-gray-600 mb-2">{competency.summary}</p>
+            )}
+            {competency.evidence.length > 0 && (
+              <ul className="space-y-1">
+                {competency.evidence.map((item, idx) => (
+                  <li key={idx} className="text-sm text-gray-700 italic flex gap-2">
+                    <Quote className="w-3 h-3 text-indigo-400 flex-shrink-0 mt-1" />
+                    {item.quote}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {scorecard.rationale && (
+        <p className="text-sm text-gray-600 mt-4">{scorecard.rationale}</p>
+      )}
+      <p className="text-xs text-gray-400 mt-2">Evaluated by: {scorecard.evaluator}</p>
+    </div>
+  );
+};
+
+export default Scorecard;
@@ -0,0 +1,227 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { History, Search, Trash2, FolderOpen, ArrowLeft, Clock, MessageSquare } from 'lucide-react';
+import { listSessions, deleteSession, deleteSessionsBefore, clearSessions, filterSessions } from '../lib/sessionStore';
+import {
+  loadRetentionDays,
+  saveRetentionDays,
+  clampRetentionDays,
+  retentionCutoff,
+  MIN_RETENTION_DAYS,
+  MAX_RETENTION_DAYS
+} from '../lib/privacy';
+import { formatTime } from '../lib/format';
+import RecommendationBadge from './RecommendationBadge';
+import { reportError } from '../lib/notifications';
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+const SessionHistory = ({ onOpen, onBack }) => {
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  const [filters, setFilters] = useState({ query: '', role: '', from: '', to: '' });
+  const [retentionDays, setRetentionDays] = useState(loadRetentionDays);
+
+  const loadSessions = async () => {
+    setIsLoading(true);
+    setLoadError('');
+    try {
+      setSessions(await listSessions());
+    } catch (error) {
+      console.error('Error loading sessions:', error);
+      setLoadError(error.message || 'Could not load saved interviews.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const roles = useMemo(
+    () => Array.from(new Set(sessions.map(s => s.jobRole).filter(Boolean))).sort(),
+    [sessions]
+  );
+  const visible = useMemo(() => filterSessions(sessions, filters), [sessions, filters]);
+
+  const updateFilter = (field, value) => setFilters(prev => ({ ...prev, [field]: value }));
+
+  const handleDelete = async (session) => {
+    if (!window.confirm(`Delete the ${session.jobRole} interview from ${new Date(session.completedAt).toLocaleString()}?`)) {
+      return;
+    }
+    try {
+      await deleteSession(session.id);
+      setSessions(prev => prev.filter(s => s.id !== session.id));
+    } catch (error) {
+      console.error('Error deleting session:', error);
+      reportError(error, { message: 'Could not delete the interview: ' + error.message, handlers: { retry: () => handleDelete(session) } });
+    }
+  };
+
+  // Shortening the period deletes the sessions that are now past it
+  const applyRetention = async (value) => {
+    const days = clampRetentionDays(value);
+    setRetentionDays(days);
+    saveRetentionDays(days);
+    try {
+      if (await deleteSessionsBefore(retentionCutoff(days))) loadSessions();
+    } catch (error) {
+      console.error('Error applying session retention:', error);
+    }
+  };
+
+  const handleDeleteAll = async () => {
+    if (!window.confirm(`Delete all ${sessions.length} saved interviews, including transcripts and recordings?`)) return;
+    try {
+      await clearSessions();
+      setSessions([]);
+    } catch (error) {
+      console.error('Error deleting sessions:', error);
+      reportError(error, { message: 'Could not delete the interviews: ' + error.message, handlers: { retry: handleDeleteAll } });
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-8">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-2xl font-bold text-gray-800 flex items-center gap-2">
+          <History className="w-6 h-6 text-indigo-600" />
+          Interview History
+        </h2>
+        <button
+          onClick={onBack}
+          className="px-4 py-2 border-2 border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-50 transition-colors flex items-center gap-2"
+        >
+          <ArrowLeft className="w-4 h-4" />
+          Back
+        </button>
+      </div>
+
+      {/* Filters */}
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-3 mb-6">
+        <div className="relative md:col-span-2">
+          <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 transform -translate-y-1/2" />
+          <input
+            type="text"
+            value={filters.query}
+            onChange={(e) => updateFilter('query', e.target.value)}
+            placeholder="Search role, candidate or transcript..."
+            className={`${inputClass} w-full pl-9`}
+          />
+        </div>
+        <select
+          value={filters.role}
+          onChange={(e) => updateFilter('role', e.target.value)}
+          className={inputClass}
+        >
+          <option value="">All roles</option>
+          {roles.map(role => (
+            <option key={role} value={role}>{role}</option>
+          ))}
+        </select>
+        <div className="flex gap-2">
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => updateFilter('from', e.target.value)}
+            className={`${inputClass} w-full`}
+            title="From date"
+          />
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => updateFilter('to', e.target.value)}
+            className={`${inputClass} w-full`}
+            title="To date"
+          />
+        </div>
+      </div>
+
+      {/* Retention */}
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-6 text-sm text-gray-600">
+        <label className="flex items-center gap-2">
+          Delete interviews automatically after
+          <input
+            type="number"
+            min={MIN_RETENTION_DAYS}
+            max={MAX_RETENTION_DAYS}
+            value={retentionDays}
+            onChange={(e) => setRetentionDays(e.target.value)}
+            onBlur={(e) => applyRetention(e.target.value)}
+            className={`${inputClass} w-20`}
+          />
+          days
+        </label>
+        {sessions.length > 0 && (
+          <button
+            onClick={handleDeleteAll}
+            className="px-3 py-2 border-2 border-gray-300 text-gray-600 rounded-lg font-semibold hover:bg-red-50 hover:text-red-600 transition-colors flex items-center gap-1"
+          >
+            <Trash2 className="w-4 h-4" />
+            Delete All
+          </button>
+        )}
+      </div>
+
+      {isLoading && (
+        <p className="text-gray-500 text-center py-8">Loading saved interviews...</p>
+      )}
+
+      {loadError && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-red-800 text-sm">{loadError}</div>
+      )}
+
+      {!isLoading && !loadError && visible.length === 0 && (
+        <p className="text-gray-500 text-center py-8">
+          {sessions.length === 0 ? 'No interviews saved yet.' : 'No interviews match these filters.'}
+        </p>
+      )}
+
+      <div className="space-y-3">
+        {visible.map(session => (
+          <div key={session.id} className="border border-gray-200 rounded-lg p-4 flex items-center justify-between gap-4">
+            <div className="min-w-0">
+              <p className="font-semibold text-gray-800 truncate">
+                {session.jobRole}
+                {session.candidateName && <span className="text-gray-500 font-normal"> · {session.candidateName}</span>}
+              </p>
+              <div className="flex flex-wrap items-center gap-3 text-sm text-gray-500 mt-1">
+                <span>{new Date(session.completedAt).toLocaleString()}</span>
+                <span className="flex items-center gap-1">
+                  <Clock className="w-3 h-3" />
+                  {formatTime(session.durationSeconds || 0)}
+                </span>
+                <span className="flex items-center gap-1">
+                  <MessageSquare className="w-3 h-3" />
+                  {(session.transcript || []).length}
+                </span>
+                {session.templateName && <span>{session.templateName}</span>}
+                {session.scorecard && <RecommendationBadge recommendation={session.scorecard.recommendation} />}
+              </div>
+            </div>
+            <div className="flex gap-2 flex-shrink-0">
+              <button
+                onClick={() => onOpen(session)}
+                className="px-3 py-2 bg-indigo-600 text-white rounded-lg text-sm font-semibold hover:bg-indigo-700 transition-colors flex items-center gap-1"
+              >
+                <FolderOpen className="w-4 h-4" />
+                Open
+              </button>
+              <button
+                onClick={() => handleDelete(session)}
+                className="p-2 border-2 border-gray-300 text-gray-600 rounded-lg hover:bg-red-50 hover:text-red-600 transition-colors"
+                title="Delete interview"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SessionHistory;
@@ -0,0 +1,224 @@
+import React, { useState } from 'react';
+import { ClipboardList, Pencil, Copy, Trash2, Download, Upload, Save, X } from 'lucide-react';
+import {
+  normalizeTemplate,
+  createTemplateId,
+  isBuiltInTemplate,
+  exportTemplates,
+  importTemplates
+} from '../lib/interviewTemplates';
+import { downloadFile } from '../lib/localStore';
+import { notify, reportError } from '../lib/notifications';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent';
+
+const toDraft = (template) => ({
+  ...template,
+  structure: template.structure.join('\n'),
+  sectionMinutes: (template.sectionMinutes || []).join(', '),
+  mustAskQuestions: template.mustAskQuestions.join('\n')
+});
+
+const TemplatePicker = ({ templates, selectedId, onSelect, onSave, onDelete, onImport }) => {
+  const [draft, setDraft] = useState(null);
+  const selected = templates.find(t => t.id === selectedId) || templates[0];
+
+  const startEditing = (template, asCopy) => {
+    const base = asCopy
+      ? { ...template, id: createTemplateId(template.name), name: `${template.name} (copy)` }
+      : template;
+    setDraft(toDraft(base));
+  };
+
+  const saveDraft = () => {
+    try {
+      const template = normalizeTemplate(draft);
+      onSave(template);
+      setDraft(null);
+    } catch (error) {
+      reportError(error, { code: 'TEMPLATE_INVALID' });
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const imported = importTemplates(await file.text());
+      onImport(imported);
+      notify({ level: 'success', message: `Imported ${imported.length} template${imported.length === 1 ? '' : 's'}` });
+    } catch (error) {
+      console.error('Error importing templates:', error);
+      reportError(error, { code: 'TEMPLATE_INVALID', message: 'Could not import templates: ' + error.message });
+    }
+  };
+
+  const handleExport = () => {
+    const custom = templates.filter(t => !isBuiltInTemplate(t.id));
+    downloadFile('interview-templates.json', exportTemplates(custom.length ? custom : [selected]));
+  };
+
+  const updateDraft = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+
+  return (
+    <div className="mb-6">
+      <label className="block text-sm font-semibold text-gray-700 mb-2">
+        <ClipboardList className="w-4 h-4 inline mr-2" />
+        Interview Template
+      </label>
+      <div className="flex gap-2">
+        <select
+          value={selected.id}
+          onChange={(e) => onSelect(e.target.value)}
+          className="flex-1 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+        >
+          {templates.map(template => (
+            <option key={template.id} value={template.id}>
+              {template.name} · {template.durationMinutes} min{isBuiltInTemplate(template.id) ? '' : ' (custom)'}
+            </option>
+          ))}
+        </select>
+        {!isBuiltInTemplate(selected.id) && (
+          <button
+            type="button"
+            onClick={() => startEditing(selected, false)}
+            className="px-3 border-2 border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+            title="Edit template"
+          >
+            <Pencil className="w-4 h-4" />
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={() => startEditing(selected, true)}
+          className="px-3 border-2 border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+          title="Duplicate as a new template"
+        >
+          <Copy className="w-4 h-4" />
+        </button>
+        {!isBuiltInTemplate(selected.id) && (
+          <button
+            type="button"
+            onClick={() => {
+              if (window.confirm(`Delete template "${selected.name}"?`)) onDelete(selected.id);
+            }}
+            className="px-3 border-2 border-gray-300 text-gray-700 rounded-lg hover:bg-red-50 hover:text-red-600 transition-colors"
+            title="Delete template"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+
+      {selected.description && !draft && (
+        <p className="text-sm text-gray-500 mt-2">{selected.description}</p>
+      )}
+
+      <div className="flex gap-4 mt-2 text-sm">
+        <button
+          type="button"
+          onClick={handleExport}
+          className="text-indigo-600 hover:text-indigo-700 font-semibold flex items-center gap-1"
+        >
+          <Download className="w-4 h-4" />
+          Export JSON
+        </button>
+        <label className="text-indigo-600 hover:text-indigo-700 font-semibold flex items-center gap-1 cursor-pointer">
+          <Upload className="w-4 h-4" />
+          Import JSON
+          <input type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+        </label>
+      </div>
+
+      {draft && (
+        <div className="mt-3 border border-indigo-200 bg-indigo-50 rounded-lg p-4 space-y-3">
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={draft.name}
+              onChange={(e) => updateDraft('name', e.target.value)}
+              placeholder="Template name"
+              className={inputClass}
+            />
+            <input
+              type="number"
+              min="1"
+              max="180"
+              value={draft.durationMinutes}
+              onChange={(e) => updateDraft('durationMinutes', e.target.value)}
+              className={`${inputClass} max-w-[6rem]`}
+              title="Target duration (minutes)"
+            />
+          </div>
+          <input
+            type="text"
+            value={draft.description}
+            onChange={(e) => updateDraft('description', e.target.value)}
+            placeholder="Short description"
+            className={inputClass}
+          />
+          <input
+            type="text"
+            value={draft.tone}
+            onChange={(e) => updateDraft('tone', e.target.value)}
+            placeholder="Tone, e.g. friendly but professional"
+            className={inputClass}
+          />
+          <div>
+            <p className="text-xs font-semibold text-indigo-900 mb-1">
+              Structure (one step per line, use {'{role}'} for the job role)
+            </p>
+            <textarea
+              value={draft.structure}
+              onChange={(e) => updateDraft('structure', e.target.value)}
+              rows="6"
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <p className="text-xs font-semibold text-indigo-900 mb-1">
+              Section minutes (one per structure step, comma separated; leave blank to split evenly)
+            </p>
+            <input
+              type="text"
+              value={draft.sectionMinutes}
+              onChange={(e) => updateDraft('sectionMinutes', e.target.value)}
+              placeholder="e.g. 2, 5, 5, 2, 1"
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <p className="text-xs font-semibold text-indigo-900 mb-1">Must-ask questions (one per line)</p>
+            <textarea
+              value={draft.mustAskQuestions}
+              onChange={(e) => updateDraft('mustAskQuestions', e.target.value)}
+              rows="3"
+              className={inputClass}
+            />
+          </div>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={saveDraft}
+              className="px-4 py-2 bg-indigo-600 text-white rounded-lg font-semibold hover:bg-indigo-700 transition-colors flex items-center gap-2"
+            >
+              <Save className="w-4 h-4" />
+              Save Template
+            </button>
+            <button
+              type="button"
+              onClick={() => setDraft(null)}
+              className="px-4 py-2 border-2 border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-50 transition-colors flex items-center gap-2"
+            >
+              <X className="w-4 h-4" />
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TemplatePicker;
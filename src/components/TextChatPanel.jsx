@@ -0,0 +1,97 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { MessagesSquare, Send } from 'lucide-react';
+import { formatTime } from '../lib/format';
+
+// Chat shown instead of the camera preview and live transcript when the
+// interview runs as a typed chat. Enter sends; Shift+Enter starts a new line.
+const TextChatPanel = ({ turns, typingSpeaker, onSend, disabled }) => {
+  const [draft, setDraft] = useState('');
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    const list = listRef.current;
+    if (list) list.scrollTop = list.scrollHeight;
+  }, [turns, typingSpeaker]);
+
+  const send = () => {
+    if (!draft.trim() || disabled) return;
+    onSend(draft);
+    setDraft('');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key !== 'Enter' || e.shiftKey) return;
+    e.preventDefault();
+    send();
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-lg mb-6 overflow-hidden">
+      <div className="bg-gray-50 px-4 py-3 border-b border-gray-200">
+        <h3 className="font-semibold text-gray-800 flex items-center gap-2">
+          <MessagesSquare className="w-5 h-5 text-indigo-600" />
+          Interview Chat
+        </h3>
+      </div>
+
+      <div ref={listRef} className="p-4 h-96 overflow-y-auto space-y-3" role="region" aria-label="Interview chat messages" tabIndex={0}>
+        {turns.length === 0 && !typingSpeaker && (
+          <p className="text-gray-500 text-center py-8">Waiting for the interviewer...</p>
+        )}
+        {turns.map((item, idx) => (
+          <div key={idx} className={`flex ${item.speaker === 'You' ? 'justify-end' : 'justify-start'}`}>
+            <div className={`max-w-[80%] p-3 rounded-lg ${item.speaker === 'You' ? 'bg-white border border-gray-200' : 'bg-indigo-50'}`}>
+              <p className="font-semibold text-sm text-gray-700 mb-1">
+                {item.speaker}
+                {item.startSeconds !== null && item.startSeconds !== undefined && (
+                  <span className="ml-2 font-mono text-xs text-gray-400">{formatTime(Math.floor(item.startSeconds))}</span>
+                )}
+              </p>
+              {item.kind === 'code' ? (
+                <pre className="bg-gray-900 text-gray-100 rounded p-2 text-xs overflow-x-auto">{item.text}</pre>
+              ) : (
+                <p className="text-gray-800 whitespace-pre-wrap">{item.text}</p>
+              )}
+            </div>
+          </div>
+        ))}
+        {typingSpeaker && (
+          <div className="flex justify-start">
+            <div className="p-3 rounded-lg bg-indigo-50 text-sm text-gray-600 flex items-center gap-2">
+              {typingSpeaker} is typing
+              <span className="flex gap-1" aria-hidden="true">
+                <span className="w-1.5 h-1.5 bg-indigo-400 rounded-full animate-bounce" />
+                <span className="w-1.5 h-1.5 bg-indigo-400 rounded-full animate-bounce" style={{ animationDelay: '150ms' }} />
+                <span className="w-1.5 h-1.5 bg-indigo-400 rounded-full animate-bounce" style={{ animationDelay: '300ms' }} />
+              </span>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="border-t border-gray-200 p-3 flex gap-2 items-end">
+        <textarea
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={handleKeyDown}
+          data-chat-input=""
+          aria-label="Your answer"
+          rows={2}
+          disabled={disabled}
+          placeholder={disabled ? 'The chat opens when the interview is live' : 'Type your answer...'}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm resize-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent disabled:bg-gray-100"
+        />
+        <button
+          onClick={send}
+          disabled={disabled || !draft.trim()}
+          className="px-4 py-2 bg-indigo-600 text-white rounded-lg font-semibold hover:bg-indigo-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors flex items-center gap-2"
+        >
+          <Send className="w-4 h-4" />
+          Send
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TextChatPanel;
@@ -0,0 +1,47 @@
+import React, { useState } from 'react';
+import { Download } from 'lucide-react';
+import { EXPORT_FORMATS, exportFileName } from '../lib/transcriptExport';
+import { downloadFile } from '../lib/localStore';
+import { reportError } from '../lib/notifications';
+
+const TranscriptExport = ({ report }) => {
+  const [busyFormat, setBusyFormat] = useState('');
+
+  const handleExport = async (format) => {
+    setBusyFormat(format.id);
+    try {
+      const content = await format.build(report);
+      downloadFile(exportFileName(report, format.extension), content, format.mimeType);
+    } catch (error) {
+      console.error(`Error exporting ${format.label}:`, error);
+      reportError(error, {
+        code: 'EXPORT_FAILED',
+        message: `Could not export the transcript as ${format.label}: ${error.message}`,
+        handlers: { retry: () => handleExport(format) }
+      });
+    } finally {
+      setBusyFormat('');
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-6">
+      <span className="text-sm font-semibold text-gray-700 flex items-center gap-1">
+        <Download className="w-4 h-4" />
+        Export:
+      </span>
+      {EXPORT_FORMATS.map(format => (
+        <button
+          key={format.id}
+          onClick={() => handleExport(format)}
+          disabled={!!busyFormat || report.turns.length === 0}
+          className="px-3 py-1 border-2 border-gray-300 text-gray-700 rounded-lg text-sm font-semibold hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          {busyFormat === format.id ? 'Exporting...' : format.label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default TranscriptExport;
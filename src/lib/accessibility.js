@@ -0,0 +1,90 @@
+import { readJson, writeJson } from './localStore';
+
+// Keyboard shortcuts, caption overlays and screen-reader announcements for
+// the interview screen. Shortcuts use Alt+Shift so they do not fire while
+// typing in the chat or the code editor, or open the browser's Alt menus,
+// and they match the physical key so they work on any keyboard layout.
+
+const CAPTIONS_KEY = 'vapiInterview.captions';
+
+const CANDIDATE_SPEAKER = 'You';
+
+export const SHORTCUTS = [
+  { id: 'mic', code: 'KeyM', keys: 'Alt+Shift+M', label: 'Mute or unmute the microphone' },
+  { id: 'camera', code: 'KeyV', keys: 'Alt+Shift+V', label: 'Turn the camera off or on' },
+  { id: 'pause', code: 'KeyP', keys: 'Alt+Shift+P', label: 'Pause or resume the interview' },
+  { id: 'captions', code: 'KeyC', keys: 'Alt+Shift+C', label: 'Show or hide captions' },
+  { id: 'caption-larger', code: 'ArrowUp', keys: 'Alt+Shift+ArrowUp', label: 'Make captions larger' },
+  { id: 'caption-smaller', code: 'ArrowDown', keys: 'Alt+Shift+ArrowDown', label: 'Make captions smaller' },
+  { id: 'end', code: 'KeyE', keys: 'Alt+Shift+E', label: 'End the interview' }
+];
+
+// The shortcut a keydown event triggers, or null
+export const matchShortcut = (event) => {
+  if (!event.altKey || !event.shiftKey || event.ctrlKey || event.metaKey || event.repeat) return null;
+  const shortcut = SHORTCUTS.find(item => item.code === event.code);
+  return shortcut ? shortcut.id : null;
+};
+
+// For aria-keyshortcuts and button titles
+export const shortcutKeys = (id) => {
+  const shortcut = SHORTCUTS.find(item => item.id === id);
+  return shortcut ? shortcut.keys : '';
+};
+
+export const CAPTION_SIZES = [
+  { id: 'medium', label: 'Medium', className: 'text-xl' },
+  { id: 'large', label: 'Large', className: 'text-3xl' },
+  { id: 'x-large', label: 'Extra large', className: 'text-5xl' }
+];
+
+export const DEFAULT_CAPTIONS = { enabled: false, size: 'large' };
+
+export const normalizeCaptionSettings = (raw) => ({
+  enabled: Boolean(raw && raw.enabled),
+  size: raw && CAPTION_SIZES.some(size => size.id === raw.size) ? raw.size : DEFAULT_CAPTIONS.size
+});
+
+export const loadCaptionSettings = () => normalizeCaptionSettings(readJson(CAPTIONS_KEY, DEFAULT_CAPTIONS));
+
+export const saveCaptionSettings = (settings) => writeJson(CAPTIONS_KEY, normalizeCaptionSettings(settings));
+
+// The next size up (direction 1) or down (-1), stopping at the ends
+export const stepCaptionSize = (size, direction) => {
+  const index = CAPTION_SIZES.findIndex(item => item.id === size);
+  const next = Math.min(CAPTION_SIZES.length - 1, Math.max(0, index + direction));
+  return CAPTION_SIZES[next].id;
+};
+
+const MAX_CAPTION_CHARS = 160;
+
+// The end of the interviewer's current turn, words still being spoken
+// included. Nothing once the candidate starts answering.
+export const getCaptionText = (liveTurns) => {
+  const last = liveTurns[liveTurns.length - 1];
+  if (!last || last.speaker === CANDIDATE_SPEAKER || last.kind) return null;
+  const text = [last.text, last.pendingText].filter(Boolean).join(' ').replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+  if (text.length <= MAX_CAPTION_CHARS) return { speaker: last.speaker, text };
+  // Cut at a word boundary so the caption starts with a whole word
+  const tail = text.slice(-MAX_CAPTION_CHARS);
+  return { speaker: last.speaker, text: `…${tail.slice(tail.indexOf(' ') + 1)}` };
+};
+
+// Interviewer speech finished since `cursor`, as screen-reader announcements.
+// Consecutive segments are merged into one turn, so the cursor also records
+// how much of the last turn was already read out. A shorter transcript means
+// a new interview, which starts from the beginning.
+export const collectAnnouncements = (turns, cursor = { count: 0, length: 0 }) => {
+  const from = turns.length < cursor.count ? { count: 0, length: 0 } : cursor;
+  const messages = [];
+  turns.forEach((turn, idx) => {
+    if (idx < from.count - 1) return;
+    const start = idx === from.count - 1 ? from.length : 0;
+    const text = (turn.text || '').slice(start).trim();
+    if (!text || turn.speaker === CANDIDATE_SPEAKER || turn.kind) return;
+    messages.push(start ? text : `${turn.speaker}: ${text}`);
+  });
+  const last = turns[turns.length - 1];
+  return { messages, cursor: { count: turns.length, length: last && last.text ? last.text.length : 0 } };
+};
@@ -0,0 +1,243 @@
+import { readJson, writeJson } from './localStore';
+
+// Model, voice, transcriber and language settings for the Vapi assistant,
+// plus reusable presets stored in localStorage. Settings are validated
+// against the option lists below, which the session endpoint also uses so
+// clients cannot request arbitrary models.
+//
+// `panel` switches the call to a panel interview: two or three interviewer
+// personas, each with its own name, focus and voice (see panel.js).
+
+const SETTINGS_KEY = 'vapiInterview.assistantSettings';
+const PRESETS_KEY = 'vapiInterview.assistantPresets';
+
+export const MODEL_OPTIONS = [
+  { id: 'openai:gpt-4', provider: 'openai', model: 'gpt-4', label: 'OpenAI GPT-4' },
+  { id: 'openai:gpt-4o', provider: 'openai', model: 'gpt-4o', label: 'OpenAI GPT-4o' },
+  { id: 'openai:gpt-4o-mini', provider: 'openai', model: 'gpt-4o-mini', label: 'OpenAI GPT-4o mini' },
+  { id: 'anthropic:claude-3-5-sonnet-20240620', provider: 'anthropic', model: 'claude-3-5-sonnet-20240620', label: 'Anthropic Claude 3.5 Sonnet' },
+  { id: 'groq:llama-3.1-70b-versatile', provider: 'groq', model: 'llama-3.1-70b-versatile', label: 'Groq Llama 3.1 70B' }
+];
+
+export const VOICE_OPTIONS = [
+  { id: '11labs:21m00Tcm4TlvDq8ikWAM', provider: '11labs', voiceId: '21m00Tcm4TlvDq8ikWAM', label: 'ElevenLabs Rachel (multilingual)' },
+  { id: '11labs:pNInz6obpgDQGcFmaJgB', provider: '11labs', voiceId: 'pNInz6obpgDQGcFmaJgB', label: 'ElevenLabs Adam (multilingual)' },
+  { id: '11labs:EXAVITQu4vr4xnSDxMaL', provider: '11labs', voiceId: 'EXAVITQu4vr4xnSDxMaL', label: 'ElevenLabs Bella (multilingual)' },
+  { id: 'azure:en-US-JennyNeural', provider: 'azure', voiceId: 'en-US-JennyNeural', label: 'Azure Jenny (English)' },
+  { id: 'azure:es-ES-ElviraNeural', provider: 'azure', voiceId: 'es-ES-ElviraNeural', label: 'Azure Elvira (Spanish)' },
+  { id: 'azure:fr-FR-DeniseNeural', provider: 'azure', voiceId: 'fr-FR-DeniseNeural', label: 'Azure Denise (French)' },
+  { id: 'azure:de-DE-KatjaNeural', provider: 'azure', voiceId: 'de-DE-KatjaNeural', label: 'Azure Katja (German)' },
+  { id: 'azure:pt-BR-FranciscaNeural', provider: 'azure', voiceId: 'pt-BR-FranciscaNeural', label: 'Azure Francisca (Portuguese)' },
+  { id: 'azure:hi-IN-SwaraNeural', provider: 'azure', voiceId: 'hi-IN-SwaraNeural', label: 'Azure Swara (Hindi)' },
+  { id: 'azure:ja-JP-NanamiNeural', provider: 'azure', voiceId: 'ja-JP-NanamiNeural', label: 'Azure Nanami (Japanese)' }
+];
+
+export const TRANSCRIBER_OPTIONS = [
+  { id: 'deepgram:nova-2', provider: 'deepgram', model: 'nova-2', label: 'Deepgram Nova 2' },
+  { id: 'deepgram:nova-2-general', provider: 'deepgram', model: 'nova-2-general', label: 'Deepgram Nova 2 General' },
+  { id: 'deepgram:nova-3', provider: 'deepgram', model: 'nova-3', label: 'Deepgram Nova 3' }
+];
+
+// `name` is the language's own name, used in the prompt instruction.
+// `resumeMessage` greets the candidate when a paused or dropped call restarts.
+export const LANGUAGE_OPTIONS = [
+  {
+    code: 'en',
+    label: 'English',
+    name: 'English',
+    firstMessage: (role) => `Hello! Thank you for taking the time to interview with us today for the ${role} position. I've reviewed your resume and I'm excited to learn more about your experience. Shall we get started?`,
+    resumeMessage: 'Welcome back! We got interrupted, so let\'s pick up where we left off.'
+  },
+  {
+    code: 'es',
+    label: 'Spanish',
+    name: 'español',
+    firstMessage: (role) => `¡Hola! Gracias por dedicarnos su tiempo hoy para la entrevista del puesto de ${role}. He revisado su currículum y tengo muchas ganas de conocer más sobre su experiencia. ¿Empezamos?`,
+    resumeMessage: '¡Bienvenido de nuevo! Nos interrumpimos, así que retomemos donde lo dejamos.'
+  },
+  {
+    code: 'fr',
+    label: 'French',
+    name: 'français',
+    firstMessage: (role) => `Bonjour ! Merci de prendre le temps de passer cet entretien aujourd'hui pour le poste de ${role}. J'ai lu votre CV et j'ai hâte d'en savoir plus sur votre expérience. On commence ?`,
+    resumeMessage: 'Rebonjour ! Nous avons été interrompus, reprenons là où nous nous étions arrêtés.'
+  },
+  {
+    code: 'de',
+    label: 'German',
+    name: 'Deutsch',
+    firstMessage: (role) => `Hallo! Vielen Dank, dass Sie sich heute Zeit für das Vorstellungsgespräch für die Position ${role} nehmen. Ich habe Ihren Lebenslauf gelesen und freue mich darauf, mehr über Ihre Erfahrung zu erfahren. Sollen wir beginnen?`,
+    resumeMessage: 'Willkommen zurück! Wir wurden unterbrochen, also machen wir dort weiter, wo wir aufgehört haben.'
+  },
+  {
+    code: 'pt',
+    label: 'Portuguese',
+    name: 'português',
+    firstMessage: (role) => `Olá! Obrigado por reservar um tempo hoje para a entrevista para a vaga de ${role}. Li o seu currículo e estou ansioso para conhecer melhor a sua experiência. Vamos começar?`,
+    resumeMessage: 'Bem-vindo de volta! Fomos interrompidos, então vamos continuar de onde paramos.'
+  },
+  {
+    code: 'hi',
+    label: 'Hindi',
+    name: 'हिन्दी',
+    firstMessage: (role) => `नमस्ते! ${role} पद के इंटरव्यू के लिए आज समय निकालने के लिए धन्यवाद। मैंने आपका रिज़्यूमे देखा है और आपके अनुभव के बारे में और जानने के लिए उत्सुक हूँ। क्या हम शुरू करें?`,
+    resumeMessage: 'फिर से स्वागत है! हमारी बातचीत रुक गई थी, तो चलिए वहीं से आगे बढ़ते हैं।'
+  },
+  {
+    code: 'ja',
+    label: 'Japanese',
+    name: '日本語',
+    firstMessage: (role) => `こんにちは。本日は${role}のポジションの面接にお時間をいただきありがとうございます。履歴書を拝見しました。これまでのご経験についてお話を伺えるのを楽しみにしています。始めてもよろしいでしょうか？`,
+    resumeMessage: 'お待たせしました。中断してしまいましたので、続きから再開しましょう。'
+  }
+];
+
+export const MIN_PANEL_PERSONAS = 2;
+export const MAX_PANEL_PERSONAS = 3;
+const MAX_PERSONA_NAME = 40;
+const MAX_PERSONA_TITLE = 60;
+const MAX_PERSONA_FOCUS = 400;
+
+// Starting points for panelists; names are editable and double as the
+// persona's transcript label and its Vapi squad member name.
+export const PANEL_PERSONA_PRESETS = [
+  {
+    id: 'hiring-manager',
+    name: 'Maya',
+    title: 'Hiring Manager',
+    focus: 'Motivation, ownership and impact in past roles, how the candidate prioritises and communicates, and fit for the team\'s goals.',
+    voiceId: '11labs:21m00Tcm4TlvDq8ikWAM'
+  },
+  {
+    id: 'senior-engineer',
+    name: 'Daniel',
+    title: 'Senior Engineer',
+    focus: 'Technical depth: the skills on the resume, design trade-offs, debugging and how the candidate built the projects they describe.',
+    voiceId: '11labs:pNInz6obpgDQGcFmaJgB'
+  },
+  {
+    id: 'hr',
+    name: 'Sofia',
+    title: 'HR Partner',
+    focus: 'Collaboration, conflict and feedback, working style, and the candidate\'s questions about the company and the process.',
+    voiceId: '11labs:EXAVITQu4vr4xnSDxMaL'
+  }
+];
+
+export const DEFAULT_PANEL = {
+  enabled: false,
+  personas: PANEL_PERSONA_PRESETS.slice(0, MIN_PANEL_PERSONAS)
+};
+
+export const DEFAULT_ASSISTANT_SETTINGS = {
+  modelId: 'openai:gpt-4',
+  voiceId: '11labs:21m00Tcm4TlvDq8ikWAM',
+  transcriberId: 'deepgram:nova-2',
+  language: 'en',
+  panel: DEFAULT_PANEL
+};
+
+export const BUILT_IN_PRESETS = [
+  { id: 'default', name: 'Default (English)', settings: DEFAULT_ASSISTANT_SETTINGS }
+];
+
+const pick = (options, id, fallbackId) =>
+  options.find(option => option.id === id) || options.find(option => option.id === fallbackId);
+
+export const getLanguage = (code) =>
+  LANGUAGE_OPTIONS.find(language => language.code === code) || LANGUAGE_OPTIONS[0];
+
+const cleanText = (value, max) =>
+  (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, max) : '');
+
+// A new panelist from the first preset the panel does not use yet
+export const createPanelPersona = (personas = []) => {
+  const preset = PANEL_PERSONA_PRESETS.find(item => !personas.some(persona => persona.id === item.id))
+    || PANEL_PERSONA_PRESETS[personas.length % PANEL_PERSONA_PRESETS.length];
+  return { ...preset, id: personas.some(persona => persona.id === preset.id) ? `persona-${Date.now().toString(36)}` : preset.id };
+};
+
+// Personas are addressed by name in the squad, so names must be unique.
+// Fewer than two usable personas falls back to the default panel.
+export const normalizePanel = (raw) => {
+  const panel = raw && typeof raw === 'object' ? raw : {};
+  const names = new Set();
+  const personas = (Array.isArray(panel.personas) ? panel.personas : [])
+    .filter(persona => persona && typeof persona === 'object')
+    .slice(0, MAX_PANEL_PERSONAS)
+    .map((persona, idx) => {
+      const preset = PANEL_PERSONA_PRESETS[idx];
+      let name = cleanText(persona.name, MAX_PERSONA_NAME) || preset.name;
+      if (names.has(name.toLowerCase())) name = `${name.slice(0, MAX_PERSONA_NAME - 2)} ${idx + 1}`;
+      names.add(name.toLowerCase());
+      return {
+        id: cleanText(persona.id, MAX_PERSONA_NAME) || preset.id,
+        name,
+        title: cleanText(persona.title, MAX_PERSONA_TITLE),
+        focus: cleanText(persona.focus, MAX_PERSONA_FOCUS),
+        voiceId: pick(VOICE_OPTIONS, persona.voiceId, preset.voiceId).id
+      };
+    });
+  return {
+    enabled: panel.enabled === true,
+    personas: personas.length >= MIN_PANEL_PERSONAS ? personas : DEFAULT_PANEL.personas
+  };
+};
+
+// Replace unknown ids with defaults so stale storage or a tampered request can
+// only ever select a known model, voice, transcriber and language.
+export const normalizeAssistantSettings = (raw) => {
+  const settings = raw && typeof raw === 'object' ? raw : {};
+  return {
+    modelId: pick(MODEL_OPTIONS, settings.modelId, DEFAULT_ASSISTANT_SETTINGS.modelId).id,
+    voiceId: pick(VOICE_OPTIONS, settings.voiceId, DEFAULT_ASSISTANT_SETTINGS.voiceId).id,
+    transcriberId: pick(TRANSCRIBER_OPTIONS, settings.transcriberId, DEFAULT_ASSISTANT_SETTINGS.transcriberId).id,
+    language: getLanguage(settings.language).code,
+    panel: normalizePanel(settings.panel)
+  };
+};
+
+export const resolveVoice = (voiceId) => {
+  const voice = pick(VOICE_OPTIONS, voiceId, DEFAULT_ASSISTANT_SETTINGS.voiceId);
+  return { provider: voice.provider, voiceId: voice.voiceId };
+};
+
+// Resolve settings into the Vapi `model`, `voice` and `transcriber` blocks.
+export const resolveAssistantSettings = (raw) => {
+  const settings = normalizeAssistantSettings(raw);
+  const model = pick(MODEL_OPTIONS, settings.modelId);
+  const transcriber = pick(TRANSCRIBER_OPTIONS, settings.transcriberId);
+  return {
+    model: { provider: model.provider, model: model.model },
+    voice: resolveVoice(settings.voiceId),
+    transcriber: { provider: transcriber.provider, model: transcriber.model, language: settings.language },
+    language: getLanguage(settings.language)
+  };
+};
+
+export const loadAssistantSettings = () => normalizeAssistantSettings(readJson(SETTINGS_KEY, DEFAULT_ASSISTANT_SETTINGS));
+
+export const saveAssistantSettings = (settings) => writeJson(SETTINGS_KEY, settings);
+
+export const loadCustomPresets = () => {
+  const stored = readJson(PRESETS_KEY, []);
+  if (!Array.isArray(stored)) return [];
+  return stored
+    .filter(preset => preset && typeof preset.name === 'string' && preset.id)
+    .map(preset => ({ id: preset.id, name: preset.name, settings: normalizeAssistantSettings(preset.settings) }));
+};
+
+export const saveCustomPresets = (presets) => writeJson(PRESETS_KEY, presets);
+
+export const createPreset = (name, settings) => ({
+  id: `preset-${Date.now().toString(36)}`,
+  name: name.trim(),
+  settings: normalizeAssistantSettings(settings)
+});
+
+const isSamePanel = (a, b) =>
+  JSON.stringify(normalizePanel(a)) === JSON.stringify(normalizePanel(b));
+
+export const isSameSettings = (a, b) =>
+  a.modelId === b.modelId && a.voiceId === b.voiceId && a.transcriberId === b.transcriberId && a.language === b.language
+  && isSamePanel(a.panel, b.panel);
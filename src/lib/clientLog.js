@@ -0,0 +1,65 @@
+import { readJson, writeJson, removeKey, downloadFile } from './localStore';
+import { redactForLog } from './privacy';
+
+// Structured client log for support tickets. Entries are redacted before they
+// are stored, kept across reloads in localStorage and capped, newest last.
+//
+// Entry: { at, level ('error' | 'warning' | 'info'), code, message, context, stack }
+
+const LOG_KEY = 'vapiInterview.clientLog';
+const MAX_ENTRIES = 200;
+const MAX_STACK_CHARS = 2000;
+
+let entries = null;
+
+const load = () => {
+  if (!entries) {
+    const stored = readJson(LOG_KEY, []);
+    entries = Array.isArray(stored) ? stored : [];
+  }
+  return entries;
+};
+
+// Candidate link tokens grant access to an interview, so they never go in the log
+const redactUrl = (url) => url.replace(/\/(i|dashboard)\/[A-Za-z0-9_-]+/g, '/$1/[token]');
+
+export const logEntry = (level, message, { code = null, context = null, error = null } = {}) => {
+  const entry = {
+    at: new Date().toISOString(),
+    level,
+    code,
+    message: redactForLog(String(message)),
+    context: context ? redactForLog(context) : null,
+    stack: error && error.stack ? redactForLog(error.stack.slice(0, MAX_STACK_CHARS)) : null
+  };
+  entries = [...load(), entry].slice(-MAX_ENTRIES);
+  writeJson(LOG_KEY, entries);
+  return entry;
+};
+
+export const logError = (error, context = null) =>
+  logEntry('error', (error && error.message) || String(error), {
+    code: (error && error.code) || 'UNKNOWN',
+    context,
+    error
+  });
+
+export const getClientLog = () => load();
+
+export const clearClientLog = () => {
+  entries = [];
+  removeKey(LOG_KEY);
+};
+
+export const buildClientLogReport = () => ({
+  exportedAt: new Date().toISOString(),
+  url: redactUrl(window.location.pathname + window.location.search),
+  userAgent: navigator.userAgent,
+  language: navigator.language,
+  entries: load()
+});
+
+export const exportClientLog = () => {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  downloadFile(`interview-client-log-${stamp}.json`, JSON.stringify(buildClientLogReport(), null, 2));
+};
@@ -0,0 +1,364 @@
+import { parseJsonContent } from './scorecard';
+
+// Candidate coaching for practice interviews. `analyzeAnswers` pairs each
+// interviewer question with the candidate's spoken answer and measures pace,
+// filler words, length and (for behavioral questions) STAR structure. It is
+// pure, so the report shows as soon as the call ends.
+//
+// A coach is any object with a `name` and an async
+// `suggest({ jobRole, answers })` method that resolves to improved answers:
+// { answers: [{ index, improvedAnswer, tips }] }. Raw results go through
+// `normalizeSuggestions`, like scorecards go through `normalizeScorecard`.
+//
+// Answer: { index, question, answer, wordCount, durationSeconds, wordsPerMinute,
+//   pace, fillers: [{ word, count }], fillerCount, length, behavioral, star, tips }
+//   index is the question turn's position in the transcript.
+
+// Every other speaker is the interviewer, or a panelist in a panel interview
+const CANDIDATE_SPEAKER = 'You';
+
+// Answers shorter than this are acknowledgements ("Yes, I'm ready"), not answers
+const MIN_ANSWER_WORDS = 3;
+export const SHORT_ANSWER_WORDS = 40;
+export const LONG_ANSWER_WORDS = 250;
+// Conversational speech runs at roughly 120-160 words per minute
+export const SLOW_PACE_WPM = 110;
+export const FAST_PACE_WPM = 170;
+// Shorter spans give meaningless rates
+const MIN_PACE_SECONDS = 5;
+
+export const FILLER_WORDS = [
+  { word: 'um', pattern: /\bu+m+\b/gi },
+  { word: 'uh', pattern: /\bu+h+\b/gi },
+  { word: 'er', pattern: /\ber+\b/gi },
+  { word: 'ah', pattern: /\ba+h+\b/gi },
+  // "like" only counts when set off by commas, so "I like" and "looks like" do not
+  { word: 'like', pattern: /(?:^|,\s*)like\b|\blike,/gi },
+  { word: 'you know', pattern: /\byou know\b/gi },
+  { word: 'I mean', pattern: /\bi mean\b/gi },
+  { word: 'basically', pattern: /\bbasically\b/gi },
+  { word: 'actually', pattern: /\bactually\b/gi },
+  { word: 'literally', pattern: /\bliterally\b/gi },
+  { word: 'sort of', pattern: /\bsort of\b/gi },
+  { word: 'kind of', pattern: /\bkind of\b/gi }
+];
+
+const BEHAVIORAL_PATTERN = /\b(tell me about a time|a time (when|you)|describe a (time|situation)|give (me )?an example|walk me through a (time|situation)|have you ever|how did you (handle|deal|resolve)|a situation where|disagree|conflict|mistake|failure|challenge you faced)/i;
+
+export const STAR_PARTS = [
+  {
+    id: 'situation',
+    label: 'Situation',
+    placeholder: 'Set the scene: where you were, the team and what was at stake.',
+    pattern: /\b(when i was|at my (previous|last|current|old) (job|company|role)|in my (previous|last|current) role|our team|my team|the project|we had|there was|back in|a colleague|a teammate|a customer|a client)\b/i
+  },
+  {
+    id: 'task',
+    label: 'Task',
+    placeholder: 'Say what you were responsible for or what had to be achieved.',
+    pattern: /\b(i was responsible|my (role|job|task|goal|responsibility) was|i needed to|we needed to|i had to|we had to|the goal was|i was asked to|tasked with|wanted to)\b/i
+  },
+  {
+    id: 'action',
+    label: 'Action',
+    placeholder: 'Walk through the steps you personally took, and why.',
+    pattern: /\b(i (decided|built|implemented|led|created|designed|wrote|set up|organized|proposed|suggested|worked with|talked to|reached out|started|introduced|automated|refactored|fixed|measured|profiled)|so i|first i|then i)\b/i
+  },
+  {
+    id: 'result',
+    label: 'Result',
+    placeholder: 'Close with the outcome, ideally measurable, and what you learned.',
+    pattern: /\b(as a result|in the end|result(ed)? in|outcome|which (led|meant)|ended up|shipped|delivered|launched|reduced|increased|improved|saved|cut|grew|learned|\d+\s?(%|percent))\b/i
+  }
+];
+
+const countWords = (text) => (text.trim() ? text.trim().split(/\s+/).length : 0);
+
+const splitSentences = (text) =>
+  (text.match(/[^.!?]+[.!?]*/g) || []).map(sentence => sentence.trim()).filter(Boolean);
+
+// The interviewer's turn without leading acknowledgements ("Great.", "Thank you.")
+const extractQuestion = (text) => {
+  const sentences = splitSentences(text);
+  const start = sentences.findIndex(sentence => sentence.endsWith('?') || countWords(sentence) > 4);
+  return start > 0 ? sentences.slice(start).join(' ') : text.trim();
+};
+
+export const countFillers = (text) =>
+  FILLER_WORDS
+    .map(({ word, pattern }) => ({ word, count: (text.match(pattern) || []).length }))
+    .filter(item => item.count > 0)
+    .sort((a, b) => b.count - a.count);
+
+// Fillers removed and the sentence tidied, for reusing the candidate's own words
+export const stripFillers = (text) =>
+  FILLER_WORDS
+    .reduce((clean, { pattern }) => clean.replace(pattern, ''), text)
+    .replace(/\s*,(\s*,)+/g, ',')
+    .replace(/^[\s,]+/, '')
+    .replace(/^(so|well|okay|ok)\b,?\s*/i, '')
+    .replace(/\s+([,.!?])/g, '$1')
+    .replace(/\s{2,}/g, ' ')
+    .trim()
+    .replace(/^[a-z]/, letter => letter.toUpperCase());
+
+export const isBehavioralQuestion = (question) => BEHAVIORAL_PATTERN.test(question || '');
+
+export const detectStar = (text) =>
+  STAR_PARTS.reduce((star, { id, pattern }) => ({ ...star, [id]: pattern.test(text) }), {});
+
+const ratePace = (wordsPerMinute) => {
+  if (wordsPerMinute === null) return 'unknown';
+  if (wordsPerMinute < SLOW_PACE_WPM) return 'slow';
+  if (wordsPerMinute > FAST_PACE_WPM) return 'fast';
+  return 'good';
+};
+
+const rateLength = (wordCount) => {
+  if (wordCount < SHORT_ANSWER_WORDS) return 'short';
+  if (wordCount > LONG_ANSWER_WORDS) return 'long';
+  return 'good';
+};
+
+const buildTips = (answer) => {
+  const tips = [];
+  if (answer.length === 'short') tips.push('Expand with a concrete example: what you did and what came of it.');
+  if (answer.length === 'long') tips.push('Lead with a one-sentence answer, then support it; aim for under two minutes.');
+  if (answer.pace === 'fast') tips.push(`You spoke at ${answer.wordsPerMinute} words per minute; slow down and pause between points.`);
+  if (answer.pace === 'slow') tips.push(`You spoke at ${answer.wordsPerMinute} words per minute; prepare key points so the answer flows.`);
+  if (answer.fillerCount >= 3) {
+    const top = answer.fillers.slice(0, 2).map(item => `"${item.word}"`).join(' and ');
+    tips.push(`${answer.fillerCount} filler words, mostly ${top}; a short pause works better.`);
+  }
+  if (answer.behavioral) {
+    const missing = STAR_PARTS.filter(part => !answer.star[part.id]).map(part => part.label);
+    if (missing.length) tips.push(`Add the missing STAR parts: ${missing.join(', ')}.`);
+  } else if (!answer.star.result && answer.length !== 'short') {
+    tips.push('Finish with the impact of your work, with a number if you can.');
+  }
+  return tips;
+};
+
+const analyzeAnswer = (index, questionText, turns) => {
+  const answer = turns.map(turn => turn.text.trim()).join(' ');
+  const wordCount = countWords(answer);
+  const durationSeconds = turns.reduce((sum, turn) => (
+    typeof turn.startSeconds === 'number' && typeof turn.endSeconds === 'number'
+      ? sum + Math.max(0, turn.endSeconds - turn.startSeconds)
+      : sum
+  ), 0);
+  const wordsPerMinute = durationSeconds >= MIN_PACE_SECONDS ? Math.round(wordCount / (durationSeconds / 60)) : null;
+  const fillers = countFillers(answer);
+  const question = extractQuestion(questionText);
+
+  const analysis = {
+    index,
+    question,
+    answer,
+    wordCount,
+    durationSeconds: Math.round(durationSeconds),
+    wordsPerMinute,
+    pace: ratePace(wordsPerMinute),
+    fillers,
+    fillerCount: fillers.reduce((sum, item) => sum + item.count, 0),
+    length: rateLength(wordCount),
+    behavioral: isBehavioralQuestion(question),
+    star: detectStar(answer)
+  };
+  return { ...analysis, tips: buildTips(analysis) };
+};
+
+// Pair each interviewer turn with the candidate's spoken turns that follow it.
+// Shared code is left out: it is not speech.
+export const analyzeAnswers = (transcript) => {
+  const answers = [];
+  let question = null;
+  const flush = () => {
+    if (!question || !question.turns.length) return;
+    const analysis = analyzeAnswer(question.index, question.text, question.turns);
+    if (analysis.wordCount >= MIN_ANSWER_WORDS) answers.push(analysis);
+  };
+
+  (transcript || []).forEach((turn, index) => {
+    if (turn.speaker !== CANDIDATE_SPEAKER) {
+      flush();
+      question = { index, text: turn.text || '', turns: [] };
+    } else if (!turn.kind && question && turn.text && turn.text.trim()) {
+      question.turns.push(turn);
+    }
+  });
+  flush();
+  return answers;
+};
+
+// Whole-interview figures: pace over all answers, fillers per 100 words
+export const summarizeCoaching = (answers) => {
+  const wordCount = answers.reduce((sum, answer) => sum + answer.wordCount, 0);
+  const timed = answers.filter(answer => answer.wordsPerMinute !== null);
+  const timedWords = timed.reduce((sum, answer) => sum + answer.wordCount, 0);
+  const timedSeconds = timed.reduce((sum, answer) => sum + answer.durationSeconds, 0);
+  const wordsPerMinute = timedSeconds >= MIN_PACE_SECONDS ? Math.round(timedWords / (timedSeconds / 60)) : null;
+  const fillerTotals = {};
+  answers.forEach(answer => answer.fillers.forEach(({ word, count }) => {
+    fillerTotals[word] = (fillerTotals[word] || 0) + count;
+  }));
+  const fillers = Object.entries(fillerTotals)
+    .map(([word, count]) => ({ word, count }))
+    .sort((a, b) => b.count - a.count);
+  const fillerCount = fillers.reduce((sum, item) => sum + item.count, 0);
+  const behavioral = answers.filter(answer => answer.behavioral);
+
+  return {
+    answerCount: answers.length,
+    averageWords: answers.length ? Math.round(wordCount / answers.length) : 0,
+    wordsPerMinute,
+    pace: ratePace(wordsPerMinute),
+    fillers,
+    fillerCount,
+    fillersPer100Words: wordCount ? Math.round((fillerCount / wordCount) * 1000) / 10 : 0,
+    behavioralCount: behavioral.length,
+    completeStarCount: behavioral.filter(answer => STAR_PARTS.every(part => answer.star[part.id])).length
+  };
+};
+
+// A STAR outline in the candidate's own words, with prompts for the missing parts
+const buildStarOutline = (answer) => {
+  const sentences = splitSentences(answer.answer).map(stripFillers).filter(Boolean);
+  const used = new Set();
+  return STAR_PARTS.map(part => {
+    const matches = [];
+    sentences.forEach((sentence, idx) => {
+      if (used.has(idx) || !part.pattern.test(sentence)) return;
+      used.add(idx);
+      matches.push(sentence);
+    });
+    return `${part.label}: ${matches.length ? matches.join(' ') : `[${part.placeholder}]`}`;
+  }).join('\n');
+};
+
+const buildDirectOutline = (answer) => {
+  const sentences = splitSentences(answer.answer).map(stripFillers).filter(Boolean);
+  const lead = sentences[0] || '[Answer the question directly in one sentence.]';
+  const support = sentences.length > 1
+    ? sentences.slice(1, 4).join(' ')
+    : '[Back it up with a specific example from your experience.]';
+  const close = answer.star.result
+    ? (sentences.find(sentence => STAR_PARTS[3].pattern.test(sentence)) || sentences[sentences.length - 1])
+    : '[Close with the impact: what improved, by how much, or what you would do differently.]';
+  return `Answer: ${lead}\nExample: ${support}\nImpact: ${close}`;
+};
+
+// Offline coach: restructures the candidate's answer into an outline. It needs
+// no network access, which makes it the fallback when no endpoint is configured.
+export const createHeuristicCoach = () => ({
+  name: 'heuristic',
+  suggest: async ({ answers }) => ({
+    answers: answers.map(answer => ({
+      index: answer.index,
+      improvedAnswer: answer.behavioral ? buildStarOutline(answer) : buildDirectOutline(answer),
+      tips: []
+    }))
+  })
+});
+
+const COACHING_INSTRUCTIONS = `You are an interview coach helping a candidate practice.
+For each question below, rewrite the candidate's answer into a stronger spoken answer of at most 150 words.
+Keep to facts the candidate actually stated; mark anything they should fill in with [brackets].
+Use the STAR structure (Situation, Task, Action, Result) for behavioral questions.
+Add up to two short tips per answer.
+Respond with JSON only, in this shape:
+{"answers":[{"index":0,"improvedAnswer":"","tips":[""]}]}`;
+
+export const buildCoachingMessages = ({ jobRole, answers }) => [
+  { role: 'system', content: COACHING_INSTRUCTIONS },
+  {
+    role: 'user',
+    content: `POSITION: ${jobRole}\n\n${answers
+      .map(answer => `QUESTION ${answer.index}${answer.behavioral ? ' (behavioral)' : ''}: ${answer.question}\nANSWER: ${answer.answer}`)
+      .join('\n\n')}`
+  }
+];
+
+// Coach backed by an OpenAI-compatible chat completions endpoint, the same
+// proxy the scorecard evaluator uses.
+export const createChatCompletionsCoach = ({ endpoint, model = 'gpt-4', fetchImpl } = {}) => {
+  if (!endpoint) throw new Error('createChatCompletionsCoach requires an endpoint');
+
+  return {
+    name: `chat:${model}`,
+    suggest: async (input) => {
+      const doFetch = fetchImpl || window.fetch.bind(window);
+      const res = await doFetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          model,
+          messages: buildCoachingMessages(input),
+          temperature: 0.4,
+          response_format: { type: 'json_object' }
+        })
+      });
+
+      if (!res.ok) {
+        throw new Error(`Coaching request failed with status ${res.status}`);
+      }
+
+      const data = await res.json();
+      const content = data && data.choices && data.choices[0] && data.choices[0].message
+        ? data.choices[0].message.content
+        : data;
+      return parseJsonContent(content);
+    }
+  };
+};
+
+export const getDefaultCoach = () => {
+  const endpoint = import.meta.env.VITE_EVALUATOR_URL;
+  if (endpoint) {
+    return createChatCompletionsCoach({
+      endpoint,
+      model: import.meta.env.VITE_EVALUATOR_MODEL || 'gpt-4'
+    });
+  }
+  return createHeuristicCoach();
+};
+
+// Suggestions keyed by answer index; answers the coach skipped get none
+export const normalizeSuggestions = (raw, { answers = [], coachName = 'unknown' } = {}) => {
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.answers)) {
+    throw new Error('Coach returned no suggestions');
+  }
+  const known = new Set(answers.map(answer => answer.index));
+  const suggestions = {};
+  raw.answers
+    .filter(entry => entry && known.has(Number(entry.index)) && typeof entry.improvedAnswer === 'string')
+    .forEach(entry => {
+      suggestions[Number(entry.index)] = {
+        improvedAnswer: entry.improvedAnswer.trim(),
+        tips: Array.isArray(entry.tips) ? entry.tips.filter(tip => typeof tip === 'string' && tip.trim()).slice(0, 3) : []
+      };
+    });
+  return { suggestions, coach: coachName, generatedAt: new Date() };
+};
+
+export const generateCoaching = async (coach, { jobRole, transcript }) => {
+  const answers = analyzeAnswers(transcript);
+  if (!answers.length) return { suggestions: {}, coach: coach.name, generatedAt: new Date() };
+  const raw = await coach.suggest({ jobRole, answers });
+  return normalizeSuggestions(raw, { answers, coachName: coach.name });
+};
+
+// Focused mini-session on a single question
+export const PRACTICE_TIME_LIMIT_MINUTES = 5;
+
+export const buildPracticePrompt = ({ jobRole, question, previousAnswer }) => `You are an interview coach running a short practice round for a candidate preparing for the position of ${jobRole}.
+
+PRACTICE QUESTION:
+${question}
+${previousAnswer ? `\nTHE CANDIDATE'S EARLIER ANSWER:\n${previousAnswer}\n` : ''}
+YOUR ROLE:
+- Ask only the practice question above, then let the candidate answer in full without interrupting
+- Ask at most one follow-up question about their answer
+- Then give brief spoken feedback: one thing that worked and one thing to improve${previousAnswer ? ', compared with their earlier answer' : ''}
+- Do not start other interview topics; the round has a strict limit of ${PRACTICE_TIME_LIMIT_MINUTES} minutes
+- Be encouraging and concise`;
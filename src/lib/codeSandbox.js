@@ -0,0 +1,134 @@
+// Runs candidate JavaScript against sample tests in a throwaway Web Worker.
+// The worker keeps the code off the page's DOM and main thread, and it is
+// terminated after every run or when it times out. Network and storage APIs
+// are hidden so sample code does not reach them by accident, but this is not
+// a security sandbox: the code runs with the app's origin.
+//
+// Results carry a random per-run nonce and are posted with references taken
+// before the code runs, so the code cannot report passing tests itself.
+
+export const DEFAULT_RUN_TIMEOUT_MS = 3000;
+
+// Serialized into the worker, so it must not reference anything outside itself.
+const workerMain = () => {
+  // Taken before the candidate's code can replace them
+  const post = self.postMessage.bind(self);
+  const { is, keys, defineProperty } = Object;
+  const { isArray } = Array;
+  const { stringify } = JSON;
+  const clone = self.structuredClone;
+
+  // The APIs live on the global scope's prototypes, so hide them on every level
+  const hidden = ['fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'importScripts', 'indexedDB', 'caches', 'Worker', 'SharedWorker'];
+  for (let scope = self; scope && scope !== Object.prototype; scope = Object.getPrototypeOf(scope)) {
+    hidden.forEach(name => {
+      if (!Object.prototype.hasOwnProperty.call(scope, name)) return;
+      try {
+        Object.defineProperty(scope, name, { value: undefined, configurable: false });
+      } catch (error) {
+        // Not configurable in this browser; it stays reachable
+      }
+    });
+  }
+
+  const format = (value) => {
+    if (value === undefined) return 'undefined';
+    try {
+      return stringify(value);
+    } catch (error) {
+      return String(value);
+    }
+  };
+
+  // Own properties only: the candidate's code can put setters and methods on Array.prototype
+  const append = (list, item) => defineProperty(list, list.length, { value: item, enumerable: true, writable: true, configurable: true });
+
+  const deepEqual = (a, b) => {
+    if (is(a, b)) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (isArray(a) !== isArray(b)) return false;
+    const keysA = keys(a);
+    const keysB = keys(b);
+    if (keysA.length !== keysB.length) return false;
+    for (let i = 0; i < keysA.length; i++) {
+      if (!deepEqual(a[keysA[i]], b[keysA[i]])) return false;
+    }
+    return true;
+  };
+
+  self.onmessage = async (event) => {
+    const { code, functionName, tests, nonce } = event.data;
+    const respond = (result) => post({ ...result, nonce });
+    const logs = [];
+    const log = (...args) => logs.push(args.map(arg => (typeof arg === 'string' ? arg : format(arg))).join(' '));
+    const sandboxConsole = { log, info: log, warn: log, error: log };
+
+    let fn;
+    try {
+      fn = new Function('console', `${code}\n;return typeof ${functionName} === 'function' ? ${functionName} : undefined;`)(sandboxConsole);
+    } catch (error) {
+      respond({ error: error.message, results: [], logs });
+      return;
+    }
+    if (!fn) {
+      respond({ error: `${functionName} is not defined as a function`, results: [], logs });
+      return;
+    }
+
+    const results = [];
+    for (let index = 0; index < tests.length; index++) {
+      const test = tests[index];
+      try {
+        const actual = await fn(...clone(test.input));
+        append(results, { index, passed: deepEqual(actual, test.expected), actual: format(actual) });
+      } catch (error) {
+        append(results, { index, passed: false, error: error.message });
+      }
+    }
+    respond({ results, logs: logs.slice(0, 50) });
+  };
+};
+
+export const isSandboxSupported = () => typeof Worker !== 'undefined' && typeof Blob !== 'undefined';
+
+const createNonce = () => {
+  const bytes = new Uint8Array(16);
+  window.crypto.getRandomValues(bytes);
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+export const runJavaScriptTests = (code, { functionName, tests }, { timeoutMs = DEFAULT_RUN_TIMEOUT_MS } = {}) =>
+  new Promise((resolve) => {
+    if (!isSandboxSupported()) {
+      resolve({ error: 'Running code is not supported in this browser', results: [], logs: [] });
+      return;
+    }
+
+    const url = URL.createObjectURL(new Blob([`(${workerMain.toString()})();`], { type: 'text/javascript' }));
+    const worker = new Worker(url);
+    const nonce = createNonce();
+    let timeout = null;
+
+    const finish = (result) => {
+      clearTimeout(timeout);
+      worker.terminate();
+      URL.revokeObjectURL(url);
+      resolve(result);
+    };
+
+    timeout = setTimeout(
+      () => finish({ error: `Timed out after ${timeoutMs / 1000}s. Check for infinite loops.`, results: [], logs: [] }),
+      timeoutMs
+    );
+    // Anything else was posted by the candidate's code
+    worker.onmessage = (event) => {
+      if (!event.data || event.data.nonce !== nonce) return;
+      const { nonce: _nonce, ...result } = event.data;
+      finish(result);
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      finish({ error: event.message || 'The code could not run', results: [], logs: [] });
+    };
+    worker.postMessage({ code, functionName, tests, nonce });
+  });
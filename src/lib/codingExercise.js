@@ -0,0 +1,132 @@
+// Live coding exercises. When coding is enabled the assistant gets a function
+// tool it calls to post an exercise into the candidate's code panel; the
+// candidate's code goes back to it as "CODE SNAPSHOT" system messages and is
+// kept in the transcript as `kind: 'code'` turns.
+//
+// Exercise: { id, title, prompt, language, starterCode, functionName, tests, postedAt }
+//   tests: [{ input: [...args], expected }], run against `functionName` (JavaScript only)
+
+export const CODING_TOOL_NAME = 'post_coding_exercise';
+
+const MAX_TESTS = 10;
+const MAX_SNAPSHOT_CHARS = 6000;
+
+export const CODING_TOOL = {
+  type: 'function',
+  // The call only updates the candidate's screen, so the assistant keeps talking
+  async: true,
+  function: {
+    name: CODING_TOOL_NAME,
+    description: 'Show a coding exercise in the candidate\'s code editor panel. Use it instead of reading code or long problem statements aloud.',
+    parameters: {
+      type: 'object',
+      properties: {
+        title: { type: 'string', description: 'Short name for the exercise' },
+        prompt: { type: 'string', description: 'The problem statement, with any constraints and examples' },
+        language: { type: 'string', description: 'Language the candidate should use, e.g. javascript or python' },
+        starterCode: { type: 'string', description: 'Optional code to start from, such as a function signature' },
+        functionName: { type: 'string', description: 'JavaScript only: the function the sample tests call' },
+        tests: {
+          type: 'array',
+          description: 'JavaScript only: 2-5 sample tests for the function',
+          items: {
+            type: 'object',
+            properties: {
+              input: { type: 'array', description: 'Arguments passed to the function', items: {} },
+              expected: { description: 'Expected return value' }
+            },
+            required: ['input', 'expected']
+          }
+        }
+      },
+      required: ['title', 'prompt', 'language']
+    }
+  }
+};
+
+const readText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const parseArguments = (value) => {
+  if (typeof value !== 'string') return value && typeof value === 'object' ? value : {};
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return {};
+  }
+};
+
+export const isJavaScript = (language) => ['javascript', 'js', 'node', 'nodejs'].includes(language);
+
+export const normalizeExercise = (raw) => {
+  const prompt = readText(raw && raw.prompt);
+  if (!prompt) return null;
+  const functionName = readText(raw.functionName);
+  const tests = Array.isArray(raw.tests) ? raw.tests : [];
+
+  return {
+    id: `exercise-${Date.now().toString(36)}`,
+    title: readText(raw.title) || 'Coding exercise',
+    prompt,
+    language: readText(raw.language).toLowerCase() || 'javascript',
+    starterCode: typeof raw.starterCode === 'string' ? raw.starterCode : '',
+    functionName: /^[A-Za-z_$][\w$]*$/.test(functionName) ? functionName : '',
+    tests: tests
+      .filter(test => test && typeof test === 'object' && 'input' in test)
+      .slice(0, MAX_TESTS)
+      .map(test => ({ input: Array.isArray(test.input) ? test.input : [test.input], expected: test.expected })),
+    postedAt: new Date()
+  };
+};
+
+// Tool calls arrive as Vapi 'tool-calls' messages (or 'function-call' on older assistants).
+const getToolCalls = (message) => {
+  if (!message) return [];
+  if (message.type === 'tool-calls') {
+    return (message.toolCallList || message.toolCalls || []).map(call => ({
+      name: call.function && call.function.name,
+      arguments: parseArguments(call.function && call.function.arguments)
+    }));
+  }
+  if (message.type === 'function-call' && message.functionCall) {
+    return [{ name: message.functionCall.name, arguments: parseArguments(message.functionCall.parameters) }];
+  }
+  return [];
+};
+
+// The exercise posted by a provider message, or null.
+export const findCodingExercise = (message) => {
+  const call = getToolCalls(message).find(c => c.name === CODING_TOOL_NAME);
+  return call ? normalizeExercise(call.arguments) : null;
+};
+
+export const canRunTests = (exercise) =>
+  Boolean(exercise && isJavaScript(exercise.language) && exercise.functionName && exercise.tests.length);
+
+export const summarizeTestRun = (testRun) => {
+  if (!testRun) return '';
+  if (testRun.error) return `Tests could not run: ${testRun.error}`;
+  const passed = testRun.results.filter(result => result.passed).length;
+  return `${passed} of ${testRun.results.length} sample tests passed`;
+};
+
+export const buildCodeSnapshotMessage = (exercise, code, testRun) => {
+  const trimmed = code.length > MAX_SNAPSHOT_CHARS ? `${code.slice(0, MAX_SNAPSHOT_CHARS)}\n... (truncated)` : code;
+  const summary = summarizeTestRun(testRun);
+  return [
+    `CODE SNAPSHOT: the candidate shared their current code${exercise ? ` for "${exercise.title}"` : ''}.`,
+    summary ? `${summary}.` : '',
+    `\`\`\`${exercise ? exercise.language : ''}`,
+    trimmed,
+    '```',
+    'Discuss it with them; do not read the code back verbatim.'
+  ].filter(Boolean).join('\n');
+};
+
+export const buildCodingSection = () =>
+  `\nLIVE CODING:\n- The candidate has a code editor next to the call. During the technical part, give them one short coding exercise that fits the role.\n- Post it with the ${CODING_TOOL_NAME} tool instead of reading code aloud: a short title, the problem statement and the language, plus starter code if useful. For JavaScript also give the function name and 2-5 sample tests.\n- After posting, summarize the problem in one or two sentences and ask them to think aloud while they code.\n- Messages starting with "CODE SNAPSHOT" contain their current code and test results. Use them to ask about their approach, bugs, edge cases and complexity.\n`;
+
+// The last code the candidate shared, for the completed summary.
+export const getFinalCode = (transcript) => {
+  const turns = transcript.filter(turn => turn.kind === 'code');
+  return turns.length ? turns[turns.length - 1] : null;
+};
@@ -0,0 +1,237 @@
+import { findSkills } from './skills';
+
+// Coverage of the resume's claims and the role's skills during the call.
+// `buildCoverageChecklist` picks what the interview should verify;
+// `assessCoverage` reads the committed transcript turns to see which items
+// the interviewer asked about and how well the candidate answered; and
+// `buildCoverageMessage` turns the gaps into a mid-call steering instruction.
+// All pure, so the same coverage can be recomputed from a stored transcript.
+//
+// Item: { id, kind ('skill' | 'claim'), label, source ('both' | 'role' | 'resume'), keywords, names }
+// Assessed item adds: { status, askedCount, answers, lastSeconds }
+//   status: 'unverified' | 'probed' (asked, no answer yet) | 'weak' | 'covered'
+
+export const COVERAGE_STATUSES = {
+  unverified: 'Not discussed',
+  probed: 'Asked',
+  weak: 'Brief or vague answer',
+  covered: 'Answered with detail'
+};
+
+const MAX_SKILL_ITEMS = 10;
+const MAX_CLAIM_ITEMS = 6;
+const MAX_JOBS = 3;
+const MAX_CLAIMS_PER_SOURCE = 2;
+const MAX_CLAIM_LABEL = 90;
+// An answer needs this many words and something concrete to count as covering an item
+const STRONG_ANSWER_WORDS = 20;
+// Claims match on this many of their keywords, or one with their company or project name
+const CLAIM_KEYWORD_MATCHES = 2;
+
+// Steering instructions are pushed at most this often, and name at most this many items
+export const COVERAGE_UPDATE_INTERVAL_SECONDS = 120;
+const MAX_STEERING_ITEMS = 3;
+
+// Every other speaker is the interviewer, or a panelist in a panel interview
+const CANDIDATE_SPEAKER = 'You';
+
+const STOP_WORDS = new Set([
+  'with', 'that', 'this', 'from', 'into', 'over', 'their', 'them', 'they', 'were', 'have', 'been',
+  'using', 'used', 'across', 'while', 'which', 'team', 'teams', 'work', 'worked', 'working', 'also',
+  'more', 'than', 'about', 'through', 'within', 'other', 'based', 'various', 'multiple', 'new',
+  'responsible', 'including', 'helped', 'help', 'role', 'company', 'project', 'projects'
+]);
+
+const SPECIFIC_PATTERN = /\d|\b(i|we) (built|designed|led|implemented|wrote|shipped|migrated|reduced|improved|created|owned|debugged|deployed|scaled|tested|chose|decided|measured|profiled|set up|used|rewrote|automated)\b|\bfor (example|instance)\b/i;
+const DEFLECTION_PATTERN = /\b(i don't know|i do not know|not sure|i haven't|i have not|never used|don't remember|can't remember|not really)\b/i;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const containsPhrase = (lower, phrase) =>
+  Boolean(phrase) && new RegExp(`(^|[^a-z0-9])${escapeRegExp(phrase)}($|[^a-z0-9])`).test(lower);
+
+const truncate = (text, max) => {
+  const clean = (text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > max ? `${clean.slice(0, max - 1)}…` : clean;
+};
+
+const claimKeywords = (text) => [...new Set(
+  (text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9%+#.]+/)
+    .map(word => word.replace(/^[.]+|[.]+$/g, ''))
+    .filter(word => (word.length > 3 && !STOP_WORDS.has(word)) || /\d/.test(word))
+)];
+
+const dedupeSkills = (skills) => {
+  const seen = new Set();
+  return skills.filter(skill => {
+    const key = skill.toLowerCase();
+    if (!skill || skill.length > 30 || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// Skills the role asks for and the resume claims come first, then role
+// requirements missing from the resume, then the rest of the resume's skills
+const buildSkillItems = (candidateProfile, jobRole, jobDescription) => {
+  const resumeSkills = dedupeSkills((candidateProfile && candidateProfile.skills) || []);
+  const roleSkills = dedupeSkills([
+    ...findSkills(jobRole),
+    ...((jobDescription && jobDescription.requiredSkills) || [])
+  ]);
+  const onResume = (skill) => resumeSkills.some(item => item.toLowerCase() === skill.toLowerCase());
+  const forRole = (skill) => roleSkills.some(item => item.toLowerCase() === skill.toLowerCase());
+
+  return [
+    ...roleSkills.filter(onResume).map(label => ({ label, source: 'both' })),
+    ...roleSkills.filter(skill => !onResume(skill)).map(label => ({ label, source: 'role' })),
+    ...resumeSkills.filter(skill => !forRole(skill)).map(label => ({ label, source: 'resume' }))
+  ]
+    .slice(0, MAX_SKILL_ITEMS)
+    .map(({ label, source }) => ({
+      id: `skill-${label.toLowerCase()}`,
+      kind: 'skill',
+      label,
+      source,
+      keywords: [label.toLowerCase()],
+      names: []
+    }));
+};
+
+// Resume highlights and projects; ones with numbers are the claims most worth checking
+const buildClaimItems = (candidateProfile) => {
+  if (!candidateProfile) return [];
+  const claims = [];
+  (candidateProfile.workHistory || []).slice(0, MAX_JOBS).forEach(job => {
+    const highlights = (job.highlights || []).filter(item => item && item.trim());
+    [...highlights.filter(item => /\d/.test(item)), ...highlights.filter(item => !/\d/.test(item))]
+      .slice(0, MAX_CLAIMS_PER_SOURCE)
+      .forEach(text => claims.push({ text, name: job.company, metric: /\d/.test(text) }));
+  });
+  (candidateProfile.projects || []).slice(0, MAX_CLAIMS_PER_SOURCE).forEach(project => {
+    const text = [project.name, project.description].filter(Boolean).join(': ');
+    if (text.trim()) claims.push({ text, name: project.name, metric: /\d/.test(text) });
+  });
+
+  return [...claims.filter(claim => claim.metric), ...claims.filter(claim => !claim.metric)]
+    .slice(0, MAX_CLAIM_ITEMS)
+    .map((claim, idx) => ({
+      id: `claim-${idx}`,
+      kind: 'claim',
+      label: truncate(claim.text, MAX_CLAIM_LABEL),
+      source: 'resume',
+      keywords: claimKeywords(claim.text),
+      names: claim.name && claim.name.trim().length > 2 ? [claim.name.trim().toLowerCase()] : []
+    }));
+};
+
+export const buildCoverageChecklist = ({ jobRole = '', candidateProfile = null, jobDescription = null } = {}) => [
+  ...buildSkillItems(candidateProfile, jobRole, jobDescription),
+  ...buildClaimItems(candidateProfile)
+];
+
+// skills: findSkills(text), when the caller already has it for this text
+export const mentionsItem = (item, text, skills = null) => {
+  const lower = (text || '').toLowerCase();
+  if (!lower) return false;
+  if (item.kind === 'skill') return (skills || findSkills(lower)).includes(item.label) || containsPhrase(lower, item.keywords[0]);
+  const matches = item.keywords.filter(keyword => containsPhrase(lower, keyword)).length;
+  // A company usually has several claims, so its name alone does not pick one
+  const named = item.names.some(name => containsPhrase(lower, name));
+  return matches >= (named ? 1 : CLAIM_KEYWORD_MATCHES);
+};
+
+export const rateAnswer = (text) => {
+  const words = text.trim() ? text.trim().split(/\s+/).length : 0;
+  if (!words) return null;
+  if (DEFLECTION_PATTERN.test(text)) return 'weak';
+  return words >= STRONG_ANSWER_WORDS && SPECIFIC_PATTERN.test(text) ? 'strong' : 'weak';
+};
+
+// Interviewer turns with the candidate's spoken answer that followed each.
+// Candidate turns before the first question form an exchange with no question.
+const groupExchanges = (turns) => {
+  const exchanges = [];
+  (turns || []).forEach(turn => {
+    if (!turn || !turn.text || turn.kind) return;
+    const last = exchanges[exchanges.length - 1];
+    if (turn.speaker !== CANDIDATE_SPEAKER) {
+      exchanges.push({ question: turn.text, answer: '', seconds: turn.startSeconds });
+    } else if (last) {
+      last.answer = `${last.answer} ${turn.text}`.trim();
+    } else {
+      exchanges.push({ question: '', answer: turn.text, seconds: turn.startSeconds });
+    }
+  });
+  return exchanges;
+};
+
+export const assessCoverage = (checklist, turns) => {
+  const exchanges = groupExchanges(turns).map(exchange => ({
+    ...exchange,
+    rating: rateAnswer(exchange.answer),
+    questionSkills: findSkills(exchange.question),
+    answerSkills: findSkills(exchange.answer)
+  }));
+
+  return checklist.map(item => {
+    let askedCount = 0;
+    let lastSeconds = null;
+    const answers = [];
+    exchanges.forEach(exchange => {
+      const asked = mentionsItem(item, exchange.question, exchange.questionSkills);
+      const answered = exchange.rating && (asked || mentionsItem(item, exchange.answer, exchange.answerSkills));
+      if (asked) askedCount += 1;
+      if (answered) answers.push(exchange.rating);
+      if (asked || answered) lastSeconds = typeof exchange.seconds === 'number' ? exchange.seconds : lastSeconds;
+    });
+
+    let status = 'unverified';
+    if (answers.includes('strong')) status = 'covered';
+    else if (answers.length) status = 'weak';
+    else if (askedCount) status = 'probed';
+    return { ...item, status, askedCount, answers: answers.length, lastSeconds };
+  });
+};
+
+export const summarizeCoverage = (items) =>
+  Object.keys(COVERAGE_STATUSES).reduce(
+    (counts, status) => ({ ...counts, [status]: items.filter(item => item.status === status).length }),
+    { total: items.length }
+  );
+
+const describeItem = (item) => (item.kind === 'claim' ? `the resume claim "${item.label}"` : item.label);
+
+// Weak answers first, then what has not come up, in checklist priority order.
+// Items asked about but not answered yet are left alone.
+export const selectCoverageTargets = (items, max = MAX_STEERING_ITEMS) => [
+  ...items.filter(item => item.status === 'weak'),
+  ...items.filter(item => item.status === 'unverified')
+].slice(0, max);
+
+export const buildCoverageMessage = (items) => {
+  const targets = selectCoverageTargets(items);
+  if (!targets.length) return '';
+  const weak = targets.filter(item => item.status === 'weak').map(describeItem);
+  const open = targets.filter(item => item.status === 'unverified').map(describeItem);
+  const parts = ['Coverage check: steer your next questions toward what is still unverified.'];
+  if (weak.length) parts.push(`Follow up for concrete examples on: ${weak.join('; ')} (answered only briefly so far).`);
+  if (open.length) parts.push(`Not discussed yet: ${open.join('; ')}.`);
+  parts.push('Take them one at a time where they fit the current section, and do not mention this checklist to the candidate.');
+  return parts.join(' ');
+};
+
+// Checklist section for the system prompt
+export const buildCoverageSection = (checklist) => {
+  if (!checklist.length) return '';
+  const skills = checklist.filter(item => item.kind === 'skill');
+  const claims = checklist.filter(item => item.kind === 'claim');
+  const lines = [];
+  if (skills.length) {
+    lines.push(`- Skills: ${skills.map(item => (item.source === 'role' ? `${item.label} (required, not on the resume)` : item.label)).join(', ')}`);
+  }
+  claims.forEach(item => lines.push(`- Claim: ${item.label}`));
+  return `\nVERIFY DURING THE INTERVIEW (ask for concrete examples; you may receive coverage updates during the call):\n${lines.join('\n')}\n`;
+};
@@ -0,0 +1,171 @@
+import { readJson, writeJson } from './localStore';
+
+// Helpers for the pre-interview device check: device enumeration, media
+// constraints for the chosen devices, a mic level meter, a test sound routed
+// to the chosen speaker, and a connectivity/latency probe.
+
+const DEVICES_KEY = 'vapiInterview.devices';
+
+export const emptyDeviceSelection = () => ({
+  audioInputId: '',
+  videoInputId: '',
+  audioOutputId: ''
+});
+
+export const loadDeviceSelection = () => ({ ...emptyDeviceSelection(), ...readJson(DEVICES_KEY, {}) });
+
+export const saveDeviceSelection = (selection) => writeJson(DEVICES_KEY, selection);
+
+// `ideal` rather than `exact`, so a remembered device that has since been
+// unplugged falls back to the default instead of failing getUserMedia.
+export const buildMediaConstraints = ({ audioInputId, videoInputId } = {}) => ({
+  video: {
+    width: { ideal: 1280 },
+    height: { ideal: 720 },
+    ...(videoInputId ? { deviceId: { ideal: videoInputId } } : {})
+  },
+  audio: {
+    echoCancellation: true,
+    noiseSuppression: true,
+    ...(audioInputId ? { deviceId: { ideal: audioInputId } } : {})
+  }
+});
+
+export const isOutputSelectionSupported = () =>
+  typeof HTMLMediaElement !== 'undefined' && 'setSinkId' in HTMLMediaElement.prototype;
+
+export const listMediaDevices = async () => {
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  const byKind = { audioinput: [], videoinput: [], audiooutput: [] };
+  devices.forEach(device => {
+    const list = byKind[device.kind];
+    if (!list || !device.deviceId) return;
+    list.push({
+      deviceId: device.deviceId,
+      label: device.label || `${device.kind === 'audiooutput' ? 'Speaker' : device.kind === 'audioinput' ? 'Microphone' : 'Camera'} ${list.length + 1}`
+    });
+  });
+  return byKind;
+};
+
+// The device a stream's track is actually using, for preselecting the pickers.
+export const getTrackDeviceId = (stream, kind) => {
+  const track = stream && (kind === 'audio' ? stream.getAudioTracks()[0] : stream.getVideoTracks()[0]);
+  const settings = track && typeof track.getSettings === 'function' ? track.getSettings() : {};
+  return settings.deviceId || '';
+};
+
+// Root mean square of time-domain samples centred on 128, scaled to 0..1.
+export const rmsLevel = (samples) => {
+  if (!samples || !samples.length) return 0;
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const value = (samples[i] - 128) / 128;
+    sum += value * value;
+  }
+  return Math.min(1, Math.sqrt(sum / samples.length) * 4);
+};
+
+// Level above which the mic counts as picking up speech, and how many
+// consecutive meter frames (~60/s) must exceed it before the mic is confirmed.
+export const MIC_CONFIRM_LEVEL = 0.15;
+export const MIC_CONFIRM_FRAMES = 20;
+
+// Calls onLevel(0..1) on every animation frame. Returns a stop function.
+export const createLevelMeter = (stream, onLevel) => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass || !stream || !stream.getAudioTracks().length) return () => {};
+
+  const context = new AudioContextClass();
+  const source = context.createMediaStreamSource(stream);
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 512;
+  source.connect(analyser);
+  const samples = new Uint8Array(analyser.fftSize);
+  let frame = null;
+
+  const tick = () => {
+    analyser.getByteTimeDomainData(samples);
+    onLevel(rmsLevel(samples));
+    frame = requestAnimationFrame(tick);
+  };
+  tick();
+
+  return () => {
+    if (frame) cancelAnimationFrame(frame);
+    source.disconnect();
+    context.close().catch(() => {});
+  };
+};
+
+// Two short chimes, played through the chosen output device when supported.
+export const playTestSound = async (outputDeviceId) => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) throw new Error('Audio playback is not supported in this browser.');
+
+  const context = new AudioContextClass();
+  const destination = context.createMediaStreamDestination();
+  const audio = new Audio();
+  audio.srcObject = destination.stream;
+  if (outputDeviceId && typeof audio.setSinkId === 'function') {
+    await audio.setSinkId(outputDeviceId);
+  }
+
+  [660, 880].forEach((frequency, index) => {
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    const start = context.currentTime + index * 0.35;
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.0001, start);
+    gain.gain.exponentialRampToValueAtTime(0.3, start + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + 0.3);
+    oscillator.connect(gain).connect(destination);
+    oscillator.start(start);
+    oscillator.stop(start + 0.32);
+  });
+
+  await audio.play();
+  await new Promise(resolve => setTimeout(resolve, 900));
+  audio.pause();
+  audio.srcObject = null;
+  await context.close();
+};
+
+export const rateLatency = (ms) => {
+  if (ms === null || ms === undefined) return 'offline';
+  if (ms < 150) return 'good';
+  if (ms < 400) return 'fair';
+  return 'poor';
+};
+
+// The endpoint the call itself depends on: the session proxy when configured, otherwise Vapi.
+export const getConnectivityTarget = () =>
+  import.meta.env.VITE_VAPI_SESSION_URL || 'https://api.vapi.ai';
+
+// Median round trip of a few uncached requests. An opaque no-cors response
+// still proves the host is reachable, so the status code is not inspected.
+export const measureLatency = async (url = getConnectivityTarget(), { attempts = 3, timeoutMs = 5000 } = {}) => {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    return { online: false, latencyMs: null, rating: 'offline' };
+  }
+
+  const samples = [];
+  for (let i = 0; i < attempts; i++) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+    const started = performance.now();
+    try {
+      await fetch(url, { method: 'HEAD', mode: 'no-cors', cache: 'no-store', signal: controller.signal });
+      samples.push(performance.now() - started);
+    } catch (error) {
+      console.warn('Connectivity check request failed:', error.message);
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  if (!samples.length) return { online: false, latencyMs: null, rating: 'offline' };
+  samples.sort((a, b) => a - b);
+  const latencyMs = Math.round(samples[Math.floor(samples.length / 2)]);
+  return { online: true, latencyMs, rating: rateLatency(latencyMs) };
+};
@@ -0,0 +1,77 @@
+import * as pdfjsLib from 'pdfjs-dist';
+import mammoth from 'mammoth';
+import { FileExtractionError } from './errors';
+
+export const DOCUMENT_ACCEPT = '.txt,.pdf,.doc,.docx';
+
+const isPdf = (file) => file.type === 'application/pdf' || file.name.toLowerCase().endsWith('.pdf');
+
+const isWordDocument = (file) => {
+  const fileName = file.name.toLowerCase();
+  return fileName.endsWith('.doc') || fileName.endsWith('.docx') ||
+    file.type === 'application/msword' ||
+    file.type === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+};
+
+// Rebuild line breaks from text item positions so section headings and
+// bullets survive extraction instead of collapsing into one line per page.
+const pageItemsToText = (items) => {
+  let text = '';
+  let lastY = null;
+  items.forEach(item => {
+    const y = item.transform ? item.transform[5] : null;
+    if (lastY !== null && y !== null && Math.abs(y - lastY) > 2 && !text.endsWith('\n')) {
+      text += '\n';
+    } else if (text && !text.endsWith('\n') && !text.endsWith(' ') && item.str && !item.str.startsWith(' ')) {
+      text += ' ';
+    }
+    text += item.str;
+    if (item.hasEOL) text += '\n';
+    if (y !== null) lastY = y;
+  });
+  return text.replace(/[ \t]+\n/g, '\n');
+};
+
+const readAsText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = (event) => resolve(event.target.result);
+  reader.onerror = () => reject(reader.error || new Error('Could not read file'));
+  reader.readAsText(file);
+});
+
+// Extract plain text from an uploaded PDF, Word or text file.
+// Resolves to `{ text, kind }` where kind is 'pdf', 'document' or 'text'.
+const extractText = async (file) => {
+  if (isPdf(file)) {
+    const arrayBuffer = await file.arrayBuffer();
+    const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+
+    let extractedText = '';
+    for (let i = 1; i <= pdf.numPages; i++) {
+      const page = await pdf.getPage(i);
+      const textContent = await page.getTextContent();
+      extractedText += pageItemsToText(textContent.items) + '\n\n';
+    }
+    return { text: extractedText.trim(), kind: 'pdf' };
+  }
+
+  if (isWordDocument(file)) {
+    const arrayBuffer = await file.arrayBuffer();
+    const result = await mammoth.extractRawText({ arrayBuffer });
+    return { text: result.value.trim(), kind: 'document' };
+  }
+
+  return { text: await readAsText(file), kind: 'text' };
+};
+
+// Parser failures surface as FileExtractionError so callers can offer pasting instead
+export const extractTextFromFile = async (file) => {
+  try {
+    return await extractText(file);
+  } catch (error) {
+    throw new FileExtractionError(`Could not extract text from the ${isPdf(file) ? 'PDF' : 'file'}: ${error.message}`, {
+      cause: error,
+      details: { type: file.type, size: file.size }
+    });
+  }
+};
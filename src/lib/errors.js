@@ -0,0 +1,194 @@
+// Typed application errors. Every failure the user can see has a stable code,
+// a title for the banner and the recovery actions that make sense for it.
+// Callers attach handlers for those actions when they report the error (see
+// notifications.js); actions without a handler are not shown.
+
+export const RECOVERY_ACTIONS = {
+  'retry-permissions': 'Request Again',
+  'retry-call': 'Try Again',
+  retry: 'Try Again',
+  'paste-text': 'Paste Text Instead',
+  'text-chat': 'Continue in Text Chat',
+  reload: 'Reload Page'
+};
+
+export const ERROR_CODES = {
+  MEDIA_PERMISSION_DENIED: {
+    title: 'Camera and microphone are blocked',
+    hint: 'Click the camera icon in the address bar, allow camera and microphone access, then request again.',
+    actions: ['retry-permissions', 'text-chat']
+  },
+  MEDIA_DEVICE_NOT_FOUND: {
+    title: 'No camera or microphone found',
+    hint: 'Connect a webcam and microphone, then request again.',
+    actions: ['retry-permissions', 'text-chat']
+  },
+  MEDIA_DEVICE_IN_USE: {
+    title: 'Camera or microphone is in use',
+    hint: 'Close other applications or tabs using your camera or microphone, then request again.',
+    actions: ['retry-permissions', 'text-chat']
+  },
+  MEDIA_UNSUPPORTED: {
+    title: 'This browser cannot use the camera',
+    hint: 'Use a current version of Chrome, Firefox or Edge, or take the interview as a text chat.',
+    actions: ['text-chat']
+  },
+  MEDIA_ACCESS_FAILED: {
+    title: 'Could not access camera or microphone',
+    hint: 'Check your devices and request again.',
+    actions: ['retry-permissions', 'text-chat']
+  },
+  FILE_EXTRACTION_FAILED: {
+    title: 'Could not read the file',
+    hint: 'Copy the text from the document and paste it into the text box instead.',
+    actions: ['paste-text']
+  },
+  VOICE_SDK_LOAD_TIMEOUT: {
+    title: 'The voice service did not load',
+    hint: 'Check your internet connection, or whether a browser extension blocks cdn.jsdelivr.net.',
+    actions: ['retry-call', 'text-chat', 'reload']
+  },
+  VOICE_SDK_UNSUPPORTED: {
+    title: 'The voice service could not start',
+    hint: 'The voice SDK did not load as expected. Reload the page and try again.',
+    actions: ['text-chat', 'reload']
+  },
+  VOICE_API_KEY_MISSING: {
+    title: 'Voice calls are not configured',
+    hint: 'Set VITE_VAPI_SESSION_URL to use the server-side proxy, or VITE_VAPI_API_KEY in .env for local development.',
+    actions: ['text-chat']
+  },
+  VOICE_SESSION_FAILED: {
+    title: 'Could not create the interview session',
+    hint: 'The session server did not return credentials. Try again in a moment.',
+    actions: ['retry-call', 'text-chat']
+  },
+  VOICE_CALL_ERROR: {
+    title: 'Voice connection problem',
+    hint: 'The call reported an error. It reconnects automatically when it can.',
+    actions: ['retry-call']
+  },
+  CHAT_REPLY_FAILED: {
+    title: 'The interviewer could not reply',
+    hint: 'Your message was kept. Ask for the reply again in a moment.',
+    actions: ['retry']
+  },
+  INVITATION_SERVER_UNREACHABLE: {
+    title: 'Interview server unreachable',
+    hint: 'Make sure the invitations backend is running (npm run server).',
+    actions: ['retry']
+  },
+  INVITATION_REQUEST_FAILED: {
+    title: 'Interview server error',
+    hint: '',
+    actions: ['retry']
+  },
+  RECRUITER_SIGN_IN_REQUIRED: {
+    title: 'Recruiter sign-in required',
+    hint: 'Enter the recruiter token from the interview server (RECRUITER_TOKEN) on the dashboard.',
+    actions: []
+  },
+  STORAGE_FAILED: {
+    title: 'Could not update saved interviews',
+    hint: 'Browser storage may be full or disabled in private mode.',
+    actions: ['retry']
+  },
+  EXPORT_FAILED: {
+    title: 'Export failed',
+    hint: '',
+    actions: ['retry']
+  },
+  AUDIO_PLAYBACK_FAILED: {
+    title: 'Could not play the test sound',
+    hint: 'Pick a different speaker or check the system volume.',
+    actions: ['retry']
+  },
+  TEMPLATE_INVALID: {
+    title: 'Invalid template',
+    hint: '',
+    actions: []
+  },
+  INPUT_MISSING: {
+    title: 'Missing information',
+    hint: '',
+    actions: []
+  },
+  UNKNOWN: {
+    title: 'Something went wrong',
+    hint: 'If this keeps happening, export the log and send it to support.',
+    actions: ['reload']
+  }
+};
+
+export class AppError extends Error {
+  constructor(code, message, { cause, details } = {}) {
+    super(message || (ERROR_CODES[code] || ERROR_CODES.UNKNOWN).title);
+    this.name = 'AppError';
+    this.code = ERROR_CODES[code] ? code : 'UNKNOWN';
+    this.cause = cause;
+    this.details = details || null;
+  }
+}
+
+export class MediaAccessError extends AppError {
+  constructor(code, message, options) {
+    super(code, message, options);
+    this.name = 'MediaAccessError';
+  }
+}
+
+export class FileExtractionError extends AppError {
+  constructor(message, options) {
+    super('FILE_EXTRACTION_FAILED', message, options);
+    this.name = 'FileExtractionError';
+  }
+}
+
+export class VoiceProviderError extends AppError {
+  constructor(code, message, options) {
+    super(code, message, options);
+    this.name = 'VoiceProviderError';
+  }
+}
+
+export class InvitationServerError extends AppError {
+  constructor(code, message, { status, ...options } = {}) {
+    super(code, message, options);
+    this.name = 'InvitationServerError';
+    this.status = status || null;
+  }
+}
+
+export class StorageError extends AppError {
+  constructor(message, options) {
+    super('STORAGE_FAILED', message, options);
+    this.name = 'StorageError';
+  }
+}
+
+// getUserMedia rejects with DOMExceptions named after the cause
+const MEDIA_ERROR_CODES = {
+  NotAllowedError: 'MEDIA_PERMISSION_DENIED',
+  PermissionDeniedError: 'MEDIA_PERMISSION_DENIED',
+  SecurityError: 'MEDIA_PERMISSION_DENIED',
+  NotFoundError: 'MEDIA_DEVICE_NOT_FOUND',
+  DevicesNotFoundError: 'MEDIA_DEVICE_NOT_FOUND',
+  OverconstrainedError: 'MEDIA_DEVICE_NOT_FOUND',
+  NotReadableError: 'MEDIA_DEVICE_IN_USE',
+  TrackStartError: 'MEDIA_DEVICE_IN_USE'
+};
+
+export const toMediaAccessError = (error) =>
+  new MediaAccessError(MEDIA_ERROR_CODES[error && error.name] || 'MEDIA_ACCESS_FAILED', error && error.message, { cause: error });
+
+// Any thrown value as an AppError; already typed errors pass through
+export const toAppError = (error, code = 'UNKNOWN', message) => {
+  if (error instanceof AppError) return error;
+  const text = message || (error && error.message) || String(error);
+  return new AppError(code, text, { cause: error });
+};
+
+export const describeErrorCode = (code) => ERROR_CODES[code] || ERROR_CODES.UNKNOWN;
+
+export const MEDIA_ERROR_CODE_LIST = [...new Set(Object.values(MEDIA_ERROR_CODES)), 'MEDIA_ACCESS_FAILED'];
+export const VOICE_ERROR_CODE_LIST = Object.keys(ERROR_CODES).filter(code => code.startsWith('VOICE_'));
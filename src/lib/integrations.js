@@ -0,0 +1,50 @@
+import { requestServer } from './invitations';
+
+// Client for the outbound integrations on the invitations backend
+// (server/integrations.mjs). Deliveries are sent and retried by the server,
+// which holds the signing secrets; the dashboard only reads the delivery log
+// and asks for redeliveries and test sends.
+
+export const DELIVERY_STATUSES = {
+  pending: 'Pending',
+  delivered: 'Delivered',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+};
+
+export const INTEGRATION_TYPE_LABELS = {
+  webhook: 'Webhook',
+  greenhouse: 'Greenhouse note',
+  lever: 'Lever note'
+};
+
+const API_URL = (import.meta.env.VITE_INTEGRATIONS_URL || '/api/integrations').replace(/\/$/, '');
+
+// Everything here is for the recruiter
+const request = (path, options) => requestServer(`${API_URL}${path}`, { ...options, asRecruiter: true });
+
+// { integrations: [{ id, type, url }], deliveries: newest first }
+export const loadIntegrations = () => request('');
+
+export const listInterviewDeliveries = (token) => request(`/interviews/${encodeURIComponent(token)}`);
+
+export const deliverInterview = (token) => request(`/interviews/${encodeURIComponent(token)}`, { method: 'POST' });
+
+export const redeliver = (deliveryId) => request(`/deliveries/${encodeURIComponent(deliveryId)}/retry`, { method: 'POST' });
+
+export const sendTestDelivery = (integrationId) => request(`/test/${encodeURIComponent(integrationId)}`, { method: 'POST' });
+
+// A completed interview's first delivery waits a while for the scorecard
+export const describeDelivery = (delivery, now = Date.now()) => {
+  const last = delivery.attempts[delivery.attempts.length - 1];
+  if (delivery.status === 'pending') {
+    const next = new Date(delivery.nextAttemptAt);
+    if (next.getTime() <= now) return 'Sending...';
+    if (last) return `${last.error}; retrying at ${next.toLocaleTimeString()}`;
+    return `Waiting for the scorecard, sending by ${next.toLocaleTimeString()}`;
+  }
+  if (delivery.status === 'delivered') {
+    return `Delivered ${new Date(delivery.deliveredAt).toLocaleString()}${delivery.evaluationIncluded ? '' : ' without a scorecard'}`;
+  }
+  return delivery.error || '';
+};
@@ -0,0 +1,174 @@
+// Interview flow as an explicit state machine. `transitionInterview` is a pure
+// reducer, so every transition can be exercised without a browser; the
+// component performs the side effects (media, voice calls, timers) in
+// response to the resulting state.
+//
+// setup ─START─▶ consent ─CONSENT_GIVEN─▶ permissions ─PERMISSIONS_GRANTED─▶ device-check
+// device-check ─DEVICES_CONFIRMED─▶ connecting
+// connecting ─CALL_STARTED─▶ active
+// active ─PAUSE─▶ paused ─RESUME─▶ connecting
+// active ─CALL_DROPPED─▶ reconnecting ─CALL_STARTED─▶ active
+// reconnecting ─CALL_FAILED (attempts exhausted)─▶ failed ─RETRY─▶ reconnecting | connecting
+// any call state ─END / CALL_ENDED─▶ completed ─RESET─▶ setup
+// completed ─PRACTICE─▶ permissions: a practice round on one question, whose
+//   CANCEL returns to the completed report instead of setup
+// permissions | device-check | failed ─TEXT_CHAT─▶ connecting: continue without
+//   camera and microphone as a typed chat
+
+export const INTERVIEW_STATES = {
+  SETUP: 'setup',
+  CONSENT: 'consent',
+  PERMISSIONS: 'permissions',
+  DEVICE_CHECK: 'device-check',
+  CONNECTING: 'connecting',
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  RECONNECTING: 'reconnecting',
+  FAILED: 'failed',
+  COMPLETED: 'completed',
+  HISTORY: 'history'
+};
+
+// States rendered on the interview screen
+export const CALL_STATES = ['connecting', 'active', 'paused', 'reconnecting', 'failed'];
+
+export const MAX_RECONNECT_ATTEMPTS = 3;
+
+export const initialInterviewState = {
+  status: 'setup',
+  hasConnected: false,
+  reconnectAttempts: 0,
+  error: null,
+  isPractice: false
+};
+
+const TRANSITIONS = {
+  setup: {
+    START: 'consent',
+    OPEN_HISTORY: 'history',
+    OPEN_SESSION: 'completed'
+  },
+  consent: {
+    CONSENT_GIVEN: 'permissions',
+    CANCEL: 'setup'
+  },
+  permissions: {
+    PERMISSIONS_GRANTED: 'device-check',
+    PERMISSIONS_DENIED: 'permissions',
+    TEXT_CHAT: 'connecting',
+    CANCEL: 'setup'
+  },
+  'device-check': {
+    DEVICES_CONFIRMED: 'connecting',
+    // Switching to a device that cannot be opened keeps the check open
+    PERMISSIONS_DENIED: 'device-check',
+    TEXT_CHAT: 'connecting',
+    CANCEL: 'setup'
+  },
+  connecting: {
+    CALL_STARTED: 'active',
+    CALL_FAILED: 'failed',
+    CALL_ENDED: 'failed',
+    END: 'completed'
+  },
+  active: {
+    PAUSE: 'paused',
+    CALL_DROPPED: 'reconnecting',
+    CALL_ENDED: 'completed',
+    END: 'completed'
+  },
+  paused: {
+    RESUME: 'connecting',
+    END: 'completed'
+  },
+  reconnecting: {
+    CALL_STARTED: 'active',
+    CALL_FAILED: 'reconnecting',
+    CALL_ENDED: 'reconnecting',
+    END: 'completed'
+  },
+  failed: {
+    RETRY: 'connecting',
+    TEXT_CHAT: 'connecting',
+    END: 'completed'
+  },
+  completed: {
+    RESET: 'setup',
+    OPEN_HISTORY: 'history',
+    PRACTICE: 'permissions'
+  },
+  history: {
+    RESET: 'setup',
+    OPEN_SESSION: 'completed'
+  }
+};
+
+export const canTransition = (state, type) => Boolean(TRANSITIONS[state.status][type]);
+
+// event: { type, error?, maxReconnectAttempts? }. Events that are not valid in
+// the current state return the same state object.
+export const transitionInterview = (state, event) => {
+  const target = TRANSITIONS[state.status][event.type];
+  if (!target) return state;
+  const error = event.error || null;
+
+  switch (event.type) {
+    case 'CALL_STARTED':
+      return { ...state, status: target, hasConnected: true, reconnectAttempts: 0, error: null };
+    case 'CALL_DROPPED':
+      return { ...state, status: target, reconnectAttempts: 0, error };
+    case 'CALL_FAILED':
+    case 'CALL_ENDED': {
+      if (target !== 'reconnecting') return { ...state, status: target, error };
+      const attempts = state.reconnectAttempts + 1;
+      const max = event.maxReconnectAttempts || MAX_RECONNECT_ATTEMPTS;
+      return attempts >= max
+        ? { ...state, status: 'failed', reconnectAttempts: attempts, error }
+        : { ...state, status: target, reconnectAttempts: attempts, error };
+    }
+    case 'RETRY':
+      // A call that already connected once resumes through the reconnect path
+      return { ...state, status: state.hasConnected ? 'reconnecting' : target, reconnectAttempts: 0, error: null };
+    case 'TEXT_CHAT':
+      return { ...state, status: target, reconnectAttempts: 0, error: null };
+    case 'PERMISSIONS_DENIED':
+      return { ...state, status: target, error };
+    case 'RESET':
+    case 'START':
+      return { ...initialInterviewState, status: target };
+    case 'PRACTICE':
+      return { ...initialInterviewState, status: target, isPractice: true };
+    case 'CANCEL':
+      return state.isPractice ? { ...initialInterviewState, status: 'completed' } : { ...state, status: target };
+    default:
+      return { ...state, status: target, error: target === 'completed' ? null : state.error };
+  }
+};
+
+// Exponential backoff between reconnect attempts: 1s, 2s, 4s, capped at 8s.
+export const reconnectDelayMs = (attempt) => Math.min(8000, 1000 * 2 ** attempt);
+
+// Vapi reports why a call ended in a 'status-update' message. These reasons
+// mean the conversation finished on purpose; anything else is a dropped call.
+const NATURAL_END_REASONS = [
+  'assistant-ended-call',
+  'assistant-said-end-call-phrase',
+  'assistant-forwarded-call',
+  'customer-ended-call',
+  'exceeded-max-duration',
+  'silence-timed-out',
+  'voicemail'
+];
+
+export const isDroppedCall = ({ endedReason, hadError }) => {
+  if (endedReason) return !NATURAL_END_REASONS.includes(endedReason);
+  return Boolean(hadError);
+};
+
+export const INTERVIEW_STATUS_LABELS = {
+  connecting: 'Connecting to AI interviewer...',
+  active: 'Interview in progress...',
+  paused: 'Interview paused',
+  reconnecting: 'Connection lost, reconnecting...',
+  failed: 'Could not connect to the AI interviewer'
+};
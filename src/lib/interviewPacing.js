@@ -0,0 +1,87 @@
+import { fillRole } from './interviewTemplates';
+
+// Time budget for an interview: total time, per-section windows, and the
+// points where the assistant is told to wrap up and where the call is ended.
+// All times are seconds of live call time (pauses do not count).
+//
+// phases: on-track → wrap-up (time running low) → overtime (budget used,
+// assistant told to close) → hard-stop (grace period over, call is ended)
+
+export const MIN_TIME_LIMIT_MINUTES = 1;
+export const MAX_TIME_LIMIT_MINUTES = 180;
+export const HARD_STOP_GRACE_SECONDS = 60;
+
+export const clampTimeLimit = (minutes) => {
+  const value = Number(minutes);
+  if (!Number.isFinite(value) || value <= 0) return null;
+  return Math.min(MAX_TIME_LIMIT_MINUTES, Math.max(MIN_TIME_LIMIT_MINUTES, value));
+};
+
+// Warn 15% before the end, but never less than one or more than three minutes ahead.
+const wrapUpLeadSeconds = (totalSeconds) =>
+  Math.min(totalSeconds / 2, Math.max(60, Math.min(180, Math.round(totalSeconds * 0.15))));
+
+export const buildTimeBudget = (template, { timeLimitMinutes } = {}) => {
+  const totalSeconds = Math.round((clampTimeLimit(timeLimitMinutes) || template.durationMinutes) * 60);
+  const weights = template.sectionMinutes && template.sectionMinutes.length === template.structure.length
+    ? template.sectionMinutes
+    : template.structure.map(() => 1);
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+
+  let start = 0;
+  const sections = template.structure.map((title, index) => {
+    const isLast = index === template.structure.length - 1;
+    const end = isLast ? totalSeconds : start + Math.round((totalSeconds * weights[index]) / weightSum);
+    const section = { index, title, startSeconds: start, endSeconds: end };
+    start = end;
+    return section;
+  });
+
+  return {
+    totalSeconds,
+    sections,
+    wrapUpAtSeconds: totalSeconds - wrapUpLeadSeconds(totalSeconds),
+    hardStopAtSeconds: totalSeconds + HARD_STOP_GRACE_SECONDS
+  };
+};
+
+export const getPacingStatus = (budget, elapsedSeconds) => {
+  const { sections, totalSeconds } = budget;
+  const found = sections.findIndex(section => elapsedSeconds < section.endSeconds);
+  const sectionIndex = found === -1 ? sections.length - 1 : found;
+  const section = sections[sectionIndex];
+
+  let phase = 'on-track';
+  if (elapsedSeconds >= budget.hardStopAtSeconds) phase = 'hard-stop';
+  else if (elapsedSeconds >= totalSeconds) phase = 'overtime';
+  else if (elapsedSeconds >= budget.wrapUpAtSeconds) phase = 'wrap-up';
+
+  return {
+    phase,
+    elapsedSeconds,
+    remainingSeconds: Math.max(0, totalSeconds - elapsedSeconds),
+    overtimeSeconds: Math.max(0, elapsedSeconds - totalSeconds),
+    sectionIndex,
+    section,
+    sectionRemainingSeconds: Math.max(0, section.endSeconds - elapsedSeconds)
+  };
+};
+
+const minutesText = (seconds) => {
+  const minutes = Math.max(1, Math.round(seconds / 60));
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+// Instructions injected into the live call as system messages.
+export const buildSectionMessage = (section, jobRole) =>
+  `Time check: it is time to move on to the next part of the interview: "${fillRole(section.title, jobRole)}". You have about ${minutesText(section.endSeconds - section.startSeconds)} for it. Transition naturally.`;
+
+export const buildWrapUpMessage = (status) =>
+  `Time check: only about ${minutesText(status.remainingSeconds)} of the interview remain. Start wrapping up: let the candidate finish the current answer, skip any remaining topics, briefly offer them a chance to ask a question, and prepare to close.`;
+
+export const buildTimeUpMessage = () =>
+  'Time is up. Thank the candidate for their time, tell them the team will follow up with next steps, and say goodbye now. Do not ask any further questions.';
+
+// Line for the system prompt describing each section's share of the time.
+export const formatSectionBudget = (section) =>
+  `~${minutesText(section.endSeconds - section.startSeconds)}`;
@@ -0,0 +1,174 @@
+import { formatJobDescriptionForPrompt, parseJobDescription } from './jobDescription';
+import { formatProfileForPrompt } from './resumeParser';
+import { fillRole } from './interviewTemplates';
+import { resolveAssistantSettings, resolveVoice } from './assistantSettings';
+import { buildTimeBudget, formatSectionBudget } from './interviewPacing';
+import { CODING_TOOL, buildCodingSection } from './codingExercise';
+import { buildPracticePrompt } from './coaching';
+import { buildCoverageChecklist, buildCoverageSection } from './coverage';
+import { buildPanelDestinations, buildPanelSection, getPanel, orderPersonas } from './panel';
+
+// Builds the interviewer system prompt and Vapi assistant config from the
+// interview context. Pure and browser-independent so the serverless session
+// endpoint (api/interview-session.js) can build the same assistant server-side.
+//
+// context: { jobRole, resumeText, candidateProfile, jobDescriptionText, template, settings,
+//            timeLimitMinutes, codingEnabled, previousTranscript, elapsedSeconds, practice,
+//            activePersonaId, textChat }
+//
+// previousTranscript and elapsedSeconds are set when a paused or dropped call
+// restarts, so the new call continues the conversation instead of starting over.
+//
+// practice ({ question, previousAnswer }) turns the call into a short coaching
+// round on one question from an earlier interview.
+//
+// With a panel in the settings, buildCallConfig returns a Vapi squad instead
+// of a single assistant; activePersonaId picks who speaks first on a resumed call.
+//
+// textChat is set when the interview runs as a typed chat instead of a call.
+
+// Sanitize strings sent to Vapi API to avoid unsupported Unicode escape sequences
+export const sanitizeForApi = (str) => {
+  if (typeof str !== 'string') return str;
+  // Escape backslashes to prevent accidental \uXXXX sequences
+  return str.replace(/\\/g, '\\\\');
+};
+
+const buildLanguageSection = (language) => (language.code === 'en'
+  ? ''
+  : `\nLANGUAGE:\n- Conduct the entire interview in ${language.label} (${language.name}). Ask every question and reply only in ${language.name}, even though these instructions and the resume may be in English.\n- If the candidate switches language, politely continue in ${language.name}.\n`);
+
+const TEXT_CHAT_SECTION = `\nTEXT CHAT:\n- This interview is a typed chat, not a voice call. The candidate reads your messages and types their answers.\n- Keep each message short: one question at a time, in a few sentences, without markdown headings or lists.\n- Typed answers are often brief; ask a follow-up for detail rather than judging the length.\n- Where other instructions mention speaking or thinking aloud, the candidate types instead.\n`;
+
+// Only the most recent turns are replayed to keep the prompt short
+export const MAX_RESUME_TURNS = 30;
+
+const buildResumeSection = (previousTranscript, budget, elapsedSeconds) => {
+  if (!previousTranscript || !previousTranscript.length) return '';
+  const remainingMinutes = Math.max(0, Math.round((budget.totalSeconds - (elapsedSeconds || 0)) / 60));
+  const turns = previousTranscript
+    .slice(-MAX_RESUME_TURNS)
+    .map(turn => `${turn.speaker}: ${turn.text}`)
+    .join('\n');
+  return `\nRESUMING AN INTERRUPTED INTERVIEW:\n- The call was interrupted and has just reconnected. Do not restart or introduce yourself again.\n- Continue from where the conversation left off; if the candidate was mid-answer, invite them to finish it.\n- About ${remainingMinutes} minutes of the interview remain; pace the remaining sections to fit.\nCONVERSATION SO FAR:\n${turns}\n`;
+};
+
+export const generateInterviewPrompt = ({
+  jobRole,
+  resumeText,
+  candidateProfile,
+  jobDescriptionText,
+  template,
+  settings,
+  timeLimitMinutes,
+  codingEnabled,
+  previousTranscript,
+  elapsedSeconds,
+  practice,
+  textChat
+}) => {
+  const { language } = resolveAssistantSettings(settings);
+  const textChatSection = textChat ? TEXT_CHAT_SECTION : '';
+  if (practice) return `${buildPracticePrompt({ jobRole, ...practice })}\n${buildLanguageSection(language)}${textChatSection}`;
+  const budget = buildTimeBudget(template, { timeLimitMinutes });
+  const jobDescription = parseJobDescription(jobDescriptionText, { jobRole });
+  const jobDescriptionSummary = formatJobDescriptionForPrompt(jobDescription);
+  const jobDescriptionSection = jobDescriptionSummary
+    ? `\nJOB DESCRIPTION HIGHLIGHTS:\n${jobDescriptionSummary}\n`
+    : '';
+  const structure = template.structure
+    .map((item, idx) => `${idx + 1}. ${fillRole(item, jobRole)} (${formatSectionBudget(budget.sections[idx])})`)
+    .join('\n');
+  const mustAskSection = template.mustAskQuestions.length
+    ? `\nMUST-ASK QUESTIONS (work each of these in naturally):\n${template.mustAskQuestions.map(q => `- ${fillRole(q, jobRole)}`).join('\n')}\n`
+    : '';
+  const coverageSection = buildCoverageSection(buildCoverageChecklist({ jobRole, candidateProfile, jobDescription }));
+
+  return `You are an expert technical interviewer conducting a professional job interview for the position of ${jobRole}.
+${jobDescriptionSection}
+CANDIDATE PROFILE (parsed from resume):
+${formatProfileForPrompt(candidateProfile, resumeText)}
+
+YOUR ROLE:
+- Conduct a thorough, professional interview based on the candidate's resume and the job role${jobDescriptionSummary ? '\n- Target your questions at the required skills, seniority and responsibilities from the job description' : ''}
+- Ask relevant technical and behavioral questions appropriate for ${jobRole}
+- Listen carefully to responses and ask follow-up questions
+- Evaluate skills, experience, and cultural fit
+- Be conversational but professional
+- The interview has a strict time limit of ${Math.round(budget.totalSeconds / 60)} minutes; keep each section to its time and wrap up when told time is running low
+
+INTERVIEW STRUCTURE (${template.name}):
+${structure}
+${mustAskSection}${coverageSection}${codingEnabled ? buildCodingSection() : ''}${buildLanguageSection(language)}${textChatSection}${buildResumeSection(previousTranscript, budget, elapsedSeconds)}
+Be natural in conversation, show active listening, and adapt questions based on their responses. Maintain a ${template.tone} tone throughout.`;
+};
+
+export const buildFirstMessage = (jobRole, settings, { resuming = false, practice = null } = {}) => {
+  const { language } = resolveAssistantSettings(settings);
+  if (resuming) return language.resumeMessage;
+  // The question came from the interviewer, so it is already in the interview language
+  return practice ? practice.question : language.firstMessage(jobRole);
+};
+
+export const buildAssistantConfig = (context) => {
+  const { model, voice, transcriber } = resolveAssistantSettings(context.settings);
+  return {
+    model: {
+      ...model,
+      messages: [
+        {
+          role: "system",
+          content: sanitizeForApi(generateInterviewPrompt(context))
+        }
+      ],
+      ...(context.codingEnabled ? { tools: [CODING_TOOL] } : {})
+    },
+    voice,
+    firstMessage: sanitizeForApi(buildFirstMessage(context.jobRole, context.settings, {
+      resuming: Boolean(context.previousTranscript && context.previousTranscript.length),
+      practice: context.practice
+    })),
+    transcriber
+  };
+};
+
+// One squad member per persona, sharing the interview prompt. Only the lead
+// has a fixed greeting; the others open with a model-written introduction
+// when the call is transferred to them.
+export const buildSquadConfig = (context) => {
+  const panel = getPanel(context.settings);
+  const base = buildAssistantConfig(context);
+  const prompt = generateInterviewPrompt(context);
+  const resuming = Boolean(context.previousTranscript && context.previousTranscript.length);
+  const personas = orderPersonas(panel, resuming ? context.activePersonaId : null);
+
+  return {
+    members: personas.map((persona, idx) => ({
+      assistant: {
+        name: persona.name,
+        model: {
+          ...base.model,
+          messages: [
+            {
+              role: "system",
+              content: sanitizeForApi(`${prompt}\n${buildPanelSection(persona, personas, { resuming })}`)
+            }
+          ]
+        },
+        voice: resolveVoice(persona.voiceId),
+        transcriber: base.transcriber,
+        ...(idx === 0
+          ? { firstMessage: base.firstMessage }
+          : { firstMessageMode: 'assistant-speaks-first-with-model-generated-message' })
+      },
+      assistantDestinations: buildPanelDestinations(persona, personas)
+    }))
+  };
+};
+
+// What the voice provider starts: { squad } for a panel, otherwise the assistant.
+// Practice rounds and text chats always use a single interviewer.
+export const buildCallConfig = (context) =>
+  (!context.practice && !context.textChat && getPanel(context.settings)
+    ? { squad: buildSquadConfig(context) }
+    : buildAssistantConfig(context));
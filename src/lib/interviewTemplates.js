@@ -0,0 +1,223 @@
+import { readJson, writeJson } from './localStore';
+
+// Named interview templates: structure, target duration, must-ask questions
+// and tone. Built-in templates ship with the app; custom ones live in
+// localStorage and can be exported/imported as JSON.
+//
+// sectionMinutes optionally weights each structure step for pacing; it is
+// scaled to durationMinutes, and an empty list splits the time evenly.
+
+const STORAGE_KEY = 'vapiInterview.templates';
+const SELECTED_KEY = 'vapiInterview.selectedTemplate';
+
+export const TEMPLATE_EXPORT_VERSION = 1;
+export const DEFAULT_TEMPLATE_ID = 'general';
+
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: 'general',
+    name: 'General Interview',
+    description: 'Balanced mix of background, technical and behavioral questions.',
+    durationMinutes: 15,
+    tone: 'friendly but professional',
+    structure: [
+      'Start with a warm greeting and brief introduction',
+      'Ask about their background and experience from their resume',
+      'Ask 3-4 technical questions relevant to {role}',
+      'Ask 2-3 behavioral/situational questions',
+      'Give them a chance to ask questions',
+      'Close professionally'
+    ],
+    sectionMinutes: [1, 3, 5, 4, 1.5, 0.5],
+    mustAskQuestions: []
+  },
+  {
+    id: 'system-design',
+    name: 'System Design',
+    description: 'One open-ended design problem explored in depth.',
+    durationMinutes: 30,
+    tone: 'collaborative and probing, like a senior peer at a whiteboard',
+    structure: [
+      'Greet the candidate and explain the format: one design problem, discussed together',
+      'Present a design problem relevant to {role} and let them clarify requirements',
+      'Ask for a high-level architecture and the main components',
+      'Dig into data modelling, scaling bottlenecks and failure handling',
+      'Discuss trade-offs and alternatives they rejected',
+      'Leave time for their questions and close'
+    ],
+    sectionMinutes: [2, 5, 8, 9, 4, 2],
+    mustAskQuestions: [
+      'How would your design change if traffic grew by 100x?',
+      'What would you monitor in production, and what would page you?'
+    ]
+  },
+  {
+    id: 'behavioral',
+    name: 'Behavioral Only',
+    description: 'Past-experience questions, answered in STAR format.',
+    durationMinutes: 20,
+    tone: 'warm, curious and encouraging',
+    structure: [
+      'Greet the candidate and explain you will focus on past experiences',
+      'Ask 4-5 behavioral questions and encourage Situation, Task, Action, Result answers',
+      'Follow up on vague answers by asking what they personally did and what the outcome was',
+      'Give them a chance to ask questions',
+      'Close professionally'
+    ],
+    sectionMinutes: [1, 14, 2, 2, 1],
+    mustAskQuestions: [
+      'Tell me about a time you disagreed with a teammate and how you resolved it.',
+      'Describe a project that failed or slipped. What did you learn?'
+    ]
+  },
+  {
+    id: 'screening',
+    name: 'Screening Call',
+    description: 'Short recruiter-style call covering motivation and logistics.',
+    durationMinutes: 10,
+    tone: 'brisk, friendly and conversational',
+    structure: [
+      'Greet the candidate and introduce the role briefly',
+      'Ask what attracted them to the {role} position',
+      'Confirm their most relevant experience in one or two questions',
+      'Cover logistics: availability, notice period and location preferences',
+      'Explain next steps and close'
+    ],
+    sectionMinutes: [1, 2, 3, 2, 2],
+    mustAskQuestions: [
+      'What are you looking for in your next role?',
+      'When would you be available to start?'
+    ]
+  },
+  {
+    id: 'coding-walkthrough',
+    name: 'Coding Walkthrough',
+    description: 'Candidate talks through code they wrote and a small problem.',
+    durationMinutes: 25,
+    tone: 'technical, patient and detail-oriented',
+    structure: [
+      'Greet the candidate and explain the walkthrough format',
+      'Ask them to walk through a project or piece of code from their resume',
+      'Probe design decisions, testing approach and what they would refactor',
+      'Pose a small coding problem relevant to {role} and have them reason through a solution out loud',
+      'Discuss time/space complexity and edge cases',
+      'Give them a chance to ask questions and close'
+    ],
+    sectionMinutes: [1, 6, 5, 8, 3, 2],
+    mustAskQuestions: [
+      'How did you test this code, and what bugs did the tests catch?'
+    ]
+  }
+];
+
+const BUILT_IN_IDS = new Set(BUILT_IN_TEMPLATES.map(t => t.id));
+
+export const isBuiltInTemplate = (id) => BUILT_IN_IDS.has(id);
+
+const toStringList = (value) =>
+  (Array.isArray(value) ? value : typeof value === 'string' ? value.split('\n') : [])
+    .map(item => String(item).trim())
+    .filter(Boolean);
+
+const toMinutesList = (value) =>
+  (Array.isArray(value) ? value : typeof value === 'string' ? value.split(/[,\s]+/) : [])
+    .filter(item => item !== '')
+    .map(Number);
+
+const slugify = (text) =>
+  (text || 'template')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40) || 'template';
+
+export const createTemplateId = (name) => `${slugify(name)}-${Date.now().toString(36)}`;
+
+// Coerce an untrusted object (from storage or an import) into a valid template.
+export const normalizeTemplate = (raw) => {
+  if (!raw || typeof raw !== 'object') throw new Error('Template must be an object');
+  const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+  if (!name) throw new Error('Template is missing a name');
+
+  const structure = toStringList(raw.structure);
+  if (structure.length === 0) throw new Error(`Template "${name}" has no structure steps`);
+
+  const duration = Math.round(Number(raw.durationMinutes));
+  const sectionMinutes = toMinutesList(raw.sectionMinutes);
+  if (sectionMinutes.length && (sectionMinutes.length !== structure.length || sectionMinutes.some(m => !Number.isFinite(m) || m <= 0))) {
+    throw new Error(`Template "${name}" needs one positive section time per structure step`);
+  }
+  return {
+    id: typeof raw.id === 'string' && raw.id.trim() ? raw.id.trim() : createTemplateId(name),
+    name,
+    description: typeof raw.description === 'string' ? raw.description.trim() : '',
+    durationMinutes: Number.isFinite(duration) && duration > 0 ? Math.min(duration, 180) : 15,
+    tone: typeof raw.tone === 'string' && raw.tone.trim() ? raw.tone.trim() : 'friendly but professional',
+    structure,
+    sectionMinutes,
+    mustAskQuestions: toStringList(raw.mustAskQuestions)
+  };
+};
+
+export const loadCustomTemplates = () => {
+  const stored = readJson(STORAGE_KEY, []);
+  if (!Array.isArray(stored)) return [];
+  return stored.flatMap(raw => {
+    try {
+      return [normalizeTemplate(raw)];
+    } catch (error) {
+      console.warn('Skipping invalid stored template:', error);
+      return [];
+    }
+  });
+};
+
+export const saveCustomTemplates = (templates) =>
+  writeJson(STORAGE_KEY, templates.filter(t => !isBuiltInTemplate(t.id)));
+
+export const loadSelectedTemplateId = () => readJson(SELECTED_KEY, DEFAULT_TEMPLATE_ID);
+
+export const saveSelectedTemplateId = (id) => writeJson(SELECTED_KEY, id);
+
+export const findTemplate = (templates, id) =>
+  templates.find(t => t.id === id) || BUILT_IN_TEMPLATES[0];
+
+export const exportTemplates = (templates) =>
+  JSON.stringify({
+    version: TEMPLATE_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    templates
+  }, null, 2);
+
+// Parse exported JSON (or a bare template / array of templates) and return
+// normalized templates. Imported built-in ids are renamed so they never
+// shadow the shipped templates.
+export const importTemplates = (json) => {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error('Template file is not valid JSON');
+  }
+
+  if (data && data.version !== undefined && data.version > TEMPLATE_EXPORT_VERSION) {
+    throw new Error(`Unsupported template file version ${data.version}`);
+  }
+
+  const list = Array.isArray(data) ? data : Array.isArray(data && data.templates) ? data.templates : [data];
+  const templates = list.map(normalizeTemplate).map(template => (
+    isBuiltInTemplate(template.id) ? { ...template, id: createTemplateId(template.name) } : template
+  ));
+
+  if (templates.length === 0) throw new Error('No templates found in file');
+  return templates;
+};
+
+// Merge imported templates into the custom list, replacing entries with the same id.
+export const mergeTemplates = (existing, incoming) => {
+  const byId = new Map(existing.map(t => [t.id, t]));
+  incoming.forEach(t => byId.set(t.id, t));
+  return Array.from(byId.values());
+};
+
+export const fillRole = (text, jobRole) => text.replace(/\{role\}/g, jobRole);
@@ -0,0 +1,101 @@
+import { normalizeTemplate } from './interviewTemplates';
+import { normalizeAssistantSettings } from './assistantSettings';
+import { InvitationServerError } from './errors';
+import { readJson, writeJson, removeKey } from './localStore';
+
+// Client for the invitations backend (server/index.mjs). A recruiter creates an
+// invitation for a candidate with everything the interview needs; the candidate
+// opens /i/<token> and their browser reports progress and results back.
+// Recruiter requests carry the token from the server's RECRUITER_TOKEN; the
+// candidate's link works without it and only sees its own interview.
+
+const RECRUITER_TOKEN_KEY = 'vapiInterview.recruiterToken';
+
+export const INVITATION_STATUSES = [
+  { id: 'scheduled', label: 'Scheduled' },
+  { id: 'in-progress', label: 'In progress' },
+  { id: 'completed', label: 'Completed' }
+];
+
+const API_URL = (import.meta.env.VITE_INVITATIONS_URL || '/api/invitations').replace(/\/$/, '');
+
+export const loadRecruiterToken = () => readJson(RECRUITER_TOKEN_KEY, '');
+
+export const saveRecruiterToken = (token) => writeJson(RECRUITER_TOKEN_KEY, token.trim());
+
+export const clearRecruiterToken = () => removeKey(RECRUITER_TOKEN_KEY);
+
+// Shared with the integrations client, which talks to the same backend
+export const requestServer = async (url, { method = 'GET', body, asRecruiter = false } = {}) => {
+  const recruiterToken = asRecruiter ? loadRecruiterToken() : '';
+  if (asRecruiter && !recruiterToken) {
+    throw new InvitationServerError('RECRUITER_SIGN_IN_REQUIRED', 'Recruiter sign-in required', { status: 401 });
+  }
+  const headers = {
+    ...(body ? { 'Content-Type': 'application/json' } : {}),
+    ...(recruiterToken ? { Authorization: `Bearer ${recruiterToken}` } : {})
+  };
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined
+    });
+  } catch (error) {
+    throw new InvitationServerError('INVITATION_SERVER_UNREACHABLE', 'Could not reach the interview server. Is it running (npm run server)?', { cause: error });
+  }
+  if (response.status === 204) return null;
+
+  const data = await response.json().catch(() => null);
+  if (response.status === 401) {
+    throw new InvitationServerError('RECRUITER_SIGN_IN_REQUIRED', (data && data.error) || 'Recruiter sign-in required', { status: 401 });
+  }
+  if (!response.ok) {
+    throw new InvitationServerError(
+      'INVITATION_REQUEST_FAILED',
+      (data && data.error) || `Interview server error (${response.status})`,
+      { status: response.status }
+    );
+  }
+  return data;
+};
+
+const request = (path, options) => requestServer(`${API_URL}${path}`, options);
+
+const recruiterRequest = (path, options) => request(path, { ...options, asRecruiter: true });
+
+export const listInvitations = () => recruiterRequest('');
+
+export const createInvitation = (invitation) => recruiterRequest('', { method: 'POST', body: invitation });
+
+export const updateInvitation = (token, changes) =>
+  request(`/${encodeURIComponent(token)}`, { method: 'PATCH', body: changes });
+
+export const deleteInvitation = (token) =>
+  recruiterRequest(`/${encodeURIComponent(token)}`, { method: 'DELETE' });
+
+// The candidate's "delete my data": clears their details, resume and transcript
+export const eraseInvitation = (token) =>
+  request(`/${encodeURIComponent(token)}/erase`, { method: 'POST' });
+
+// The stored template and settings came from another browser, so validate them again.
+// The recruiter gets the full record with the results. The candidate gets what
+// the interview screen needs: the template's sections and timings, and the
+// voices, without the must-ask questions or the panelists' focus.
+export const getInvitation = async (token, { asRecruiter = false } = {}) => {
+  const invitation = await request(`/${encodeURIComponent(token)}`, { asRecruiter });
+  return {
+    ...invitation,
+    template: normalizeTemplate(invitation.template || invitation.interviewPlan),
+    assistantSettings: normalizeAssistantSettings(invitation.assistantSettings || invitation.voiceSettings)
+  };
+};
+
+export const buildInvitationLink = (token) => `${window.location.origin}/i/${token}`;
+
+export const groupInvitations = (invitations) =>
+  INVITATION_STATUSES.map(status => ({
+    ...status,
+    invitations: invitations.filter(inv => inv.status === status.id)
+  }));
@@ -0,0 +1,155 @@
+import { findSkills } from './skills';
+
+// Parse a free-form job description into the parts the interviewer cares
+// about: title, seniority, required and preferred skills, and responsibilities.
+
+const SECTION_PATTERNS = {
+  responsibilities: /^(key )?(responsibilities|duties|what you('|’)ll do|what you will do|the role|your role|day[- ]to[- ]day)\b/i,
+  requirements: /^(requirements|required( skills| qualifications)?|qualifications|must[- ]haves?|what you('|’)ll bring|what we('|’)re looking for|who you are|skills|minimum qualifications)\b/i,
+  preferred: /^(preferred( qualifications| skills)?|nice[- ]to[- ]haves?|bonus( points)?|pluses|desired( skills)?)\b/i,
+  other: /^(about (us|the company|the team)|benefits|perks|compensation|salary|location|how to apply|equal opportunity)\b/i
+};
+
+const SENIORITY_LEVELS = [
+  ['Principal', /\b(principal|distinguished)\b/],
+  ['Staff', /\bstaff\b/],
+  ['Lead', /\b(lead|head of|tech lead)\b/],
+  ['Manager', /\b(manager|director)\b/],
+  ['Senior', /\b(senior|sr\.?)\b/],
+  ['Mid-level', /\b(mid[- ]level|intermediate)\b/],
+  ['Junior', /\b(junior|jr\.?|entry[- ]level|graduate)\b/],
+  ['Intern', /\b(intern|internship)\b/]
+];
+
+const MAX_ITEMS = 8;
+const MAX_ITEM_LENGTH = 160;
+
+const BULLET_PATTERN = /^\s*(?:[-*•·▪◦●]|\d+[.)])\s+/;
+
+const INLINE_HEADING = /\s+(?=(?:key )?(?:responsibilities|requirements|qualifications|nice[- ]to[- ]haves?|preferred qualifications|benefits|about us)\s*[:：])/gi;
+
+// PDF extraction joins a page's items with spaces, so headings and bullets may end up on one line.
+const splitLines = (text) =>
+  text
+    .replace(/\r/g, '')
+    .replace(INLINE_HEADING, '\n')
+    .replace(/\s+([•·▪◦●])\s+/g, '\n$1 ')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+
+const cleanItem = (line) => {
+  const item = line.replace(BULLET_PATTERN, '').replace(/\s+/g, ' ').trim();
+  return item.length > MAX_ITEM_LENGTH ? `${item.slice(0, MAX_ITEM_LENGTH - 1)}…` : item;
+};
+
+const detectSection = (line) => {
+  const hasColon = /[:：]/.test(line);
+  // Bullets are list items unless they end in a colon; bare headings are short
+  if (BULLET_PATTERN.test(line) && !/[:：]\s*$/.test(line)) return null;
+  if (!hasColon && line.split(/\s+/).length > 5) return null;
+  const heading = line.replace(BULLET_PATTERN, '').replace(/[:：]\s*$/, '').trim();
+  if (heading.length > 60 && !hasColon) return null;
+  return Object.keys(SECTION_PATTERNS).find(key => SECTION_PATTERNS[key].test(heading)) || null;
+};
+
+const splitSections = (lines) => {
+  const sections = { intro: [], responsibilities: [], requirements: [], preferred: [], other: [] };
+  let current = 'intro';
+  lines.forEach(line => {
+    const section = detectSection(line);
+    if (section) {
+      current = section;
+      // Keep inline content after a heading such as "Requirements: 5+ years of React"
+      const rest = line.split(/[:：]/).slice(1).join(':').trim();
+      if (rest) sections[current].push(rest);
+      return;
+    }
+    sections[current].push(line);
+  });
+  return sections;
+};
+
+const detectSeniority = (title, text) => {
+  const haystack = `${title} ${text}`.toLowerCase();
+  const titleLower = (title || '').toLowerCase();
+  const level = SENIORITY_LEVELS.find(([, pattern]) => pattern.test(titleLower)) ||
+    SENIORITY_LEVELS.find(([, pattern]) => pattern.test(haystack));
+
+  const yearsMatch = haystack.match(/(\d{1,2})\s*\+?\s*(?:-\s*\d{1,2}\s*)?years?/);
+  const years = yearsMatch ? Number(yearsMatch[1]) : null;
+
+  let label = level ? level[0] : '';
+  if (!label && years !== null) {
+    label = years >= 8 ? 'Staff' : years >= 5 ? 'Senior' : years >= 2 ? 'Mid-level' : 'Junior';
+  }
+
+  return { level: label, minYears: years };
+};
+
+const guessTitle = (lines) => {
+  const first = lines[0] || '';
+  if (!first || first.length > 80 || detectSection(first)) return '';
+  return first.replace(/^(job title|position|role)\s*[:：]\s*/i, '').trim();
+};
+
+export const emptyJobDescription = () => ({
+  title: '',
+  seniority: { level: '', minYears: null },
+  requiredSkills: [],
+  preferredSkills: [],
+  responsibilities: []
+});
+
+export const parseJobDescription = (text, { jobRole = '' } = {}) => {
+  if (!text || !text.trim()) return emptyJobDescription();
+
+  const lines = splitLines(text);
+  const sections = splitSections(lines);
+  const title = guessTitle(lines);
+
+  const requirementText = sections.requirements.join('\n');
+  const preferredText = sections.preferred.join('\n');
+
+  // Fall back to the whole posting when it has no recognisable requirements section
+  const requiredSkills = findSkills(requirementText || lines.join('\n'));
+  const preferredSkills = findSkills(preferredText).filter(skill => !requiredSkills.includes(skill));
+
+  const responsibilities = sections.responsibilities
+    .map(cleanItem)
+    .filter(item => item.length > 3)
+    .slice(0, MAX_ITEMS);
+
+  return {
+    title,
+    seniority: detectSeniority(jobRole || title, text),
+    requiredSkills,
+    preferredSkills,
+    responsibilities
+  };
+};
+
+export const hasJobDescriptionDetails = (parsed) =>
+  !!parsed && (
+    !!parsed.seniority.level ||
+    parsed.requiredSkills.length > 0 ||
+    parsed.preferredSkills.length > 0 ||
+    parsed.responsibilities.length > 0
+  );
+
+// Compact, prompt-ready summary of a parsed job description.
+export const formatJobDescriptionForPrompt = (parsed) => {
+  if (!hasJobDescriptionDetails(parsed)) return '';
+
+  const parts = [];
+  if (parsed.seniority.level || parsed.seniority.minYears !== null) {
+    const years = parsed.seniority.minYears !== null ? ` (${parsed.seniority.minYears}+ years)` : '';
+    parts.push(`Seniority: ${parsed.seniority.level || 'Not specified'}${years}`);
+  }
+  if (parsed.requiredSkills.length) parts.push(`Required skills: ${parsed.requiredSkills.join(', ')}`);
+  if (parsed.preferredSkills.length) parts.push(`Nice-to-have skills: ${parsed.preferredSkills.join(', ')}`);
+  if (parsed.responsibilities.length) {
+    parts.push(`Key responsibilities:\n${parsed.responsibilities.map(item => `- ${item}`).join('\n')}`);
+  }
+  return parts.join('\n');
+};
@@ -0,0 +1,43 @@
+// Small wrapper around localStorage for JSON values. Storage can be
+// unavailable (private mode, quota, SSR), so failures fall back quietly.
+
+export const readJson = (key, fallback) => {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (error) {
+    console.warn(`Could not read ${key} from localStorage:`, error);
+    return fallback;
+  }
+};
+
+export const writeJson = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    console.warn(`Could not write ${key} to localStorage:`, error);
+    return false;
+  }
+};
+
+export const removeKey = (key) => {
+  try {
+    window.localStorage.removeItem(key);
+  } catch (error) {
+    console.warn(`Could not remove ${key} from localStorage:`, error);
+  }
+};
+
+// Trigger a browser download of `content` under `fileName`.
+export const downloadFile = (fileName, content, mimeType = 'application/json') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
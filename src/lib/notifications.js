@@ -0,0 +1,65 @@
+import { useEffect, useState } from 'react';
+import { describeErrorCode, toAppError } from './errors';
+import { logEntry, logError } from './clientLog';
+
+// In-app banners, shown by <NotificationBanners /> at the top of every page.
+// A module-level store keeps `notify` and `reportError` callable from any
+// component or helper without threading callbacks through props.
+//
+// Notification: { id, level ('error' | 'warning' | 'success' | 'info'), code,
+//   title, message, hint, actions: [{ id, label, run }] }
+
+const AUTO_DISMISS_MS = 5000;
+
+let notifications = [];
+let nextId = 1;
+const listeners = new Set();
+
+const publish = (next) => {
+  notifications = next;
+  listeners.forEach(listener => listener(notifications));
+};
+
+export const dismissNotification = (id) => publish(notifications.filter(n => n.id !== id));
+
+// Clear banners whose problem has been resolved, e.g. media errors once access is granted
+export const dismissNotificationsByCode = (codes) => publish(notifications.filter(n => !codes.includes(n.code)));
+
+// A notification with the same code replaces the earlier one instead of stacking
+export const notify = ({ level = 'info', code = null, title = '', message = '', hint = '', actions = [] }) => {
+  const id = nextId++;
+  const notification = { id, level, code, title, message, hint, actions };
+  publish([...notifications.filter(n => !code || n.code !== code), notification]);
+  if (level === 'success' || level === 'info') setTimeout(() => dismissNotification(id), AUTO_DISMISS_MS);
+  if (level === 'warning') logEntry('warning', title || message, { code });
+  return id;
+};
+
+// Log an error and show it with the recovery actions its code allows.
+// `handlers` maps action ids (see RECOVERY_ACTIONS) to callbacks.
+export const reportError = (error, { code, message, handlers = {}, context = null } = {}) => {
+  const appError = toAppError(error, code, message);
+  logError(appError, context);
+  const { title, hint, actions } = describeErrorCode(appError.code);
+  const available = { reload: () => window.location.reload(), ...handlers };
+  return notify({
+    level: 'error',
+    code: appError.code,
+    title,
+    message: appError.message,
+    hint,
+    actions: actions.filter(action => available[action]).map(action => ({ id: action, run: available[action] }))
+  });
+};
+
+export const useNotifications = () => {
+  const [current, setCurrent] = useState(notifications);
+
+  useEffect(() => {
+    listeners.add(setCurrent);
+    setCurrent(notifications);
+    return () => listeners.delete(setCurrent);
+  }, []);
+
+  return current;
+};
@@ -0,0 +1,62 @@
+import { normalizeAssistantSettings } from './assistantSettings';
+
+// Panel interviews: the personas from the assistant settings share one call
+// as a Vapi squad. Each persona is a squad member with its own voice and a
+// prompt section naming its focus; members hand the candidate over to each
+// other with Vapi's transfer tool, which reports the new speaker in a
+// 'transfer-update' message.
+
+// Panel mode settings, or null for a single interviewer
+export const getPanel = (settings) => {
+  const { panel } = normalizeAssistantSettings(settings);
+  return panel.enabled ? panel : null;
+};
+
+// Transcript label for a persona's turns, e.g. "Maya (Hiring Manager)"
+export const personaLabel = (persona) =>
+  (persona.title ? `${persona.name} (${persona.title})` : persona.name);
+
+export const findPersona = (panel, name) =>
+  (panel && name ? panel.personas.find(persona => persona.name.toLowerCase() === String(name).toLowerCase()) : null) || null;
+
+// Name of the squad member a 'transfer-update' message hands over to
+export const getTransferTarget = (message) => {
+  if (!message || message.type !== 'transfer-update') return null;
+  const destination = message.destination || {};
+  return destination.assistantName
+    || (message.toAssistant && message.toAssistant.name)
+    || null;
+};
+
+// Members in speaking order, starting with the persona who had the floor
+// when a resumed call reconnects.
+export const orderPersonas = (panel, leadId = null) => {
+  const start = Math.max(0, panel.personas.findIndex(persona => persona.id === leadId));
+  return [...panel.personas.slice(start), ...panel.personas.slice(0, start)];
+};
+
+export const buildPanelSection = (persona, personas, { resuming = false } = {}) => {
+  const others = personas.filter(item => item.id !== persona.id);
+  const lead = personas[0].id === persona.id;
+  const opening = lead && !resuming
+    ? 'You open the interview: greet the candidate and introduce yourself and the rest of the panel by name.'
+    : 'When you are handed the conversation, introduce yourself briefly and continue from where the previous panelist left off.';
+  return `\nPANEL INTERVIEW:
+- This is a panel interview. You are ${persona.name}${persona.title ? `, the ${persona.title}` : ''}. Speak only as ${persona.name} and never speak for the other panelists.
+- Your focus: ${persona.focus || 'questions that fit your role on the panel.'}
+- The other panelists: ${others.map(item => `${item.name}${item.title ? ` (${item.title})` : ''}${item.focus ? `, who covers ${item.focus.replace(/\.$/, '')}` : ''}`).join('; ')}.
+- ${lead && resuming ? 'You had the floor when the call was interrupted; carry on with your part.' : opening}
+- Ask the questions within your focus from the interview structure above, then say who is next and transfer the call to that panelist. Do not ask questions in another panelist's focus.
+- The panel shares the time limit; keep your part to roughly ${Math.round(100 / personas.length)}% of the interview. Whoever has the floor when time runs low wraps up for the whole panel.
+`;
+};
+
+export const buildPanelDestinations = (persona, personas) =>
+  personas
+    .filter(item => item.id !== persona.id)
+    .map(item => ({
+      type: 'assistant',
+      assistantName: item.name,
+      message: '',
+      description: `Hand the candidate over to ${personaLabel(item)} once your part of the interview is done.`
+    }));
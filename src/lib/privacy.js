@@ -0,0 +1,155 @@
+import { readJson, writeJson } from './localStore';
+import { resolveAssistantSettings, resolveVoice } from './assistantSettings';
+import { getPanel } from './panel';
+
+// Candidate privacy notice, consent records, log redaction and retention.
+//
+// The notice text is versioned: any change to what it says must bump
+// PRIVACY_NOTICE_VERSION so stored consent records show which wording the
+// candidate actually agreed to.
+
+export const PRIVACY_NOTICE_VERSION = '1.2.0';
+
+const RETENTION_KEY = 'vapiInterview.retentionDays';
+export const DEFAULT_RETENTION_DAYS = 30;
+export const MIN_RETENTION_DAYS = 1;
+export const MAX_RETENTION_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PROVIDER_LABELS = {
+  openai: 'OpenAI',
+  anthropic: 'Anthropic',
+  groq: 'Groq',
+  '11labs': 'ElevenLabs',
+  azure: 'Microsoft Azure',
+  deepgram: 'Deepgram'
+};
+
+const hostOf = (url) => {
+  if (!url) return null;
+  try {
+    return new URL(url, window.location.origin).host;
+  } catch (error) {
+    return url;
+  }
+};
+
+// Third parties that receive the candidate's audio, resume or transcript.
+export const listDataProcessors = (settings, { evaluatorHost = hostOf(import.meta.env.VITE_EVALUATOR_URL) } = {}) => {
+  const { model, voice, transcriber } = resolveAssistantSettings(settings);
+  const label = (provider) => PROVIDER_LABELS[provider] || provider;
+  // A panel speaks with each persona's voice, which may come from several providers
+  const panel = getPanel(settings);
+  const voiceProviders = panel
+    ? [...new Set(panel.personas.map(persona => resolveVoice(persona.voiceId).provider))]
+    : [voice.provider];
+  const processors = [
+    { name: 'Vapi', purpose: 'runs the voice call' },
+    { name: label(transcriber.provider), purpose: 'transcribes your speech' },
+    { name: label(model.provider), purpose: 'generates the interviewer\'s questions from the resume, job details and conversation' },
+    ...voiceProviders.map(provider => ({ name: label(provider), purpose: 'turns the interviewer\'s replies into speech' }))
+  ];
+  // The LLM scorecard (see getDefaultEvaluator, or the interview server's
+  // evaluator for invited interviews) sends the transcript out as well
+  if (evaluatorHost) processors.push({ name: evaluatorHost, purpose: 'scores the interview transcript' });
+  // So does the text chat fallback, which uses the evaluator's endpoint unless it has its own
+  const chatHost = hostOf(import.meta.env.VITE_CHAT_URL || import.meta.env.VITE_EVALUATOR_URL);
+  if (chatHost && chatHost !== evaluatorHost) processors.push({ name: chatHost, purpose: 'runs the interview as a text chat if voice is unavailable' });
+  return processors;
+};
+
+// Sections of the notice; the wording is fixed per version, the details are filled in.
+export const buildPrivacyNotice = ({ processors, retentionDays, sharedWithHiringTeam, recordingRequested, proctoring }) => ({
+  version: PRIVACY_NOTICE_VERSION,
+  sections: [
+    {
+      heading: 'What is collected',
+      body: 'Your microphone audio, the resume and job details the interviewer was given, and a written transcript of the conversation. Your camera is only shown to you on this screen.'
+    },
+    {
+      heading: 'Who processes it',
+      body: 'Your audio, the resume, the job details and the conversation are sent to these services to run the interview:',
+      items: processors.map(p => `${p.name}: ${p.purpose}`)
+    },
+    {
+      heading: 'Recording',
+      body: recordingRequested
+        ? 'The interviewer asked to record your camera and microphone. The recording is only made if you agree below, and it is stored only in this browser.'
+        : 'Your camera and microphone are not recorded.'
+    },
+    {
+      heading: 'Integrity signals',
+      body: proctoring
+        ? 'While the call is live, this page notes when you leave the tab or window, copy or paste text, stay silent for a long time, or when no face or more than one face is on camera. Faces are detected on your device and no video is sent. Only the timestamped notes are kept with the transcript for the reviewer.'
+        : 'Your activity on this page and your camera are not monitored.'
+    },
+    {
+      heading: 'Storage and retention',
+      body: sharedWithHiringTeam
+        ? `The transcript and an automated evaluation are sent to the hiring team that invited you, whose interview server may pass them on to its hiring systems, such as an applicant tracking system. ${retentionDays
+          ? `They are deleted automatically ${retentionDays} days after the interview.`
+          : 'They are kept until the hiring team deletes them.'}`
+        : `The transcript and an automated evaluation are stored in this browser and deleted automatically after ${retentionDays} days.`
+    },
+    {
+      heading: 'Your choices',
+      body: 'You can decline now and no interview data will be sent. After the interview, "Delete my data" removes your resume, transcript and evaluation.'
+    }
+  ]
+});
+
+export const createConsentRecord = ({ processors, retentionDays, recordingConsented, proctoring }, acceptedAt = new Date()) => ({
+  noticeVersion: PRIVACY_NOTICE_VERSION,
+  acceptedAt,
+  recordingConsented: Boolean(recordingConsented),
+  proctoring: Boolean(proctoring),
+  processors: processors.map(p => p.name),
+  retentionDays
+});
+
+export const describeConsent = (consent) => {
+  if (!consent) return 'No consent record';
+  const terms = [consent.recordingConsented ? 'recording allowed' : 'no recording'];
+  if (consent.proctoring) terms.push('integrity signals');
+  return `Privacy notice v${consent.noticeVersion} accepted ${new Date(consent.acceptedAt).toLocaleString()} (${terms.join(', ')})`;
+};
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(\.[\w-]+)+/g;
+const PHONE_PATTERN = /\+?\d[\d\s().-]{7,}\d/g;
+
+// Fields that carry resume, prompt or conversation content
+const SENSITIVE_KEYS = new Set([
+  'resumeText', 'jobDescriptionText', 'candidateProfile', 'candidateName', 'candidateEmail',
+  'transcript', 'previousTranscript', 'content', 'firstMessage', 'text', 'contact', 'messages',
+  'messagesOpenAIFormatted', 'output', 'conversation', 'artifact'
+]);
+
+export const redactText = (text) => text.replace(EMAIL_PATTERN, '[email]').replace(PHONE_PATTERN, '[phone]');
+
+// Copy of `value` that is safe to log: sensitive fields are replaced by their
+// size and emails and phone numbers are masked everywhere else.
+export const redactForLog = (value, depth = 0) => {
+  if (typeof value === 'string') return redactText(value);
+  if (!value || typeof value !== 'object' || value instanceof Date) return value;
+  if (depth > 6) return '[…]';
+  if (Array.isArray(value)) return value.map(item => redactForLog(item, depth + 1));
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+    if (!SENSITIVE_KEYS.has(key) || item === null || item === undefined) return [key, redactForLog(item, depth + 1)];
+    const size = typeof item === 'string' ? `${item.length} chars` : Array.isArray(item) ? `${item.length} items` : 'object';
+    return [key, `[redacted: ${size}]`];
+  }));
+};
+
+export const clampRetentionDays = (days) => {
+  const value = Math.round(Number(days));
+  if (!Number.isFinite(value)) return DEFAULT_RETENTION_DAYS;
+  return Math.min(MAX_RETENTION_DAYS, Math.max(MIN_RETENTION_DAYS, value));
+};
+
+export const loadRetentionDays = () => clampRetentionDays(readJson(RETENTION_KEY, DEFAULT_RETENTION_DAYS));
+
+export const saveRetentionDays = (days) => writeJson(RETENTION_KEY, clampRetentionDays(days));
+
+// Sessions completed before this date are past retention.
+export const retentionCutoff = (days, now = new Date()) => new Date(now.getTime() - clampRetentionDays(days) * DAY_MS);
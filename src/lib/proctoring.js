@@ -0,0 +1,105 @@
+// Integrity signals for async screening interviews. The browser monitor
+// (proctoringMonitor.js) reports what it sees; this pure state keeps the
+// timestamped event log next to the transcript, using the same call-relative
+// seconds as transcript turns.
+//
+// Event: { type, at, startSeconds, endSeconds, detail }
+//   Span signals (tab hidden, no face, ...) are opened and later closed;
+//   instant signals (copy, paste) have startSeconds === endSeconds.
+
+export const SIGNAL_TYPES = {
+  'tab-hidden': { label: 'Left the interview tab', span: true },
+  'focus-lost': { label: 'Switched to another window', span: true },
+  copy: { label: 'Copied text', span: false },
+  paste: { label: 'Pasted text', span: false },
+  'long-silence': { label: 'Long silence', span: true },
+  'no-face': { label: 'No face in view', span: true },
+  'multiple-faces': { label: 'More than one face in view', span: true },
+  'off-screen-speech': { label: 'Speech with no face in view', span: true }
+};
+
+export const createProctoringState = ({ callStartedAt = null, events = [] } = {}) => ({
+  callStartedAt,
+  events,
+  open: {}
+});
+
+// Like the transcript, reconnected calls keep the first call's start
+export const startProctoring = (state, callStartedAt = new Date()) => ({
+  ...state,
+  callStartedAt: state.callStartedAt || callStartedAt
+});
+
+const secondsSince = (start, date) =>
+  (start ? Math.max(0, Math.round((new Date(date) - new Date(start)) / 1000)) : 0);
+
+export const openSignal = (state, type, { at = new Date(), detail = null } = {}) => {
+  if (!SIGNAL_TYPES[type] || state.open[type]) return state;
+  const startSeconds = secondsSince(state.callStartedAt, at);
+  return { ...state, open: { ...state.open, [type]: { type, at, startSeconds, endSeconds: null, detail } } };
+};
+
+export const closeSignal = (state, type, now = new Date()) => {
+  const event = state.open[type];
+  if (!event) return state;
+  const { [type]: closed, ...open } = state.open;
+  const endSeconds = Math.max(event.startSeconds, secondsSince(state.callStartedAt, now));
+  return { ...state, open, events: [...state.events, { ...event, endSeconds }] };
+};
+
+export const recordSignal = (state, type, { at = new Date(), detail = null } = {}) => {
+  if (!SIGNAL_TYPES[type]) return state;
+  const seconds = secondsSince(state.callStartedAt, at);
+  return { ...state, events: [...state.events, { type, at, startSeconds: seconds, endSeconds: seconds, detail }] };
+};
+
+// Apply a report from the browser monitor
+export const applySignal = (state, { action, type, at, detail }) => {
+  if (action === 'open') return openSignal(state, type, { at, detail });
+  if (action === 'close') return closeSignal(state, type, at);
+  return recordSignal(state, type, { at, detail });
+};
+
+// Pausing or ending the call closes whatever is still open
+export const closeAllSignals = (state, now = new Date()) =>
+  Object.keys(state.open).reduce((next, type) => closeSignal(next, type, now), state);
+
+export const sortSignals = (events) => [...events].sort((a, b) => a.startSeconds - b.startSeconds);
+
+export const describeSignal = (event) => {
+  const { label } = SIGNAL_TYPES[event.type] || { label: event.type };
+  const parts = [label];
+  if (event.endSeconds > event.startSeconds) parts.push(`for ${event.endSeconds - event.startSeconds}s`);
+  if (event.detail && event.detail.chars) parts.push(`${event.detail.chars} characters`);
+  if (event.detail && event.detail.inEditor) parts.push('in the code editor');
+  if (event.detail && event.detail.inChat) parts.push('in the chat');
+  return parts.join(', ');
+};
+
+// Count and total duration per signal type, in SIGNAL_TYPES order
+export const summarizeSignals = (events) =>
+  Object.entries(SIGNAL_TYPES)
+    .map(([type, { label, span }]) => {
+      const matching = events.filter(event => event.type === type);
+      return {
+        type,
+        label,
+        count: matching.length,
+        totalSeconds: span ? matching.reduce((sum, event) => sum + (event.endSeconds - event.startSeconds), 0) : null
+      };
+    })
+    .filter(item => item.count > 0);
+
+// Transcript turns with the signals that happened before each turn slotted in,
+// for reading both in one timeline: [{ turn, index } | { signal }]
+export const interleaveSignals = (turns, events) => {
+  const pending = sortSignals(events || []);
+  const items = [];
+  turns.forEach((turn, index) => {
+    const start = typeof turn.startSeconds === 'number' ? turn.startSeconds : Infinity;
+    while (pending.length && pending[0].startSeconds < start) items.push({ signal: pending.shift() });
+    items.push({ turn, index });
+  });
+  pending.forEach(signal => items.push({ signal }));
+  return items;
+};
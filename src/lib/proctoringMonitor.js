@@ -0,0 +1,172 @@
+import { createLevelMeter, MIC_CONFIRM_LEVEL } from './deviceCheck';
+
+// Watches the page, the microphone and the camera preview during the call and
+// reports integrity signals as { action: 'open' | 'close' | 'record', type, at, detail }.
+// Face detection runs in the browser on the CPU; frames never leave the page.
+// Without a stream (a text chat interview) only the page signals are watched.
+
+const SAMPLE_INTERVAL_MS = 1000;
+const LONG_SILENCE_MS = 45000;
+const NO_FACE_MS = 3000;
+const MULTIPLE_FACES_SAMPLES = 2;
+// A blur that hides the tab is reported as a tab switch instead
+const BLUR_SETTLE_MS = 200;
+
+const MEDIAPIPE_WASM_URL = import.meta.env.VITE_FACE_DETECTION_WASM_URL
+  || 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@1.0.1/wasm';
+const FACE_MODEL_URL = import.meta.env.VITE_FACE_DETECTION_MODEL_URL
+  || 'https://storage.googleapis.com/mediapipe-models/face_detector/blaze_face_short_range/float16/1/blaze_face_short_range.tflite';
+
+let detectorPromise = null;
+
+// Loaded once on first use and shared by reconnected calls
+const loadFaceDetector = () => {
+  if (!detectorPromise) {
+    detectorPromise = import('@mediapipe/tasks-vision')
+      .then(async ({ FilesetResolver, FaceDetector }) => {
+        const fileset = await FilesetResolver.forVisionTasks(MEDIAPIPE_WASM_URL);
+        return FaceDetector.createFromOptions(fileset, {
+          baseOptions: { modelAssetPath: FACE_MODEL_URL, delegate: 'CPU' },
+          runningMode: 'VIDEO',
+          minDetectionConfidence: 0.6
+        });
+      })
+      .catch(error => {
+        detectorPromise = null;
+        throw error;
+      });
+  }
+  return detectorPromise;
+};
+
+// The chat box is a textarea too, but marked with data-chat-input
+const isChat = (target) => Boolean(target && target.dataset && target.dataset.chatInput !== undefined);
+const isEditor = (target) => Boolean(target && target.tagName === 'TEXTAREA' && !isChat(target));
+
+// onStatus reports face detection as 'loading', 'ready' or 'unavailable'. Returns a stop function.
+export const startProctoringMonitor = ({ stream, video, onSignal, onStatus = () => {} }) => {
+  const emit = (action, type, detail = null) => onSignal({ action, type, at: new Date(), detail });
+  const cleanups = [];
+  const listen = (target, event, handler) => {
+    target.addEventListener(event, handler);
+    cleanups.push(() => target.removeEventListener(event, handler));
+  };
+
+  // Page focus
+  listen(document, 'visibilitychange', () => {
+    if (document.hidden) {
+      emit('close', 'focus-lost');
+      emit('open', 'tab-hidden');
+    } else {
+      emit('close', 'tab-hidden');
+    }
+  });
+  let blurTimeout = null;
+  listen(window, 'blur', () => {
+    blurTimeout = setTimeout(() => {
+      if (!document.hidden) emit('open', 'focus-lost');
+    }, BLUR_SETTLE_MS);
+  });
+  listen(window, 'focus', () => {
+    clearTimeout(blurTimeout);
+    emit('close', 'focus-lost');
+  });
+  cleanups.push(() => clearTimeout(blurTimeout));
+
+  // Clipboard; only sizes are kept, never the text
+  listen(document, 'copy', (e) => {
+    const selected = isEditor(e.target)
+      ? e.target.value.slice(e.target.selectionStart, e.target.selectionEnd)
+      : String(window.getSelection());
+    emit('record', 'copy', { chars: selected.length, inEditor: isEditor(e.target), inChat: isChat(e.target) });
+  });
+  listen(document, 'paste', (e) => {
+    const pasted = e.clipboardData ? e.clipboardData.getData('text') : '';
+    emit('record', 'paste', { chars: pasted.length, inEditor: isEditor(e.target), inChat: isChat(e.target) });
+  });
+
+  if (!stream) return () => cleanups.forEach(cleanup => cleanup());
+
+  // Microphone and camera are sampled together so speech can be matched to faces
+  let level = 0;
+  cleanups.push(createLevelMeter(stream, (value) => { level = value; }));
+
+  let lastSpeechAt = Date.now();
+  let silenceOpen = false;
+  let faceMissingSince = null;
+  let noFaceOpen = false;
+  let multipleSamples = 0;
+  let multipleOpen = false;
+  let offScreenOpen = false;
+  let detector = null;
+
+  onStatus('loading');
+  loadFaceDetector()
+    .then(loaded => {
+      detector = loaded;
+      onStatus('ready');
+    })
+    .catch(error => {
+      console.error('Face detection is unavailable:', error);
+      onStatus('unavailable');
+    });
+
+  const countFaces = () => {
+    if (!detector || !video || video.readyState < 2) return null;
+    try {
+      return detector.detectForVideo(video, performance.now()).detections.length;
+    } catch (error) {
+      console.error('Face detection failed:', error);
+      return null;
+    }
+  };
+
+  const sample = () => {
+    const now = Date.now();
+    const speaking = level >= MIC_CONFIRM_LEVEL;
+
+    if (speaking) {
+      lastSpeechAt = now;
+      if (silenceOpen) emit('close', 'long-silence');
+      silenceOpen = false;
+    } else if (!silenceOpen && now - lastSpeechAt >= LONG_SILENCE_MS) {
+      silenceOpen = true;
+      onSignal({ action: 'open', type: 'long-silence', at: new Date(lastSpeechAt), detail: null });
+    }
+
+    const faces = countFaces();
+    if (faces === null) return;
+
+    if (faces === 0) {
+      faceMissingSince = faceMissingSince || now;
+      if (!noFaceOpen && now - faceMissingSince >= NO_FACE_MS) {
+        noFaceOpen = true;
+        onSignal({ action: 'open', type: 'no-face', at: new Date(faceMissingSince), detail: null });
+      }
+    } else {
+      faceMissingSince = null;
+      if (noFaceOpen) emit('close', 'no-face');
+      noFaceOpen = false;
+    }
+
+    multipleSamples = faces > 1 ? multipleSamples + 1 : 0;
+    if (multipleSamples >= MULTIPLE_FACES_SAMPLES && !multipleOpen) {
+      multipleOpen = true;
+      emit('open', 'multiple-faces', { faces });
+    } else if (!multipleSamples && multipleOpen) {
+      multipleOpen = false;
+      emit('close', 'multiple-faces');
+    }
+
+    // Someone talking while nobody is on camera
+    const offScreen = noFaceOpen && now - lastSpeechAt < SAMPLE_INTERVAL_MS * 2;
+    if (offScreen && !offScreenOpen) emit('open', 'off-screen-speech');
+    if (!offScreen && offScreenOpen) emit('close', 'off-screen-speech');
+    offScreenOpen = offScreen;
+  };
+
+  const interval = setInterval(sample, SAMPLE_INTERVAL_MS);
+  cleanups.push(() => clearInterval(interval));
+
+  return () => cleanups.forEach(cleanup => cleanup());
+};
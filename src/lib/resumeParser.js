@@ -0,0 +1,307 @@
+import { findSkills } from './skills';
+
+// Turn raw resume text into a structured candidate profile and back into a
+// compact, size-bounded summary for the interviewer prompt.
+
+const SECTION_PATTERNS = {
+  summary: /^(summary|profile|professional summary|about me|objective|career objective)$/i,
+  experience: /^(work experience|professional experience|experience|employment( history)?|work history|career history|relevant experience)$/i,
+  education: /^(education|academic background|qualifications|education and training)$/i,
+  skills: /^(skills|technical skills|core skills|key skills|core competencies|competencies|technologies|tech stack)$/i,
+  projects: /^(projects|personal projects|key projects|selected projects|side projects)$/i,
+  other: /^(certifications?|awards|publications|languages|interests|hobbies|references|volunteer(ing)?|achievements)$/i
+};
+
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE = `(?:${MONTH}\\s+\\d{4}|\\d{1,2}/\\d{4}|\\d{4})`;
+const DATE_RANGE = new RegExp(`(${DATE})\\s*(?:-|–|—|to|until)\\s*(${DATE}|present|current|now|today)`, 'i');
+const SINGLE_YEAR = /\b(19|20)\d{2}\b/;
+
+const BULLET_PATTERN = /^\s*(?:[-*•·▪◦●➢►]|\d+[.)])\s+/;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+\.[\w.-]+/;
+const PHONE_PATTERN = /(\+?\d[\d\s().-]{7,}\d)/;
+const LINKEDIN_PATTERN = /(?:https?:\/\/)?(?:www\.)?linkedin\.com\/[^\s,|]+/i;
+const GITHUB_PATTERN = /(?:https?:\/\/)?(?:www\.)?github\.com\/[^\s,|]+/i;
+const LOCATION_PATTERN = /\b([A-Z][a-zA-Z]+(?:\s[A-Z][a-zA-Z]+)*,\s*(?:[A-Z]{2}|[A-Z][a-zA-Z]+(?:\s[A-Z][a-zA-Z]+)*))\b/;
+
+const DEGREE_PATTERN = /\b(bachelor|master|b\.?\s?s\.?c?|m\.?\s?s\.?c?|b\.?\s?a\.?|m\.?\s?a\.?|b\.?\s?tech|m\.?\s?tech|b\.?\s?e\.?|m\.?\s?e\.?|ph\.?\s?d|mba|associate|diploma|certificate)\b/i;
+const INSTITUTION_PATTERN = /\b(university|college|institute|school|academy|polytechnic)\b/i;
+
+const MAX_JOBS = 6;
+const MAX_HIGHLIGHTS = 3;
+const MAX_PROJECTS = 4;
+const MAX_SKILLS = 30;
+const MAX_FIELD_LENGTH = 180;
+
+// Upper bound on the resume section of the system prompt.
+export const MAX_PROMPT_RESUME_CHARS = 4000;
+
+const truncate = (text, max = MAX_FIELD_LENGTH) => {
+  const clean = (text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > max ? `${clean.slice(0, max - 1)}…` : clean;
+};
+
+const splitLines = (text) =>
+  text
+    .replace(/\r/g, '')
+    .replace(/\s+([•·▪◦●➢►])\s+/g, '\n$1 ')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+
+const stripBullet = (line) => line.replace(BULLET_PATTERN, '').trim();
+
+const detectSection = (line) => {
+  if (BULLET_PATTERN.test(line) || line.length > 40) return null;
+  const heading = line.replace(/[:：]\s*$/, '').trim();
+  return Object.keys(SECTION_PATTERNS).find(key => SECTION_PATTERNS[key].test(heading)) || null;
+};
+
+const splitSections = (lines) => {
+  const sections = { header: [], summary: [], experience: [], education: [], skills: [], projects: [], other: [] };
+  let current = 'header';
+  lines.forEach(line => {
+    const section = detectSection(line);
+    if (section) {
+      current = section;
+      return;
+    }
+    sections[current].push(line);
+  });
+  return sections;
+};
+
+const parseContact = (headerLines, allText) => {
+  const email = (allText.match(EMAIL_PATTERN) || [''])[0];
+  const phoneMatch = headerLines.join(' ').match(PHONE_PATTERN) || allText.match(PHONE_PATTERN);
+  const linkedin = (allText.match(LINKEDIN_PATTERN) || [''])[0];
+  const github = (allText.match(GITHUB_PATTERN) || [''])[0];
+
+  const name = headerLines.find(line =>
+    !EMAIL_PATTERN.test(line) &&
+    !PHONE_PATTERN.test(line) &&
+    !/https?:|www\.|\.com/i.test(line) &&
+    /^[A-Za-zÀ-ÿ'’.-]+(?:\s+[A-Za-zÀ-ÿ'’.-]+){1,3}$/.test(line)
+  ) || '';
+
+  const locationLine = headerLines.find(line => line !== name && LOCATION_PATTERN.test(line));
+  const location = locationLine ? locationLine.match(LOCATION_PATTERN)[1] : '';
+
+  return {
+    name,
+    email,
+    phone: phoneMatch ? phoneMatch[1].trim() : '',
+    location,
+    linkedin,
+    github
+  };
+};
+
+const splitTitleCompany = (header) => {
+  const cleaned = header.replace(/[|,–—-]\s*$/, '').trim();
+  const atMatch = cleaned.match(/^(.+?)\s+(?:at|@)\s+(.+)$/i);
+  if (atMatch) return { title: atMatch[1].trim(), company: atMatch[2].trim() };
+  const parts = cleaned.split(/\s+[|–—-]\s+|\s*,\s*/).filter(Boolean);
+  if (parts.length >= 2) return { title: parts[0].trim(), company: parts[1].trim() };
+  return { title: cleaned, company: '' };
+};
+
+const parseExperience = (lines) => {
+  const jobs = [];
+  let pendingHeader = [];
+  let current = null;
+
+  lines.forEach(line => {
+    const range = line.match(DATE_RANGE);
+    if (range && !BULLET_PATTERN.test(line)) {
+      const inlineHeader = line.replace(range[0], '').replace(/[()|,–—-]\s*$/, '').replace(/^\s*[|,–—-]/, '').trim();
+      const header = [...pendingHeader, inlineHeader].filter(Boolean).join(' | ');
+      current = {
+        ...splitTitleCompany(header),
+        startDate: range[1],
+        endDate: range[2],
+        highlights: []
+      };
+      jobs.push(current);
+      pendingHeader = [];
+      return;
+    }
+
+    if (current && (BULLET_PATTERN.test(line) || line.length > 60)) {
+      current.highlights.push(truncate(stripBullet(line)));
+      return;
+    }
+
+    // A short unbulleted line is most likely the title/company of the next role
+    pendingHeader.push(line);
+    if (pendingHeader.length > 2) {
+      const spill = pendingHeader.shift();
+      if (current) current.highlights.push(truncate(stripBullet(spill)));
+    }
+  });
+
+  if (current && pendingHeader.length) {
+    current.highlights.push(...pendingHeader.map(line => truncate(stripBullet(line))));
+  }
+
+  return jobs.map(job => ({ ...job, title: truncate(job.title, 80), company: truncate(job.company, 80) }));
+};
+
+const parseEducation = (lines) => {
+  const entries = [];
+  let current = null;
+
+  lines.forEach(line => {
+    const text = stripBullet(line);
+    const hasDegree = DEGREE_PATTERN.test(text);
+    const hasInstitution = INSTITUTION_PATTERN.test(text);
+    const range = text.match(DATE_RANGE);
+    const year = range ? '' : (text.match(SINGLE_YEAR) || [''])[0];
+    const dates = range ? `${range[1]} – ${range[2]}` : year;
+
+    if (!hasDegree && !hasInstitution) {
+      if (current && dates && !current.dates) current.dates = dates;
+      return;
+    }
+
+    const startsNew = !current ||
+      (hasDegree && current.degree) ||
+      (hasInstitution && !hasDegree && current.institution);
+    if (startsNew) {
+      current = { degree: '', institution: '', dates: '' };
+      entries.push(current);
+    }
+
+    const withoutDates = truncate(text.replace(range ? range[0] : year, '').replace(/[,|–—-]\s*$/, ''), 120);
+    if (hasDegree && hasInstitution) {
+      const parts = withoutDates.split(/\s*[,|]\s*|\s+[–—-]\s+/);
+      current.degree = parts.find(part => DEGREE_PATTERN.test(part)) || withoutDates;
+      current.institution = parts.find(part => INSTITUTION_PATTERN.test(part) && part !== current.degree) || '';
+    } else if (hasDegree) {
+      current.degree = withoutDates;
+    } else {
+      current.institution = withoutDates;
+    }
+    if (dates && !current.dates) current.dates = dates;
+  });
+
+  return entries;
+};
+
+const parseSkillsSection = (lines) =>
+  lines
+    .flatMap(line => stripBullet(line).replace(/^[^:]{1,30}:\s*/, '').split(/\s*[,;|•]\s*/))
+    .map(skill => skill.trim())
+    .filter(skill => skill.length > 1 && skill.length < 40);
+
+const parseProjects = (lines) => {
+  const projects = [];
+  lines.forEach(line => {
+    const isBullet = BULLET_PATTERN.test(line);
+    const text = stripBullet(line);
+    if (!isBullet || projects.length === 0) {
+      const [name, ...rest] = text.split(/\s*[:|–—]\s+|\s+-\s+/);
+      projects.push({ name: truncate(name, 80), description: truncate(rest.join(' - ')) });
+      return;
+    }
+    const last = projects[projects.length - 1];
+    last.description = truncate(last.description ? `${last.description} ${text}` : text);
+  });
+  return projects;
+};
+
+const dedupe = (items) => {
+  const seen = new Set();
+  return items.filter(item => {
+    const key = item.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+export const emptyCandidateProfile = () => ({
+  contact: { name: '', email: '', phone: '', location: '', linkedin: '', github: '' },
+  summary: '',
+  workHistory: [],
+  education: [],
+  skills: [],
+  projects: []
+});
+
+export const parseResume = (text) => {
+  if (!text || !text.trim()) return emptyCandidateProfile();
+
+  const lines = splitLines(text);
+  const sections = splitSections(lines);
+
+  const skills = dedupe([
+    ...parseSkillsSection(sections.skills),
+    ...findSkills(text)
+  ]).slice(0, MAX_SKILLS);
+
+  return {
+    contact: parseContact(sections.header.slice(0, 8), text),
+    summary: truncate(sections.summary.join(' '), 400),
+    workHistory: parseExperience(sections.experience),
+    education: parseEducation(sections.education),
+    skills,
+    projects: parseProjects(sections.projects)
+  };
+};
+
+export const isProfileEmpty = (profile) =>
+  !profile || (
+    !profile.contact.name &&
+    !profile.summary &&
+    profile.workHistory.length === 0 &&
+    profile.education.length === 0 &&
+    profile.skills.length === 0 &&
+    profile.projects.length === 0
+  );
+
+const formatDates = (start, end) => (start || end ? ` (${[start, end].filter(Boolean).join(' – ')})` : '');
+
+// Compact profile for the system prompt. Falls back to truncated raw text when
+// nothing could be parsed, and never exceeds MAX_PROMPT_RESUME_CHARS.
+export const formatProfileForPrompt = (profile, rawText = '') => {
+  if (isProfileEmpty(profile)) {
+    return truncate(rawText, MAX_PROMPT_RESUME_CHARS);
+  }
+
+  const parts = [];
+  const { contact } = profile;
+  if (contact.name) parts.push(`Name: ${contact.name}`);
+  if (contact.location) parts.push(`Location: ${contact.location}`);
+  if (profile.summary) parts.push(`Summary: ${profile.summary}`);
+  const skills = profile.skills.map(skill => skill.trim()).filter(Boolean);
+  if (skills.length) parts.push(`Skills: ${skills.join(', ')}`);
+
+  if (profile.workHistory.length) {
+    const jobs = profile.workHistory.slice(0, MAX_JOBS).map(job => {
+      const role = [job.title, job.company].filter(Boolean).join(' at ');
+      const highlights = job.highlights.filter(item => item.trim()).slice(0, MAX_HIGHLIGHTS).join('; ');
+      return `- ${role}${formatDates(job.startDate, job.endDate)}${highlights ? `: ${highlights}` : ''}`;
+    });
+    parts.push(`Work history:\n${jobs.join('\n')}`);
+  }
+
+  if (profile.education.length) {
+    const schools = profile.education.map(entry =>
+      `- ${[entry.degree, entry.institution].filter(Boolean).join(', ')}${entry.dates ? ` (${entry.dates})` : ''}`
+    );
+    parts.push(`Education:\n${schools.join('\n')}`);
+  }
+
+  if (profile.projects.length) {
+    const projects = profile.projects.slice(0, MAX_PROJECTS).map(project =>
+      `- ${project.name}${project.description ? `: ${project.description}` : ''}`
+    );
+    parts.push(`Projects:\n${projects.join('\n')}`);
+  }
+
+  const compact = parts.join('\n');
+  return compact.length > MAX_PROMPT_RESUME_CHARS
+    ? `${compact.slice(0, MAX_PROMPT_RESUME_CHARS - 1)}…`
+    : compact;
+};
@@ -0,0 +1,41 @@
+import { useEffect, useState } from 'react';
+
+// Minimal History API routing. vercel.json (and Vite's dev server) already
+// serve index.html for every non-API path, so deep links load the app.
+//
+//   /                    interview setup (single-tab mode)
+//   /dashboard           recruiter dashboard
+//   /dashboard/:token    results of one invitation
+//   /i/:token            candidate interview link
+
+const ROUTES = [
+  { name: 'candidate', pattern: /^\/i\/([A-Za-z0-9_-]+)\/?$/ },
+  { name: 'invitation', pattern: /^\/dashboard\/([A-Za-z0-9_-]+)\/?$/ },
+  { name: 'dashboard', pattern: /^\/dashboard\/?$/ }
+];
+
+export const matchRoute = (pathname) => {
+  for (const route of ROUTES) {
+    const match = pathname.match(route.pattern);
+    if (match) return { name: route.name, token: match[1] };
+  }
+  return { name: 'home' };
+};
+
+export const navigate = (path) => {
+  if (path === window.location.pathname) return;
+  window.history.pushState({}, '', path);
+  window.dispatchEvent(new PopStateEvent('popstate'));
+};
+
+export const usePathname = () => {
+  const [pathname, setPathname] = useState(window.location.pathname);
+
+  useEffect(() => {
+    const handlePopState = () => setPathname(window.location.pathname);
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  return pathname;
+};
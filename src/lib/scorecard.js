@@ -0,0 +1,284 @@
+// Post-interview scorecard generation.
+//
+// An evaluator is any object with a `name` and an async
+// `evaluate({ jobRole, interviewPrompt, transcript })` method that resolves to a
+// raw scorecard. Raw results are always passed through `normalizeScorecard` so
+// the UI can rely on a single shape no matter which evaluator produced them.
+
+export const COMPETENCIES = [
+  { id: 'technical', label: 'Technical Depth' },
+  { id: 'communication', label: 'Communication' },
+  { id: 'roleFit', label: 'Role Fit' }
+];
+
+export const MAX_SCORE = 5;
+
+// 'needs-review' means the evaluator made no call, so the recruiter decides
+export const RECOMMENDATIONS = ['hire', 'no-hire', 'needs-review'];
+
+export const recommendationLabel = (recommendation) => {
+  if (recommendation === 'hire') return 'Hire';
+  if (recommendation === 'no-hire') return 'No Hire';
+  return 'Needs Review';
+};
+
+const CANDIDATE_SPEAKER = 'You';
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'have', 'from', 'your', 'you', 'are', 'was', 'were',
+  'our', 'their', 'they', 'them', 'but', 'not', 'all', 'any', 'can', 'had', 'has', 'his', 'her',
+  'its', 'who', 'what', 'when', 'where', 'which', 'will', 'would', 'about', 'into', 'there', 'been',
+  'also', 'just', 'like', 'some', 'more', 'very', 'really', 'then', 'than', 'so', 'we', 'it',
+  'is', 'in', 'on', 'of', 'to', 'a', 'an', 'i', 'my', 'me', 'be', 'as', 'at', 'or', 'if', 'do',
+  'senior', 'junior', 'position', 'role', 'candidate', 'interview', 'resume', 'experience'
+]);
+
+const TECHNICAL_MARKERS = [
+  'architecture', 'design', 'performance', 'scal', 'test', 'debug', 'deploy', 'api', 'database',
+  'algorithm', 'latency', 'cache', 'refactor', 'trade-off', 'tradeoff', 'security', 'async',
+  'concurren', 'pipeline', 'model', 'framework', 'optimi', 'monitor', 'infrastructure', 'typescript',
+  'react', 'python', 'java', 'sql', 'cloud', 'kubernetes', 'docker', 'metrics'
+];
+
+const clampScore = (value) => {
+  const num = Number(value);
+  if (!Number.isFinite(num)) return 0;
+  return Math.min(MAX_SCORE, Math.max(0, Math.round(num * 10) / 10));
+};
+
+const tokenize = (text) =>
+  (text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9+#.-]+/)
+    .map(word => word.replace(/^[.-]+|[.-]+$/g, ''))
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+
+const normalizeQuote = (text) => (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const candidateTurns = (transcript) =>
+  (transcript || []).filter(item => item.speaker === CANDIDATE_SPEAKER && !item.kind && item.text && item.text.trim());
+
+const truncateQuote = (text, max = 220) => {
+  const clean = text.replace(/\s+/g, ' ').trim();
+  return clean.length > max ? `${clean.slice(0, max - 1)}…` : clean;
+};
+
+// Keep only evidence whose quote really appears in the candidate's answers, so
+// an LLM evaluator cannot invent statements or credit the interviewer's words.
+export const groundEvidence = (evidence, transcript) => {
+  if (!Array.isArray(evidence)) return [];
+  const haystack = candidateTurns(transcript).map(item => ({ ...item, normalized: normalizeQuote(item.text) }));
+
+  return evidence
+    .map(entry => (typeof entry === 'string' ? { quote: entry } : entry))
+    .filter(entry => entry && typeof entry.quote === 'string' && entry.quote.trim())
+    .map(entry => {
+      const needle = normalizeQuote(entry.quote).replace(/…$/, '');
+      const match = haystack.find(item => item.normalized.includes(needle));
+      if (!match) return null;
+      return {
+        quote: entry.quote.trim(),
+        speaker: match.speaker,
+        timestamp: match.timestamp || null
+      };
+    })
+    .filter(Boolean);
+};
+
+export const normalizeScorecard = (raw, { transcript = [], evaluatorName = 'unknown' } = {}) => {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error('Evaluator returned an empty scorecard');
+  }
+
+  const rawCompetencies = Array.isArray(raw.competencies) ? raw.competencies : [];
+  const competencies = COMPETENCIES.map(({ id, label }) => {
+    const found = rawCompetencies.find(c => c && (c.id === id || c.label === label)) || {};
+    return {
+      id,
+      label,
+      score: clampScore(found.score),
+      summary: typeof found.summary === 'string' ? found.summary.trim() : '',
+      evidence: groundEvidence(found.evidence, transcript)
+    };
+  });
+
+  const average = competencies.reduce((sum, c) => sum + c.score, 0) / competencies.length;
+  const overallScore = raw.overallScore !== undefined ? clampScore(raw.overallScore) : clampScore(average);
+
+  let recommendation = typeof raw.recommendation === 'string' ? raw.recommendation.toLowerCase().trim() : '';
+  recommendation = recommendation.replace(/[\s_]+/g, '-');
+  if (!RECOMMENDATIONS.includes(recommendation)) recommendation = 'needs-review';
+
+  return {
+    competencies,
+    overallScore,
+    recommendation,
+    rationale: typeof raw.rationale === 'string' ? raw.rationale.trim() : '',
+    evaluator: evaluatorName,
+    generatedAt: new Date()
+  };
+};
+
+export const formatTranscriptForEvaluation = (transcript) =>
+  (transcript || [])
+    .map(item => `${item.speaker}: ${item.text}`)
+    .join('\n');
+
+// Offline evaluator that scores the transcript with simple lexical heuristics.
+// It needs no network access, which makes it the fallback when no evaluation
+// endpoint is configured. Keyword counts are no basis for a hiring decision, so
+// it never recommends one.
+export const createHeuristicEvaluator = () => ({
+  name: 'heuristic',
+  evaluate: async ({ jobRole, interviewPrompt, transcript }) => {
+    const answers = candidateTurns(transcript);
+    if (answers.length === 0) {
+      return {
+        competencies: COMPETENCIES.map(({ id }) => ({
+          id,
+          score: 0,
+          summary: 'The candidate did not give any answers to evaluate.',
+          evidence: []
+        })),
+        recommendation: 'needs-review',
+        rationale: 'No candidate responses were captured in the transcript.'
+      };
+    }
+
+    const roleTerms = new Set([...tokenize(jobRole), ...tokenize(interviewPrompt)]);
+    const answerStats = answers.map(item => {
+      const words = item.text.trim().split(/\s+/);
+      const tokens = tokenize(item.text);
+      const lower = item.text.toLowerCase();
+      return {
+        item,
+        wordCount: words.length,
+        technicalHits: TECHNICAL_MARKERS.filter(marker => lower.includes(marker)).length,
+        roleHits: tokens.filter(token => roleTerms.has(token)).length
+      };
+    });
+
+    const totalWords = answerStats.reduce((sum, s) => sum + s.wordCount, 0);
+    const avgWords = totalWords / answerStats.length;
+    const technicalHits = answerStats.reduce((sum, s) => sum + s.technicalHits, 0);
+    const roleHits = answerStats.reduce((sum, s) => sum + s.roleHits, 0);
+
+    // Answers between ~25 and ~120 words read as clear and complete.
+    const communicationScore = avgWords < 25
+      ? 1 + (avgWords / 25) * 2
+      : avgWords <= 120 ? 4 + Math.min(1, answerStats.length / 6) : 3.5;
+    const technicalScore = 1 + Math.min(4, (technicalHits / answerStats.length) * 2);
+    const roleFitScore = 1 + Math.min(4, (roleHits / answerStats.length) * 1.5);
+
+    const topBy = (key) =>
+      [...answerStats]
+        .filter(s => s[key] > 0 || key === 'wordCount')
+        .sort((a, b) => b[key] - a[key])
+        .slice(0, 2)
+        .map(s => ({ quote: truncateQuote(s.item.text) }));
+
+    return {
+      competencies: [
+        {
+          id: 'technical',
+          score: technicalScore,
+          summary: `${technicalHits} technical concept${technicalHits === 1 ? '' : 's'} referenced across ${answerStats.length} answers.`,
+          evidence: topBy('technicalHits')
+        },
+        {
+          id: 'communication',
+          score: communicationScore,
+          summary: `Answers averaged ${Math.round(avgWords)} words.`,
+          evidence: topBy('wordCount')
+        },
+        {
+          id: 'roleFit',
+          score: roleFitScore,
+          summary: `${roleHits} reference${roleHits === 1 ? '' : 's'} to skills from the role and resume.`,
+          evidence: topBy('roleHits')
+        }
+      ],
+      recommendation: 'needs-review',
+      rationale: 'Generated locally from keyword and answer-length heuristics; review the transcript before deciding.'
+    };
+  }
+});
+
+const EVALUATION_INSTRUCTIONS = `You are a hiring panel reviewer. Evaluate the interview transcript below.
+Score each competency from 0 to ${MAX_SCORE}: technical (Technical Depth), communication (Communication), roleFit (Role Fit).
+Support every score with short quotes copied verbatim from the candidate's answers.
+Respond with JSON only, in this shape:
+{"competencies":[{"id":"technical","score":0,"summary":"","evidence":[{"quote":""}]}],"overallScore":0,"recommendation":"hire|no-hire|needs-review","rationale":""}`;
+
+export const buildEvaluationMessages = ({ jobRole, interviewPrompt, transcript }) => [
+  { role: 'system', content: EVALUATION_INSTRUCTIONS },
+  {
+    role: 'user',
+    content: `POSITION: ${jobRole}\n\nINTERVIEW CONTEXT:\n${interviewPrompt}\n\nTRANSCRIPT:\n${formatTranscriptForEvaluation(transcript)}`
+  }
+];
+
+// Chat completions often wrap JSON in a fenced block
+export const parseJsonContent = (content) => {
+  if (typeof content !== 'string') return content;
+  const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/);
+  return JSON.parse(fenced ? fenced[1] : content);
+};
+
+// Evaluator backed by an OpenAI-compatible chat completions endpoint. The
+// endpoint is expected to be a proxy that adds credentials server-side.
+export const createChatCompletionsEvaluator = ({ endpoint, model = 'gpt-4', fetchImpl } = {}) => {
+  if (!endpoint) throw new Error('createChatCompletionsEvaluator requires an endpoint');
+
+  return {
+    name: `chat:${model}`,
+    evaluate: async (input) => {
+      const doFetch = fetchImpl || window.fetch.bind(window);
+      const res = await doFetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          model,
+          messages: buildEvaluationMessages(input),
+          temperature: 0.2,
+          response_format: { type: 'json_object' }
+        })
+      });
+
+      if (!res.ok) {
+        throw new Error(`Evaluation request failed with status ${res.status}`);
+      }
+
+      const data = await res.json();
+      const content = data && data.choices && data.choices[0] && data.choices[0].message
+        ? data.choices[0].message.content
+        : data;
+      return parseJsonContent(content);
+    }
+  };
+};
+
+// Evaluator that resolves to a fixed scorecard; useful for tests and demos.
+export const createStubEvaluator = (scorecard, { delayMs = 0 } = {}) => ({
+  name: 'stub',
+  evaluate: async () => {
+    if (delayMs) await new Promise(resolve => setTimeout(resolve, delayMs));
+    return typeof scorecard === 'function' ? scorecard() : scorecard;
+  }
+});
+
+export const getDefaultEvaluator = () => {
+  const endpoint = import.meta.env.VITE_EVALUATOR_URL;
+  if (endpoint) {
+    return createChatCompletionsEvaluator({
+      endpoint,
+      model: import.meta.env.VITE_EVALUATOR_MODEL || 'gpt-4'
+    });
+  }
+  return createHeuristicEvaluator();
+};
+
+export const generateScorecard = async (evaluator, input) => {
+  const raw = await evaluator.evaluate(input);
+  return normalizeScorecard(raw, { transcript: input.transcript, evaluatorName: evaluator.name });
+};
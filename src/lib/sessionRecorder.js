@@ -0,0 +1,66 @@
+// Local MediaRecorder wrapper used for opt-in session recordings. Chunks stay
+// in memory and are assembled into a single Blob when recording stops.
+
+const PREFERRED_MIME_TYPES = [
+  'video/webm;codecs=vp9,opus',
+  'video/webm;codecs=vp8,opus',
+  'video/webm',
+  'video/mp4'
+];
+
+export const isRecordingSupported = () => typeof window !== 'undefined' && typeof window.MediaRecorder !== 'undefined';
+
+const pickMimeType = () => {
+  if (!isRecordingSupported() || typeof window.MediaRecorder.isTypeSupported !== 'function') return '';
+  return PREFERRED_MIME_TYPES.find(type => window.MediaRecorder.isTypeSupported(type)) || '';
+};
+
+export const createSessionRecorder = (stream) => {
+  if (!isRecordingSupported()) {
+    throw new Error('Recording is not supported in this browser');
+  }
+
+  const mimeType = pickMimeType();
+  const recorder = new window.MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+  const chunks = [];
+  let startedAt = null;
+
+  recorder.ondataavailable = (event) => {
+    if (event.data && event.data.size > 0) chunks.push(event.data);
+  };
+
+  return {
+    get startedAt() {
+      return startedAt;
+    },
+
+    start: () => {
+      // Emit a chunk every second so stopping only waits for the last second.
+      // Chunks are kept in memory, so a tab that crashes mid-call loses the recording.
+      recorder.start(1000);
+      startedAt = new Date();
+    },
+
+    // Resolves to `{ blob, mimeType, startedAt }`, or null if nothing was captured.
+    stop: () => new Promise((resolve) => {
+      const finish = () => {
+        const type = recorder.mimeType || mimeType || 'video/webm';
+        resolve(chunks.length ? { blob: new Blob(chunks, { type }), mimeType: type, startedAt } : null);
+      };
+
+      if (recorder.state === 'inactive') {
+        finish();
+        return;
+      }
+      recorder.addEventListener('stop', finish, { once: true });
+      recorder.stop();
+    })
+  };
+};
+
+// Seconds into the recording at which a transcript entry was spoken.
+export const recordingOffsetSeconds = (recording, timestamp) => {
+  if (!recording || !recording.startedAt || !timestamp) return null;
+  const offset = (new Date(timestamp) - new Date(recording.startedAt)) / 1000;
+  return Number.isFinite(offset) ? Math.max(0, offset) : null;
+};
@@ -0,0 +1,121 @@
+import { StorageError } from './errors';
+
+// IndexedDB persistence for completed interview sessions.
+
+const DB_NAME = 'vapi-interview';
+const DB_VERSION = 1;
+const STORE = 'sessions';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE)) {
+        const store = db.createObjectStore(STORE, { keyPath: 'id' });
+        store.createIndex('completedAt', 'completedAt');
+        store.createIndex('jobRole', 'jobRole');
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow a later retry if opening failed
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+};
+
+const runRequest = async (mode, operation) => {
+  let db;
+  try {
+    db = await openDb();
+  } catch (error) {
+    throw new StorageError(error.message, { cause: error });
+  }
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = operation(tx.objectStore(STORE));
+    let result;
+    request.onsuccess = () => { result = request.result; };
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(new StorageError((tx.error || request.error).message, { cause: tx.error || request.error }));
+    tx.onabort = () => reject(new StorageError(tx.error ? tx.error.message : 'Transaction aborted', { cause: tx.error }));
+  });
+};
+
+export const createSessionId = () =>
+  (window.crypto && typeof window.crypto.randomUUID === 'function')
+    ? window.crypto.randomUUID()
+    : `session-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const saveSession = (session) => runRequest('readwrite', store => store.put(session));
+
+export const getSession = (id) => runRequest('readonly', store => store.get(id));
+
+export const deleteSession = (id) => runRequest('readwrite', store => store.delete(id));
+
+// Merge `changes` into an existing session record.
+export const updateSession = async (id, changes) => {
+  const existing = await getSession(id);
+  if (!existing) return null;
+  const updated = { ...existing, ...changes };
+  await saveSession(updated);
+  return updated;
+};
+
+// All sessions, newest first.
+export const listSessions = async () => {
+  const sessions = await runRequest('readonly', store => store.getAll());
+  return (sessions || []).sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt));
+};
+
+// Delete every session completed before `cutoff`; resolves to the number removed.
+export const deleteSessionsBefore = async (cutoff) => {
+  const sessions = await listSessions();
+  const expired = sessions.filter(session => new Date(session.completedAt) < cutoff);
+  await Promise.all(expired.map(session => deleteSession(session.id)));
+  return expired.length;
+};
+
+export const clearSessions = () => runRequest('readwrite', store => store.clear());
+
+// Local midnight of a yyyy-mm-dd date; `new Date('yyyy-mm-dd')` would be UTC midnight
+const startOfDay = (value, addDays = 0) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day + addDays);
+};
+
+// Filter sessions by free-text query, exact role and an inclusive date range
+// (`from`/`to` are yyyy-mm-dd strings from date inputs).
+export const filterSessions = (sessions, { query = '', role = '', from = '', to = '' } = {}) => {
+  const needle = query.trim().toLowerCase();
+  const fromDate = from ? startOfDay(from) : null;
+  const toDate = to ? startOfDay(to, 1) : null;
+
+  return sessions.filter(session => {
+    if (role && session.jobRole !== role) return false;
+
+    const completedAt = new Date(session.completedAt);
+    if (fromDate && completedAt < fromDate) return false;
+    if (toDate && completedAt >= toDate) return false;
+
+    if (!needle) return true;
+    const haystack = [
+      session.jobRole,
+      session.candidateName,
+      session.templateName,
+      ...(session.transcript || []).map(item => item.text)
+    ].join(' ').toLowerCase();
+    return haystack.includes(needle);
+  });
+};
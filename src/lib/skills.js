@@ -0,0 +1,73 @@
+// Shared vocabulary of skills recognised when parsing job descriptions and resumes.
+// Each entry maps a display name to the patterns that identify it in free text.
+
+const SKILL_LEXICON = [
+  ['JavaScript', [/\bjavascript\b/, /\bes6\b/]],
+  ['TypeScript', [/\btypescript\b/]],
+  ['React', [/\breact(\.js|js)?\b/]],
+  ['Angular', [/\bangular\b/]],
+  ['Vue', [/\bvue(\.js|js)?\b/]],
+  ['Next.js', [/\bnext\.?js\b/]],
+  ['Node.js', [/\bnode(\.js|js)?\b/]],
+  ['HTML', [/\bhtml5?\b/]],
+  ['CSS', [/\bcss3?\b/, /\btailwind\b/, /\bsass\b/]],
+  ['Python', [/\bpython\b/]],
+  ['Django', [/\bdjango\b/]],
+  ['Flask', [/\bflask\b/]],
+  ['FastAPI', [/\bfastapi\b/]],
+  ['Java', [/\bjava\b(?!script)/]],
+  ['Spring', [/\bspring( boot)?\b/]],
+  ['Kotlin', [/\bkotlin\b/]],
+  ['Swift', [/\bswift\b/]],
+  ['C#', [/\bc#/, /\.net\b/]],
+  ['C++', [/\bc\+\+/]],
+  ['Go', [/\bgolang\b/, /\bgo\b(?= (?:language|developer|services|microservices))/]],
+  ['Rust', [/\brust\b/]],
+  ['Ruby', [/\bruby\b/, /\brails\b/]],
+  ['PHP', [/\bphp\b/, /\blaravel\b/]],
+  ['SQL', [/\bsql\b/, /\bpostgres(ql)?\b/, /\bmysql\b/]],
+  ['NoSQL', [/\bnosql\b/, /\bmongodb\b/, /\bdynamodb\b/, /\bcassandra\b/]],
+  ['Redis', [/\bredis\b/]],
+  ['GraphQL', [/\bgraphql\b/]],
+  ['REST APIs', [/\brest(ful)?\b/]],
+  ['AWS', [/\baws\b/, /\bamazon web services\b/]],
+  ['Azure', [/\bazure\b/]],
+  ['GCP', [/\bgcp\b/, /\bgoogle cloud\b/]],
+  ['Docker', [/\bdocker\b/]],
+  ['Kubernetes', [/\bkubernetes\b/, /\bk8s\b/]],
+  ['Terraform', [/\bterraform\b/]],
+  ['CI/CD', [/\bci\/cd\b/, /\bcontinuous (integration|delivery|deployment)\b/, /\bjenkins\b/, /\bgithub actions\b/]],
+  ['Linux', [/\blinux\b/]],
+  ['Git', [/\bgit\b/]],
+  ['Microservices', [/\bmicroservices?\b/]],
+  ['System Design', [/\bsystem design\b/, /\bdistributed systems?\b/, /\bscalab(le|ility)\b/]],
+  ['Testing', [/\bunit test/, /\btest automation\b/, /\bjest\b/, /\bcypress\b/, /\bselenium\b/, /\btdd\b/]],
+  ['Machine Learning', [/\bmachine learning\b/, /\bml\b/, /\bdeep learning\b/]],
+  ['PyTorch', [/\bpytorch\b/]],
+  ['TensorFlow', [/\btensorflow\b/]],
+  ['Data Analysis', [/\bdata analysis\b/, /\bpandas\b/, /\bnumpy\b/]],
+  ['Statistics', [/\bstatistic(s|al)\b/]],
+  ['Spark', [/\bspark\b/, /\bhadoop\b/]],
+  ['Tableau', [/\btableau\b/, /\bpower bi\b/]],
+  ['Excel', [/\bexcel\b/]],
+  ['Figma', [/\bfigma\b/]],
+  ['UX Design', [/\bux\b/, /\buser experience\b/, /\buser research\b/]],
+  ['Agile', [/\bagile\b/, /\bscrum\b/, /\bkanban\b/]],
+  ['Product Management', [/\bproduct management\b/, /\broadmap\b/, /\bproduct strategy\b/]],
+  ['Project Management', [/\bproject management\b/, /\bpmp\b/, /\bjira\b/]],
+  ['Stakeholder Management', [/\bstakeholders?\b/]],
+  ['Leadership', [/\bleadership\b/, /\bmentor(ing|ship)?\b/, /\bpeople management\b/]],
+  ['Communication', [/\bcommunication skills\b/, /\bwritten and verbal\b/]],
+  ['Sales', [/\bsales\b/, /\bcrm\b/, /\bsalesforce\b/]],
+  ['Marketing', [/\bmarketing\b/, /\bseo\b/]],
+  ['Security', [/\bsecurity\b/, /\boauth\b/, /\bowasp\b/]]
+];
+
+// Return the display names of every known skill mentioned in `text`, in lexicon order.
+export const findSkills = (text) => {
+  const lower = (text || '').toLowerCase();
+  if (!lower) return [];
+  return SKILL_LEXICON
+    .filter(([, patterns]) => patterns.some(pattern => pattern.test(lower)))
+    .map(([name]) => name);
+};
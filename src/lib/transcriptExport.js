@@ -0,0 +1,276 @@
+import { formatTime } from './format';
+import { recommendationLabel } from './scorecard';
+
+// Transcript exports (JSON, Markdown, PDF, DOCX) built from one report model so
+// every format carries the same role, duration and timestamped speaker turns.
+//
+// The JSON export is consumed by ATS integrations and described by
+// docs/transcript-export.schema.json. Bump TRANSCRIPT_SCHEMA_VERSION
+// on any change to its shape: minor for additive fields, major for anything
+// that renames, removes or retypes an existing field.
+
+export const TRANSCRIPT_SCHEMA_ID = 'vapi-interview/transcript';
+export const TRANSCRIPT_SCHEMA_VERSION = '1.3.0';
+
+const CANDIDATE_SPEAKER = 'You';
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const toSeconds = (value) => (typeof value === 'number' && Number.isFinite(value) ? Math.max(0, Math.round(value)) : null);
+
+const formatClock = (date) => (date ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' }) : '');
+
+export const buildTranscriptReport = ({
+  sessionId = null,
+  jobRole = '',
+  candidateName = '',
+  templateName = '',
+  durationSeconds = 0,
+  transcript = [],
+  scorecard = null,
+  completedAt = null
+}) => {
+  const firstTimestamp = transcript.map(item => toDate(item.timestamp)).find(Boolean);
+
+  // Turns recorded since call-relative timing was added carry startSeconds and
+  // endSeconds; older saved sessions fall back to the first timestamp.
+  const turns = transcript.map((item, index) => {
+    const timestamp = toDate(item.timestamp);
+    const startSeconds = toSeconds(item.startSeconds);
+    return {
+      index,
+      speaker: item.speaker,
+      role: item.speaker === CANDIDATE_SPEAKER ? 'candidate' : 'interviewer',
+      kind: item.kind === 'code' ? 'code' : 'speech',
+      language: item.kind === 'code' ? item.language || null : null,
+      text: item.text,
+      timestamp,
+      offsetSeconds: startSeconds !== null
+        ? startSeconds
+        : timestamp && firstTimestamp
+          ? Math.max(0, Math.round((timestamp - firstTimestamp) / 1000))
+          : null,
+      endOffsetSeconds: toSeconds(item.endSeconds)
+    };
+  });
+
+  return {
+    sessionId,
+    jobRole,
+    candidateName,
+    templateName,
+    durationSeconds,
+    completedAt: toDate(completedAt) || new Date(),
+    turns,
+    scorecard
+  };
+};
+
+export const toJsonExport = (report) => JSON.stringify({
+  schema: TRANSCRIPT_SCHEMA_ID,
+  schemaVersion: TRANSCRIPT_SCHEMA_VERSION,
+  exportedAt: new Date().toISOString(),
+  interview: {
+    id: report.sessionId,
+    role: report.jobRole,
+    template: report.templateName || null,
+    durationSeconds: report.durationSeconds,
+    completedAt: report.completedAt.toISOString()
+  },
+  candidate: {
+    name: report.candidateName || null
+  },
+  transcript: report.turns.map(turn => ({
+    index: turn.index,
+    speaker: turn.speaker,
+    role: turn.role,
+    kind: turn.kind,
+    language: turn.language,
+    text: turn.text,
+    timestamp: turn.timestamp ? turn.timestamp.toISOString() : null,
+    offsetSeconds: turn.offsetSeconds,
+    endOffsetSeconds: turn.endOffsetSeconds
+  })),
+  evaluation: report.scorecard
+    ? {
+      recommendation: report.scorecard.recommendation,
+      overallScore: report.scorecard.overallScore,
+      competencies: report.scorecard.competencies.map(c => ({
+        id: c.id,
+        label: c.label,
+        score: c.score,
+        summary: c.summary,
+        evidence: c.evidence.map(e => e.quote)
+      })),
+      rationale: report.scorecard.rationale,
+      evaluator: report.scorecard.evaluator
+    }
+    : null
+}, null, 2);
+
+const turnPrefix = (turn) => {
+  const offset = turn.offsetSeconds !== null ? `[${formatTime(turn.offsetSeconds)}]` : '';
+  return [offset, turn.speaker].filter(Boolean).join(' ');
+};
+
+const metadataLines = (report) => [
+  ['Position', report.jobRole],
+  ['Candidate', report.candidateName],
+  ['Template', report.templateName],
+  ['Duration', formatTime(report.durationSeconds)],
+  ['Completed', report.completedAt.toLocaleString()],
+  ['Messages', String(report.turns.length)]
+].filter(([, value]) => value);
+
+export const toMarkdownExport = (report) => {
+  const lines = [`# Interview Transcript: ${report.jobRole}`, ''];
+  metadataLines(report).forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+
+  if (report.scorecard) {
+    lines.push('', '## Evaluation', '');
+    lines.push(`- **Recommendation:** ${recommendationLabel(report.scorecard.recommendation)}`);
+    lines.push(`- **Overall score:** ${report.scorecard.overallScore.toFixed(1)}`);
+    report.scorecard.competencies.forEach(c => {
+      lines.push(`- **${c.label}:** ${c.score.toFixed(1)}${c.summary ? ` (${c.summary})` : ''}`);
+    });
+  }
+
+  lines.push('', '## Transcript', '');
+  report.turns.forEach(turn => {
+    const clock = formatClock(turn.timestamp);
+    const body = turn.kind === 'code' ? [`\`\`\`${turn.language || ''}`, turn.text, '```'].join('\n') : turn.text;
+    lines.push(`**${turnPrefix(turn)}**${clock ? ` _${clock}_` : ''}`, '', body, '');
+  });
+
+  return lines.join('\n');
+};
+
+export const toPdfExport = async (report) => {
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+  const margin = 48;
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const maxWidth = pageWidth - margin * 2;
+  let y = margin;
+
+  const ensureSpace = (height) => {
+    if (y + height > pageHeight - margin) {
+      doc.addPage();
+      y = margin;
+    }
+  };
+
+  const write = (text, { size = 11, style = 'normal', color = [31, 41, 55], gap = 4, font = 'helvetica' } = {}) => {
+    doc.setFont(font, style);
+    doc.setFontSize(size);
+    doc.setTextColor(...color);
+    const lines = doc.splitTextToSize(text, maxWidth);
+    lines.forEach(line => {
+      ensureSpace(size + 4);
+      doc.text(line, margin, y + size);
+      y += size + 4;
+    });
+    y += gap;
+  };
+
+  write(`Interview Report: ${report.jobRole}`, { size: 18, style: 'bold', gap: 10 });
+  metadataLines(report).forEach(([label, value]) => write(`${label}: ${value}`, { size: 10, gap: 0 }));
+  y += 12;
+
+  if (report.scorecard) {
+    write('Evaluation', { size: 14, style: 'bold' });
+    write(`Recommendation: ${recommendationLabel(report.scorecard.recommendation)} · Overall ${report.scorecard.overallScore.toFixed(1)}`, { size: 10 });
+    report.scorecard.competencies.forEach(c => {
+      write(`${c.label}: ${c.score.toFixed(1)}${c.summary ? ` (${c.summary})` : ''}`, { size: 10, gap: 0 });
+    });
+    y += 12;
+  }
+
+  write('Transcript', { size: 14, style: 'bold' });
+  report.turns.forEach(turn => {
+    const clock = formatClock(turn.timestamp);
+    write(`${turnPrefix(turn)}${clock ? `  ${clock}` : ''}`, {
+      size: 9,
+      style: 'bold',
+      color: turn.role === 'candidate' ? [55, 65, 81] : [67, 56, 202],
+      gap: 0
+    });
+    if (turn.kind === 'code') write(turn.text, { size: 9, gap: 8, font: 'courier' });
+    else write(turn.text, { size: 11, gap: 8 });
+  });
+
+  return doc.output('blob');
+};
+
+export const toDocxExport = async (report) => {
+  const { Document, Packer, Paragraph, TextRun, HeadingLevel } = await import('docx');
+
+  const children = [
+    new Paragraph({ text: `Interview Report: ${report.jobRole}`, heading: HeadingLevel.TITLE }),
+    ...metadataLines(report).map(([label, value]) => new Paragraph({
+      children: [new TextRun({ text: `${label}: `, bold: true }), new TextRun(value)]
+    }))
+  ];
+
+  if (report.scorecard) {
+    children.push(new Paragraph({ text: 'Evaluation', heading: HeadingLevel.HEADING_1 }));
+    children.push(new Paragraph({
+      children: [
+        new TextRun({ text: 'Recommendation: ', bold: true }),
+        new TextRun(`${recommendationLabel(report.scorecard.recommendation)} (overall ${report.scorecard.overallScore.toFixed(1)})`)
+      ]
+    }));
+    report.scorecard.competencies.forEach(c => {
+      children.push(new Paragraph({
+        children: [
+          new TextRun({ text: `${c.label}: `, bold: true }),
+          new TextRun(`${c.score.toFixed(1)}${c.summary ? ` (${c.summary})` : ''}`)
+        ]
+      }));
+    });
+  }
+
+  children.push(new Paragraph({ text: 'Transcript', heading: HeadingLevel.HEADING_1 }));
+  report.turns.forEach(turn => {
+    const clock = formatClock(turn.timestamp);
+    children.push(new Paragraph({
+      spacing: { before: 160 },
+      children: [
+        new TextRun({ text: turnPrefix(turn), bold: true, color: turn.role === 'candidate' ? '374151' : '4338CA' }),
+        new TextRun({ text: clock ? `  ${clock}` : '', italics: true, color: '6B7280' })
+      ]
+    }));
+    children.push(turn.kind === 'code'
+      ? new Paragraph({
+        children: turn.text.split('\n').map((line, index) => new TextRun({ text: line, font: 'Courier New', break: index > 0 ? 1 : 0 }))
+      })
+      : new Paragraph({ text: turn.text }));
+  });
+
+  const doc = new Document({ sections: [{ children }] });
+  return Packer.toBlob(doc);
+};
+
+export const EXPORT_FORMATS = [
+  { id: 'pdf', label: 'PDF', extension: 'pdf', mimeType: 'application/pdf', build: toPdfExport },
+  {
+    id: 'docx',
+    label: 'DOCX',
+    extension: 'docx',
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    build: toDocxExport
+  },
+  { id: 'markdown', label: 'Markdown', extension: 'md', mimeType: 'text/markdown', build: async (report) => toMarkdownExport(report) },
+  { id: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json', build: async (report) => toJsonExport(report) }
+];
+
+export const exportFileName = (report, extension) => {
+  const role = (report.jobRole || 'interview').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  const date = report.completedAt.toISOString().slice(0, 10);
+  return `${role || 'interview'}-${date}.${extension}`;
+};
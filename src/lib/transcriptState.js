@@ -0,0 +1,142 @@
+// Transcript state built from Vapi-shaped transcript messages.
+//
+// Partial results replace the pending text for their role until the final
+// result arrives. Finals from the same speaker as the previous turn are merged
+// into that turn, so a long answer split across several final segments reads
+// as one turn. Turn times are kept in seconds relative to the call start.
+//
+// In a panel interview `assistantSpeaker` is the label of the persona who has
+// the floor, and assistant turns are labelled with it instead of 'Interviewer'.
+//
+// Turn: { speaker, role, text, timestamp, startSeconds, endSeconds }
+//   role is the Vapi role ('assistant' | 'user'); timestamp is the start Date.
+//   Code the candidate shared is a separate turn with kind: 'code' and a
+//   language; speech is never merged into it.
+
+export const SPEAKER_LABELS = {
+  assistant: 'Interviewer',
+  user: 'You'
+};
+
+export const createTranscriptState = ({ callStartedAt = null, turns = [], assistantSpeaker = null } = {}) => ({
+  callStartedAt,
+  turns,
+  partials: {},
+  assistantSpeaker
+});
+
+// Label new assistant turns with another panelist; null goes back to 'Interviewer'
+export const setAssistantSpeaker = (state, assistantSpeaker) =>
+  (state.assistantSpeaker === assistantSpeaker ? state : { ...state, assistantSpeaker });
+
+const speakerFor = (state, role) =>
+  (role === 'assistant' && state.assistantSpeaker) || SPEAKER_LABELS[role];
+
+// Reconnected calls keep the first call's start so offsets stay continuous.
+export const startTranscript = (state, callStartedAt = new Date()) => ({
+  ...state,
+  callStartedAt: state.callStartedAt || callStartedAt
+});
+
+const secondsSince = (start, date) =>
+  start ? Math.max(0, Math.round((date - start) / 100) / 10) : null;
+
+const withoutPartial = (partials, role) => {
+  const rest = { ...partials };
+  delete rest[role];
+  return rest;
+};
+
+const commit = (state, role, text, startedAt, now) => {
+  const clean = text.trim();
+  const partials = withoutPartial(state.partials, role);
+  if (!clean) return { ...state, partials };
+
+  const callStartedAt = state.callStartedAt || startedAt;
+  const last = state.turns[state.turns.length - 1];
+  const speaker = speakerFor(state, role);
+
+  if (last && last.role === role && last.speaker === speaker && !last.kind) {
+    const merged = { ...last, text: `${last.text} ${clean}`, endSeconds: secondsSince(callStartedAt, now) };
+    return { ...state, callStartedAt, partials, turns: [...state.turns.slice(0, -1), merged] };
+  }
+
+  const turn = {
+    speaker,
+    role,
+    text: clean,
+    timestamp: startedAt,
+    startSeconds: secondsSince(callStartedAt, startedAt),
+    endSeconds: secondsSince(callStartedAt, now)
+  };
+  return { ...state, callStartedAt, partials, turns: [...state.turns, turn] };
+};
+
+// Apply one provider 'message' event. Non-transcript messages and unknown
+// roles leave the state untouched. Messages without a transcriptType are
+// treated as final.
+export const applyTranscriptMessage = (state, message, now = new Date()) => {
+  if (!message || message.type !== 'transcript' || !SPEAKER_LABELS[message.role]) return state;
+  const text = typeof message.transcript === 'string' ? message.transcript : '';
+  const pending = state.partials[message.role];
+  const startedAt = pending ? pending.startedAt : now;
+
+  if (message.transcriptType === 'partial') {
+    return {
+      ...state,
+      partials: { ...state.partials, [message.role]: { text, startedAt } }
+    };
+  }
+
+  return commit(state, message.role, text, startedAt, now);
+};
+
+// Add a snapshot of the candidate's code as its own turn.
+export const addCodeSnapshot = (state, { code, language }, now = new Date()) => {
+  if (!code.trim()) return state;
+  const callStartedAt = state.callStartedAt || now;
+  const turn = {
+    speaker: SPEAKER_LABELS.user,
+    role: 'user',
+    kind: 'code',
+    language,
+    text: code,
+    timestamp: now,
+    startSeconds: secondsSince(callStartedAt, now),
+    endSeconds: secondsSince(callStartedAt, now)
+  };
+  return { ...state, callStartedAt, turns: [...state.turns, turn] };
+};
+
+// Commit any pending partials, e.g. when the call ends mid-sentence.
+export const finalizeTranscript = (state, now = new Date()) =>
+  Object.entries(state.partials)
+    .sort(([, a], [, b]) => a.startedAt - b.startedAt)
+    .reduce((next, [role, partial]) => commit(next, role, partial.text, partial.startedAt, now), state);
+
+// Turns for display while the call is live. Pending partial text is exposed
+// as `pendingText`, attached to the last turn when it will merge into it.
+export const getLiveTurns = (state) => {
+  const turns = state.turns.map(turn => ({ ...turn, pendingText: '' }));
+  Object.entries(state.partials)
+    .filter(([, partial]) => partial.text.trim())
+    .sort(([, a], [, b]) => a.startedAt - b.startedAt)
+    .forEach(([role, partial]) => {
+      const last = turns[turns.length - 1];
+      const speaker = speakerFor(state, role);
+      if (last && last.role === role && last.speaker === speaker && !last.kind) {
+        turns[turns.length - 1] = { ...last, pendingText: partial.text.trim() };
+      } else {
+        turns.push({
+          speaker,
+          role,
+          text: '',
+          timestamp: partial.startedAt,
+          startSeconds: secondsSince(state.callStartedAt, partial.startedAt),
+          endSeconds: null,
+          pendingText: partial.text.trim()
+        });
+      }
+    });
+  return turns;
+};
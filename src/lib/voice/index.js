@@ -0,0 +1,17 @@
+import { createVapiProvider } from './vapiProvider';
+import { createMockProvider } from './mockProvider';
+import { createTextChatProvider } from './textChatProvider';
+
+export { createVapiProvider, createMockProvider, createTextChatProvider };
+export { createChatCompletionsAdapter, createMockChatAdapter, getDefaultChatAdapter } from './textChatProvider';
+export { DEFAULT_MOCK_SCRIPT } from './mockProvider';
+export { VOICE_EVENTS } from './provider';
+
+// The mock provider is used when VITE_VOICE_PROVIDER=mock or the page is opened with ?voice=mock.
+export const getVoiceProviderName = () => {
+  const params = new URLSearchParams(window.location.search);
+  return params.get('voice') || import.meta.env.VITE_VOICE_PROVIDER || 'vapi';
+};
+
+export const createDefaultVoiceProvider = () =>
+  getVoiceProviderName() === 'mock' ? createMockProvider() : createVapiProvider();
@@ -0,0 +1,201 @@
+import { createEmitter } from './provider';
+import { CODING_TOOL_NAME } from '../codingExercise';
+
+// Scripted VoiceInterviewProvider that replays canned transcript events, so the
+// interview flow can run offline without the Vapi SDK or an API key.
+// Restarting after stop() or drop() continues the script where it left off,
+// like a resumed interview.
+//
+// A line with `toolCall` emits a Vapi 'tool-calls' message before it is spoken.
+// Lines with `requiresTool` only play when the assistant config declares that tool.
+// When started with a squad, a line with `handoff` first transfers the call to
+// the next squad member with a 'transfer-update' message.
+
+export const DEFAULT_MOCK_SCRIPT = [
+  { role: 'assistant', text: 'Hello! Thank you for taking the time to interview with us today. Shall we get started?', delayMs: 800 },
+  { role: 'user', text: 'Yes, thanks for having me. I am excited to be here.', delayMs: 2500 },
+  { role: 'assistant', text: 'Great. Could you walk me through your most recent role and what you worked on?', delayMs: 2000 },
+  {
+    role: 'user',
+    text: 'Most recently I led a team of four building a React and TypeScript dashboard. I designed the API layer, added caching, and we cut page load time by forty percent.',
+    delayMs: 4000
+  },
+  { role: 'assistant', text: 'Impressive. How did you decide what to cache, and how did you handle invalidation?', delayMs: 2500, handoff: true },
+  {
+    role: 'user',
+    text: 'We profiled the slowest endpoints first, cached read-heavy queries in Redis with short TTLs, and published invalidation events whenever the underlying records changed.',
+    delayMs: 4500
+  },
+  {
+    role: 'assistant',
+    text: 'Let us try a short coding exercise. I have put it in your code panel: write a function that returns the two indices whose values add up to a target.',
+    delayMs: 2500,
+    requiresTool: CODING_TOOL_NAME,
+    toolCall: {
+      name: CODING_TOOL_NAME,
+      arguments: {
+        title: 'Two Sum',
+        prompt: 'Given an array of numbers and a target, return the indices of the two numbers that add up to the target. Assume exactly one solution exists.',
+        language: 'javascript',
+        starterCode: 'function twoSum(nums, target) {\n  \n}\n',
+        functionName: 'twoSum',
+        tests: [
+          { input: [[2, 7, 11, 15], 9], expected: [0, 1] },
+          { input: [[3, 2, 4], 6], expected: [1, 2] },
+          { input: [[3, 3], 6], expected: [0, 1] }
+        ]
+      }
+    }
+  },
+  {
+    role: 'user',
+    text: 'Sure. I will keep a map from each value to its index and check for the complement as I go, which makes it linear time.',
+    delayMs: 6000,
+    requiresTool: CODING_TOOL_NAME
+  },
+  { role: 'assistant', text: 'Tell me about a time you disagreed with a teammate. How did you resolve it?', delayMs: 2500, handoff: true },
+  {
+    role: 'user',
+    text: 'A colleague wanted to rewrite a service from scratch. I suggested we measure first, we agreed on a two week spike, and the data showed an incremental refactor was safer, so we did that.',
+    delayMs: 5000
+  },
+  { role: 'assistant', text: 'Thank you, that is all the questions I have. Do you have any questions for me?', delayMs: 2500 },
+  { role: 'user', text: 'What does success look like in the first ninety days?', delayMs: 3000 },
+  { role: 'assistant', text: 'Great question. Shipping one meaningful improvement end to end. Thanks again for your time today!', delayMs: 2500 }
+];
+
+const PARTIAL_STEPS = 3;
+
+export const createMockProvider = ({
+  script = DEFAULT_MOCK_SCRIPT,
+  speed = 1,
+  emitPartials = false,
+  endWhenDone = true
+} = {}) => {
+  const emitter = createEmitter();
+  let timers = [];
+  let isActive = false;
+  let isMuted = false;
+  let nextLine = 0;
+  const sent = [];
+
+  const schedule = (fn, delayMs) => {
+    timers.push(setTimeout(fn, Math.max(0, delayMs / speed)));
+  };
+
+  const clearTimers = () => {
+    timers.forEach(clearTimeout);
+    timers = [];
+  };
+
+  const emitTranscript = (role, transcript, transcriptType) => {
+    emitter.emit('message', { type: 'transcript', role, transcript, transcriptType });
+  };
+
+  return {
+    name: 'mock',
+    on: emitter.on,
+
+    start: async (config) => {
+      clearTimers();
+      isActive = true;
+      schedule(() => emitter.emit('call-start'), 300);
+
+      const members = config && config.squad ? config.squad.members.map(member => member.assistant) : [];
+      const assistant = members.length ? members[0] : config;
+      let memberIndex = 0;
+
+      const firstMessage = assistant && assistant.firstMessage;
+      const tools = ((assistant && assistant.model && assistant.model.tools) || []).map(tool => tool.function && tool.function.name);
+      const startIndex = nextLine < script.length ? nextLine : 0;
+      const lines = script
+        .map((line, index) => ({ ...line, index }))
+        .slice(startIndex)
+        .filter(line => !line.requiresTool || tools.includes(line.requiresTool));
+      // A resumed call opens with the assistant's greeting before continuing
+      if (startIndex > 0 && firstMessage) lines.unshift({ role: 'assistant', text: firstMessage, delayMs: 800, index: null });
+
+      let elapsed = 300;
+      lines.forEach((line) => {
+        elapsed += line.delayMs || 1500;
+        const at = elapsed;
+
+        // Use the assistant's configured greeting for the opening line when there is one
+        const text = line.index === 0 && line.role === 'assistant' && firstMessage
+          ? firstMessage
+          : line.text;
+
+        // Hand over right after the previous line, before any of this one is heard
+        if (line.handoff && members.length > 1) {
+          schedule(() => {
+            memberIndex = (memberIndex + 1) % members.length;
+            emitter.emit('message', {
+              type: 'transfer-update',
+              destination: { type: 'assistant', assistantName: members[memberIndex].name }
+            });
+          }, at - (line.delayMs || 1500) + 100);
+        }
+
+        if (emitPartials) {
+          const words = text.split(' ');
+          for (let step = 1; step < PARTIAL_STEPS; step++) {
+            const partial = words.slice(0, Math.ceil((words.length * step) / PARTIAL_STEPS)).join(' ');
+            schedule(() => {
+              if (!(line.role === 'user' && isMuted)) emitTranscript(line.role, partial, 'partial');
+            }, at - ((PARTIAL_STEPS - step) * 400));
+          }
+        }
+
+        schedule(() => {
+          // A muted candidate produces no speech events
+          if (line.index !== null) nextLine = line.index + 1;
+          if (line.toolCall) {
+            emitter.emit('message', {
+              type: 'tool-calls',
+              toolCallList: [{ id: `call-${line.index}`, type: 'function', function: line.toolCall }]
+            });
+          }
+          if (line.role === 'user' && isMuted) return;
+          emitTranscript(line.role, text, 'final');
+        }, at);
+      });
+
+      if (endWhenDone) {
+        schedule(() => {
+          if (!isActive) return;
+          isActive = false;
+          emitter.emit('call-end');
+        }, elapsed + 1500);
+      }
+    },
+
+    stop: () => {
+      if (!isActive) return;
+      isActive = false;
+      clearTimers();
+      emitter.emit('call-end');
+    },
+
+    mute: (muted) => {
+      isMuted = muted;
+    },
+
+    // Instructions are recorded rather than acted on; see `sent`.
+    send: (content) => {
+      sent.push({ content, at: new Date() });
+    },
+    sent,
+
+    // Test helper: end the call the way Vapi reports a dropped connection.
+    drop: (endedReason = 'pipeline-error-connection-lost') => {
+      if (!isActive) return;
+      isActive = false;
+      clearTimers();
+      emitter.emit('message', { type: 'status-update', status: 'ended', endedReason });
+      emitter.emit('call-end');
+    },
+
+    // Test helper: inject an arbitrary event.
+    simulate: (event, payload) => emitter.emit(event, payload)
+  };
+};
@@ -0,0 +1,48 @@
+// Voice backend abstraction.
+//
+// A VoiceInterviewProvider is a plain object with:
+//   name                 - identifier shown in logs
+//   start(assistant, { context })
+//                        - begin a call (async). `assistant` is the client-built
+//                          assistant config, or `{ squad }` for a panel interview;
+//                          `context` is the raw interview context for providers
+//                          that build it server-side
+//   stop()               - hang up; the provider then emits 'call-end'
+//   mute(muted)          - mute or unmute the candidate's microphone on the call
+//   on(event, handler)   - subscribe to an event; returns an unsubscribe function
+//   send(content)        - optional; inject a system instruction into the live call
+//   setDevices({ audioInputId, audioOutputId })
+//                        - optional; route the call through the chosen mic and speaker (async)
+//
+// Events:
+//   'call-start'  - the call is connected
+//   'call-end'    - the call finished, either side hung up
+//   'message'     - Vapi-shaped message, e.g. { type: 'transcript', role, transcript, transcriptType }
+//   'error'       - an Error (or error-like object with a message)
+
+export const VOICE_EVENTS = ['call-start', 'call-end', 'message', 'error'];
+
+// Minimal event emitter shared by provider implementations.
+export const createEmitter = () => {
+  const listeners = new Map();
+
+  return {
+    on: (event, handler) => {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(handler);
+      return () => listeners.get(event).delete(handler);
+    },
+
+    emit: (event, payload) => {
+      (listeners.get(event) || []).forEach(handler => {
+        try {
+          handler(payload);
+        } catch (error) {
+          console.error(`Voice provider "${event}" handler failed:`, error);
+        }
+      });
+    },
+
+    clear: () => listeners.clear()
+  };
+};
@@ -0,0 +1,203 @@
+import { createEmitter } from './provider';
+import { DEFAULT_MOCK_SCRIPT } from './mockProvider';
+import { AppError } from '../errors';
+
+// VoiceInterviewProvider for a typed interview, used when the camera,
+// microphone or voice SDK is unavailable. It runs the same assistant config
+// (system prompt, greeting, tools) through a chat adapter and reports the
+// conversation as Vapi-shaped messages, so the transcript, pacing, coding
+// exercise and completed screen work exactly as they do for a voice call.
+//
+// Adds to the provider interface:
+//   sendText(text)   - the candidate's chat message
+//   requestReply()   - ask for the interviewer's reply again after a failure
+// and emits { type: 'typing-update', role: 'assistant', typing } messages
+// while a reply is being written.
+//
+// A chat adapter is { name, reply({ messages, tools }) } resolving to
+// { content, toolCalls }, with OpenAI-style messages and tool calls.
+
+const START_DELAY_MS = 300;
+
+// Tools as a chat completions request expects them; Vapi-only fields are dropped
+const toChatTools = (tools) => (tools || []).map(tool => ({ type: 'function', function: tool.function }));
+
+// Adapter backed by an OpenAI-compatible chat completions endpoint. The
+// endpoint is expected to be a proxy that adds credentials server-side.
+export const createChatCompletionsAdapter = ({ endpoint, model = 'gpt-4', fetchImpl } = {}) => {
+  if (!endpoint) throw new Error('createChatCompletionsAdapter requires an endpoint');
+
+  return {
+    name: `chat:${model}`,
+    reply: async ({ messages, tools }) => {
+      const doFetch = fetchImpl || window.fetch.bind(window);
+      const res = await doFetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          model,
+          messages,
+          temperature: 0.7,
+          ...(tools && tools.length ? { tools: toChatTools(tools) } : {})
+        })
+      });
+
+      if (!res.ok) {
+        throw new Error(`Chat request failed with status ${res.status}`);
+      }
+
+      const data = await res.json();
+      const message = data && data.choices && data.choices[0] ? data.choices[0].message : null;
+      if (!message) throw new Error('Chat response has no message');
+      return { content: message.content || '', toolCalls: message.tool_calls || [] };
+    }
+  };
+};
+
+// Adapter that replays the interviewer lines of the mock voice script, so the
+// text interview runs offline. The opening line is the assistant's greeting.
+export const createMockChatAdapter = ({ script = DEFAULT_MOCK_SCRIPT, speed = 1 } = {}) => {
+  const lines = script.filter(line => line.role === 'assistant').slice(1);
+  let next = 0;
+
+  return {
+    name: 'mock',
+    reply: async ({ tools }) => {
+      const names = (tools || []).map(tool => tool.function && tool.function.name);
+      while (next < lines.length && lines[next].requiresTool && !names.includes(lines[next].requiresTool)) next++;
+      const line = lines[next] || { text: 'Thank you, that is everything from me today.', delayMs: 1000 };
+      next++;
+      await new Promise(resolve => setTimeout(resolve, (line.delayMs || 1500) / speed));
+      return {
+        content: line.text,
+        toolCalls: line.toolCall && names.includes(line.toolCall.name)
+          ? [{ id: `call-${next}`, type: 'function', function: { name: line.toolCall.name, arguments: JSON.stringify(line.toolCall.arguments) } }]
+          : []
+      };
+    }
+  };
+};
+
+// The chat completions adapter when VITE_CHAT_URL (or the evaluator's
+// VITE_EVALUATOR_URL) is set, otherwise the offline mock.
+export const getDefaultChatAdapter = () => {
+  const endpoint = import.meta.env.VITE_CHAT_URL || import.meta.env.VITE_EVALUATOR_URL;
+  if (endpoint) {
+    return createChatCompletionsAdapter({
+      endpoint,
+      model: import.meta.env.VITE_CHAT_MODEL || import.meta.env.VITE_EVALUATOR_MODEL || 'gpt-4'
+    });
+  }
+  return createMockChatAdapter();
+};
+
+export const createTextChatProvider = ({ adapter = getDefaultChatAdapter() } = {}) => {
+  const emitter = createEmitter();
+  let isActive = false;
+  let history = [];
+  let tools = [];
+  let isReplying = false;
+  // The candidate wrote again while a reply was being written
+  let isQueued = false;
+  // Replies for a stopped call are dropped
+  let callId = 0;
+
+  const emitTranscript = (role, transcript) => {
+    emitter.emit('message', { type: 'transcript', role, transcript, transcriptType: 'final' });
+  };
+
+  const setTyping = (typing) => {
+    emitter.emit('message', { type: 'typing-update', role: 'assistant', typing });
+  };
+
+  // One reply at a time; messages sent meanwhile are answered together afterwards
+  const requestReply = async () => {
+    if (!isActive || isReplying) return;
+    const call = callId;
+    isReplying = true;
+    isQueued = false;
+    setTyping(true);
+    try {
+      const reply = await adapter.reply({ messages: history, tools });
+      if (call !== callId) return;
+      const toolCalls = reply.toolCalls || [];
+      let content = reply.content;
+      if (toolCalls.length) {
+        emitter.emit('message', { type: 'tool-calls', toolCallList: toolCalls });
+        // The tools only update the candidate's screen, so each gets a plain acknowledgement
+        history = [
+          ...history,
+          { role: 'assistant', content: content || null, tool_calls: toolCalls },
+          ...toolCalls.map(toolCall => ({ role: 'tool', tool_call_id: toolCall.id, content: 'Shown to the candidate.' }))
+        ];
+        if (!content) {
+          ({ content } = await adapter.reply({ messages: history, tools }));
+          if (call !== callId) return;
+          history = [...history, { role: 'assistant', content }];
+        }
+      } else {
+        history = [...history, { role: 'assistant', content }];
+      }
+      if (content && content.trim()) emitTranscript('assistant', content);
+    } catch (error) {
+      if (call !== callId) return;
+      // Wait for requestReply() instead of retrying on our own
+      isQueued = false;
+      emitter.emit('error', new AppError('CHAT_REPLY_FAILED', `The interviewer could not reply: ${error.message}`, { cause: error }));
+    } finally {
+      if (call === callId) {
+        isReplying = false;
+        setTyping(false);
+        if (isQueued) requestReply();
+      }
+    }
+  };
+
+  return {
+    name: 'text',
+    on: emitter.on,
+
+    start: async (assistant) => {
+      callId += 1;
+      isActive = true;
+      isReplying = false;
+      isQueued = false;
+      tools = (assistant.model && assistant.model.tools) || [];
+      history = [...((assistant.model && assistant.model.messages) || [])];
+      if (assistant.firstMessage) history.push({ role: 'assistant', content: assistant.firstMessage });
+
+      const call = callId;
+      await new Promise(resolve => setTimeout(resolve, START_DELAY_MS));
+      if (call !== callId || !isActive) return;
+      emitter.emit('call-start');
+      if (assistant.firstMessage) emitTranscript('assistant', assistant.firstMessage);
+    },
+
+    stop: () => {
+      if (!isActive) return;
+      isActive = false;
+      callId += 1;
+      isReplying = false;
+      emitter.emit('call-end');
+    },
+
+    // There is no microphone on a text call
+    mute: () => {},
+
+    // Instructions join the conversation and shape the next reply
+    send: (content) => {
+      if (isActive) history = [...history, { role: 'system', content }];
+    },
+
+    sendText: (text) => {
+      const clean = (text || '').trim();
+      if (!isActive || !clean) return;
+      history = [...history, { role: 'user', content: clean }];
+      emitTranscript('user', clean);
+      if (isReplying) isQueued = true;
+      else requestReply();
+    },
+
+    requestReply
+  };
+};
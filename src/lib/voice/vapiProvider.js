@@ -0,0 +1,217 @@
+import { createEmitter, VOICE_EVENTS } from './provider';
+import { VoiceProviderError } from '../errors';
+
+// VoiceInterviewProvider backed by the Vapi web SDK loaded from the CDN.
+//
+// With `sessionUrl` set, the provider never handles the Vapi secret or the
+// system prompt: it posts the interview context to the serverless session
+// endpoint, which creates the assistant and returns a short-lived token
+// restricted to it. Without it, the public `apiKey` and a client-built
+// assistant config are used directly (local development only).
+//
+// A panel interview starts a squad instead: the config is `{ squad }`, or the
+// session endpoint returns a `squadId`.
+
+const SDK_URL = 'https://cdn.jsdelivr.net/gh/VapiAI/html-script-tag@latest/dist/assets/index.js';
+const SDK_POLL_ATTEMPTS = 10;
+const SDK_POLL_INTERVAL_MS = 500;
+
+let sdkScript = null;
+
+const injectSdkScript = () => {
+  if (sdkScript || typeof window.vapiSDK !== 'undefined') return;
+  sdkScript = document.createElement('script');
+  sdkScript.src = SDK_URL;
+  sdkScript.async = true;
+  document.body.appendChild(sdkScript);
+};
+
+const waitForSdk = async () => {
+  injectSdkScript();
+  let attempts = 0;
+  while (typeof window.vapiSDK === 'undefined' && attempts < SDK_POLL_ATTEMPTS) {
+    await new Promise(resolve => setTimeout(resolve, SDK_POLL_INTERVAL_MS));
+    attempts++;
+  }
+
+  if (typeof window.vapiSDK === 'undefined') {
+    throw new VoiceProviderError(
+      'VOICE_SDK_LOAD_TIMEOUT',
+      `Vapi SDK failed to load after ${(SDK_POLL_ATTEMPTS * SDK_POLL_INTERVAL_MS) / 1000}s. Please check your internet connection.`
+    );
+  }
+  return window.vapiSDK;
+};
+
+// Instantiate the SDK defensively — handle constructor, factory, and `run`-style exports.
+// Returns `{ client, started }` where `started` means `run()` already began the call.
+const instantiate = (sdk, apiKey, assistant, squad) => {
+  if (sdk && typeof sdk.run === 'function') {
+    try {
+      const result = sdk.run(squad ? { apiKey, squad } : { apiKey, assistant });
+      // `run` may return the live call object or nothing; prefer returned instance
+      return { client: result || sdk, started: true };
+    } catch (e) {
+      throw new VoiceProviderError('VOICE_SDK_UNSUPPORTED', 'Failed to start Vapi via window.vapiSDK.run(): ' + e.message, { cause: e });
+    }
+  }
+
+  try {
+    // Try constructor form
+    return { client: new sdk(apiKey), started: false };
+  } catch (e) {
+    try {
+      // Try calling as a factory function
+      return { client: sdk(apiKey), started: false };
+    } catch (e2) {
+      // Try common export shapes
+      if (sdk && typeof sdk.create === 'function') {
+        return { client: sdk.create(apiKey), started: false };
+      }
+      if (sdk && sdk.default) {
+        try {
+          return { client: new sdk.default(apiKey), started: false };
+        } catch (e3) {
+          return { client: sdk.default(apiKey), started: false };
+        }
+      }
+      throw new VoiceProviderError('VOICE_SDK_UNSUPPORTED', 'Unsupported Vapi SDK export shape: ' + String(sdk));
+    }
+  }
+};
+
+const requestSessionCredentials = async (sessionUrl, context) => {
+  let res;
+  try {
+    res = await fetch(sessionUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ context })
+    });
+  } catch (error) {
+    throw new VoiceProviderError('VOICE_SESSION_FAILED', 'Could not reach the interview session server', { cause: error });
+  }
+
+  let data = null;
+  try {
+    data = await res.json();
+  } catch (error) {
+    data = null;
+  }
+
+  if (!res.ok) {
+    const reason = data && data.error ? data.error : `status ${res.status}`;
+    throw new VoiceProviderError('VOICE_SESSION_FAILED', `Could not create interview session: ${reason}`, {
+      details: { status: res.status }
+    });
+  }
+  if (!data || !data.token || !(data.assistantId || data.squadId)) {
+    throw new VoiceProviderError('VOICE_SESSION_FAILED', 'Interview session response is missing credentials');
+  }
+  return data;
+};
+
+export const createVapiProvider = ({
+  apiKey = import.meta.env.VITE_VAPI_API_KEY || '',
+  sessionUrl = import.meta.env.VITE_VAPI_SESSION_URL || ''
+} = {}) => {
+  const emitter = createEmitter();
+  let client = null;
+  let detach = [];
+  // Bumped by every start() and stop(), so a start that is still fetching
+  // credentials or loading the SDK knows it was cancelled
+  let generation = 0;
+
+  const hangUp = () => {
+    detach.forEach(off => off());
+    detach = [];
+    if (client && typeof client.stop === 'function') client.stop();
+    client = null;
+  };
+
+  const forwardEvents = () => {
+    if (!client || typeof client.on !== 'function') return;
+    VOICE_EVENTS.forEach(event => {
+      const handler = (payload) => emitter.emit(event, payload);
+      client.on(event, handler);
+      detach.push(() => {
+        if (typeof client.off === 'function') client.off(event, handler);
+        else if (typeof client.removeListener === 'function') client.removeListener(event, handler);
+      });
+    });
+  };
+
+  return {
+    name: 'vapi',
+    on: emitter.on,
+
+    start: async (assistantConfig, { context } = {}) => {
+      const run = ++generation;
+      const cancelled = () => run !== generation;
+      // One call at a time
+      hangUp();
+      let key = apiKey;
+      let squad = assistantConfig && assistantConfig.squad ? assistantConfig.squad : null;
+      let assistant = squad ? null : assistantConfig;
+
+      if (sessionUrl) {
+        const credentials = await requestSessionCredentials(sessionUrl, context);
+        if (cancelled()) return;
+        key = credentials.token;
+        squad = credentials.squadId || null;
+        assistant = credentials.squadId ? null : credentials.assistantId;
+      } else if (!apiKey || apiKey === 'YOUR_VAPI_PUBLIC_KEY') {
+        throw new VoiceProviderError('VOICE_API_KEY_MISSING', 'Vapi API key not found. Set VITE_VAPI_SESSION_URL to use the server-side proxy, or create a .env file with VITE_VAPI_API_KEY=your_key for local development.');
+      }
+
+      const sdk = await waitForSdk();
+      if (cancelled()) return;
+      const instance = instantiate(sdk, key, assistant, squad);
+      client = instance.client;
+      forwardEvents();
+
+      // Start the actual Vapi call if SDK instance supports it (skip if run() already started)
+      if (!instance.started) {
+        if (client && typeof client.start === 'function') {
+          // The web SDK takes a squad as its third argument
+          const starting = client;
+          if (squad) await starting.start(undefined, undefined, squad);
+          else await starting.start(assistant);
+          // Stopped while the call was being placed: the SDK may only now have a live call
+          if (cancelled() && typeof starting.stop === 'function') starting.stop();
+        } else if (typeof client === 'function') {
+          // Some SDKs are callable; attempt to call with the assistant config
+          try { client(assistant); } catch (e) { console.warn('vapi callable invocation failed:', e); }
+        }
+      }
+    },
+
+    stop: () => {
+      generation++;
+      if (!client) return;
+      // Detach first so the SDK's own 'call-end' is not forwarded twice
+      hangUp();
+      emitter.emit('call-end');
+    },
+
+    mute: (muted) => {
+      if (client && typeof client.setMuted === 'function') {
+        client.setMuted(muted);
+      }
+    },
+
+    send: (content) => {
+      if (client && typeof client.send === 'function') {
+        client.send({ type: 'add-message', message: { role: 'system', content } });
+      }
+    },
+
+    // The web SDK places the call through a Daily call object, which owns its own devices
+    setDevices: async ({ audioInputId, audioOutputId } = {}) => {
+      const daily = client && typeof client.getDailyCallObject === 'function' ? client.getDailyCallObject() : null;
+      if (!daily) return;
+      if (audioInputId) await daily.setInputDevicesAsync({ audioDeviceId: audioInputId });
+      if (audioOutputId) await daily.setOutputDeviceAsync({ outputDeviceId: audioOutputId });
+    }
+  };
+};
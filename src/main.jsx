@@ -1,10 +1,10 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
-import VapiInterviewApp from './VapiInterviewApp'
+import App from './App'
 import './index.css'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <VapiInterviewApp />
+    <App />
   </React.StrictMode>,
 )
\ No newline at end of file
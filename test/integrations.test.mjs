@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { signPayload, verifySignature } from '../server/integrations.mjs';
+
+const body = JSON.stringify({ event: 'interview.completed', candidate: { name: 'Ada' } });
+const now = Date.UTC(2024, 0, 1, 12);
+const timestamp = Math.floor(now / 1000);
+
+test('signPayload signs the timestamp and the raw body', () => {
+  const header = signPayload('secret', body, timestamp);
+  assert.match(header, new RegExp(`^t=${timestamp},v1=[0-9a-f]{64}$`));
+  assert.equal(signPayload('secret', body, timestamp), header);
+  assert.notEqual(signPayload('other', body, timestamp), header);
+});
+
+test('verifySignature accepts a fresh, untouched request', () => {
+  assert.equal(verifySignature('secret', body, signPayload('secret', body, timestamp), { now }), true);
+  assert.equal(verifySignature('secret', body, signPayload('secret', body, timestamp - 200), { now }), true);
+});
+
+test('verifySignature rejects tampered, wrongly signed and malformed requests', () => {
+  const header = signPayload('secret', body, timestamp);
+  assert.equal(verifySignature('secret', `${body} `, header, { now }), false);
+  assert.equal(verifySignature('other', body, header, { now }), false);
+  assert.equal(verifySignature('secret', body, `${header.slice(0, -1)}${header.endsWith('0') ? '1' : '0'}`, { now }), false);
+  assert.equal(verifySignature('secret', body, `t=${timestamp}`, { now }), false);
+  assert.equal(verifySignature('secret', body, 'v1=abc', { now }), false);
+  assert.equal(verifySignature('secret', body, undefined, { now }), false);
+});
+
+test('verifySignature rejects replays outside the tolerance', () => {
+  const old = signPayload('secret', body, timestamp - 301);
+  assert.equal(verifySignature('secret', body, old, { now }), false);
+  assert.equal(verifySignature('secret', body, old, { now, toleranceSeconds: 600 }), true);
+  assert.equal(verifySignature('secret', body, signPayload('secret', body, timestamp + 301), { now }), false);
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  initialInterviewState,
+  transitionInterview,
+  canTransition,
+  isDroppedCall,
+  reconnectDelayMs,
+  MAX_RECONNECT_ATTEMPTS
+} from '../src/lib/interviewMachine.js';
+
+const run = (events, state = initialInterviewState) =>
+  events.reduce((current, type) => transitionInterview(current, typeof type === 'string' ? { type } : type), state);
+
+test('walks from setup to an active call', () => {
+  const state = run(['START', 'CONSENT_GIVEN', 'PERMISSIONS_GRANTED', 'DEVICES_CONFIRMED', 'CALL_STARTED']);
+  assert.equal(state.status, 'active');
+  assert.equal(state.hasConnected, true);
+});
+
+test('returns the same state object for an event the state does not accept', () => {
+  const state = run(['START']);
+  assert.equal(transitionInterview(state, { type: 'CALL_STARTED' }), state);
+  assert.equal(canTransition(state, 'CALL_STARTED'), false);
+  assert.equal(canTransition(state, 'CONSENT_GIVEN'), true);
+});
+
+test('a dropped call reconnects and goes back to active', () => {
+  const active = run(['START', 'CONSENT_GIVEN', 'PERMISSIONS_GRANTED', 'DEVICES_CONFIRMED', 'CALL_STARTED']);
+  const reconnecting = transitionInterview(active, { type: 'CALL_DROPPED', error: 'network' });
+  assert.equal(reconnecting.status, 'reconnecting');
+  assert.equal(reconnecting.error, 'network');
+
+  const failedOnce = transitionInterview(reconnecting, { type: 'CALL_FAILED' });
+  assert.equal(failedOnce.status, 'reconnecting');
+  assert.equal(failedOnce.reconnectAttempts, 1);
+
+  const back = transitionInterview(failedOnce, { type: 'CALL_STARTED' });
+  assert.equal(back.status, 'active');
+  assert.equal(back.reconnectAttempts, 0);
+  assert.equal(back.error, null);
+});
+
+test('reconnecting fails once the attempts are used up', () => {
+  const reconnecting = run(['START', 'CONSENT_GIVEN', 'PERMISSIONS_GRANTED', 'DEVICES_CONFIRMED', 'CALL_STARTED', 'CALL_DROPPED']);
+  const failures = Array(MAX_RECONNECT_ATTEMPTS).fill('CALL_FAILED');
+  const failed = run(failures, reconnecting);
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.reconnectAttempts, MAX_RECONNECT_ATTEMPTS);
+
+  assert.equal(run([{ type: 'CALL_FAILED', maxReconnectAttempts: 1 }], reconnecting).status, 'failed');
+});
+
+test('retry resumes through reconnecting only after a call connected', () => {
+  const neverConnected = run(['START', 'CONSENT_GIVEN', 'PERMISSIONS_GRANTED', 'DEVICES_CONFIRMED', 'CALL_FAILED']);
+  assert.equal(neverConnected.status, 'failed');
+  assert.equal(transitionInterview(neverConnected, { type: 'RETRY' }).status, 'connecting');
+
+  const connected = run([...Array(MAX_RECONNECT_ATTEMPTS).fill('CALL_FAILED')],
+    run(['START', 'CONSENT_GIVEN', 'PERMISSIONS_GRANTED', 'DEVICES_CONFIRMED', 'CALL_STARTED', 'CALL_DROPPED']));
+  const retried = transitionInterview(connected, { type: 'RETRY' });
+  assert.equal(retried.status, 'reconnecting');
+  assert.equal(retried.reconnectAttempts, 0);
+});
+
+test('pausing resumes through connecting and ending clears the error', () => {
+  const paused = run(['START', 'CONSENT_GIVEN', 'PERMISSIONS_GRANTED', 'DEVICES_CONFIRMED', 'CALL_STARTED', 'PAUSE']);
+  assert.equal(paused.status, 'paused');
+  assert.equal(transitionInterview(paused, { type: 'RESUME' }).status, 'connecting');
+
+  const dropped = run(['START', 'CONSENT_GIVEN', 'PERMISSIONS_GRANTED', 'DEVICES_CONFIRMED', 'CALL_STARTED', { type: 'CALL_DROPPED', error: 'lost' }]);
+  const completed = transitionInterview(dropped, { type: 'END' });
+  assert.equal(completed.status, 'completed');
+  assert.equal(completed.error, null);
+});
+
+test('text chat continues from the permission step or a failed call', () => {
+  const denied = run(['START', 'CONSENT_GIVEN', { type: 'PERMISSIONS_DENIED', error: 'blocked' }]);
+  assert.equal(denied.status, 'permissions');
+  assert.equal(denied.error, 'blocked');
+  const chat = transitionInterview(denied, { type: 'TEXT_CHAT' });
+  assert.equal(chat.status, 'connecting');
+  assert.equal(chat.error, null);
+});
+
+test('cancelling a practice round returns to the completed report', () => {
+  const completed = run(['START', 'CONSENT_GIVEN', 'PERMISSIONS_GRANTED', 'DEVICES_CONFIRMED', 'CALL_STARTED', 'END']);
+  const practice = transitionInterview(completed, { type: 'PRACTICE' });
+  assert.equal(practice.status, 'permissions');
+  assert.equal(practice.isPractice, true);
+
+  const cancelled = transitionInterview(practice, { type: 'CANCEL' });
+  assert.equal(cancelled.status, 'completed');
+  assert.equal(cancelled.isPractice, false);
+
+  assert.equal(run(['START', 'CANCEL']).status, 'setup');
+  assert.deepEqual(transitionInterview(completed, { type: 'RESET' }), initialInterviewState);
+});
+
+test('tells dropped calls from calls that ended on purpose', () => {
+  assert.equal(isDroppedCall({ endedReason: 'customer-ended-call' }), false);
+  assert.equal(isDroppedCall({ endedReason: 'pipeline-error-openai-llm-failed' }), true);
+  assert.equal(isDroppedCall({ hadError: true }), true);
+  assert.equal(isDroppedCall({}), false);
+});
+
+test('backs off exponentially up to 8 seconds', () => {
+  assert.deepEqual([0, 1, 2, 3, 4].map(reconnectDelayMs), [1000, 2000, 4000, 8000, 8000]);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeScorecard,
+  groundEvidence,
+  generateScorecard,
+  createHeuristicEvaluator,
+  COMPETENCIES
+} from '../src/lib/scorecard.js';
+
+const transcript = [
+  { speaker: 'Interviewer', text: 'How did you make the dashboard faster?', timestamp: '2024-01-01T10:00:00Z' },
+  { speaker: 'You', text: 'I profiled it and split the bundle, which cut load time to 1.2 seconds.', timestamp: '2024-01-01T10:00:20Z' },
+  { speaker: 'You', kind: 'code', text: 'const cache = new Map();' }
+];
+
+test('groundEvidence keeps quotes from the candidate answers', () => {
+  const evidence = groundEvidence([{ quote: 'split the   Bundle' }, 'cut load time to 1.2 seconds…'], transcript);
+  assert.deepEqual(evidence, [
+    { quote: 'split the   Bundle', speaker: 'You', timestamp: '2024-01-01T10:00:20Z' },
+    { quote: 'cut load time to 1.2 seconds…', speaker: 'You', timestamp: '2024-01-01T10:00:20Z' }
+  ]);
+});
+
+test('groundEvidence drops invented quotes and the interviewer\'s words', () => {
+  assert.deepEqual(groundEvidence([
+    { quote: 'I rewrote it in Rust' },
+    { quote: 'make the dashboard faster' },
+    { quote: '   ' },
+    null
+  ], transcript), []);
+  assert.deepEqual(groundEvidence('not a list', transcript), []);
+});
+
+test('normalizeScorecard fills every competency and clamps scores', () => {
+  const scorecard = normalizeScorecard({
+    competencies: [
+      { id: 'technical', score: 9, summary: ' Strong ', evidence: ['split the bundle', 'made up'] },
+      { label: 'Communication', score: -2 }
+    ],
+    recommendation: 'Hire',
+    rationale: ' Solid. '
+  }, { transcript, evaluatorName: 'stub' });
+
+  assert.deepEqual(scorecard.competencies.map(c => c.id), COMPETENCIES.map(c => c.id));
+  assert.equal(scorecard.competencies[0].score, 5);
+  assert.equal(scorecard.competencies[0].summary, 'Strong');
+  assert.equal(scorecard.competencies[0].evidence.length, 1);
+  assert.equal(scorecard.competencies[1].score, 0);
+  assert.equal(scorecard.competencies[2].score, 0);
+  assert.equal(scorecard.overallScore, 1.7);
+  assert.equal(scorecard.recommendation, 'hire');
+  assert.equal(scorecard.rationale, 'Solid.');
+  assert.equal(scorecard.evaluator, 'stub');
+});
+
+test('normalizeScorecard leaves the decision to the recruiter without an explicit recommendation', () => {
+  assert.equal(normalizeScorecard({ overallScore: 5 }).recommendation, 'needs-review');
+  assert.equal(normalizeScorecard({ overallScore: 0, recommendation: 'maybe' }).recommendation, 'needs-review');
+  assert.equal(normalizeScorecard({ recommendation: 'no_hire' }).recommendation, 'no-hire');
+});
+
+test('normalizeScorecard rejects an empty result', () => {
+  assert.throws(() => normalizeScorecard(null), /empty scorecard/);
+});
+
+test('the heuristic evaluator never recommends hire or no hire', async () => {
+  const evaluator = createHeuristicEvaluator();
+  const scored = await generateScorecard(evaluator, { jobRole: 'Frontend engineer', interviewPrompt: '', transcript });
+  assert.equal(scored.recommendation, 'needs-review');
+  assert.equal(scored.evaluator, 'heuristic');
+
+  const empty = await generateScorecard(evaluator, { jobRole: 'Frontend engineer', interviewPrompt: '', transcript: [] });
+  assert.equal(empty.recommendation, 'needs-review');
+  assert.equal(empty.overallScore, 0);
+});
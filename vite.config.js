@@ -3,6 +3,13 @@ import react from '@vitejs/plugin-react'
 
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // Local invitations and integrations backend (npm run server)
+    proxy: {
+      '/api/invitations': 'http://localhost:8787',
+      '/api/integrations': 'http://localhost:8787'
+    }
+  },
   build: {
     outDir: 'dist'
   }